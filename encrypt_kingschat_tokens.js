@@ -0,0 +1,51 @@
+import mysql from 'mysql2/promise';
+import dotenv from 'dotenv';
+import { encryptSecret, isEncrypted } from './utils/crypto.helpers.js';
+dotenv.config();
+
+// One-off migration: encrypt KingsChat tokens that were stored as plain text.
+// Safe to run more than once; already-encrypted values are skipped.
+// Set TOKEN_ENCRYPTION_KEY to the same value the server uses before running this.
+async function run() {
+    let connection;
+    try {
+        connection = await mysql.createConnection({
+            host: process.env.DB_HOST,
+            user: process.env.DB_USER,
+            password: process.env.DB_PASSWORD,
+            database: process.env.DB_DATABASE
+        });
+
+        console.log("Connected to database.");
+
+        const [users] = await connection.query(
+            `SELECT id, kingschat_access_token, kingschat_refresh_token FROM users
+             WHERE kingschat_access_token IS NOT NULL OR kingschat_refresh_token IS NOT NULL`
+        );
+
+        let updated = 0;
+        for (const user of users) {
+            const accessToken = user.kingschat_access_token && !isEncrypted(user.kingschat_access_token)
+                ? encryptSecret(user.kingschat_access_token) : user.kingschat_access_token;
+            const refreshToken = user.kingschat_refresh_token && !isEncrypted(user.kingschat_refresh_token)
+                ? encryptSecret(user.kingschat_refresh_token) : user.kingschat_refresh_token;
+
+            if (accessToken !== user.kingschat_access_token || refreshToken !== user.kingschat_refresh_token) {
+                await connection.execute(
+                    'UPDATE users SET kingschat_access_token = ?, kingschat_refresh_token = ? WHERE id = ?',
+                    [accessToken, refreshToken, user.id]
+                );
+                updated++;
+            }
+        }
+
+        console.log(`Encrypted KingsChat tokens for ${updated} of ${users.length} user(s).`);
+
+    } catch (error) {
+        console.error("Error:", error);
+    } finally {
+        if (connection) await connection.end();
+    }
+}
+
+run();
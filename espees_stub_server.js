@@ -0,0 +1,143 @@
+import express from 'express';
+import crypto from 'crypto';
+import axios from 'axios';
+
+// A tiny in-memory stand-in for the Espees merchant API, for local development and testing.
+// Run it with `npm run espees:stub`, then start the app with
+//   ESPEES_API_URL=http://localhost:4020 ESPEES_MERCHANT_ID=stub-merchant ESPEES_API_KEY=stub-key
+//   ESPEES_WEBHOOK_SECRET=stub-webhook-secret
+//
+//   POST /v1/payments             - same shapes as the real API (see utils/espees.client.js)
+//   GET  /v1/payments/:id
+//   POST /v1/payments/:id/cancel
+//   GET  /pay/:id                 - the "wallet" page shoppers are sent to, with Pay and Cancel buttons
+//   POST /stub/payments/:id/pay   - pay a payment without the page (also sends the webhook)
+//   GET  /stub/payments           - list every payment, and the webhooks sent for it
+//
+// Payments expire at their expires_at, like the real ones. Set ESPEES_STUB_SKIP_WEBHOOKS=true to exercise the
+// app's fallback of confirming the payment when the shopper returns.
+
+const PORT = process.env.ESPEES_STUB_PORT || 4020;
+const API_KEY = process.env.ESPEES_STUB_API_KEY || 'stub-key';
+const MERCHANT_ID = process.env.ESPEES_STUB_MERCHANT_ID || 'stub-merchant';
+const WEBHOOK_SECRET = process.env.ESPEES_STUB_WEBHOOK_SECRET || 'stub-webhook-secret';
+const SKIP_WEBHOOKS = process.env.ESPEES_STUB_SKIP_WEBHOOKS === 'true';
+
+const payments = new Map(); // id -> payment (with the stub's own _webhooks log)
+
+// Pending payments past their expiry are expired the moment anyone looks at them.
+const findPayment = (id) => {
+    const payment = payments.get(id);
+    if (payment && payment.status === 'pending' && new Date(payment.expires_at) < new Date()) {
+        payment.status = 'expired';
+        notify(payment, 'payment.expired');
+    }
+    return payment;
+};
+
+const publicView = ({ _webhooks, ...payment }) => payment;
+const withId = (url, payment) => url.replace('{PAYMENT_ID}', encodeURIComponent(payment.id));
+
+// Tells the merchant's callback_url, signed like the real API.
+const notify = (payment, event) => {
+    if (SKIP_WEBHOOKS || !payment.callback_url) return;
+    const body = JSON.stringify({ event, data: publicView(payment) });
+    const signature = crypto.createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex');
+    axios.post(payment.callback_url, body, { headers: { 'content-type': 'application/json', 'x-espees-signature': signature } })
+        .then(response => payment._webhooks.push({ event, status: response.status }))
+        .catch(error => payment._webhooks.push({ event, status: error.response?.status || error.message }));
+};
+
+const requireApiKey = (req, res, next) => {
+    const token = (req.headers['authorization'] || '').split(' ')[1];
+    if (token !== API_KEY) return res.status(401).json({ error: 'invalid_api_key' });
+    next();
+};
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+
+app.post('/v1/payments', requireApiKey, (req, res) => {
+    const { merchant_id, amount, currency, description, return_url, cancel_url, callback_url, expires_at, metadata } = req.body;
+    if (merchant_id !== MERCHANT_ID) return res.status(403).json({ error: 'unknown_merchant' });
+    if (!(Number(amount) > 0) || !/^[A-Z]{3}$/.test(currency || '')) return res.status(400).json({ error: 'invalid_amount' });
+
+    const id = `esp_${crypto.randomBytes(10).toString('hex')}`;
+    const payment = {
+        id, status: 'pending', amount: Number(amount).toFixed(2), currency, description: description || '',
+        return_url, cancel_url, callback_url, metadata: metadata || {},
+        checkout_url: `http://localhost:${PORT}/pay/${id}`,
+        expires_at: expires_at || new Date(Date.now() + 30 * 60 * 1000).toISOString(),
+        created_at: new Date().toISOString(), paid_at: null,
+        _webhooks: []
+    };
+    payments.set(id, payment);
+    res.status(201).json(publicView(payment));
+});
+
+app.get('/v1/payments/:id', requireApiKey, (req, res) => {
+    const payment = findPayment(req.params.id);
+    if (!payment) return res.status(404).json({ error: 'not_found' });
+    res.json(publicView(payment));
+});
+
+app.post('/v1/payments/:id/cancel', requireApiKey, (req, res) => {
+    const payment = findPayment(req.params.id);
+    if (!payment) return res.status(404).json({ error: 'not_found' });
+    if (payment.status === 'paid') return res.status(409).json({ error: 'already_paid' });
+    if (payment.status === 'pending') {
+        payment.status = 'cancelled';
+        notify(payment, 'payment.cancelled');
+    }
+    res.json(publicView(payment));
+});
+
+// Marks a payment paid; answers with an error message if it can't be.
+const pay = (payment) => {
+    if (!payment) return 'No such payment.';
+    if (payment.status !== 'pending') return `This payment is ${payment.status}.`;
+    payment.status = 'paid';
+    payment.paid_at = new Date().toISOString();
+    notify(payment, 'payment.paid');
+    return null;
+};
+
+app.get('/pay/:id', (req, res) => {
+    const payment = findPayment(req.params.id);
+    if (!payment) return res.status(404).send('No such payment.');
+    res.send(`<!DOCTYPE html><html><head><title>Espees (stub)</title></head>
+<body style="font-family: sans-serif; max-width: 28rem; margin: 4rem auto;">
+    <h1>Espees wallet (stub)</h1>
+    <p>${payment.description.replace(/</g, '&lt;')}</p>
+    <p><strong>${payment.amount} ${payment.currency}</strong> &middot; ${payment.status}</p>
+    <form method="post" action="/pay/${payment.id}"><button name="action" value="pay">Pay</button>
+    <button name="action" value="cancel">Cancel</button></form>
+</body></html>`);
+});
+
+app.post('/pay/:id', (req, res) => {
+    const payment = findPayment(req.params.id);
+    if (!payment) return res.status(404).send('No such payment.');
+    if (req.body.action === 'cancel') {
+        if (payment.status === 'pending') {
+            payment.status = 'cancelled';
+            notify(payment, 'payment.cancelled');
+        }
+        return res.redirect(withId(payment.cancel_url, payment));
+    }
+    const error = pay(payment);
+    if (error) return res.status(409).send(error);
+    res.redirect(withId(payment.return_url, payment));
+});
+
+app.post('/stub/payments/:id/pay', (req, res) => {
+    const payment = findPayment(req.params.id);
+    const error = pay(payment);
+    if (error) return res.status(payment ? 409 : 404).json({ error });
+    res.json(publicView(payment));
+});
+
+app.get('/stub/payments', (req, res) => res.json([...payments.values()].map(payment => ({ ...publicView(payment), webhooks: payment._webhooks }))));
+
+app.listen(PORT, () => console.log(`Espees stub listening on http://localhost:${PORT}`));
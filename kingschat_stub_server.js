@@ -0,0 +1,99 @@
+import express from 'express';
+import crypto from 'crypto';
+
+// A tiny in-memory stand-in for the KingsChat API, for local development and testing.
+// Run it with `npm run kc:stub`, then start the app with KINGSCHAT_API_URL=http://localhost:4010
+//
+//   POST /stub/tokens            - issue a token pair for a stub profile: { "profileId": "kc-user-1" }
+//   GET  /stub/messages          - list messages "sent" through the stub
+//   GET  /developer/api/profile  - same shape as KingsChat's profile endpoint
+//   POST /oauth2/token           - refresh_token grant, same shape as KingsChat's
+//   POST /api/users/:id/new_message
+//
+// Access tokens expire after KINGSCHAT_STUB_TOKEN_TTL_MS (default one minute) so refreshes can be exercised.
+
+const PORT = process.env.KINGSCHAT_STUB_PORT || 4010;
+const TOKEN_TTL_MS = parseInt(process.env.KINGSCHAT_STUB_TOKEN_TTL_MS || '60000');
+
+const profiles = {
+    'kc-user-1': {
+        id: 'kc-user-1',
+        name: 'Stub Tester',
+        username: 'stubtester',
+        email: 'stub.tester@example.com',
+        phone_number: '+2348000000001',
+        gender: 'male',
+        avatar: 'https://example.com/avatars/stubtester.png',
+        birth_date_millis: Date.UTC(1990, 0, 15)
+    },
+    'kc-user-2': {
+        id: 'kc-user-2',
+        name: 'No Email',
+        username: 'noemail',
+        email: null,
+        phone_number: null,
+        gender: 'female',
+        avatar: null,
+        birth_date_millis: null
+    }
+};
+
+const accessTokens = new Map(); // token -> { profileId, expiresAt }
+const refreshTokens = new Map(); // token -> profileId
+const messages = [];
+
+const issueTokens = (profileId) => {
+    const accessToken = `stub-access-${crypto.randomBytes(12).toString('hex')}`;
+    const refreshToken = `stub-refresh-${crypto.randomBytes(12).toString('hex')}`;
+    accessTokens.set(accessToken, { profileId, expiresAt: Date.now() + TOKEN_TTL_MS });
+    refreshTokens.set(refreshToken, profileId);
+    return { access_token: accessToken, refresh_token: refreshToken, expires_in_millis: TOKEN_TTL_MS };
+};
+
+// Resolves the Bearer token to a profile, or answers 401 like KingsChat does.
+const requireToken = (req, res, next) => {
+    const token = (req.headers['authorization'] || '').split(' ')[1];
+    const entry = token && accessTokens.get(token);
+    if (!entry || entry.expiresAt < Date.now()) {
+        return res.status(401).json({ error: 'invalid_token' });
+    }
+    req.profile = profiles[entry.profileId];
+    next();
+};
+
+const app = express();
+app.use(express.json());
+
+app.post('/stub/tokens', (req, res) => {
+    const profileId = req.body.profileId || 'kc-user-1';
+    if (!profiles[profileId]) return res.status(404).json({ error: 'unknown_profile' });
+    const tokens = issueTokens(profileId);
+    // Return both naming styles: the API's, and the web SDK's (which the frontend sends us).
+    res.json({ ...tokens, accessToken: tokens.access_token, refreshToken: tokens.refresh_token, expiresInMillis: tokens.expires_in_millis });
+});
+
+app.get('/stub/messages', (req, res) => res.json(messages));
+
+app.get('/developer/api/profile', requireToken, (req, res) => {
+    res.json({ profile: req.profile });
+});
+
+app.post('/oauth2/token', (req, res) => {
+    const { grant_type, refresh_token, client_id } = req.body;
+    if (grant_type !== 'refresh_token' || !client_id) return res.status(400).json({ error: 'invalid_request' });
+
+    const profileId = refreshTokens.get(refresh_token);
+    if (!profileId) return res.status(400).json({ error: 'invalid_grant' });
+
+    refreshTokens.delete(refresh_token); // Rotate, like the real API may
+    res.json(issueTokens(profileId));
+});
+
+app.post('/api/users/:id/new_message', requireToken, (req, res) => {
+    const text = req.body?.message?.body?.text?.body;
+    if (!text) return res.status(400).json({ error: 'empty_message' });
+    messages.push({ from: req.profile.id, to: req.params.id, text, sentAt: new Date().toISOString() });
+    res.json({ status: 'sent' });
+});
+
+app.listen(PORT, () => console.log(`KingsChat stub listening on http://localhost:${PORT}`));
@@ -17,6 +17,14 @@ export const authenticateToken = (req, res, next) => {
             return res.sendStatus(403); // Forbidden (token is no longer valid)
         }
         req.user = user;
+
+        // "View as user" sessions are read-only: an admin can look, but not act on the user's behalf.
+        if (user.impersonatedBy && !['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+            return res.status(403).json({
+                message: 'You are viewing the site as another user. Changes are not allowed.',
+                code: 'IMPERSONATION_READ_ONLY'
+            });
+        }
         next();
     });
 };
\ No newline at end of file
@@ -1,3 +1,6 @@
+import { getRolePermissions } from '../utils/permission.helpers.js';
+
+// The built-in hierarchy used by checkRole. New code should use requirePermission instead.
 const ROLES = {
     User: [],
     SBO: ['User'],
@@ -55,4 +58,35 @@ export const checkRole = (requiredRoles) => {
             return res.status(403).json({ message: 'Forbidden: You do not have the required permissions.' });
         }
     };
-};
\ No newline at end of file
+};
+
+/**
+ * Allows the request through if the user's role grants ANY of the given permissions.
+ * Role permissions live in the database (roles / role_permissions) and are editable by a Superadmin.
+ * The resolved permissions are left on req.permissions for "own vs. any" checks (see can()).
+ * @param {string|Array<string>} requiredPermissions - e.g. 'orders.update_status' or ['products.manage_own', 'products.manage_all'].
+ */
+export const requirePermission = (requiredPermissions) => {
+    const required = Array.isArray(requiredPermissions) ? requiredPermissions : [requiredPermissions];
+
+    return async (req, res, next) => {
+        const userRole = req.user?.role;
+
+        if (!userRole) {
+            return res.status(403).json({ message: 'Forbidden: Role not found on user token.' });
+        }
+
+        try {
+            req.permissions = await getRolePermissions(userRole);
+        } catch (error) {
+            console.error('Error loading role permissions:', error);
+            return res.status(500).json({ message: 'Server error while checking permissions.' });
+        }
+
+        if (required.some(permission => req.permissions.has(permission))) {
+            next(); // Permission granted
+        } else {
+            return res.status(403).json({ message: 'Forbidden: You do not have the required permissions.' });
+        }
+    };
+};
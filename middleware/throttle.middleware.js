@@ -0,0 +1,36 @@
+// middleware/throttle.middleware.js
+import { getLoginDelay, recordLoginAttempt, normaliseIdentifier } from '../utils/login.helpers.js';
+
+/**
+ * Turns a number of seconds into something friendlier for the error message.
+ * @param {number} seconds
+ * @returns {string}
+ */
+const describeWait = (seconds) => {
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+// Rejects a login with 429 while the identifier or IP is backing off after failed attempts.
+// For the password route the identifier comes from req.body.identifier; KingsChat logins are throttled per IP.
+export const throttleLogin = (method = 'password') => {
+    return async (req, res, next) => {
+        const identifier = method === 'password' ? normaliseIdentifier(req.body?.identifier) : null;
+        try {
+            const wait = await getLoginDelay({ identifier, ip: req.ip });
+            if (wait > 0) {
+                await recordLoginAttempt(req, { identifier, success: false, reason: 'throttled', method });
+                res.set('Retry-After', String(wait));
+                return res.status(429).json({
+                    message: `Too many failed login attempts. Please wait ${describeWait(wait)} and try again.`,
+                    retryAfter: wait
+                });
+            }
+            next();
+        } catch (error) {
+            console.error('Login throttle error:', error);
+            res.status(500).json({ message: 'Server error during login.' });
+        }
+    };
+};
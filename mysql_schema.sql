@@ -11,13 +11,24 @@ CREATE TABLE IF NOT EXISTS users (
     email VARCHAR(255) NOT NULL UNIQUE,
     phone_number VARCHAR(50),
     username VARCHAR(255) NOT NULL UNIQUE,
-    password_hash VARCHAR(255) NOT NULL,
+    password_hash VARCHAR(255), -- NULL for accounts created through KingsChat sign-up
     kingschat_id VARCHAR(255),
     role VARCHAR(50) DEFAULT 'User',
+    email_verified BOOLEAN DEFAULT FALSE,
+    email_verified_at TIMESTAMP NULL,
+    failed_login_count INT DEFAULT 0,
+    locked_until TIMESTAMP NULL,
+    deleted_at TIMESTAMP NULL, -- Set when the user closes their account (the row is anonymised, not removed)
+    suspended_at TIMESTAMP NULL, -- Set by an admin; a suspended user can't log in
+    suspended_reason VARCHAR(255),
+    password_reset_required BOOLEAN DEFAULT FALSE, -- Set by an admin; login is refused until the password is reset
+    merged_into_user_id INT NULL, -- Set on the duplicate account when two accounts are merged
     
-    -- Kingschat Tokens
+    -- Kingschat Tokens (AES-256-GCM encrypted, see utils/crypto.helpers.js)
     kingschat_access_token TEXT,
     kingschat_refresh_token TEXT,
+    kingschat_token_expires_at TIMESTAMP NULL,
+    kingschat_synced_at TIMESTAMP NULL, -- Last time the KingsChat profile was pulled
     
     -- Profile Fields
     kingschat_handle VARCHAR(255),
@@ -40,6 +51,7 @@ CREATE TABLE IF NOT EXISTS users (
     significant_achievements TEXT,
     areas_of_interest TEXT,
     apply_for VARCHAR(255),
+    preferred_currency CHAR(3) NULL, -- Prices are shown (and, if that currency allows, charged) in it; NULL means USD
 
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
@@ -65,21 +77,25 @@ CREATE TABLE IF NOT EXISTS brands (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- 4. Sectors Table (Products referenced via sector_id)
+-- 4. Sectors Table (Products referenced via sector_id; sub-sectors point at their parent)
 CREATE TABLE IF NOT EXISTS sectors (
     id INT AUTO_INCREMENT PRIMARY KEY,
     name VARCHAR(255) NOT NULL UNIQUE,
+    slug VARCHAR(255) UNIQUE, -- Used in /sector/:slug URLs
+    parent_id INT NULL, -- NULL for top-level sectors
     image_url TEXT,
     hero_image_url TEXT,
     is_featured BOOLEAN DEFAULT FALSE,
     display_order INT DEFAULT 0,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (parent_id) REFERENCES sectors(id) ON DELETE SET NULL
 );
 
 -- 5. Products Table
 CREATE TABLE IF NOT EXISTS products (
     id INT AUTO_INCREMENT PRIMARY KEY,
     name VARCHAR(255) NOT NULL,
+    sku VARCHAR(100), -- The seller's own code; CSV imports update the product with a matching SKU
     description TEXT,
     price DECIMAL(10, 2) NOT NULL,
     stock_quantity INT DEFAULT 0,
@@ -87,17 +103,30 @@ CREATE TABLE IF NOT EXISTS products (
     brand_id INT,
     sbo_id INT NOT NULL, -- Refers to users(id) who is SBO
     sbo_profile_id INT, -- Refers to sbo_profiles(id)
-    is_active BOOLEAN DEFAULT TRUE,
+    is_active BOOLEAN DEFAULT FALSE, -- Whether the shop shows it; kept TRUE exactly while status is 'published'
+    status ENUM('draft', 'pending_review', 'published', 'rejected', 'archived') NOT NULL DEFAULT 'draft',
+    rejection_reason TEXT, -- Why the last review turned it down, shown to the seller
+    submitted_at TIMESTAMP NULL, -- When it was last sent for review
+    reviewed_at TIMESTAMP NULL,
+    reviewed_by INT NULL,
     allow_backorder BOOLEAN DEFAULT FALSE,
+    low_stock_threshold INT NULL, -- The seller is told when stock falls to this; NULL uses LOW_STOCK_THRESHOLD (default 5)
+    low_stock_alerted_at TIMESTAMP NULL, -- When the seller was last told it's running low; cleared once it's restocked
     sale_price DECIMAL(10, 2),
     sale_start_date TIMESTAMP NULL,
     sale_end_date TIMESTAMP NULL,
+    rating_average DECIMAL(3, 2) NULL, -- Kept up to date from published reviews, NULL until the first one
+    rating_count INT DEFAULT 0,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (sector_id) REFERENCES sectors(id) ON DELETE SET NULL,
     FOREIGN KEY (brand_id) REFERENCES brands(id) ON DELETE SET NULL,
     FOREIGN KEY (sbo_id) REFERENCES users(id) ON DELETE CASCADE,
-    FOREIGN KEY (sbo_profile_id) REFERENCES sbo_profiles(id) ON DELETE SET NULL
+    FOREIGN KEY (sbo_profile_id) REFERENCES sbo_profiles(id) ON DELETE SET NULL,
+    FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_product_sku (sbo_id, sku), -- SKUs only need to be unique per seller
+    INDEX idx_products_status (status, submitted_at),
+    FULLTEXT KEY ft_products_search (name, description) -- Used by product search (utils/search.helpers.js)
 );
 
 -- 6. Product Images Table
@@ -106,6 +135,7 @@ CREATE TABLE IF NOT EXISTS product_images (
     product_id INT NOT NULL,
     image_url TEXT NOT NULL,
     display_order INT DEFAULT 0,
+    variant_id INT NULL, -- Set when the image shows one particular variant (see product_variants)
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
 );
@@ -114,12 +144,22 @@ CREATE TABLE IF NOT EXISTS product_images (
 CREATE TABLE IF NOT EXISTS orders (
     id INT AUTO_INCREMENT PRIMARY KEY,
     user_id INT NOT NULL,
-    total_amount DECIMAL(10, 2) NOT NULL,
+    total_amount DECIMAL(10, 2) NOT NULL, -- What was paid: subtotal - discount + shipping
+    subtotal_amount DECIMAL(10, 2) NULL, -- The items at their prices on the day (NULL for orders placed before discounts)
+    discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0, -- Coupon code and automatic promotions together
+    shipping_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    coupon_code VARCHAR(50) NULL,
+    currency CHAR(3) NOT NULL DEFAULT 'USD', -- What the shopper was charged in; the amounts above are always USD
+    exchange_rate DECIMAL(18, 6) NOT NULL DEFAULT 1, -- Units of that currency per USD when they were charged
+    charged_total DECIMAL(14, 2) NULL, -- What was charged, in that currency
     status VARCHAR(50) DEFAULT 'Pending', -- Pending, Completed, Cancelled, etc.
-    stripe_session_id VARCHAR(255),
+    payment_provider VARCHAR(20) NOT NULL DEFAULT 'stripe', -- stripe or espees (see utils/payment.providers.js)
+    payment_reference VARCHAR(255) NULL, -- The provider's id for the payment: a Stripe Checkout session or an Espees payment
+    stripe_session_id VARCHAR(255), -- Orders from before payment_reference; no longer written
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_order_payment (payment_provider, payment_reference) -- A payment becomes one order, however often it is reported
 );
 
 -- 8. Order Items Table
@@ -129,6 +169,9 @@ CREATE TABLE IF NOT EXISTS order_items (
     product_id INT NOT NULL,
     quantity INT DEFAULT 1,
     price_at_purchase DECIMAL(10, 2) NOT NULL,
+    variant_id INT NULL,
+    variant_title VARCHAR(255), -- Copied at purchase time, e.g. "M / Red", so it survives variant edits
+    sku VARCHAR(100),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
     FOREIGN KEY (product_id) REFERENCES products(id)
@@ -187,6 +230,7 @@ CREATE TABLE IF NOT EXISTS hero_slide_collages (
 CREATE TABLE IF NOT EXISTS carts (
     id INT AUTO_INCREMENT PRIMARY KEY,
     user_id INT NOT NULL,
+    coupon_code VARCHAR(50) NULL, -- The code the shopper entered; checked again every time the cart is priced
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
@@ -197,12 +241,14 @@ CREATE TABLE IF NOT EXISTS cart_items (
     id INT AUTO_INCREMENT PRIMARY KEY,
     cart_id INT NOT NULL,
     product_id INT NOT NULL,
+    variant_id INT NULL,
+    variant_key INT AS (COALESCE(variant_id, 0)) STORED, -- NULLs never clash in a UNIQUE key, so key on this instead
     quantity INT DEFAULT 1,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (cart_id) REFERENCES carts(id) ON DELETE CASCADE,
     FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
-    UNIQUE KEY unique_cart_item (cart_id, product_id)
+    UNIQUE KEY unique_cart_item_variant (cart_id, product_id, variant_key)
 );
 
 -- 15. Job Posts Table
@@ -265,3 +311,530 @@ CREATE TABLE IF NOT EXISTS vendor_locations (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (sector_id) REFERENCES sectors(id) ON DELETE SET NULL
 );
+
+-- 20. Refresh Tokens Table (Rotating, server-side sessions)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE, -- SHA-256 of the raw token; the raw token is never stored
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP NULL,
+    replaced_by_id INT NULL, -- Set when the token is rotated
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_refresh_tokens_user (user_id)
+);
+
+-- 21. User Tokens Table (Single-use tokens for emailed links)
+CREATE TABLE IF NOT EXISTS user_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    type VARCHAR(50) NOT NULL, -- 'password_reset' or 'email_verification'
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_tokens_user_type (user_id, type)
+);
+
+-- 22. Mail Outbox Table (Written by the 'outbox' mail transport)
+CREATE TABLE IF NOT EXISTS mail_outbox (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    recipient VARCHAR(255) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    body_text TEXT,
+    body_html TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 23. Login Attempts Table (Throttling and admin review)
+CREATE TABLE IF NOT EXISTS login_attempts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    identifier VARCHAR(255), -- Normalised email/username, or 'kingschat:<id>'
+    user_id INT NULL,
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(255),
+    method VARCHAR(20) DEFAULT 'password', -- 'password' or 'kingschat'
+    success BOOLEAN NOT NULL,
+    reason VARCHAR(50), -- 'bad_password', 'unknown_user', 'locked', 'throttled', 'invalid_token'
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_login_attempts_identifier (identifier, created_at),
+    INDEX idx_login_attempts_ip (ip_address, created_at)
+);
+
+-- 24. Roles Table (users.role holds the role name)
+CREATE TABLE IF NOT EXISTS roles (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(50) NOT NULL UNIQUE,
+    description VARCHAR(255),
+    is_system BOOLEAN DEFAULT FALSE, -- The seeded roles can't be renamed or deleted
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- 25. Permissions Table
+CREATE TABLE IF NOT EXISTS permissions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE, -- e.g. 'orders.update_status'
+    description VARCHAR(255)
+);
+
+-- 26. Role Permissions Table
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role_id INT NOT NULL,
+    permission_id INT NOT NULL,
+    PRIMARY KEY (role_id, permission_id),
+    FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+    FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE
+);
+
+-- Default roles and permissions (safe to re-run)
+INSERT IGNORE INTO roles (name, description, is_system) VALUES
+    ('User', 'A registered member.', TRUE),
+    ('SBO', 'A small business owner who sells on the marketplace.', TRUE),
+    ('Admin', 'Runs the marketplace and the site content.', TRUE),
+    ('Superadmin', 'Has every permission, including editing roles.', TRUE);
+
+INSERT IGNORE INTO permissions (name, description) VALUES
+    ('products.manage_own', 'Create, edit and delete their own products'),
+    ('products.manage_all', 'Edit and delete any product'),
+    ('jobs.manage_own', 'Post and manage their own job listings'),
+    ('jobs.manage_all', 'Manage any job listing and see its applicants'),
+    ('orders.view', 'See orders that contain their products'),
+    ('orders.update_status', 'Update the status of orders they can see'),
+    ('orders.manage_all', 'See and update every order'),
+    ('vendors.manage', 'Add, edit and remove vendors'),
+    ('content.publish', 'Edit hero slides and shop sections'),
+    ('catalog.manage', 'Manage sectors and brands'),
+    ('sbo.review', 'Review SBO applications and profiles'),
+    ('users.view', 'See the user list and user details'),
+    ('users.manage', 'Unlock accounts and review login attempts'),
+    ('users.assign_roles', 'Change the role of other users'),
+    ('inquiries.manage', 'Review business inquiries'),
+    ('innovations.view', 'See submitted innovations'),
+    ('roles.manage', 'Create and edit roles and their permissions');
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p
+WHERE (r.name = 'SBO' AND p.name IN ('products.manage_own', 'jobs.manage_own', 'orders.view', 'orders.update_status'))
+   OR (r.name = 'Admin' AND p.name <> 'roles.manage')
+   OR r.name = 'Superadmin';
+
+-- 27. Audit Log Table (Who changed what, for every Admin/SBO mutation)
+CREATE TABLE IF NOT EXISTS audit_log (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    actor_user_id INT NULL,
+    actor_role VARCHAR(50),
+    action VARCHAR(100) NOT NULL, -- e.g. 'order.status_change', 'user.role_change'
+    entity_type VARCHAR(50) NOT NULL, -- e.g. 'order', 'user', 'product'
+    entity_id VARCHAR(64),
+    before_data JSON NULL,
+    after_data JSON NULL,
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(255),
+    impersonator_user_id INT NULL, -- Set when an admin made the change while viewing as the actor
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (actor_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_audit_log_entity (entity_type, entity_id),
+    INDEX idx_audit_log_actor (actor_user_id, created_at),
+    INDEX idx_audit_log_created (created_at)
+);
+
+INSERT IGNORE INTO permissions (name, description) VALUES
+    ('audit.view', 'Read the audit log');
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p
+WHERE r.name = 'Admin' AND p.name = 'audit.view';
+
+-- User management console permissions
+INSERT IGNORE INTO permissions (name, description) VALUES
+    ('users.suspend', 'Suspend and reactivate accounts'),
+    ('users.reset_password', 'Force a user to reset their password'),
+    ('users.export', 'Export the user list as CSV'),
+    ('users.impersonate', 'View the site as another user (read-only)'),
+    ('users.merge', 'Merge duplicate accounts');
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p
+WHERE r.name = 'Admin' AND p.name IN ('users.suspend', 'users.reset_password', 'users.export');
+
+-- 28. Product Options Table (the option types a product comes in, e.g. Size and Colour)
+CREATE TABLE IF NOT EXISTS product_options (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    name VARCHAR(50) NOT NULL, -- e.g. 'Size'
+    option_values JSON NOT NULL, -- e.g. ["S", "M", "L"], in display order
+    position INT DEFAULT 0,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_product_option (product_id, name)
+);
+
+-- 29. Product Variants Table (one row per purchasable combination of option values)
+CREATE TABLE IF NOT EXISTS product_variants (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    sbo_id INT NOT NULL, -- The product's seller, kept here so SKUs can be unique per seller
+    sku VARCHAR(100),
+    title VARCHAR(255) NOT NULL, -- e.g. 'M / Red'
+    options JSON NOT NULL, -- e.g. {"Size": "M", "Colour": "Red"}
+    price DECIMAL(10, 2) NULL, -- NULL means the product's price
+    sale_price DECIMAL(10, 2) NULL, -- Uses the product's sale dates
+    stock_quantity INT DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE,
+    position INT DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (sbo_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_variant_sku (sbo_id, sku), -- Like products, SKUs only need to be unique per seller
+    INDEX idx_product_variants_product (product_id)
+);
+
+-- The variant_id foreign keys on product_images, cart_items and order_items are added by repair_schema.js,
+-- because those tables are created before product_variants.
+
+-- 30. Tags Table (Themed collections like 'Family Feasts', managed in admin)
+CREATE TABLE IF NOT EXISTS tags (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    slug VARCHAR(120) NOT NULL UNIQUE,
+    description VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- 31. Product Tags Table
+CREATE TABLE IF NOT EXISTS product_tags (
+    product_id INT NOT NULL,
+    tag_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (product_id, tag_id),
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE,
+    INDEX idx_product_tags_tag (tag_id)
+);
+
+-- 32. Sector Shelves Table ("show tag X in sector Y, sorted by Z, limit N" on the sector page)
+CREATE TABLE IF NOT EXISTS sector_shelves (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    sector_id INT NOT NULL,
+    title VARCHAR(100) NOT NULL,
+    tag_id INT NULL, -- NULL shows every product in the sector
+    sort_by ENUM('newest', 'bestselling', 'price_asc', 'price_desc', 'name') DEFAULT 'newest',
+    item_limit INT DEFAULT 10,
+    position INT DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (sector_id) REFERENCES sectors(id) ON DELETE CASCADE,
+    FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_sector_shelf_title (sector_id, title)
+);
+
+-- Carry over the Food & Beverage shelves that used to match on product names
+INSERT IGNORE INTO tags (name, slug) VALUES
+    ('Family Feasts', 'family-feasts'),
+    ('Fruits & Vegetables', 'fruits-vegetables');
+
+INSERT IGNORE INTO product_tags (product_id, tag_id)
+SELECT p.id, t.id FROM products p JOIN sectors s ON p.sector_id = s.id JOIN tags t ON t.slug = 'family-feasts'
+WHERE s.name = 'Food & Beverage' AND (p.name LIKE '%feast%' OR p.name LIKE '%family%');
+
+INSERT IGNORE INTO product_tags (product_id, tag_id)
+SELECT p.id, t.id FROM products p JOIN sectors s ON p.sector_id = s.id JOIN tags t ON t.slug = 'fruits-vegetables'
+WHERE s.name = 'Food & Beverage' AND (p.name LIKE '%fruit%' OR p.name LIKE '%vegetable%');
+
+INSERT IGNORE INTO sector_shelves (sector_id, title, tag_id, sort_by, item_limit, position)
+SELECT s.id, t.name, t.id, 'newest', 10, IF(t.slug = 'family-feasts', 0, 1)
+FROM sectors s JOIN tags t ON t.slug IN ('family-feasts', 'fruits-vegetables')
+WHERE s.name = 'Food & Beverage';
+
+-- 33. Product Reviews Table (only buyers with a delivered order for the product may review it)
+CREATE TABLE IF NOT EXISTS product_reviews (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    user_id INT NOT NULL,
+    order_id INT NULL, -- The delivered order that made the reviewer a verified buyer
+    rating TINYINT NOT NULL, -- 1 to 5
+    title VARCHAR(150),
+    body TEXT,
+    status ENUM('published', 'flagged', 'hidden') DEFAULT 'published', -- Flagged reviews stay visible until a moderator decides
+    flag_count INT DEFAULT 0,
+    sbo_reply TEXT,
+    sbo_replied_at TIMESTAMP NULL,
+    sbo_replied_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
+    FOREIGN KEY (sbo_replied_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_product_review (product_id, user_id),
+    INDEX idx_product_reviews_status (status, updated_at)
+);
+
+-- 34. Review Images Table
+CREATE TABLE IF NOT EXISTS review_images (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    review_id INT NOT NULL,
+    image_url TEXT NOT NULL,
+    display_order INT DEFAULT 0,
+    FOREIGN KEY (review_id) REFERENCES product_reviews(id) ON DELETE CASCADE
+);
+
+-- 35. Review Flags Table (one flag per user per review)
+CREATE TABLE IF NOT EXISTS review_flags (
+    review_id INT NOT NULL,
+    user_id INT NOT NULL,
+    reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (review_id, user_id),
+    FOREIGN KEY (review_id) REFERENCES product_reviews(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+INSERT IGNORE INTO permissions (name, description) VALUES
+    ('reviews.moderate', 'Review flagged product reviews and hide or restore them');
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p
+WHERE r.name = 'Admin' AND p.name = 'reviews.moderate';
+
+-- 36. Product Questions Table (public Q&A: shoppers ask, the product's SBO or an admin answers)
+CREATE TABLE IF NOT EXISTS product_questions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    user_id INT NOT NULL,
+    question TEXT NOT NULL,
+    answer TEXT,
+    answered_by INT NULL,
+    answered_at TIMESTAMP NULL, -- NULL until answered; only answered questions are shown publicly
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (answered_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_product_questions_product (product_id, answered_at)
+);
+
+-- 37. Wishlists Table (a user can keep several named lists; a public list is readable by anyone with its share link)
+CREATE TABLE IF NOT EXISTS wishlists (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    is_public BOOLEAN DEFAULT FALSE,
+    share_token VARCHAR(64) UNIQUE, -- Created the first time the list is shared, kept if it is made private again
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_wishlist_name (user_id, name)
+);
+
+-- 38. Wishlist Items Table
+CREATE TABLE IF NOT EXISTS wishlist_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    wishlist_id INT NOT NULL,
+    product_id INT NOT NULL,
+    variant_id INT NULL,
+    variant_key INT AS (COALESCE(variant_id, 0)) STORED,
+    -- What the item looked like when we last checked, so the alert job only emails about changes
+    was_on_sale BOOLEAN DEFAULT FALSE,
+    was_in_stock BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (wishlist_id) REFERENCES wishlists(id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_wishlist_item (wishlist_id, product_id, variant_key)
+);
+
+-- 39. Saved Items Table (cart lines the user moved out of the cart with "Save for later")
+CREATE TABLE IF NOT EXISTS saved_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    product_id INT NOT NULL,
+    variant_id INT NULL,
+    variant_key INT AS (COALESCE(variant_id, 0)) STORED,
+    quantity INT DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_saved_item (user_id, product_id, variant_key)
+);
+
+-- 40. Product Revisions Table (edits to a published product that wait for review before they go live)
+CREATE TABLE IF NOT EXISTS product_revisions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    submitted_by INT NULL,
+    changes JSON NOT NULL, -- Field name -> proposed value, only for the fields that changed
+    status ENUM('pending', 'approved', 'rejected', 'withdrawn') DEFAULT 'pending', -- A product has at most one pending revision
+    rejection_reason TEXT,
+    reviewed_by INT NULL,
+    reviewed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (submitted_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_product_revisions_status (status, updated_at)
+);
+
+INSERT IGNORE INTO permissions (name, description) VALUES
+    ('products.review', 'Approve or reject new products and edits to published ones');
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p
+WHERE r.name = 'Admin' AND p.name = 'products.review';
+
+-- 41. Inventory Movements Table (append-only stock ledger: every change to a product's or variant's stock, and why)
+CREATE TABLE IF NOT EXISTS inventory_movements (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    variant_id INT NULL, -- NULL for products sold without variants
+    variant_title VARCHAR(255), -- Copied at the time, so the history still reads well after a variant is removed
+    quantity_change INT NOT NULL, -- Positive adds stock, negative takes it away
+    balance_after INT NOT NULL, -- The product's (or variant's) stock once this movement was applied
+    reason ENUM('initial', 'sale', 'adjustment', 'return', 'restock', 'cancellation', 'import') NOT NULL,
+    note VARCHAR(255),
+    order_id INT NULL,
+    user_id INT NULL, -- Who made the change; NULL for checkout and the system
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE SET NULL,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_inventory_movements_product (product_id, created_at)
+);
+
+-- Opening balances: stock that existed before the ledger starts it off, once per product (or variant).
+-- Products with variants keep their stock on the variants.
+INSERT INTO inventory_movements (product_id, quantity_change, balance_after, reason, note)
+SELECT p.id, p.stock_quantity, p.stock_quantity, 'initial', 'Stock before the ledger was started'
+FROM products p
+WHERE NOT EXISTS (SELECT 1 FROM inventory_movements m WHERE m.product_id = p.id)
+  AND NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id AND v.is_active = TRUE);
+
+INSERT INTO inventory_movements (product_id, variant_id, variant_title, quantity_change, balance_after, reason, note)
+SELECT v.product_id, v.id, v.title, v.stock_quantity, v.stock_quantity, 'initial', 'Stock before the ledger was started'
+FROM product_variants v
+WHERE NOT EXISTS (SELECT 1 FROM inventory_movements m WHERE m.variant_id = v.id);
+
+-- 42. Stock Reservations Table (stock held for a shopper while they pay, so two people can't buy the last one)
+CREATE TABLE IF NOT EXISTS stock_reservations (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    cart_id INT NOT NULL,
+    user_id INT NOT NULL,
+    product_id INT NOT NULL,
+    variant_id INT NULL,
+    quantity INT NOT NULL,
+    unit_price DECIMAL(10, 2) NULL, -- The price (USD) the shopper was charged for each, which the order line records
+    payment_provider VARCHAR(20) NULL, -- Set with payment_reference
+    payment_reference VARCHAR(255), -- Set once the provider has opened the payment (e.g. the Stripe Checkout session id)
+    status ENUM('active', 'converted', 'released', 'expired') NOT NULL DEFAULT 'active', -- converted = paid for
+    order_id INT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (cart_id) REFERENCES carts(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
+    INDEX idx_stock_reservations_held (status, product_id, variant_id),
+    INDEX idx_stock_reservations_session (payment_reference),
+    INDEX idx_stock_reservations_expiry (status, expires_at)
+);
+
+-- 43. Restock Subscriptions Table ("notify me when it's back in stock" on the product page; each is emailed once)
+CREATE TABLE IF NOT EXISTS restock_subscriptions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    product_id INT NOT NULL,
+    variant_id INT NULL,
+    variant_key INT AS (COALESCE(variant_id, 0)) STORED, -- UNIQUE treats NULLs as distinct, so the key uses 0 instead
+    notified_at TIMESTAMP NULL, -- Set when the email has gone out
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_restock_subscription (user_id, product_id, variant_key),
+    INDEX idx_restock_subscriptions_pending (notified_at, product_id)
+);
+
+-- 44. Promotions Table (coupon codes, and promotions without a code that apply to every cart they fit)
+CREATE TABLE IF NOT EXISTS promotions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL, -- Shown to shoppers next to the discount, e.g. "Summer sale"
+    code VARCHAR(50) NULL UNIQUE, -- Stored upper case; NULL for automatic promotions
+    type ENUM('percentage', 'fixed_amount', 'free_shipping', 'buy_x_get_y') NOT NULL,
+    value DECIMAL(10, 2) NULL, -- Percent off, amount off, or for buy_x_get_y the percent off the "get" items (100 = free)
+    buy_quantity INT NULL, -- buy_x_get_y: buy this many...
+    get_quantity INT NULL, -- ...and get this many of the cheapest at value% off
+    min_spend DECIMAL(10, 2) NULL, -- The cart subtotal needed, before discounts
+    usage_limit INT NULL, -- Orders it can be used on in total; NULL for no limit
+    per_user_limit INT NULL, -- Orders each shopper can use it on
+    scope ENUM('all', 'sector', 'brand', 'sbo', 'product') NOT NULL DEFAULT 'all',
+    scope_id INT NULL, -- The sector (with its sub-sectors), brand, SBO profile or product it applies to
+    starts_at DATETIME NULL,
+    ends_at DATETIME NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- 45. Promotion Redemptions Table (one row per promotion per paid order; usage limits count these)
+CREATE TABLE IF NOT EXISTS promotion_redemptions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    promotion_id INT NOT NULL,
+    user_id INT NOT NULL,
+    order_id INT NOT NULL,
+    discount_amount DECIMAL(10, 2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (promotion_id) REFERENCES promotions(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_promotion_order (promotion_id, order_id),
+    INDEX idx_promotion_redemptions_user (promotion_id, user_id)
+);
+
+INSERT IGNORE INTO permissions (name, description) VALUES
+    ('promotions.manage', 'Create and edit coupon codes and automatic promotions');
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p
+WHERE r.name = 'Admin' AND p.name = 'promotions.manage';
+
+-- 46. Currencies Table (prices are kept in USD and shown in the shopper's currency at these rates)
+CREATE TABLE IF NOT EXISTS currencies (
+    code CHAR(3) PRIMARY KEY, -- ISO 4217, e.g. NGN
+    name VARCHAR(100) NOT NULL,
+    rate_per_usd DECIMAL(18, 6) NULL, -- Units of this currency per 1 USD; must be set before it can be switched on
+    is_active BOOLEAN DEFAULT FALSE, -- Offered to shoppers
+    charge_in_currency BOOLEAN DEFAULT FALSE, -- Charge in this currency at checkout; otherwise prices are shown in it but charged in USD
+    rate_source ENUM('manual', 'import') NULL,
+    rate_updated_at TIMESTAMP NULL,
+    rate_updated_by INT NULL,
+    FOREIGN KEY (rate_updated_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+INSERT IGNORE INTO currencies (code, name, rate_per_usd, is_active, charge_in_currency) VALUES
+    ('USD', 'US Dollar', 1, TRUE, TRUE),
+    ('NGN', 'Nigerian Naira', NULL, FALSE, FALSE),
+    ('GBP', 'British Pound', NULL, FALSE, FALSE),
+    ('ZAR', 'South African Rand', NULL, FALSE, FALSE),
+    ('CAD', 'Canadian Dollar', NULL, FALSE, FALSE);
+
+INSERT IGNORE INTO permissions (name, description) VALUES
+    ('currencies.manage', 'Set exchange rates and choose which currencies are offered and charged in');
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p
+WHERE r.name = 'Admin' AND p.name = 'currencies.manage';
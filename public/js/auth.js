@@ -21,6 +21,10 @@ export async function loginUser(credentials) {
         return { success: true, data: response.data };
     } catch (error) {
         console.error('Login failed:', error.response ? error.response.data : error.message);
-        return { success: false, message: error.response ? error.response.data.message : 'Network error or server unavailable.' };
+        return {
+            success: false,
+            message: error.response ? error.response.data.message : 'Network error or server unavailable.',
+            code: error.response?.data?.code
+        };
     }
 }
\ No newline at end of file
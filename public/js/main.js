@@ -1,18 +1,28 @@
 import { registerUser, loginUser } from './auth.js';
 
 // --- NEW GLOBAL HELPER FUNCTION ---
-function formatPrice(price) {
+// Prices come from the server in USD. With no currency given, they are shown in the shopper's currency
+// (see the currency store), converted and rounded per price the way checkout does it.
+// Pass a currency to show an amount that is already in that currency.
+function formatPrice(price, currency = null) {
     if (price === null || price === undefined || isNaN(price)) {
         return ''; // Return an empty string if there's no price
     }
-    // For now, we use the store's base currency (USD).
-    // This could be made dynamic later by passing in a currency code.
+    let amount = Number(price);
+    if (!currency) {
+        const store = window.Alpine?.store('currency');
+        currency = store?.code || 'USD';
+        if (currency !== 'USD') amount = Math.round(amount * store.rate * 100) / 100;
+    }
     return new Intl.NumberFormat('en-US', {
         style: 'currency',
-        currency: 'USD',
-    }).format(price);
+        currency,
+    }).format(amount);
 };
 
+// Admin pages show prices and order totals as they are stored, in USD
+const formatBasePrice = (price, currency = 'USD') => formatPrice(price, currency);
+
 // --- NEW HELPER: Cloudinary Image Optimization (WebP/Auto) ---
 // --- NEW HELPER: Cloudinary Image Optimization (WebP/Auto + Resizing) ---
 function optimizeImage(url, width = null) {
@@ -38,6 +48,101 @@ function optimizeImage(url, width = null) {
 // Make it globally available for Alpine templates
 window.optimizeImage = optimizeImage;
 
+// Star string for an average rating, e.g. 4.3 -> "★★★★☆"
+function ratingStars(rating) {
+    const stars = Math.min(Math.max(Math.round(Number(rating) || 0), 0), 5);
+    return '★'.repeat(stars) + '☆'.repeat(5 - stars);
+}
+window.ratingStars = ratingStars;
+
+// Label and badge colour for a product's review status (see PRODUCT_STATUSES on the server)
+const PRODUCT_STATUS_DISPLAY = {
+    draft: { label: 'Draft', badge: 'bg-secondary' },
+    pending_review: { label: 'In Review', badge: 'bg-warning text-dark' },
+    published: { label: 'Published', badge: 'bg-success' },
+    rejected: { label: 'Rejected', badge: 'bg-danger' },
+    archived: { label: 'Archived', badge: 'bg-dark' }
+};
+function productStatusLabel(status) {
+    return PRODUCT_STATUS_DISPLAY[status]?.label || status;
+}
+function productStatusBadge(status) {
+    return PRODUCT_STATUS_DISPLAY[status]?.badge || 'bg-secondary';
+}
+
+// --- Shared state and methods for the variant matrix editor ---
+// Spread into both the create and edit product components: `...variantEditor()`.
+// Options are edited as comma-separated text; "Build variants" expands them into every combination,
+// keeping whatever was already filled in for combinations that still exist.
+function variantEditor() {
+    return {
+        variantOptions: [],
+        variants: [],
+        variantMessage: '',
+        variantError: false,
+
+        addVariantOption() {
+            if (this.variantOptions.length < 3) this.variantOptions.push({ name: '', valuesText: '' });
+        },
+
+        removeVariantOption(index) {
+            this.variantOptions.splice(index, 1);
+            this.buildVariants();
+        },
+
+        variantOptionsPayload() {
+            return this.variantOptions
+                .filter(option => option.name.trim())
+                .map(option => ({
+                    name: option.name.trim(),
+                    values: [...new Set(option.valuesText.split(',').map(value => value.trim()).filter(Boolean))]
+                }));
+        },
+
+        buildVariants() {
+            const options = this.variantOptionsPayload().filter(option => option.values.length > 0);
+            if (options.length === 0) { this.variants = []; return; }
+
+            let combinations = [{}];
+            for (const option of options) {
+                combinations = combinations.flatMap(combination =>
+                    option.values.map(value => ({ ...combination, [option.name]: value })));
+            }
+            const keyOf = (chosen) => options.map(option => chosen[option.name]).join('|');
+            const existing = new Map(this.variants.map(variant => [keyOf(variant.options), variant]));
+            this.variants = combinations.map(chosen => existing.get(keyOf(chosen)) || {
+                id: null, options: chosen, sku: '', price: '', sale_price: '', stock_quantity: 0, is_active: true, image_ids: []
+            });
+        },
+
+        variantLabel(variant) {
+            return Object.values(variant.options).join(' / ');
+        },
+
+        loadVariants(data) {
+            this.variantOptions = data.options.map(option => ({ name: option.name, valuesText: option.values.join(', ') }));
+            this.variants = data.variants.map(variant => ({
+                ...variant, price: variant.price ?? '', sale_price: variant.sale_price ?? '', sku: variant.sku ?? ''
+            }));
+        },
+
+        toggleVariantImage(variant, imageId) {
+            variant.image_ids = variant.image_ids.includes(imageId)
+                ? variant.image_ids.filter(id => id !== imageId)
+                : [...variant.image_ids, imageId];
+        },
+
+        async saveVariants(productId) {
+            const token = Alpine.store('auth').token;
+            const response = await axios.put(`/api/admin/products/${productId}/variants`, {
+                options: this.variants.length > 0 ? this.variantOptionsPayload() : [],
+                variants: this.variants
+            }, { headers: { 'Authorization': `Bearer ${token}` } });
+            this.loadVariants(response.data);
+        }
+    };
+}
+
 // ================================================================
 // NEW! GLOBAL AXIOS ERROR INTERCEPTOR
 // This code runs on EVERY API response.
@@ -47,15 +152,36 @@ axios.interceptors.response.use(
     response => response,
 
     // If the response has an error...
-    error => {
+    async error => {
+        const originalRequest = error.config;
+
         // Check if the error is specifically a 401 Unauthorized or 403 Forbidden
-        if (error.response && (error.response.status === 401 || error.response.status === 403)) {
+        // (A "view as user" session is read-only by design; that 403 is not an expired token.)
+        const isReadOnlyRefusal = error.response?.data?.code === 'IMPERSONATION_READ_ONLY';
+        if (error.response && (error.response.status === 401 || error.response.status === 403) && !isReadOnlyRefusal) {
+            const auth = Alpine.store('auth');
+            const isAuthCall = originalRequest && originalRequest.url && originalRequest.url.startsWith('/api/users/refresh');
+
             // Check if the user THINKS they are logged in.
-            if (Alpine.store('auth').loggedIn) {
+            if (auth.loggedIn && !isAuthCall && originalRequest && !originalRequest._retry) {
+                // The access token is short-lived. Try to renew it silently once,
+                // then replay the original request with the new token.
+                if (auth.refreshToken) {
+                    originalRequest._retry = true;
+                    try {
+                        const newToken = await auth.refreshSession();
+                        originalRequest.headers = originalRequest.headers || {};
+                        originalRequest.headers['Authorization'] = `Bearer ${newToken}`;
+                        return axios(originalRequest);
+                    } catch (refreshError) {
+                        // The refresh token itself is no good; fall through to a forced logout.
+                    }
+                }
+
                 console.log('Session expired or token invalid. Forcing logout.');
 
                 // 1. Force the user to log out on the frontend.
-                Alpine.store('auth').logout();
+                auth.logout();
 
                 // 2. We need to find the authModal to show a message and open it.
                 // We use a trick with dispatching a custom event.
@@ -65,6 +191,7 @@ axios.interceptors.response.use(
 
         // Return the error to the original Promise chain so that
         // individual components can still handle other types of errors.
+        // (A 403 that survives a successful refresh is a genuine permissions error.)
         return Promise.reject(error);
     }
 );
@@ -80,6 +207,8 @@ document.addEventListener('alpine:init', () => {
         loggedIn: false,
         user: null,
         token: null,
+        refreshToken: null,
+        _refreshPromise: null,
 
         // --- ADD THIS NEW HELPER FUNCTION ---
         hasRole(requiredRole) {
@@ -110,6 +239,51 @@ document.addEventListener('alpine:init', () => {
             return check(userRole, requiredRole);
         },
 
+        // Checks a named permission (e.g. 'orders.update_status'). The server sends the
+        // effective permissions of the user's role with every login and session refresh.
+        can(permission) {
+            return this.loggedIn && Array.isArray(this.user?.permissions) && this.user.permissions.includes(permission);
+        },
+
+        // True while an admin is using "View as user" (see startImpersonating).
+        get impersonating() {
+            return this.loggedIn && Boolean(this.user?.impersonatedBy);
+        },
+
+        // Switches to a read-only session as another user. The admin's own session is parked in
+        // localStorage and restored by stopImpersonating() (or logout, or the token running out).
+        startImpersonating(data) {
+            localStorage.setItem('impersonatorSession', JSON.stringify({
+                token: this.token, refreshToken: this.refreshToken, user: this.user
+            }));
+            this.refreshToken = null;
+            localStorage.removeItem('refreshToken');
+            this.handleSuccessfulLogin(data);
+            window.location.href = '/information.html';
+        },
+
+        stopImpersonating() {
+            const saved = JSON.parse(localStorage.getItem('impersonatorSession') || 'null');
+            localStorage.removeItem('impersonatorSession');
+            if (!saved) return this.logout();
+            this.handleSuccessfulLogin(saved);
+            window.location.href = '/admin-dashboard.html';
+        },
+
+        // A fixed bar on every page while impersonating, so it's never mistaken for the admin's own session.
+        showImpersonationBanner() {
+            const banner = document.createElement('div');
+            banner.className = 'alert alert-warning mb-0 rounded-0 text-center py-2 small';
+            banner.style.cssText = 'position: fixed; bottom: 0; left: 0; right: 0; z-index: 2000;';
+            banner.textContent = `Viewing as ${this.user.username} (read-only). `;
+            const stopButton = document.createElement('button');
+            stopButton.className = 'btn btn-sm btn-dark ms-2';
+            stopButton.textContent = 'Return to my account';
+            stopButton.addEventListener('click', () => this.stopImpersonating());
+            banner.appendChild(stopButton);
+            document.body.appendChild(banner);
+        },
+
 
         // Helper function to centralize what happens on a successful login
         handleSuccessfulLogin(data) {
@@ -118,15 +292,39 @@ document.addEventListener('alpine:init', () => {
             this.loggedIn = true;
             localStorage.setItem('token', this.token);
             localStorage.setItem('user', JSON.stringify(this.user));
+            if (data.refreshToken) {
+                this.refreshToken = data.refreshToken;
+                localStorage.setItem('refreshToken', this.refreshToken);
+            }
             // console.log('Login successful. User state updated:', this.user);
         },
 
+        // Swaps the refresh token for a new access token. Concurrent callers share one request,
+        // because the server rotates the refresh token and would reject the second attempt.
+        // The token is read from localStorage each time: another tab may have rotated it since this one loaded.
+        refreshSession() {
+            if (!this._refreshPromise) {
+                this.refreshToken = localStorage.getItem('refreshToken');
+                if (!this.refreshToken) return Promise.reject(new Error('No refresh token.'));
+                this._refreshPromise = axios.post('/api/users/refresh', { refreshToken: this.refreshToken })
+                    .then(response => {
+                        this.handleSuccessfulLogin(response.data);
+                        return response.data.token;
+                    })
+                    .finally(() => {
+                        this._refreshPromise = null;
+                    });
+            }
+            return this._refreshPromise;
+        },
+
         // Checks localStorage when the app loads to see if the user is already logged in
         initialize() {
             const token = localStorage.getItem('token');
             const user = localStorage.getItem('user');
             if (token && user) {
                 this.token = token;
+                this.refreshToken = localStorage.getItem('refreshToken');
                 this.user = JSON.parse(user);
 
                 // DATA FIX: Ensure array fields are actually arrays (handles legacy localStorage data)
@@ -150,6 +348,12 @@ document.addEventListener('alpine:init', () => {
                 }
 
                 this.loggedIn = true;
+                if (this.impersonating) this.showImpersonationBanner();
+
+                // Sessions saved before permissions existed don't have them yet; fetch them.
+                if (!Array.isArray(this.user.permissions) && this.refreshToken) {
+                    this.refreshSession().catch(() => { });
+                }
                 // console.log('User initialized from localStorage:', this.user);
             }
         },
@@ -161,25 +365,34 @@ document.addEventListener('alpine:init', () => {
                 this.handleSuccessfulLogin(result.data); // Use the helper
                 return { success: true, message: result.data.message };
             } else {
-                return { success: false, message: result.message };
+                return { success: false, message: result.message, code: result.code };
             }
         },
 
         // Handles logout
         logout() {
+            // Logging out of a "view as user" session just takes the admin back to their own account.
+            if (this.impersonating) return this.stopImpersonating();
+            // Revoke the refresh token server-side. Fire-and-forget: we log out locally either way.
+            if (this.refreshToken) {
+                axios.post('/api/users/logout', { refreshToken: this.refreshToken }).catch(() => { });
+            }
             this.loggedIn = false;
             this.user = null;
             this.token = null;
+            this.refreshToken = null;
             localStorage.removeItem('token');
             localStorage.removeItem('user');
+            localStorage.removeItem('refreshToken');
             console.log('User logged out.');
             window.location.href = '/information.html';
         },
 
         // Updates user data in the store (e.g., after linking KC on profile page)
         updateUser(newUserData) {
-            this.user = newUserData;
-            localStorage.setItem('user', JSON.stringify(newUserData));
+            // Some responses (e.g. a profile update) don't carry permissions; keep the ones we have.
+            this.user = { permissions: this.user?.permissions || [], ...newUserData };
+            localStorage.setItem('user', JSON.stringify(this.user));
             console.log('User data updated in store:', this.user);
         }
     });
@@ -204,8 +417,11 @@ document.addEventListener('alpine:init', () => {
         loginPassword: '',
         loginMessage: '',
         loginError: false,
+        needsVerification: false,
         kc_profile_id: null,
         kc_avatar_url: null,
+        // KingsChat tokens from a login that found no account, kept so the user can sign up with them
+        pendingKingsChatTokens: null,
 
         notFoundModal: null,
         // --- NEW PROPERTY to hold the modal instance ---
@@ -233,6 +449,11 @@ document.addEventListener('alpine:init', () => {
                 const modal = new bootstrap.Modal(this.$el);
                 modal.show();
             });
+
+            // Fired by the "Sign up with KingsChat" button in the Account Not Found modal
+            window.addEventListener('kingschat-signup', () => {
+                if (this.pendingKingsChatTokens) this.signUpWithKingsChat(this.pendingKingsChatTokens);
+            });
         },
 
         // A new helper function to show the "Not Found" modal
@@ -247,16 +468,17 @@ document.addEventListener('alpine:init', () => {
         async loginWithKingsChat() {
             this.loginMessage = 'Connecting to KingsChat...';
             this.loginError = false;
+            let accessToken, refreshToken, expiresInMillis;
             try {
                 const loginOptions = {
                     scopes: ["profile"],
                     clientId: 'b2b522e9-d602-402d-b61d-8a50825862da'
                 };
                 const response = await window.kingsChatWebSdk.login(loginOptions);
-                const { accessToken, refreshToken } = response;
+                ({ accessToken, refreshToken, expiresInMillis } = response);
                 if (!accessToken) throw new Error("Access Token not found.");
 
-                const backendResponse = await axios.post('/api/kingschat/login', { accessToken, refreshToken });
+                const backendResponse = await axios.post('/api/kingschat/login', { accessToken, refreshToken, expiresInMillis });
 
                 Alpine.store('auth').handleSuccessfulLogin(backendResponse.data);
                 this.loginMessage = backendResponse.data.message;
@@ -270,6 +492,8 @@ document.addEventListener('alpine:init', () => {
             } catch (error) {
                 // THE FIX: Check for the 404 error
                 if (error.response && error.response.status === 404) {
+                    // Hold on to the tokens in case they choose "Sign up with KingsChat"
+                    this.pendingKingsChatTokens = { accessToken, refreshToken, expiresInMillis };
                     // If 404, hide the login modal and show our new "Not Found" modal
                     const modalInstance = bootstrap.Modal.getInstance(this.$el);
                     if (modalInstance) modalInstance.hide();
@@ -282,6 +506,37 @@ document.addEventListener('alpine:init', () => {
             }
         },
 
+        // Creates a new account straight from a KingsChat profile (no password needed).
+        // Pass tokens from an earlier KingsChat login, or leave empty to open the KingsChat popup.
+        async signUpWithKingsChat(kcTokens = null) {
+            this.registerMessage = '';
+            this.registerError = false;
+            try {
+                const tokens = kcTokens || await window.kingsChatWebSdk.login({
+                    scopes: ["profile"],
+                    clientId: 'b2b522e9-d602-402d-b61d-8a50825862da'
+                });
+                if (!tokens.accessToken) throw new Error("Access Token not found.");
+
+                const response = await axios.post('/api/kingschat/signup', {
+                    accessToken: tokens.accessToken,
+                    refreshToken: tokens.refreshToken,
+                    expiresInMillis: tokens.expiresInMillis
+                });
+                this.pendingKingsChatTokens = null;
+                Alpine.store('auth').handleSuccessfulLogin(response.data);
+                this.registerMessage = response.data.message;
+
+                // Send them to their profile to fill in the ministry details KingsChat doesn't have
+                window.location.href = '/profile.html';
+            } catch (error) {
+                this.registerMessage = error.response?.data?.message || 'KingsChat sign up failed.';
+                this.registerError = true;
+                // Coming from the Account Not Found modal there is no form on screen to show this in
+                if (kcTokens) alert(this.registerMessage);
+            }
+        },
+
         async handleRegister() {
             this.registerMessage = '';
             this.registerError = false;
@@ -306,7 +561,11 @@ document.addEventListener('alpine:init', () => {
             try {
                 const result = await registerUser(userData);
 
-                if (result.success) {
+                if (result.success && result.data.requiresVerification) {
+                    // Login is blocked until they click the link we just emailed.
+                    this.registerMessage = result.data.message;
+                    this.registerError = false;
+                } else if (result.success) {
                     // --- THIS IS THE NEW LOGIC ---
 
                     // 1. Automatically log the user in on the frontend
@@ -343,7 +602,7 @@ document.addEventListener('alpine:init', () => {
         },
 
         async handleLogin() {
-            this.loginMessage = ''; this.loginError = false;
+            this.loginMessage = ''; this.loginError = false; this.needsVerification = false;
             try {
                 const result = await Alpine.store('auth').login(this.loginIdentifier, this.loginPassword);
                 if (result.success) {
@@ -358,6 +617,7 @@ document.addEventListener('alpine:init', () => {
                     // The 'login' function in the store returns the error message
                     this.loginMessage = result.message;
                     this.loginError = true;
+                    this.needsVerification = result.code === 'EMAIL_NOT_VERIFIED';
                 }
             } catch (error) {
                 // THE FIX: Check for the 404 error here as well
@@ -370,6 +630,18 @@ document.addEventListener('alpine:init', () => {
                     this.loginError = true;
                 }
             }
+        },
+
+        async resendVerification() {
+            try {
+                const response = await axios.post('/api/users/resend-verification', { identifier: this.loginIdentifier });
+                this.loginMessage = response.data.message;
+                this.loginError = false;
+                this.needsVerification = false;
+            } catch (error) {
+                this.loginMessage = error.response?.data?.message || 'Could not send a new verification email.';
+                this.loginError = true;
+            }
         }
     }));
 
@@ -389,6 +661,14 @@ document.addEventListener('alpine:init', () => {
         // State for linking KingsChat
         kcMessage: '',
         kcError: false,
+        kcLoading: false,
+
+        // State for data export / account closure
+        dataLoading: false,
+        dataMessage: '',
+        dataError: false,
+        showDeleteForm: false,
+        deleteForm: { password: '', confirm: '' },
 
         // State for saving the profile
         saveMessage: '',
@@ -480,7 +760,7 @@ document.addEventListener('alpine:init', () => {
                 .then(response => {
                     const accessToken = response.accessToken;
                     if (accessToken) {
-                        this.sendTokenToBackend(accessToken);
+                        this.sendTokenToBackend(response);
                     } else {
                         throw new Error("Access Token not found in SDK response!");
                     }
@@ -492,10 +772,10 @@ document.addEventListener('alpine:init', () => {
                 });
         },
 
-        async sendTokenToBackend(accessToken) {
+        async sendTokenToBackend({ accessToken, refreshToken, expiresInMillis }) {
             try {
                 const token = Alpine.store('auth').token;
-                const response = await axios.post('/api/kingschat/link', { accessToken }, {
+                const response = await axios.post('/api/kingschat/link', { accessToken, refreshToken, expiresInMillis }, {
                     headers: { 'Authorization': `Bearer ${token}` }
                 });
                 Alpine.store('auth').updateUser(response.data.user);
@@ -509,6 +789,86 @@ document.addEventListener('alpine:init', () => {
             }
         },
 
+        async resyncKingsChat() {
+            this.kcLoading = true;
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.post('/api/kingschat/resync', {}, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                Alpine.store('auth').updateUser(response.data.user);
+                this.kcMessage = response.data.message;
+                this.kcError = false;
+            } catch (error) {
+                this.kcMessage = error.response ? error.response.data.message : 'A server error occurred.';
+                this.kcError = true;
+            } finally {
+                this.kcLoading = false;
+            }
+        },
+
+        async unlinkKingsChat() {
+            if (!confirm('Unlink your KingsChat account? You will need your password to log in.')) return;
+            this.kcLoading = true;
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.delete('/api/kingschat/link', {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                Alpine.store('auth').updateUser(response.data.user);
+                this.kcMessage = response.data.message;
+                this.kcError = false;
+            } catch (error) {
+                this.kcMessage = error.response ? error.response.data.message : 'A server error occurred.';
+                this.kcError = true;
+            } finally {
+                this.kcLoading = false;
+            }
+        },
+
+        async downloadMyData() {
+            this.dataLoading = true; this.dataMessage = '';
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.get('/api/users/me/export', {
+                    headers: { 'Authorization': `Bearer ${token}` },
+                    responseType: 'blob'
+                });
+                // Use the server's file name, then trigger a download of the blob
+                const disposition = response.headers['content-disposition'] || '';
+                const match = disposition.match(/filename="(.+)"/);
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(response.data);
+                link.download = match ? match[1] : 'my-data.json';
+                link.click();
+                URL.revokeObjectURL(link.href);
+            } catch (error) {
+                this.dataMessage = 'Could not download your data. Please try again.';
+                this.dataError = true;
+            } finally {
+                this.dataLoading = false;
+            }
+        },
+
+        async deleteMyAccount() {
+            if (!confirm('This cannot be undone. Close your account?')) return;
+            this.dataLoading = true; this.dataMessage = '';
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.delete('/api/users/me', {
+                    headers: { 'Authorization': `Bearer ${token}` },
+                    data: this.deleteForm
+                });
+                alert(response.data.message);
+                Alpine.store('auth').logout();
+            } catch (error) {
+                this.dataMessage = error.response ? error.response.data.message : 'A server error occurred.';
+                this.dataError = true;
+            } finally {
+                this.dataLoading = false;
+            }
+        },
+
         async applyToBeSbo() {
             this.sboApplyLoading = true;
             this.sboApplyMessage = '';
@@ -795,8 +1155,40 @@ document.addEventListener('alpine:init', () => {
         currentPage: 1,
         totalPages: 1,
 
+        // List filters, sent to both GET /api/users and the CSV export
+        filters: { role: '', zone: '', church: '', signedUpFrom: '', signedUpTo: '', status: '' },
+        exporting: false,
+
+        // Roles the current admin may assign (see PUT /api/users/:id/role)
+        roles: [],
+
         init() {
             this.fetchAllUsers(1); // Fetch the first page on init
+            if (Alpine.store('auth').can('users.assign_roles')) this.fetchRoles();
+        },
+
+        async fetchRoles() {
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.get('/api/roles', {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                this.roles = response.data;
+            } catch (err) {
+                console.error('Fetch roles error:', err);
+            }
+        },
+
+        // Mirrors the server rule: without roles.manage you can't hand out a role that can assign roles,
+        // or one that grants anything you don't have yourself. The Superadmin role is never assignable.
+        get assignableRoles() {
+            const auth = Alpine.store('auth');
+            return this.roles.filter(role => {
+                if (role.name === 'Superadmin') return false;
+                if (auth.can('roles.manage')) return true;
+                return !role.permissions.includes('users.assign_roles')
+                    && role.permissions.every(permission => auth.can(permission));
+            });
         },
 
         // UPDATED fetch function to handle pages and search
@@ -805,10 +1197,8 @@ document.addEventListener('alpine:init', () => {
             this.loading = true;
             try {
                 const token = Alpine.store('auth').token;
-                const params = new URLSearchParams({
-                    page: page,
-                    search: this.searchTerm
-                });
+                const params = this.buildFilterParams();
+                params.set('page', page);
                 const response = await axios.get(`/api/users?${params.toString()}`, {
                     headers: { 'Authorization': `Bearer ${token}` }
                 });
@@ -829,7 +1219,98 @@ document.addEventListener('alpine:init', () => {
             this.fetchAllUsers(1); // Always reset to page 1 for a new search
         },
 
-        // changeRole function is unchanged
+        // The search box plus every filter that has a value
+        buildFilterParams() {
+            const params = new URLSearchParams();
+            if (this.searchTerm) params.set('search', this.searchTerm);
+            Object.entries(this.filters).forEach(([key, value]) => { if (value) params.set(key, value); });
+            return params;
+        },
+
+        clearFilters() {
+            this.searchTerm = '';
+            this.filters = { role: '', zone: '', church: '', signedUpFrom: '', signedUpTo: '', status: '' };
+            this.fetchAllUsers(1);
+        },
+
+        async exportCsv() {
+            this.exporting = true; this.message = '';
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.get(`/api/users/export?${this.buildFilterParams().toString()}`, {
+                    headers: { 'Authorization': `Bearer ${token}` },
+                    responseType: 'blob'
+                });
+                const disposition = response.headers['content-disposition'] || '';
+                const match = disposition.match(/filename="(.+)"/);
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(response.data);
+                link.download = match ? match[1] : 'users.csv';
+                link.click();
+                URL.revokeObjectURL(link.href);
+            } catch (err) {
+                this.message = 'Failed to export users.';
+                this.error = true;
+            } finally {
+                this.exporting = false;
+            }
+        },
+
+        // Console actions (suspend, force reset, merge) share this: post, show the result, reload the page of users.
+        async runUserAction(url, body = {}) {
+            this.message = '';
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.post(url, body, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                this.message = response.data.message;
+                this.error = false;
+                this.fetchAllUsers(this.currentPage);
+            } catch (err) {
+                this.message = err.response ? err.response.data.message : 'The action failed.';
+                this.error = true;
+            }
+        },
+
+        suspendUser(user) {
+            const reason = prompt(`Why are you suspending ${user.username}?`);
+            if (reason === null) return;
+            this.runUserAction(`/api/users/${user.id}/suspend`, { reason });
+        },
+
+        reactivateUser(user) {
+            if (!confirm(`Reactivate ${user.username}?`)) return;
+            this.runUserAction(`/api/users/${user.id}/reactivate`);
+        },
+
+        forcePasswordReset(user) {
+            if (!confirm(`Log ${user.username} out everywhere and make them choose a new password?`)) return;
+            this.runUserAction(`/api/users/${user.id}/force-password-reset`);
+        },
+
+        mergeInto(user) {
+            const sourceUserId = prompt(`Enter the ID of the duplicate account to merge into ${user.username} (#${user.id}). The duplicate will be closed.`);
+            if (!sourceUserId) return;
+            if (!confirm(`Merge account #${sourceUserId} into ${user.username}? This cannot be undone.`)) return;
+            this.runUserAction(`/api/users/${user.id}/merge`, { sourceUserId: Number(sourceUserId) });
+        },
+
+        async viewAsUser(user) {
+            if (!confirm(`View the site as ${user.username}? You won't be able to change anything while doing so.`)) return;
+            this.message = '';
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.post(`/api/users/${user.id}/impersonate`, {}, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                Alpine.store('auth').startImpersonating(response.data);
+            } catch (err) {
+                this.message = err.response ? err.response.data.message : 'Failed to view as this user.';
+                this.error = true;
+            }
+        },
+
         async changeRole(userId, newRole) {
             if (!confirm(`Are you sure you want to change this user's role to ${newRole}?`)) {
                 return;
@@ -852,6 +1333,27 @@ document.addEventListener('alpine:init', () => {
                 this.error = true;
                 console.error('Change role error:', err);
             }
+        },
+
+        isLocked(user) {
+            return user.locked_until && new Date(user.locked_until) > new Date();
+        },
+
+        async unlockUser(userId) {
+            this.message = '';
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.post(`/api/admin/users/${userId}/unlock`, {}, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                const user = this.users.find(u => u.id === userId);
+                if (user) user.locked_until = null;
+                this.message = response.data.message;
+                this.error = false;
+            } catch (err) {
+                this.message = err.response ? err.response.data.message : 'Failed to unlock account.';
+                this.error = true;
+            }
         }
     }));
 
@@ -1289,6 +1791,90 @@ document.addEventListener('alpine:init', () => {
         showSearch: false,
         formatPrice: formatPrice,
         optimizeImage: window.optimizeImage,
+        selectedOptions: {}, // option name -> chosen value, for products with variants
+        ratingStars: ratingStars,
+
+        // Reviews
+        reviews: [],
+        reviewSummary: null,
+        reviewSort: 'newest',
+        reviewPage: 1,
+        reviewTotalPages: 0,
+        myReview: { canReview: false, hasPurchased: false, review: null },
+        reviewForm: { rating: 5, title: '', body: '' },
+        reviewFiles: [],
+        editingReview: false,
+        reviewMessage: '',
+        reviewError: false,
+        reviewSubmitting: false,
+        replyDrafts: {}, // review id -> reply text being written by the seller
+
+        // Questions and answers
+        questions: [],
+        questionTotal: 0,
+        questionPage: 1,
+        questionTotalPages: 0,
+        myQuestions: [], // the user's own questions still waiting for an answer
+        questionText: '',
+        questionMessage: '',
+        questionError: false,
+        questionSubmitting: false,
+        answerDrafts: {}, // question id -> corrected answer being written by the seller
+
+        wishlists: [], // the user's lists, with the products on each
+        restockSubscriptions: [], // variant ids (null for the product itself) the user is waiting to come back in stock
+
+        // Sold out with no backorders, and (for products with variants) an option has been chosen
+        get canAskForRestock() {
+            if (this.product.variants?.length > 0 && !this.selectedVariant) return false;
+            return this.current.stock_quantity <= 0 && !this.current.allow_backorder;
+        },
+
+        get isWaitingForRestock() {
+            return this.restockSubscriptions.includes(this.selectedVariant?.id || null);
+        },
+
+        // Saved on any list, as the chosen variant or as the product itself
+        get isWishlisted() {
+            const variantId = this.selectedVariant?.id || null;
+            return this.wishlists.some(list => list.items.some(item =>
+                item.product_id === this.product.id && (!item.variant_id || item.variant_id === variantId)));
+        },
+
+        // Sellers reply to reviews and answer questions about their own products; staff with products.manage_all for any
+        get canRespondAsSeller() {
+            const auth = Alpine.store('auth');
+            return auth.can('products.manage_all') || (auth.can('products.manage_own') && auth.user?.id === this.product.sbo_id);
+        },
+
+        // The variant matching every chosen option, or null until they've all been chosen
+        get selectedVariant() {
+            const options = this.product.options || [];
+            if (options.length === 0 || options.some(option => !this.selectedOptions[option.name])) return null;
+            return (this.product.variants || []).find(variant =>
+                options.every(option => variant.options[option.name] === this.selectedOptions[option.name])) || null;
+        },
+
+        // What the price and stock displays show: the chosen variant, or the product itself
+        get current() {
+            const variant = this.selectedVariant;
+            return variant ? { ...this.product, ...variant } : this.product;
+        },
+
+        // Values with no active variant behind them (given the other choices) are shown disabled
+        isOptionValueAvailable(optionName, value) {
+            const wanted = { ...this.selectedOptions, [optionName]: value };
+            return (this.product.variants || []).some(variant =>
+                Object.entries(wanted).every(([name, chosen]) => !chosen || variant.options[name] === chosen));
+        },
+
+        selectOption(optionName, value) {
+            this.selectedOptions = { ...this.selectedOptions, [optionName]: value };
+            this.quantity = 1;
+            const imageId = this.selectedVariant?.image_ids?.[0];
+            const image = imageId && this.product.images.find(img => img.id === imageId);
+            if (image) this.activeImageUrl = image.image_url;
+        },
 
         init() {
             const params = new URLSearchParams(window.location.search);
@@ -1307,6 +1893,14 @@ document.addEventListener('alpine:init', () => {
                 this.product = response.data;
                 if (this.product.images?.length > 0)
                     this.activeImageUrl = this.product.images[0].image_url;
+                this.fetchReviews(1);
+                this.fetchQuestions(1);
+                if (Alpine.store('auth').loggedIn) {
+                    this.fetchMyReview();
+                    this.fetchMyQuestions();
+                    this.fetchWishlists();
+                    this.fetchRestockSubscriptions();
+                }
             } catch (err) {
                 this.error = 'Failed to load product details.';
                 console.error('Fetch product error:', err);
@@ -1315,96 +1909,383 @@ document.addEventListener('alpine:init', () => {
             }
         },
 
-        incrementQuantity() {
-            const maxQuantity = this.product.stock_quantity;
-            // Only increment if backorder is allowed OR if quantity is less than stock
-            if (this.product.allow_backorder || this.quantity < maxQuantity) {
-                this.quantity++;
+        async fetchReviews(page = 1) {
+            try {
+                const params = new URLSearchParams({ sort: this.reviewSort, page });
+                const response = await axios.get(`/api/reviews/product/${this.productId}?${params.toString()}`);
+                this.reviews = response.data.reviews;
+                this.reviewSummary = response.data.summary;
+                this.reviewPage = response.data.currentPage;
+                this.reviewTotalPages = response.data.totalPages;
+            } catch (err) {
+                console.error('Fetch reviews error:', err);
             }
         },
-        decrementQuantity() {
-            if (this.quantity > 1) {
-                this.quantity--;
+
+        async fetchMyReview() {
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.get(`/api/reviews/product/${this.productId}/mine`, { headers: { 'Authorization': `Bearer ${token}` } });
+                this.myReview = response.data;
+            } catch (err) {
+                console.error('Fetch own review error:', err);
             }
         },
 
-        async addToCart() {
-            this.cartMessage = 'Adding...';
-            this.cartError = false;
-            const result = await Alpine.store('cart').addItem(this.productId, this.quantity);
-            this.cartMessage = result.message;
-            this.cartError = !result.success;
-            setTimeout(() => {
-                this.cartMessage = '';
-            }, 3000);
+        startEditingReview() {
+            const review = this.myReview.review;
+            this.reviewForm = { rating: review.rating, title: review.title || '', body: review.body || '' };
+            this.editingReview = true;
         },
 
-        toggleSearch() {
-            this.showSearch = !this.showSearch;
-        }
-    }));
-
-    //================================================================
-    // 16. GLOBAL CART STORE
-    //================================================================
-    Alpine.store('cart', {
-        items: [],
-        itemCount: 0,
-
-        // This function is now the single point of truth for updating the local state
-        _updateState(cartItems) {
-            this.items = cartItems;
-            this.itemCount = this.items.reduce((total, item) => total + item.quantity, 0);
-            // console.log('Cart state updated. Item count:', this.itemCount);
-        },
+        async submitReview() {
+            this.reviewSubmitting = true; this.reviewMessage = ''; this.reviewError = false;
+            const data = new FormData();
+            for (const key in this.reviewForm) data.append(key, this.reviewForm[key]);
+            for (const file of this.reviewFiles) data.append('photos', file);
 
-        async initialize() {
-            if (Alpine.store('auth').loggedIn) {
-                try {
-                    const token = Alpine.store('auth').token;
-                    const response = await axios.get('/api/cart', { headers: { 'Authorization': `Bearer ${token}` } });
-                    this._updateState(response.data); // Use the new state updater
-                } catch (error) {
-                    console.error('Failed to initialize cart:', error);
-                    this._updateState([]); // Clear cart on error
-                }
-            } else {
-                this._updateState([]); // Clear cart if logged out
+            try {
+                const headers = { 'Authorization': `Bearer ${Alpine.store('auth').token}`, 'Content-Type': 'multipart/form-data' };
+                const response = this.editingReview
+                    ? await axios.put(`/api/reviews/${this.myReview.review.id}`, data, { headers })
+                    : await axios.post(`/api/reviews/product/${this.productId}`, data, { headers });
+                this.reviewMessage = response.data.message;
+                this.reviewForm = { rating: 5, title: '', body: '' };
+                this.reviewFiles = [];
+                this.editingReview = false;
+                await Promise.all([this.fetchReviews(1), this.fetchMyReview()]);
+            } catch (err) {
+                this.reviewError = true;
+                this.reviewMessage = err.response?.data?.message || 'Failed to save your review.';
+            } finally {
+                this.reviewSubmitting = false;
             }
         },
 
-        async addItem(productId, quantity) {
-            if (!Alpine.store('auth').loggedIn) {
+        async deleteMyReview() {
+            if (!confirm('Delete your review?')) return;
+            try {
+                const token = Alpine.store('auth').token;
+                await axios.delete(`/api/reviews/${this.myReview.review.id}`, { headers: { 'Authorization': `Bearer ${token}` } });
+                await Promise.all([this.fetchReviews(1), this.fetchMyReview()]);
+            } catch (err) {
+                alert(err.response?.data?.message || 'Failed to delete your review.');
+            }
+        },
+
+        async flagReview(review) {
+            if (!Alpine.store('auth').loggedIn) {
+                alert('Please log in to report a review.');
+                return;
+            }
+            const reason = prompt('Why are you reporting this review?');
+            if (reason === null) return;
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.post(`/api/reviews/${review.id}/flag`, { reason }, { headers: { 'Authorization': `Bearer ${token}` } });
+                alert(response.data.message);
+            } catch (err) {
+                alert(err.response?.data?.message || 'Failed to report the review.');
+            }
+        },
+
+        async saveReply(review) {
+            try {
+                const token = Alpine.store('auth').token;
+                await axios.put(`/api/reviews/${review.id}/reply`,
+                    { reply: this.replyDrafts[review.id] ?? review.sbo_reply ?? '' },
+                    { headers: { 'Authorization': `Bearer ${token}` } }
+                );
+                delete this.replyDrafts[review.id];
+                await this.fetchReviews(this.reviewPage);
+            } catch (err) {
+                alert(err.response?.data?.message || 'Failed to save the reply.');
+            }
+        },
+
+        async fetchQuestions(page = 1) {
+            try {
+                const response = await axios.get(`/api/questions/product/${this.productId}?page=${page}`);
+                this.questions = response.data.questions;
+                this.questionTotal = response.data.total;
+                this.questionPage = response.data.currentPage;
+                this.questionTotalPages = response.data.totalPages;
+            } catch (err) {
+                console.error('Fetch questions error:', err);
+            }
+        },
+
+        async fetchMyQuestions() {
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.get(`/api/questions/product/${this.productId}/mine`, { headers: { 'Authorization': `Bearer ${token}` } });
+                this.myQuestions = response.data;
+            } catch (err) {
+                console.error('Fetch own questions error:', err);
+            }
+        },
+
+        async askQuestion() {
+            this.questionSubmitting = true; this.questionMessage = ''; this.questionError = false;
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.post(`/api/questions/product/${this.productId}`,
+                    { question: this.questionText },
+                    { headers: { 'Authorization': `Bearer ${token}` } }
+                );
+                this.questionMessage = response.data.message;
+                this.questionText = '';
+                await this.fetchMyQuestions();
+            } catch (err) {
+                this.questionError = true;
+                this.questionMessage = err.response?.data?.message || 'Failed to send your question.';
+            } finally {
+                this.questionSubmitting = false;
+            }
+        },
+
+        async deleteQuestion(question) {
+            if (!confirm('Withdraw this question?')) return;
+            try {
+                const token = Alpine.store('auth').token;
+                await axios.delete(`/api/questions/${question.id}`, { headers: { 'Authorization': `Bearer ${token}` } });
+                await this.fetchMyQuestions();
+            } catch (err) {
+                alert(err.response?.data?.message || 'Failed to withdraw the question.');
+            }
+        },
+
+        async saveAnswer(question) {
+            try {
+                const token = Alpine.store('auth').token;
+                await axios.put(`/api/questions/${question.id}/answer`,
+                    { answer: this.answerDrafts[question.id] ?? question.answer },
+                    { headers: { 'Authorization': `Bearer ${token}` } }
+                );
+                delete this.answerDrafts[question.id];
+                await this.fetchQuestions(this.questionPage);
+            } catch (err) {
+                alert(err.response?.data?.message || 'Failed to save the answer.');
+            }
+        },
+
+        async fetchWishlists() {
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.get('/api/wishlists', { headers: { 'Authorization': `Bearer ${token}` } });
+                this.wishlists = response.data;
+            } catch (err) {
+                console.error('Fetch wishlists error:', err);
+            }
+        },
+
+        async addToWishlist(wishlistId = null) {
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.post('/api/wishlists/items',
+                    { productId: this.product.id, variantId: this.selectedVariant?.id || null, wishlistId },
+                    { headers: { 'Authorization': `Bearer ${token}` } }
+                );
+                this.cartMessage = response.data.message;
+                this.cartError = false;
+                await this.fetchWishlists();
+            } catch (err) {
+                this.cartMessage = err.response?.data?.message || 'Could not save to your wishlist.';
+                this.cartError = true;
+            }
+            setTimeout(() => { this.cartMessage = ''; }, 3000);
+        },
+
+        async addToNewWishlist() {
+            const name = prompt('Name your new list');
+            if (!name) return;
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.post('/api/wishlists', { name }, { headers: { 'Authorization': `Bearer ${token}` } });
+                await this.addToWishlist(response.data.id);
+            } catch (err) {
+                this.cartMessage = err.response?.data?.message || 'Could not create the list.';
+                this.cartError = true;
+            }
+        },
+
+        async fetchRestockSubscriptions() {
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.get(`/api/products/${this.productId}/restock-subscriptions`, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                this.restockSubscriptions = response.data.variantIds;
+            } catch (err) {
+                console.error('Fetch restock subscriptions error:', err);
+            }
+        },
+
+        // "Notify me when it's back in stock", or stop waiting
+        async toggleRestockSubscription() {
+            if (!Alpine.store('auth').loggedIn) {
+                new bootstrap.Modal(document.getElementById('signInUpModal')).show();
+                return;
+            }
+            const variantId = this.selectedVariant?.id || null;
+            try {
+                const headers = { 'Authorization': `Bearer ${Alpine.store('auth').token}` };
+                const response = this.isWaitingForRestock
+                    ? await axios.delete(`/api/products/${this.productId}/restock-subscriptions`, { headers, params: { variantId } })
+                    : await axios.post(`/api/products/${this.productId}/restock-subscriptions`, { variantId }, { headers });
+                this.cartMessage = response.data.message;
+                this.cartError = false;
+                await this.fetchRestockSubscriptions();
+            } catch (err) {
+                this.cartMessage = err.response?.data?.message || 'Something went wrong. Please try again.';
+                this.cartError = true;
+            }
+            setTimeout(() => { this.cartMessage = ''; }, 3000);
+        },
+
+        incrementQuantity() {
+            const maxQuantity = this.current.stock_quantity;
+            // Only increment if backorder is allowed OR if quantity is less than stock
+            if (this.product.allow_backorder || this.quantity < maxQuantity) {
+                this.quantity++;
+            }
+        },
+        decrementQuantity() {
+            if (this.quantity > 1) {
+                this.quantity--;
+            }
+        },
+
+        async addToCart() {
+            if (this.product.variants?.length > 0 && !this.selectedVariant) {
+                this.cartMessage = `Please choose ${this.product.options.map(option => option.name.toLowerCase()).join(' and ')} first.`;
+                this.cartError = true;
+                return;
+            }
+            this.cartMessage = 'Adding...';
+            this.cartError = false;
+            const result = await Alpine.store('cart').addItem(this.productId, this.quantity, this.selectedVariant?.id || null);
+            this.cartMessage = result.message;
+            this.cartError = !result.success;
+            setTimeout(() => {
+                this.cartMessage = '';
+            }, 3000);
+        },
+
+        toggleSearch() {
+            this.showSearch = !this.showSearch;
+        }
+    }));
+
+    //================================================================
+    // 16. GLOBAL CART STORE
+    //================================================================
+    Alpine.store('cart', {
+        items: [],
+        itemCount: 0,
+        savedItems: [], // "Save for later" lines, shown under the cart
+        summary: null, // subtotal, discounts, shipping, total and the coupon code, as priced by the server
+
+        // This function is now the single point of truth for updating the local state
+        _updateState(cartItems) {
+            this.items = cartItems;
+            this.itemCount = this.items.reduce((total, item) => total + item.quantity, 0);
+            // console.log('Cart state updated. Item count:', this.itemCount);
+        },
+
+        async initialize() {
+            if (Alpine.store('auth').loggedIn) {
+                try {
+                    const token = Alpine.store('auth').token;
+                    const [cart, saved] = await Promise.all([
+                        axios.get('/api/cart', { headers: { 'Authorization': `Bearer ${token}` } }),
+                        axios.get('/api/cart/saved', { headers: { 'Authorization': `Bearer ${token}` } })
+                    ]);
+                    const { items, ...summary } = cart.data;
+                    this._updateState(items); // Use the new state updater
+                    this.summary = summary;
+                    this.savedItems = saved.data;
+                } catch (error) {
+                    console.error('Failed to initialize cart:', error);
+                    this._updateState([]); // Clear cart on error
+                    this.summary = null;
+                }
+            } else {
+                this._updateState([]); // Clear cart if logged out
+                this.savedItems = [];
+                this.summary = null;
+            }
+        },
+
+        async addItem(productId, quantity, variantId = null) {
+            if (!Alpine.store('auth').loggedIn) {
                 new bootstrap.Modal(document.getElementById('signInUpModal')).show();
                 return { success: false, message: 'Please log in to add items to your cart.' };
             }
             try {
                 const token = Alpine.store('auth').token;
                 // The POST returns the new cart state, let's use it
-                const response = await axios.post('/api/cart/items', { productId, quantity }, { headers: { 'Authorization': `Bearer ${token}` } });
+                const response = await axios.post('/api/cart/items', { productId, quantity, variantId }, { headers: { 'Authorization': `Bearer ${token}` } });
                 await this.initialize(); // Re-fetch the whole cart for consistency
                 return { success: true, message: 'Item added to cart!' };
             } catch (error) {
                 console.error('Failed to add item to cart:', error);
-                return { success: false, message: 'Could not add item to cart.' };
+                return { success: false, message: error.response?.data?.message || 'Could not add item to cart.' };
             }
         },
 
-        async updateItem(productId, quantity) {
-            if (quantity < 1) return this.removeItem(productId);
+        // Cart lines are identified by product and, for products with variants, the variant
+        _itemUrl(productId, variantId) {
+            return `/api/cart/items/${productId}${variantId ? `?variantId=${variantId}` : ''}`;
+        },
+
+        async updateItem(productId, quantity, variantId = null) {
+            if (quantity < 1) return this.removeItem(productId, variantId);
             try {
                 const token = Alpine.store('auth').token;
-                await axios.put(`/api/cart/items/${productId}`, { quantity }, { headers: { 'Authorization': `Bearer ${token}` } });
+                await axios.put(this._itemUrl(productId, variantId), { quantity }, { headers: { 'Authorization': `Bearer ${token}` } });
                 await this.initialize();
             } catch (error) { console.error('Failed to update item:', error); }
         },
 
-        async removeItem(productId) {
+        async removeItem(productId, variantId = null) {
             try {
                 const token = Alpine.store('auth').token;
-                await axios.delete(`/api/cart/items/${productId}`, { headers: { 'Authorization': `Bearer ${token}` } });
+                await axios.delete(this._itemUrl(productId, variantId), { headers: { 'Authorization': `Bearer ${token}` } });
                 await this.initialize();
             } catch (error) { console.error('Failed to remove item:', error); }
+        },
+
+        _variantQuery(variantId) {
+            return variantId ? `?variantId=${variantId}` : '';
+        },
+
+        async saveForLater(productId, variantId = null) {
+            try {
+                const token = Alpine.store('auth').token;
+                await axios.post(`/api/cart/items/${productId}/save-for-later${this._variantQuery(variantId)}`, {}, { headers: { 'Authorization': `Bearer ${token}` } });
+                await this.initialize();
+            } catch (error) { console.error('Failed to save item for later:', error); }
+        },
+
+        async moveToCart(productId, variantId = null) {
+            try {
+                const token = Alpine.store('auth').token;
+                await axios.post(`/api/cart/saved/${productId}/move-to-cart${this._variantQuery(variantId)}`, {}, { headers: { 'Authorization': `Bearer ${token}` } });
+                await this.initialize();
+                return { success: true };
+            } catch (error) {
+                console.error('Failed to move saved item to cart:', error);
+                return { success: false, message: error.response?.data?.message || 'Could not move the item to your cart.' };
+            }
+        },
+
+        async removeSaved(productId, variantId = null) {
+            try {
+                const token = Alpine.store('auth').token;
+                await axios.delete(`/api/cart/saved/${productId}${this._variantQuery(variantId)}`, { headers: { 'Authorization': `Bearer ${token}` } });
+                await this.initialize();
+            } catch (error) { console.error('Failed to remove saved item:', error); }
         }
     });
 
@@ -1414,13 +2295,39 @@ document.addEventListener('alpine:init', () => {
     // ===============================================================
     Alpine.data('cartPage', () => ({
         checkoutError: '',
-        isCheckingOut: false,
+        savedError: '',
+        couponCode: '',
+        couponMessage: '',
+        couponError: false,
+        isCheckingOut: false, // The provider being redirected to
+        paymentProviders: [{ name: 'stripe', label: 'Card', currency: null }],
         debounce: null,
         showSearch: false,
         formatPrice: formatPrice,
         optimizeImage: window.optimizeImage,
 
+        init() {
+            // Back from Stripe without paying: give back the stock that was held for the checkout
+            const params = new URLSearchParams(window.location.search);
+            if (params.get('checkout') === 'cancelled' && Alpine.store('auth').loggedIn) {
+                axios.post('/api/checkout/cancel', {}, { headers: { 'Authorization': `Bearer ${Alpine.store('auth').token}` } })
+                    .catch(error => console.error('Cancel checkout error:', error));
+                window.history.replaceState({}, '', window.location.pathname);
+            }
+            axios.get('/api/checkout/providers')
+                .then(response => { if (response.data.length > 0) this.paymentProviders = response.data; })
+                .catch(error => console.error('Failed to load payment methods:', error));
+        },
+
+        // The server's totals in the currency being shown, once it has priced the cart in it
+        _charge() {
+            const charge = Alpine.store('cart').summary?.charge;
+            return charge && charge.currency === Alpine.store('currency').code ? charge : null;
+        },
+
         subtotal() {
+            const charge = this._charge();
+            if (charge) return this.formatPrice(charge.subtotal, charge.currency);
             // THE FIX: Use 'active_price', which now correctly exists on the item object
             const totalInUSD = Alpine.store('cart').items.reduce((total, item) => {
                 // Add a check to ensure active_price is a number
@@ -1430,23 +2337,82 @@ document.addEventListener('alpine:init', () => {
             return this.formatPrice(totalInUSD);
         },
 
-        updateQuantity(productId, quantity) {
+        shipping() {
+            const charge = this._charge();
+            return charge ? this.formatPrice(charge.shipping, charge.currency) : this.formatPrice(Alpine.store('cart').summary?.shipping);
+        },
+
+        // The server works out discounts and shipping, so the total here is what Stripe will charge
+        total() {
+            const charge = this._charge();
+            if (charge) return this.formatPrice(charge.total, charge.currency);
+            const summary = Alpine.store('cart').summary;
+            return summary ? this.formatPrice(summary.total) : this.subtotal();
+        },
+
+        // Currencies the shop doesn't charge in are shown as a guide only; checkout is in USD
+        chargeNote() {
+            const summary = Alpine.store('cart').summary;
+            const charge = this._charge();
+            if (!charge || charge.charge_in_currency) return '';
+            return `${charge.currency} amounts are a guide at today's rate. Card payments are taken in US dollars: ${this.formatPrice(summary.total, 'USD')}.`;
+        },
+
+        // Providers that always charge in one currency, e.g. Espees
+        providerNote(provider) {
+            if (!provider.currency || provider.currency === Alpine.store('currency').code) return '';
+            return `${provider.label} payments are taken in ${provider.currency}.`;
+        },
+
+        async applyCoupon() {
+            if (!this.couponCode.trim()) return;
+            this.couponMessage = ''; this.couponError = false;
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.post('/api/cart/coupon', { code: this.couponCode }, { headers: { 'Authorization': `Bearer ${token}` } });
+                this.couponMessage = response.data.message;
+                this.couponCode = '';
+                await Alpine.store('cart').initialize();
+            } catch (error) {
+                this.couponMessage = error.response?.data?.message || 'Could not apply the code.';
+                this.couponError = true;
+            }
+        },
+
+        async removeCoupon() {
+            this.couponMessage = ''; this.couponError = false;
+            try {
+                const token = Alpine.store('auth').token;
+                await axios.delete('/api/cart/coupon', { headers: { 'Authorization': `Bearer ${token}` } });
+                await Alpine.store('cart').initialize();
+            } catch (error) {
+                console.error('Remove coupon error:', error);
+            }
+        },
+
+        updateQuantity(item, quantity) {
             clearTimeout(this.debounce);
             this.debounce = setTimeout(() => {
-                Alpine.store('cart').updateItem(productId, parseInt(quantity));
+                Alpine.store('cart').updateItem(item.product_id, parseInt(quantity), item.variant_id);
             }, 500);
         },
 
-        removeItem(productId) {
+        removeItem(item) {
             if (confirm('Remove this item?'))
-                Alpine.store('cart').removeItem(productId);
+                Alpine.store('cart').removeItem(item.product_id, item.variant_id);
         },
 
-        async proceedToCheckout() {
-            this.isCheckingOut = true; this.checkoutError = '';
+        async moveToCart(item) {
+            this.savedError = '';
+            const result = await Alpine.store('cart').moveToCart(item.product_id, item.variant_id);
+            if (!result.success) this.savedError = result.message;
+        },
+
+        async proceedToCheckout(provider = 'stripe') {
+            this.isCheckingOut = provider; this.checkoutError = '';
             try {
                 const token = Alpine.store('auth').token;
-                const response = await axios.post('/api/checkout/create-session', {}, { headers: { 'Authorization': `Bearer ${token}` } });
+                const response = await axios.post('/api/checkout/create-session', { provider }, { headers: { 'Authorization': `Bearer ${token}` } });
                 window.location.href = response.data.url;
             } catch (error) {
                 this.checkoutError = error.response ? error.response.data.message : 'Checkout failed.';
@@ -1464,15 +2430,11 @@ document.addEventListener('alpine:init', () => {
     // ===============================================================
     Alpine.data('sectorPage', () => ({
         sector: {}, // Holds info like name and hero_image_url
+        breadcrumbs: [], // From the top-level sector down to this one
+        children: [], // Sub-sectors, with product counts that include their own sub-sectors
 
-        // Create separate arrays for each section's data
-        bestsellers: [],
-        newArrivals: [],
-
-        // Data specifically for the Food & Beverage layout
-        familyFeasts: [],
-        fruitsAndVeg: [],
-
+        // The sector's shelves (configured in Manage Categories), each with its products
+        shelves: [],
 
         otherProducts: [], // For the 'Order Now' carousel
 
@@ -1485,43 +2447,33 @@ document.addEventListener('alpine:init', () => {
         optimizeImage: window.optimizeImage,
 
         init() {
+            // Pages are served at /sector/:slug; ?name= is what older links used (the API redirects those)
             const params = new URLSearchParams(window.location.search);
-            const sectorName = params.get('name');
-            if (sectorName) {
-                this.fetchSectorData(sectorName);
+            const pathMatch = window.location.pathname.match(/^\/sector\/([^/]+)/);
+            const sectorKey = pathMatch ? decodeURIComponent(pathMatch[1]) : (params.get('slug') || params.get('name'));
+            if (sectorKey) {
+                this.fetchSectorData(sectorKey);
             } else {
                 this.error = 'No sector specified.';
                 this.loading = false;
             }
         },
 
-        async fetchSectorData(sectorName) {
+        async fetchSectorData(sectorKey) {
             this.loading = true;
             this.error = '';
             try {
                 // Step 1: Always get the main sector details first
-                const sectorRes = await axios.get(`/api/products/sector/${sectorName}`);
+                const sectorRes = await axios.get(`/api/products/sector/${encodeURIComponent(sectorKey)}`);
                 this.sector = sectorRes.data.sector;
+                this.breadcrumbs = sectorRes.data.breadcrumbs;
+                this.children = sectorRes.data.children;
                 const sectorId = this.sector.id;
+                document.title = `${this.sector.name} | Made in Loveworld`;
 
-                // Step 2: CONDITIONAL DATA FETCHING
-                if (sectorName === 'Food & Beverage') {
-                    // --- Food & Beverage Layout ---
-                    const [feastsRes, fruitsRes] = await Promise.all([
-                        axios.get(`/api/products/sector/${sectorId}/family-feasts`),
-                        axios.get(`/api/products/sector/${sectorId}/fruits-vegetables`)
-                    ]);
-                    this.familyFeasts = feastsRes.data;
-                    this.fruitsAndVeg = fruitsRes.data;
-                } else {
-                    // --- Default Layout ---
-                    const [bestsellersRes, newArrivalsRes] = await Promise.all([
-                        axios.get(`/api/products/sector/${sectorId}/bestsellers`),
-                        axios.get(`/api/products/sector/${sectorId}/new-arrivals`)
-                    ]);
-                    this.bestsellers = bestsellersRes.data;
-                    this.newArrivals = newArrivalsRes.data;
-                }
+                // Step 2: The themed shelves for this sector
+                const shelvesRes = await axios.get(`/api/products/sector/${sectorId}/shelves`);
+                this.shelves = shelvesRes.data;
 
                 // The 'Order Now' data can be the generic product list for now
                 this.otherProducts = sectorRes.data.products;
@@ -1549,25 +2501,93 @@ document.addEventListener('alpine:init', () => {
     // public/js/main.js
     Alpine.data('searchPage', () => ({
         products: [],
+        ratingStars: ratingStars,
+        facets: null,
         searchTerm: '',
+        // Filters mirror the query string, so a filtered search can be bookmarked or shared
+        filters: { sector: [], brand: [], price: [], onSale: false, inStock: false },
+        sort: '',
+        currentPage: 1,
+        totalPages: 0,
+        total: 0,
         loading: true,
+        error: '',
         showSearch: false,
         formatPrice: formatPrice,
         optimizeImage: window.optimizeImage,
 
         init() {
             const params = new URLSearchParams(window.location.search);
-            this.searchTerm = params.get('q');
-            if (this.searchTerm) this.fetchResults();
-            else this.loading = false;
+            this.searchTerm = params.get('q') || '';
+            this.filters = {
+                sector: params.getAll('sector').flatMap(value => value.split(',')).filter(Boolean),
+                brand: params.getAll('brand').flatMap(value => value.split(',')).filter(Boolean),
+                price: params.getAll('price').flatMap(value => value.split(',')).filter(Boolean),
+                onSale: params.get('onSale') === 'true',
+                inStock: params.get('inStock') === 'true'
+            };
+            this.sort = params.get('sort') || '';
+            this.currentPage = parseInt(params.get('page') || '1');
+            this.fetchResults();
         },
+
+        buildParams() {
+            const params = new URLSearchParams();
+            if (this.searchTerm) params.set('q', this.searchTerm);
+            ['sector', 'brand', 'price'].forEach(key => {
+                if (this.filters[key].length > 0) params.set(key, this.filters[key].join(','));
+            });
+            if (this.filters.onSale) params.set('onSale', 'true');
+            if (this.filters.inStock) params.set('inStock', 'true');
+            if (this.sort) params.set('sort', this.sort);
+            if (this.currentPage > 1) params.set('page', this.currentPage);
+            return params;
+        },
+
         async fetchResults() {
-            this.loading = true;
+            this.loading = true; this.error = '';
+            const params = this.buildParams();
+            window.history.replaceState(null, '', `${window.location.pathname}?${params.toString()}`);
             try {
-                const response = await axios.get(`/api/products?q=${this.searchTerm}`);
-                this.products = response.data;
-            } catch (err) { console.error(err); }
-            finally { this.loading = false; }
+                const response = await axios.get(`/api/products?${params.toString()}`);
+                this.products = response.data.products;
+                this.facets = response.data.facets;
+                this.total = response.data.total;
+                this.totalPages = response.data.totalPages;
+            } catch (err) {
+                this.error = 'Search failed. Please try again.';
+                console.error(err);
+            } finally { this.loading = false; }
+        },
+
+        // Any filter or sort change starts again from page 1
+        applyFilters() {
+            this.currentPage = 1;
+            this.fetchResults();
+        },
+
+        toggleFilter(key, value) {
+            const id = String(value);
+            this.filters[key] = this.filters[key].includes(id)
+                ? this.filters[key].filter(item => item !== id)
+                : [...this.filters[key], id];
+            this.applyFilters();
+        },
+
+        isFiltered(key, value) {
+            return this.filters[key].includes(String(value));
+        },
+
+        clearFilters() {
+            this.filters = { sector: [], brand: [], price: [], onSale: false, inStock: false };
+            this.applyFilters();
+        },
+
+        goToPage(page) {
+            if (page < 1 || page > this.totalPages) return;
+            this.currentPage = page;
+            this.fetchResults();
+            window.scrollTo(0, 0);
         },
 
         toggleSearch() {
@@ -1590,6 +2610,16 @@ document.addEventListener('alpine:init', () => {
         totalPages: 1,
         formatPrice: formatPrice,
 
+        // Orders are shown in the currency they were paid in, at the rate they were paid at
+        orderTotal(order) {
+            return order.charged_total === null ? formatPrice(order.total_amount, 'USD') : formatPrice(order.charged_total, order.currency);
+        },
+
+        orderPrice(order, usdPrice, quantity = 1) {
+            const unitPrice = Math.round(usdPrice * (Number(order.exchange_rate) || 1) * 100) / 100;
+            return formatPrice(unitPrice * quantity, order.currency || 'USD');
+        },
+
         init() {
             // Watch for login/logout to fetch orders automatically
             this.$watch('$store.auth.loggedIn', (isLoggedIn) => {
@@ -1654,11 +2684,23 @@ document.addEventListener('alpine:init', () => {
     Alpine.data('adminProductsPage', () => ({
         products: [],
         loading: true,
-        formatPrice: formatPrice,
+        formatPrice: formatBasePrice,
         currentPage: 1,
         totalPages: 1,
         message: '',
         error: false,
+        statusFilter: '',
+        lowStockOnly: new URLSearchParams(window.location.search).get('stock') === 'low', // Low-stock emails link here
+        statusTabs: [
+            { value: '', label: 'All' },
+            { value: 'draft', label: 'Drafts' },
+            { value: 'pending_review', label: 'In Review' },
+            { value: 'published', label: 'Published' },
+            { value: 'rejected', label: 'Rejected' },
+            { value: 'archived', label: 'Archived' }
+        ],
+        statusLabel: productStatusLabel,
+        statusBadge: productStatusBadge,
 
         init() {
             if (Alpine.store('auth').loggedIn) {
@@ -1675,6 +2717,8 @@ document.addEventListener('alpine:init', () => {
             try {
                 const token = Alpine.store('auth').token;
                 const params = new URLSearchParams({ page });
+                if (this.statusFilter) params.set('status', this.statusFilter);
+                if (this.lowStockOnly) params.set('stock', 'low');
                 const response = await axios.get(`/api/admin/products?${params.toString()}`, {
                     headers: { 'Authorization': `Bearer ${token}` }
                 });
@@ -1709,24 +2753,75 @@ document.addEventListener('alpine:init', () => {
                 this.error = true;
                 console.error('Delete product error:', err);
             }
-        }
-    }));
-
-    // 21
-    Alpine.data('adminCreateProductPage', () => ({
-        formData: {
-            name: '', description: '', price: 0, stock_quantity: 0, sector_id: '', brand_id: '',
-            sbo_profile_id: ''
         },
 
-        files: [],
-        imagePreviews: [],
-        sectors: [],
-        brands: [],
-        message: '',
-        error: false,
-        loading: false,
+        // action is submit, withdraw or archive (see POST /api/admin/products/:id/status)
+        async changeStatus(product, action) {
+            if (action === 'archive' && !confirm(`Archive "${product.name}"? It will no longer be shown in the shop.`)) return;
+            this.message = ''; this.error = false;
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.post(`/api/admin/products/${product.id}/status`, { action }, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                this.message = response.data.message;
+                await this.fetchProducts(this.currentPage);
+            } catch (err) {
+                this.message = err.response?.data?.message || 'Failed to change the product status.';
+                this.error = true;
+            }
+        },
+
+        // Stock that was changed outside the inventory ledger (products.manage_all only)
+        stockDrift: null,
+        async checkStockDrift() {
+            this.message = ''; this.error = false;
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.get('/api/admin/inventory/drift', {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                this.stockDrift = response.data;
+            } catch (err) {
+                this.message = err.response?.data?.message || 'Failed to check stock against the ledger.';
+                this.error = true;
+            }
+        },
+
+        async reconcileStock() {
+            if (!confirm('Accept the current stock levels as right and record the differences in the stock history?')) return;
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.post('/api/admin/inventory/reconcile', {}, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                this.message = response.data.message;
+                this.error = false;
+                this.stockDrift = null;
+            } catch (err) {
+                this.message = err.response?.data?.message || 'Failed to reconcile stock.';
+                this.error = true;
+            }
+        }
+    }));
+
+    // 21
+    Alpine.data('adminCreateProductPage', () => ({
+        formData: {
+            name: '', sku: '', description: '', price: 0, stock_quantity: 0, low_stock_threshold: '', sector_id: '', brand_id: '',
+            sbo_profile_id: '', tag_ids: []
+        },
+
+        files: [],
+        imagePreviews: [],
+        sectors: [],
+        brands: [],
+        message: '',
+        error: false,
+        loading: false,
         sboProfiles: [], // Add new array
+        tags: [],
+        ...variantEditor(),
 
         init() {
             this.fetchInitialData();
@@ -1743,14 +2838,16 @@ document.addEventListener('alpine:init', () => {
             try {
                 const token = Alpine.store('auth').token;
                 const headers = { 'Authorization': `Bearer ${token}` };
-                const [sectorsRes, brandsRes, sboProfilesRes] = await Promise.all([
+                const [sectorsRes, brandsRes, sboProfilesRes, tagsRes] = await Promise.all([
                     axios.get('/api/products/sectors'),
                     axios.get('/api/products/brands'),
-                    axios.get('/api/admin/sbo-profiles', { headers }) // Fetch SBOs
+                    axios.get('/api/admin/sbo-profiles', { headers }), // Fetch SBOs
+                    axios.get('/api/products/tags')
                 ]);
                 this.sectors = sectorsRes.data;
                 this.brands = brandsRes.data;
                 this.sboProfiles = sboProfilesRes.data;
+                this.tags = tagsRes.data;
             } catch (err) {
                 console.error('Failed to fetch sectors/brands', err);
             }
@@ -1762,15 +2859,28 @@ document.addEventListener('alpine:init', () => {
                 this.imagePreviews.push(URL.createObjectURL(file));
             }
         },
-        async handleSubmit() {
+        // submit: send it for review (or publish, for reviewers) rather than keep it as a draft
+        async handleSubmit(submit) {
             this.loading = true; this.message = ''; this.error = false;
             const data = new FormData();
             for (const key in this.formData) { data.append(key, this.formData[key]); }
             for (const file of this.files) { data.append('images', file); }
+            data.append('submit', submit);
 
             try {
                 const token = Alpine.store('auth').token;
                 const response = await axios.post('/api/admin/products', data, { headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'multipart/form-data' } });
+                if (this.variants.length > 0) {
+                    try {
+                        await this.saveVariants(response.data.productId);
+                    } catch (variantErr) {
+                        // The product exists now; send them to the edit page to fix the variants.
+                        this.message = `Product created, but the variants were not saved: ${variantErr.response?.data?.message || 'unknown error'}. Redirecting to the editor...`;
+                        this.error = true;
+                        setTimeout(() => window.location.href = `/admin-edit-product.html?id=${response.data.productId}`, 2500);
+                        return;
+                    }
+                }
                 this.message = response.data.message + ' Redirecting...';
                 setTimeout(() => window.location.href = '/admin-products.html', 1500);
             } catch (err) {
@@ -1794,15 +2904,34 @@ document.addEventListener('alpine:init', () => {
         submitMessage: '',
         submitError: false,
         sboProfiles: [], // Add new array
+        tags: [],
+        pendingRevision: null, // Edits waiting for review, if the product is live
+        loadedStock: null, // Stock when the page was loaded; it's only sent if it was changed here
+        statusMessage: '',
+        statusError: false,
+        productStatusLabel: productStatusLabel,
+        productStatusBadge: productStatusBadge,
+        ...variantEditor(),
 
+        get pendingRevisionFields() {
+            return Object.keys(this.pendingRevision?.changes || {})
+                .map(field => field.replace(/_id$/, '').replace(/_/g, ' ')).join(', ');
+        },
 
-        // Helper getters/setters to handle date formatting for the input[type=date]
+        // Helper getters/setters to handle date formatting for the input[type=date].
+        // Local dates, so an untouched date saves as the same day (and doesn't look like an edit needing review).
+        _localDate(value) {
+            if (!value) return '';
+            const date = new Date(String(value).replace(' ', 'T'));
+            const pad = (number) => String(number).padStart(2, '0');
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        },
         get sale_start_date_formatted() {
-            return this.formData.sale_start_date ? new Date(this.formData.sale_start_date).toISOString().split('T')[0] : '';
+            return this._localDate(this.formData.sale_start_date);
         },
         set sale_start_date_formatted(value) { this.formData.sale_start_date = value; },
         get sale_end_date_formatted() {
-            return this.formData.sale_end_date ? new Date(this.formData.sale_end_date).toISOString().split('T')[0] : '';
+            return this._localDate(this.formData.sale_end_date);
         },
         set sale_end_date_formatted(value) { this.formData.sale_end_date = value; },
 
@@ -1831,7 +2960,7 @@ document.addEventListener('alpine:init', () => {
                 const headers = { 'Authorization': `Bearer ${token}` };
 
                 // THE FIX: Add the missing axios call for '/api/admin/sbo-profiles'
-                const [productRes, imagesRes, sectorsRes, brandsRes, sboProfilesRes] = await Promise.all([
+                const [productRes, imagesRes, sectorsRes, brandsRes, sboProfilesRes, variantsRes, tagsRes] = await Promise.all([
                     axios.get(`/api/admin/products/${this.productId}`, { headers }),
                     axios.get(`/api/admin/products/${this.productId}/images`, { headers }),
 
@@ -1840,16 +2969,24 @@ document.addEventListener('alpine:init', () => {
                     axios.get('/api/products/brands'),
 
                     // THIS WAS THE MISSING API CALL
-                    axios.get('/api/admin/sbo-profiles', { headers })
+                    axios.get('/api/admin/sbo-profiles', { headers }),
+                    axios.get(`/api/admin/products/${this.productId}/variants`, { headers }),
+                    axios.get('/api/products/tags')
                 ]);
 
-                this.formData = productRes.data;
+                // The form shows the changes waiting for review, so saving it again doesn't throw them away
+                const { pending_revision, ...product } = productRes.data;
+                this.formData = { ...product, ...(pending_revision?.changes || {}), stock_note: '' };
+                this.pendingRevision = pending_revision;
+                this.loadedStock = product.stock_quantity;
                 this.currentImages = imagesRes.data;
                 this.sectors = sectorsRes.data;
                 this.brands = brandsRes.data;
 
                 // This line will now work because sboProfilesRes exists
                 this.sboProfiles = sboProfilesRes.data;
+                this.tags = tagsRes.data;
+                this.loadVariants(variantsRes.data);
 
             } catch (err) {
                 this.fetchError = err.response?.data?.message || 'Failed to load product data for editing.';
@@ -1886,6 +3023,8 @@ document.addEventListener('alpine:init', () => {
             for (const key in this.formData) {
                 // Handle null/undefined values correctly
                 const value = this.formData[key];
+                // Untouched stock isn't sent, so sales made while the form was open aren't overwritten
+                if (key === 'stock_quantity' && Number(value) === Number(this.loadedStock)) continue;
                 if (value !== null && value !== undefined) {
                     data.append(key, value);
                 }
@@ -1906,6 +3045,7 @@ document.addEventListener('alpine:init', () => {
                         'Content-Type': 'multipart/form-data' // Crucial for sending files
                     }
                 });
+                await this.saveVariants(this.productId);
 
                 this.submitMessage = response.data.message + ' Redirecting...';
                 setTimeout(() => window.location.href = '/admin-products.html', 1500);
@@ -1916,6 +3056,40 @@ document.addEventListener('alpine:init', () => {
             } finally {
                 this.submitLoading = false;
             }
+        },
+
+        // action is submit or withdraw (see POST /api/admin/products/:id/status)
+        async changeStatus(action) {
+            this.statusMessage = ''; this.statusError = false;
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.post(`/api/admin/products/${this.productId}/status`, { action }, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                this.formData.status = response.data.status;
+                this.formData.rejection_reason = null;
+                this.statusMessage = response.data.message;
+            } catch (err) {
+                this.statusMessage = err.response?.data?.message || 'Failed to change the product status.';
+                this.statusError = true;
+            }
+        },
+
+        async withdrawRevision() {
+            if (!confirm('Withdraw your changes that are waiting for review?')) return;
+            this.statusMessage = ''; this.statusError = false;
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.delete(`/api/admin/products/${this.productId}/revision`, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                // Back to the live version in the form
+                await this.fetchInitialData();
+                this.statusMessage = response.data.message;
+            } catch (err) {
+                this.statusMessage = err.response?.data?.message || 'Failed to withdraw the changes.';
+                this.statusError = true;
+            }
         }
     }));
 
@@ -1928,6 +3102,7 @@ document.addEventListener('alpine:init', () => {
         // State for the 'Add Sector' form
         newSector: {
             name: '',
+            parent_id: '',
             image_url_file: null,
             hero_image_url_file: null,
             is_featured: false
@@ -1941,11 +3116,22 @@ document.addEventListener('alpine:init', () => {
         brandMessage: '',
         brandError: false,
         brandFormLoading: false,
+        // Tags, and the shelves that show them on sector pages
+        tags: [],
+        newTag: { name: '', description: '' },
+        tagMessage: '',
+        tagError: false,
+        shelfSectorId: '',
+        shelves: [],
+        shelfForm: { id: null, title: '', tag_id: '', sort_by: 'newest', item_limit: 10, position: 0, is_active: true },
+        shelfMessage: '',
+        shelfError: false,
+        shelfSorts: { newest: 'Newest', bestselling: 'Best selling (30 days)', price_asc: 'Price: low to high', price_desc: 'Price: high to low', name: 'Name' },
 
         init() {
-            // THE FIX: Use the hasRole() helper to check for permissions.
-            // This will correctly return 'true' for both Admins and Superadmins.
-            if (Alpine.store('auth').hasRole('Admin')) {
+            // THE FIX: Use the can() helper to check for permissions.
+            // This will correctly return 'true' for any role that has been granted the permission.
+            if (Alpine.store('auth').can('catalog.manage')) {
                 this.fetchCategories();
             } else {
                 // Also good practice to stop the loading spinner if the user is not authorized.
@@ -1954,7 +3140,7 @@ document.addEventListener('alpine:init', () => {
 
             // We can also add a watcher for robustness, in case the user logs in on this page.
             this.$watch('$store.auth.loggedIn', (isLoggedIn) => {
-                if (isLoggedIn && Alpine.store('auth').hasRole('Admin')) {
+                if (isLoggedIn && Alpine.store('auth').can('catalog.manage')) {
                     this.fetchCategories();
                 }
             });
@@ -1963,12 +3149,14 @@ document.addEventListener('alpine:init', () => {
         async fetchCategories() {
             this.loading = true;
             try {
-                const [sectorsRes, brandsRes] = await Promise.all([
+                const [sectorsRes, brandsRes, tagsRes] = await Promise.all([
                     axios.get('/api/products/sectors'),
-                    axios.get('/api/products/brands')
+                    axios.get('/api/products/brands'),
+                    axios.get('/api/products/tags')
                 ]);
                 this.sectors = sectorsRes.data;
                 this.brands = brandsRes.data;
+                this.tags = tagsRes.data;
             } catch (err) {
                 console.error(err);
             } finally {
@@ -1986,6 +3174,7 @@ document.addEventListener('alpine:init', () => {
             const data = new FormData();
             data.append('name', this.newSector.name);
             data.append('is_featured', this.newSector.is_featured);
+            if (this.newSector.parent_id) data.append('parent_id', this.newSector.parent_id);
 
             // 2. Append files ONLY if they have been selected
             if (this.newSector.image_url_file) {
@@ -1998,17 +3187,17 @@ document.addEventListener('alpine:init', () => {
             try {
                 const token = Alpine.store('auth').token;
                 // 3. Send the request with the correct headers
-                const response = await axios.post('/api/admin/sectors', data, {
+                await axios.post('/api/admin/sectors', data, {
                     headers: {
                         'Authorization': `Bearer ${token}`,
                         'Content-Type': 'multipart/form-data'
                     }
                 });
 
-                this.sectors.push(response.data);
-                this.sectors.sort((a, b) => a.name.localeCompare(b.name));
+                // Reload rather than insert locally, so the new sector lands in its place in the tree
+                await this.fetchSectors();
                 // Reset the form object and clear file inputs if needed
-                this.newSector = { name: '', image_url_file: null, hero_image_url_file: null, is_featured: false };
+                this.newSector = { name: '', parent_id: '', image_url_file: null, hero_image_url_file: null, is_featured: false };
                 this.sectorMessage = 'Sector added!';
                 window.dispatchEvent(new CustomEvent('content-updated'));
 
@@ -2029,9 +3218,30 @@ document.addEventListener('alpine:init', () => {
                 // THE FIX: Use '==' for loose comparison to handle "26" == 26
                 // Or, even better, coerce both to numbers for a strict, reliable comparison.
                 this.sectors = this.sectors.filter(s => Number(s.id) !== Number(sectorId));
+                // Its sub-sectors have moved up a level
+                await this.fetchSectors();
 
             } catch (err) { alert('Failed to delete sector.'); }
         },
+
+        async fetchSectors() {
+            const response = await axios.get('/api/products/sectors');
+            this.sectors = response.data;
+        },
+
+        async moveSector(sector, parentId) {
+            try {
+                const token = Alpine.store('auth').token;
+                await axios.put(`/api/admin/sectors/${sector.id}`,
+                    { parent_id: parentId || null },
+                    { headers: { 'Authorization': `Bearer ${token}` } }
+                );
+            } catch (err) {
+                alert(err.response?.data?.message || 'Failed to move sector.');
+            }
+            // Reload either way: on success to re-order the tree, on failure to undo the picker
+            await this.fetchSectors();
+        },
         // --- Brand Methods ---
         async addBrand() {
             this.brandMessage = '';
@@ -2068,6 +3278,96 @@ document.addEventListener('alpine:init', () => {
                 this.brands = this.brands.filter(b => Number(b.id) !== Number(brandId));
 
             } catch (err) { alert('Failed to delete brand.'); }
+        },
+
+        // --- Tag Methods ---
+        async addTag() {
+            this.tagMessage = ''; this.tagError = false;
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.post('/api/admin/tags', this.newTag, { headers: { 'Authorization': `Bearer ${token}` } });
+                this.tags.push(response.data);
+                this.tags.sort((a, b) => a.name.localeCompare(b.name));
+                this.newTag = { name: '', description: '' };
+                this.tagMessage = 'Tag added!';
+            } catch (err) {
+                this.tagError = true;
+                this.tagMessage = err.response?.data?.message || 'Failed to add tag.';
+            }
+        },
+
+        async renameTag(tag) {
+            const name = prompt('New name for this tag:', tag.name);
+            if (!name || name === tag.name) return;
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.put(`/api/admin/tags/${tag.id}`,
+                    { name, description: tag.description },
+                    { headers: { 'Authorization': `Bearer ${token}` } }
+                );
+                Object.assign(tag, response.data);
+            } catch (err) { alert(err.response?.data?.message || 'Failed to rename tag.'); }
+        },
+
+        async deleteTag(tagId) {
+            if (!confirm('Are you sure? The tag will be removed from its products, and any shelves showing it will be deleted.')) return;
+            try {
+                const token = Alpine.store('auth').token;
+                await axios.delete(`/api/admin/tags/${tagId}`, { headers: { 'Authorization': `Bearer ${token}` } });
+                this.tags = this.tags.filter(t => Number(t.id) !== Number(tagId));
+                if (this.shelfSectorId) this.fetchShelves();
+            } catch (err) { alert('Failed to delete tag.'); }
+        },
+
+        // --- Shelf Methods ---
+        async fetchShelves() {
+            this.shelves = [];
+            this.resetShelfForm();
+            if (!this.shelfSectorId) return;
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.get(`/api/admin/sectors/${this.shelfSectorId}/shelves`, { headers: { 'Authorization': `Bearer ${token}` } });
+                this.shelves = response.data;
+            } catch (err) { console.error(err); }
+        },
+
+        resetShelfForm() {
+            this.shelfForm = { id: null, title: '', tag_id: '', sort_by: 'newest', item_limit: 10, position: this.shelves.length, is_active: true };
+        },
+
+        editShelf(shelf) {
+            this.shelfMessage = '';
+            this.shelfForm = {
+                id: shelf.id, title: shelf.title, tag_id: shelf.tag_id || '', sort_by: shelf.sort_by,
+                item_limit: shelf.item_limit, position: shelf.position, is_active: Boolean(shelf.is_active)
+            };
+        },
+
+        async saveShelf() {
+            this.shelfMessage = ''; this.shelfError = false;
+            const payload = { ...this.shelfForm, tag_id: this.shelfForm.tag_id || null };
+            try {
+                const headers = { 'Authorization': `Bearer ${Alpine.store('auth').token}` };
+                if (this.shelfForm.id) {
+                    await axios.put(`/api/admin/shelves/${this.shelfForm.id}`, payload, { headers });
+                } else {
+                    await axios.post(`/api/admin/sectors/${this.shelfSectorId}/shelves`, payload, { headers });
+                }
+                await this.fetchShelves();
+                this.shelfMessage = 'Shelf saved!';
+            } catch (err) {
+                this.shelfError = true;
+                this.shelfMessage = err.response?.data?.message || 'Failed to save shelf.';
+            }
+        },
+
+        async deleteShelf(shelfId) {
+            if (!confirm('Remove this shelf from the sector page?')) return;
+            try {
+                const token = Alpine.store('auth').token;
+                await axios.delete(`/api/admin/shelves/${shelfId}`, { headers: { 'Authorization': `Bearer ${token}` } });
+                await this.fetchShelves();
+            } catch (err) { alert('Failed to delete shelf.'); }
         }
     }));
 
@@ -2102,7 +3402,7 @@ document.addEventListener('alpine:init', () => {
             // This watcher will run whenever the user's login state changes.
             this.$watch('$store.auth.loggedIn', (isLoggedIn) => {
                 // We also check the role to be safe.
-                if (isLoggedIn && Alpine.store('auth').hasRole('Admin')) {
+                if (isLoggedIn && Alpine.store('auth').can('content.publish')) {
                     this.fetchAllContent();
                 } else {
                     // If the user logs out or is not an admin, clear the data.
@@ -2113,7 +3413,7 @@ document.addEventListener('alpine:init', () => {
             });
 
             // This handles the initial page load if the user is already logged in.
-            if (Alpine.store('auth').loggedIn && Alpine.store('auth').hasRole('Admin')) {
+            if (Alpine.store('auth').loggedIn && Alpine.store('auth').can('content.publish')) {
                 this.fetchAllContent();
             } else {
                 // If they aren't logged in on page load, we can stop the loading spinner.
@@ -2388,7 +3688,7 @@ document.addEventListener('alpine:init', () => {
             finally { this.loading = false; }
         },
         searchOrders() { this.fetchOrders(1); },
-        formatPrice: formatPrice,
+        formatPrice: formatBasePrice,
     }));
 
     // 27
@@ -2450,7 +3750,7 @@ document.addEventListener('alpine:init', () => {
             }
         },
 
-        formatPrice: formatPrice,
+        formatPrice: formatBasePrice,
     }));
 
     // 28
@@ -2464,9 +3764,9 @@ document.addEventListener('alpine:init', () => {
         userProfileModal: null,
 
         init() {
-            // THE FIX: Use the hasRole() helper to check for permissions.
-            // This will correctly return 'true' for both Admins and Superadmins.
-            if (Alpine.store('auth').hasRole('Admin')) {
+            // THE FIX: Use the can() helper to check for permissions.
+            // This will correctly return 'true' for any role that has been granted the permission.
+            if (Alpine.store('auth').can('innovations.view')) {
                 this.fetchSubmissions();
             } else {
                 // Also good practice to stop the loading spinner if the user is not authorized.
@@ -2475,7 +3775,7 @@ document.addEventListener('alpine:init', () => {
 
             // We can also add a watcher for robustness, in case the user logs in on this page.
             this.$watch('$store.auth.loggedIn', (isLoggedIn) => {
-                if (isLoggedIn && Alpine.store('auth').hasRole('Admin')) {
+                if (isLoggedIn && Alpine.store('auth').can('innovations.view')) {
                     this.fetchSubmissions();
                 }
             });
@@ -2516,9 +3816,9 @@ document.addEventListener('alpine:init', () => {
     Alpine.data('adminBusinessInquiriesPage', () => ({
         inquiries: [], loading: true, error: '', currentPage: 1, totalPages: 1,
         init() {
-            // THE FIX: Use the hasRole() helper to check for permissions.
-            // This will correctly return 'true' for both Admins and Superadmins.
-            if (Alpine.store('auth').hasRole('Admin')) {
+            // THE FIX: Use the can() helper to check for permissions.
+            // This will correctly return 'true' for any role that has been granted the permission.
+            if (Alpine.store('auth').can('inquiries.manage')) {
                 this.fetchInquiries();
             } else {
                 // Also good practice to stop the loading spinner if the user is not authorized.
@@ -2527,7 +3827,7 @@ document.addEventListener('alpine:init', () => {
 
             // We can also add a watcher for robustness, in case the user logs in on this page.
             this.$watch('$store.auth.loggedIn', (isLoggedIn) => {
-                if (isLoggedIn && Alpine.store('auth').hasRole('Admin')) {
+                if (isLoggedIn && Alpine.store('auth').can('inquiries.manage')) {
                     this.fetchInquiries();
                 }
             });
@@ -2564,7 +3864,7 @@ document.addEventListener('alpine:init', () => {
         inquiryTotalPages: 1,
 
         init() {
-            if (Alpine.store('auth').hasRole('Admin')) {
+            if (Alpine.store('auth').can('sbo.review')) {
                 this.fetchSboApplications();
                 this.fetchBusinessInquiries();
             } else {
@@ -2629,6 +3929,7 @@ document.addEventListener('alpine:init', () => {
     // public/js/main.js
     Alpine.data('productListPage', () => ({
         products: [],
+        ratingStars: ratingStars,
         loading: true,
         pageTitle: '',
         showSearch: false,
@@ -2796,7 +4097,7 @@ document.addEventListener('alpine:init', () => {
         formError: false,
 
         init() {
-            if (Alpine.store('auth').hasRole('Admin')) {
+            if (Alpine.store('auth').can('vendors.manage')) {
                 this.fetchInitialData();
             }
         },
@@ -2870,10 +4171,1186 @@ document.addEventListener('alpine:init', () => {
         }
     }));
 
+    //================================================================
+    // 34. PASSWORD RESET PAGE COMPONENT (reset-password.html)
+    // Without a token it asks for an email; with ?token= it asks for the new password.
+    //================================================================
+    Alpine.data('passwordResetPage', () => ({
+        token: new URLSearchParams(window.location.search).get('token'),
+        email: '',
+        newPassword: '',
+        confirmPassword: '',
+        loading: false,
+        message: '',
+        isError: false,
+        done: false,
+
+        async requestReset() {
+            this.loading = true; this.message = ''; this.isError = false;
+            try {
+                const response = await axios.post('/api/users/forgot-password', { email: this.email });
+                this.message = response.data.message;
+                this.done = true;
+            } catch (error) {
+                this.message = error.response?.data?.message || 'Could not request a password reset.';
+                this.isError = true;
+            } finally {
+                this.loading = false;
+            }
+        },
+
+        async resetPassword() {
+            this.message = ''; this.isError = false;
+            if (this.newPassword !== this.confirmPassword) {
+                this.message = 'Passwords do not match.';
+                this.isError = true;
+                return;
+            }
+            this.loading = true;
+            try {
+                const response = await axios.post('/api/users/reset-password', {
+                    token: this.token,
+                    newPassword: this.newPassword
+                });
+                this.message = response.data.message;
+                this.done = true;
+            } catch (error) {
+                this.message = error.response?.data?.message || 'Could not reset your password.';
+                this.isError = true;
+            } finally {
+                this.loading = false;
+            }
+        }
+    }));
+
+    //================================================================
+    // 35. EMAIL VERIFICATION PAGE COMPONENT (verify-email.html)
+    //================================================================
+    Alpine.data('verifyEmailPage', () => ({
+        loading: true,
+        verified: false,
+        message: '',
+        identifier: '',
+        resendMessage: '',
+
+        async init() {
+            const token = new URLSearchParams(window.location.search).get('token');
+            if (!token) {
+                this.message = 'This verification link is missing its token.';
+                this.loading = false;
+                return;
+            }
+            try {
+                const response = await axios.post('/api/users/verify-email', { token });
+                this.message = response.data.message;
+                this.verified = true;
+
+                // If they're already logged in on this browser, update the stored user too.
+                const auth = Alpine.store('auth');
+                if (auth.loggedIn) auth.updateUser({ ...auth.user, emailVerified: true });
+            } catch (error) {
+                this.message = error.response?.data?.message || 'Could not verify your email address.';
+            } finally {
+                this.loading = false;
+            }
+        },
+
+        async resend() {
+            try {
+                const response = await axios.post('/api/users/resend-verification', { identifier: this.identifier });
+                this.resendMessage = response.data.message;
+            } catch (error) {
+                this.resendMessage = error.response?.data?.message || 'Could not send a new verification email.';
+            }
+        }
+    }));
+
+    //================================================================
+    // 36. ADMIN LOGIN ATTEMPTS COMPONENT (admin-login-attempts.html)
+    //================================================================
+    Alpine.data('adminLoginAttemptsPage', () => ({
+        attempts: [],
+        loading: true,
+        message: '',
+        error: false,
+        filters: { identifier: '', ip: '', success: '' },
+        currentPage: 1,
+        totalPages: 1,
+
+        init() {
+            // Allow linking straight to one account's attempts, e.g. ?identifier=bob
+            const params = new URLSearchParams(window.location.search);
+            this.filters.identifier = params.get('identifier') || '';
+            this.fetchAttempts(1);
+        },
+
+        async fetchAttempts(page = 1) {
+            if (page < 1 || (page > this.totalPages && this.totalPages > 0)) return;
+            this.loading = true;
+            try {
+                const token = Alpine.store('auth').token;
+                const params = new URLSearchParams({ page, ...this.filters });
+                const response = await axios.get(`/api/admin/login-attempts?${params.toString()}`, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                this.attempts = response.data.attempts;
+                this.currentPage = response.data.currentPage;
+                this.totalPages = response.data.totalPages;
+            } catch (err) {
+                this.message = 'Failed to load login attempts.';
+                this.error = true;
+                console.error('Fetch login attempts error:', err);
+            } finally {
+                this.loading = false;
+            }
+        },
+
+        isLocked(attempt) {
+            return attempt.locked_until && new Date(attempt.locked_until) > new Date();
+        },
+
+        async unlockUser(userId) {
+            if (!confirm('Unlock this account now?')) return;
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.post(`/api/admin/users/${userId}/unlock`, {}, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                this.attempts.filter(a => a.user_id === userId).forEach(a => { a.locked_until = null; });
+                this.message = response.data.message;
+                this.error = false;
+            } catch (err) {
+                this.message = err.response ? err.response.data.message : 'Failed to unlock account.';
+                this.error = true;
+            }
+        }
+    }));
+
+    //================================================================
+    // 37. ADMIN ROLES PAGE COMPONENT (admin-roles.html)
+    //================================================================
+    Alpine.data('adminRolesPage', () => ({
+        roles: [],
+        permissions: [],
+        loading: true,
+        saving: false,
+        creating: false,
+        message: '',
+        error: false,
+        form: { id: null, name: '', description: '', is_system: false, permissions: [] },
+
+        init() {
+            if (Alpine.store('auth').can('roles.manage')) {
+                this.fetchAll();
+            } else {
+                this.loading = false;
+            }
+        },
+
+        async fetchAll() {
+            this.loading = true;
+            try {
+                const headers = { 'Authorization': `Bearer ${Alpine.store('auth').token}` };
+                const [rolesRes, permissionsRes] = await Promise.all([
+                    axios.get('/api/roles', { headers }),
+                    axios.get('/api/roles/permissions', { headers })
+                ]);
+                this.roles = rolesRes.data;
+                this.permissions = permissionsRes.data;
+            } catch (err) {
+                this.message = 'Failed to load roles.';
+                this.error = true;
+                console.error('Fetch roles error:', err);
+            } finally {
+                this.loading = false;
+            }
+        },
+
+        editRole(role) {
+            this.creating = false;
+            this.message = '';
+            this.form = { ...role, description: role.description || '', permissions: [...role.permissions] };
+        },
+
+        newRole() {
+            this.creating = true;
+            this.message = '';
+            this.form = { id: null, name: '', description: '', is_system: false, permissions: [] };
+        },
+
+        async saveRole() {
+            this.saving = true; this.message = '';
+            try {
+                const headers = { 'Authorization': `Bearer ${Alpine.store('auth').token}` };
+                const payload = {
+                    description: this.form.description,
+                    permissions: this.form.permissions
+                };
+                if (!this.form.is_system) payload.name = this.form.name;
+
+                const response = this.form.id === null
+                    ? await axios.post('/api/roles', payload, { headers })
+                    : await axios.put(`/api/roles/${this.form.id}`, payload, { headers });
+
+                const savedId = this.form.id ?? response.data.id;
+                await this.fetchAll();
+                const saved = this.roles.find(role => role.id === savedId);
+                if (saved) this.editRole(saved);
+                this.message = response.data.message;
+                this.error = false;
+            } catch (err) {
+                this.message = err.response ? err.response.data.message : 'Failed to save role.';
+                this.error = true;
+            } finally {
+                this.saving = false;
+            }
+        },
+
+        async deleteRole() {
+            if (!confirm(`Delete the ${this.form.name} role?`)) return;
+            this.message = '';
+            try {
+                const response = await axios.delete(`/api/roles/${this.form.id}`, {
+                    headers: { 'Authorization': `Bearer ${Alpine.store('auth').token}` }
+                });
+                this.roles = this.roles.filter(role => role.id !== this.form.id);
+                this.form = { id: null, name: '', description: '', is_system: false, permissions: [] };
+                this.message = response.data.message;
+                this.error = false;
+            } catch (err) {
+                this.message = err.response ? err.response.data.message : 'Failed to delete role.';
+                this.error = true;
+            }
+        }
+    }));
+
+    //================================================================
+    // 38. ADMIN AUDIT LOG COMPONENT (admin-audit-log.html)
+    //================================================================
+    Alpine.data('adminAuditLogPage', () => ({
+        entries: [],
+        loading: true,
+        message: '',
+        selected: null,
+        filters: { actor: '', action: '', entityType: '', entityId: '', from: '', to: '' },
+        entityTypes: [
+            'business_inquiry', 'brand', 'hero_slide', 'job_post', 'order', 'product', 'product_image',
+            'product_question', 'review', 'role', 'sbo_profile', 'sector', 'sector_shelf', 'shop_section', 'tag', 'user',
+            'vendor_location'
+        ],
+        currentPage: 1,
+        totalPages: 1,
+
+        init() {
+            // Allow linking straight to one thing's history, e.g. ?entityType=order&entityId=42
+            const params = new URLSearchParams(window.location.search);
+            Object.keys(this.filters).forEach(key => { this.filters[key] = params.get(key) || ''; });
+            if (Alpine.store('auth').can('audit.view')) {
+                this.fetchEntries(1);
+            } else {
+                this.loading = false;
+            }
+        },
+
+        async fetchEntries(page = 1) {
+            if (page < 1 || (page > this.totalPages && this.totalPages > 0)) return;
+            this.loading = true; this.message = ''; this.selected = null;
+            try {
+                const token = Alpine.store('auth').token;
+                // Only send the filters that are set
+                const query = Object.fromEntries(Object.entries(this.filters).filter(([, value]) => value));
+                const params = new URLSearchParams({ page, ...query });
+                const response = await axios.get(`/api/admin/audit-log?${params.toString()}`, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                this.entries = response.data.entries;
+                this.currentPage = response.data.currentPage;
+                this.totalPages = response.data.totalPages;
+            } catch (err) {
+                this.message = 'Failed to load the audit log.';
+                console.error('Fetch audit log error:', err);
+            } finally {
+                this.loading = false;
+            }
+        },
+
+        // Snapshots may arrive as objects or JSON strings depending on the MySQL driver settings
+        parseSnapshot(data) {
+            if (!data) return null;
+            return typeof data === 'string' ? JSON.parse(data) : data;
+        },
+
+        formatSnapshot(data) {
+            const snapshot = this.parseSnapshot(data);
+            return snapshot ? JSON.stringify(snapshot, null, 2) : '—';
+        },
+
+        // The top-level fields whose value differs between the before and after snapshots
+        changedFields(entry) {
+            const before = this.parseSnapshot(entry.before_data) || {};
+            const after = this.parseSnapshot(entry.after_data) || {};
+            if (!entry.before_data || !entry.after_data) return [];
+            return Object.keys({ ...before, ...after })
+                .filter(key => key !== 'updated_at' && JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+        }
+    }));
+
+    //================================================================
+    // 39. ADMIN REVIEW MODERATION COMPONENT (admin-reviews.html)
+    //================================================================
+    Alpine.data('adminReviewsPage', () => ({
+        reviews: [],
+        status: 'flagged',
+        loading: true,
+        message: '',
+        error: false,
+        currentPage: 1,
+        totalPages: 1,
+        ratingStars: ratingStars,
+
+        init() {
+            this.fetchReviews(1);
+        },
+
+        async fetchReviews(page = 1) {
+            if (page < 1 || (page > this.totalPages && this.totalPages > 0)) return;
+            this.loading = true;
+            try {
+                const token = Alpine.store('auth').token;
+                const params = new URLSearchParams({ status: this.status, page });
+                const response = await axios.get(`/api/reviews/moderation?${params.toString()}`, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                this.reviews = response.data.reviews;
+                this.currentPage = response.data.currentPage;
+                this.totalPages = response.data.totalPages;
+            } catch (err) {
+                this.message = 'Failed to load reviews.';
+                this.error = true;
+                console.error('Fetch reviews error:', err);
+            } finally {
+                this.loading = false;
+            }
+        },
+
+        async moderate(review, decision) {
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.put(`/api/reviews/${review.id}/moderation`, { decision }, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                this.reviews = this.reviews.filter(r => r.id !== review.id);
+                this.message = response.data.message;
+                this.error = false;
+            } catch (err) {
+                this.message = err.response?.data?.message || 'Failed to update the review.';
+                this.error = true;
+            }
+        },
+
+        async deleteReview(review) {
+            if (!confirm('Delete this review permanently?')) return;
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.delete(`/api/reviews/${review.id}`, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                this.reviews = this.reviews.filter(r => r.id !== review.id);
+                this.message = response.data.message;
+                this.error = false;
+            } catch (err) {
+                this.message = err.response?.data?.message || 'Failed to delete the review.';
+                this.error = true;
+            }
+        }
+    }));
+
+    //================================================================
+    // 40. PRODUCT QUESTIONS INBOX COMPONENT (admin-questions.html)
+    //================================================================
+    Alpine.data('adminQuestionsPage', () => ({
+        questions: [],
+        status: 'unanswered',
+        drafts: {}, // question id -> answer being written
+        loading: true,
+        message: '',
+        error: false,
+        currentPage: 1,
+        totalPages: 1,
+
+        init() {
+            this.fetchQuestions(1);
+        },
+
+        async fetchQuestions(page = 1) {
+            if (page < 1 || (page > this.totalPages && this.totalPages > 0)) return;
+            this.loading = true;
+            try {
+                const token = Alpine.store('auth').token;
+                const params = new URLSearchParams({ status: this.status, page });
+                const response = await axios.get(`/api/questions/inbox?${params.toString()}`, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                this.questions = response.data.questions;
+                this.currentPage = response.data.currentPage;
+                this.totalPages = response.data.totalPages;
+            } catch (err) {
+                this.message = 'Failed to load questions.';
+                this.error = true;
+                console.error('Fetch questions error:', err);
+            } finally {
+                this.loading = false;
+            }
+        },
+
+        async saveAnswer(question) {
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.put(`/api/questions/${question.id}/answer`,
+                    { answer: this.drafts[question.id] ?? question.answer ?? '' },
+                    { headers: { 'Authorization': `Bearer ${token}` } }
+                );
+                delete this.drafts[question.id];
+                this.message = response.data.message;
+                this.error = false;
+                await this.fetchQuestions(this.currentPage);
+            } catch (err) {
+                this.message = err.response?.data?.message || 'Failed to save the answer.';
+                this.error = true;
+            }
+        },
+
+        async deleteQuestion(question) {
+            if (!confirm('Delete this question permanently?')) return;
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.delete(`/api/questions/${question.id}`, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                this.questions = this.questions.filter(q => q.id !== question.id);
+                this.message = response.data.message;
+                this.error = false;
+            } catch (err) {
+                this.message = err.response?.data?.message || 'Failed to delete the question.';
+                this.error = true;
+            }
+        }
+    }));
+
+    //================================================================
+    // 41. WISHLISTS PAGE COMPONENT (wishlist.html, and wishlist.html?share=<token> for shared lists)
+    //================================================================
+    Alpine.data('wishlistPage', () => ({
+        wishlists: [],
+        selected: null, // the open list, with its items
+        shareToken: null,
+        shared: null, // a list someone else shared
+        newListName: '',
+        loading: true,
+        message: '',
+        error: false,
+        showSearch: false,
+        formatPrice: formatPrice,
+        optimizeImage: window.optimizeImage,
+
+        get shareUrl() {
+            return this.selected?.share_token ? `${window.location.origin}/wishlist.html?share=${this.selected.share_token}` : '';
+        },
+
+        init() {
+            this.shareToken = new URLSearchParams(window.location.search).get('share');
+            if (this.shareToken) this.fetchShared();
+            else if (Alpine.store('auth').loggedIn) this.fetchWishlists();
+            else this.loading = false;
+        },
+
+        _headers() {
+            return { headers: { 'Authorization': `Bearer ${Alpine.store('auth').token}` } };
+        },
+
+        _showMessage(text, isError = false) {
+            this.message = text;
+            this.error = isError;
+        },
+
+        async fetchShared() {
+            try {
+                const response = await axios.get(`/api/wishlists/shared/${encodeURIComponent(this.shareToken)}`);
+                this.shared = response.data;
+            } catch (err) {
+                this._showMessage(err.response?.data?.message || 'Failed to load the wishlist.', true);
+            } finally {
+                this.loading = false;
+            }
+        },
+
+        async fetchWishlists(selectId = null) {
+            try {
+                const response = await axios.get('/api/wishlists', this._headers());
+                this.wishlists = response.data;
+                const id = selectId || this.selected?.id || this.wishlists[0]?.id;
+                if (id && this.wishlists.some(list => list.id === id)) await this.selectList(id);
+                else this.selected = null;
+            } catch (err) {
+                this._showMessage('Failed to load your wishlists.', true);
+                console.error('Fetch wishlists error:', err);
+            } finally {
+                this.loading = false;
+            }
+        },
+
+        async selectList(id) {
+            try {
+                const response = await axios.get(`/api/wishlists/${id}`, this._headers());
+                this.selected = response.data;
+            } catch (err) {
+                this._showMessage('Failed to load the list.', true);
+            }
+        },
+
+        async createList() {
+            if (!this.newListName.trim()) return;
+            try {
+                const response = await axios.post('/api/wishlists', { name: this.newListName }, this._headers());
+                this.newListName = '';
+                this._showMessage(response.data.message);
+                await this.fetchWishlists(response.data.id);
+            } catch (err) {
+                this._showMessage(err.response?.data?.message || 'Failed to create the list.', true);
+            }
+        },
+
+        async renameList() {
+            const name = prompt('Rename this list', this.selected.name);
+            if (!name || name === this.selected.name) return;
+            await this._updateList({ name });
+        },
+
+        async toggleSharing() {
+            await this._updateList({ is_public: !this.selected.is_public });
+        },
+
+        async _updateList(changes) {
+            try {
+                const response = await axios.put(`/api/wishlists/${this.selected.id}`, changes, this._headers());
+                this._showMessage(response.data.message);
+                await this.fetchWishlists();
+            } catch (err) {
+                this._showMessage(err.response?.data?.message || 'Failed to update the list.', true);
+            }
+        },
+
+        async copyShareLink() {
+            try {
+                await navigator.clipboard.writeText(this.shareUrl);
+                this._showMessage('Link copied.');
+            } catch (err) {
+                this._showMessage('Copy the link from the box above.', true);
+            }
+        },
+
+        async deleteList() {
+            if (!confirm(`Delete "${this.selected.name}" and everything on it?`)) return;
+            try {
+                const response = await axios.delete(`/api/wishlists/${this.selected.id}`, this._headers());
+                this.selected = null;
+                this._showMessage(response.data.message);
+                await this.fetchWishlists();
+            } catch (err) {
+                this._showMessage(err.response?.data?.message || 'Failed to delete the list.', true);
+            }
+        },
+
+        async removeItem(item) {
+            try {
+                await axios.delete(`/api/wishlists/${this.selected.id}/items/${item.id}`, this._headers());
+                await this.fetchWishlists();
+            } catch (err) {
+                this._showMessage(err.response?.data?.message || 'Failed to remove the item.', true);
+            }
+        },
+
+        async addToCart(item) {
+            // A product saved without choosing a variant needs its options picked on the product page
+            const result = await Alpine.store('cart').addItem(item.product_id, 1, item.variant_id);
+            this._showMessage(result.message, !result.success);
+        },
+
+        toggleSearch() {
+            this.showSearch = !this.showSearch;
+        }
+    }));
+
+    //================================================================
+    // 42. PRODUCT CSV IMPORT/EXPORT COMPONENT (admin-import-products.html)
+    //================================================================
+    Alpine.data('adminImportProductsPage', () => ({
+        file: null,
+        report: null, // The last preview or import result from the server
+        sboProfiles: [], // Staff can import into a seller's catalogue
+        sboProfileId: '',
+        previewing: false,
+        importing: false,
+        exporting: false,
+        message: '',
+        error: false,
+
+        init() {
+            if (Alpine.store('auth').can('products.manage_all')) this.fetchSboProfiles();
+        },
+
+        _params(extra = {}) {
+            const params = new URLSearchParams(extra);
+            if (this.sboProfileId) params.set('sboProfileId', this.sboProfileId);
+            return params.toString();
+        },
+
+        get canImport() {
+            return this.report && this.report.dryRun && this.report.fileErrors.length === 0
+                && this.report.summary.withErrors === 0 && (this.report.summary.create + this.report.summary.update) > 0;
+        },
+
+        async fetchSboProfiles() {
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.get('/api/admin/sbo-profiles', { headers: { 'Authorization': `Bearer ${token}` } });
+                this.sboProfiles = response.data;
+            } catch (err) {
+                console.error('Failed to fetch SBO profiles', err);
+            }
+        },
+
+        handleFileSelect(event) {
+            this.file = event.target.files[0] || null;
+            this.report = null;
+            this.message = '';
+        },
+
+        // Sends the file with dryRun=true for a preview, or for real once the preview is clean
+        async upload(dryRun) {
+            if (!this.file) return;
+            this[dryRun ? 'previewing' : 'importing'] = true;
+            this.message = ''; this.error = false;
+            const data = new FormData();
+            data.append('file', this.file);
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.post(`/api/admin/products/import?${this._params({ dryRun })}`, data, {
+                    headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'multipart/form-data' }
+                });
+                this.report = response.data;
+                if (!dryRun) this.message = response.data.message;
+            } catch (err) {
+                // A refused import still sends back the per-row report
+                if (err.response?.data?.rows) this.report = err.response.data;
+                this.message = err.response?.data?.message || 'Failed to read the file.';
+                this.error = true;
+            } finally {
+                this.previewing = false; this.importing = false;
+            }
+        },
+
+        async exportCsv() {
+            this.exporting = true; this.message = '';
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.get(`/api/admin/products/export?${this._params()}`, {
+                    headers: { 'Authorization': `Bearer ${token}` },
+                    responseType: 'blob'
+                });
+                const disposition = response.headers['content-disposition'] || '';
+                const match = disposition.match(/filename="(.+)"/);
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(response.data);
+                link.download = match ? match[1] : 'products.csv';
+                link.click();
+                URL.revokeObjectURL(link.href);
+            } catch (err) {
+                this.message = 'Failed to export products.';
+                this.error = true;
+            } finally {
+                this.exporting = false;
+            }
+        },
+
+        actionBadge(row) {
+            if (row.errors.length > 0) return 'bg-danger';
+            return { create: 'bg-success', update: 'bg-primary', unchanged: 'bg-secondary' }[row.action];
+        }
+    }));
+
+    //================================================================
+    // 43. PRODUCT REVIEW QUEUE COMPONENT (admin-approvals.html)
+    //================================================================
+    Alpine.data('adminApprovalsPage', () => ({
+        type: 'products', // products (new ones waiting to go live) or edits (to live ones)
+        items: [],
+        counts: { products: 0, edits: 0 },
+        reasons: {}, // item id -> rejection reason being written
+        loading: true,
+        message: '',
+        error: false,
+        currentPage: 1,
+        totalPages: 1,
+        formatPrice: formatBasePrice,
+
+        init() {
+            this.fetchQueue(1);
+        },
+
+        async fetchQueue(page = 1) {
+            if (page < 1 || (page > this.totalPages && this.totalPages > 0)) return;
+            this.loading = true;
+            try {
+                const token = Alpine.store('auth').token;
+                const params = new URLSearchParams({ type: this.type, page });
+                const response = await axios.get(`/api/approvals?${params.toString()}`, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                this.items = response.data.items;
+                this.counts = response.data.counts;
+                this.currentPage = response.data.currentPage;
+                this.totalPages = response.data.totalPages;
+            } catch (err) {
+                this.message = 'Failed to load the review queue.';
+                this.error = true;
+                console.error('Fetch approval queue error:', err);
+            } finally {
+                this.loading = false;
+            }
+        },
+
+        displayValue(field, value) {
+            if (value === null || value === undefined || value === '') return '(none)';
+            if (['price', 'sale_price'].includes(field)) return formatBasePrice(value);
+            if (['sale_start_date', 'sale_end_date'].includes(field)) return new Date(String(value).replace(' ', 'T')).toLocaleString();
+            return value;
+        },
+
+        async decide(item, decision) {
+            const reason = (this.reasons[item.id] || '').trim();
+            if (decision === 'reject' && reason.length < 5) {
+                this.message = 'Write a reason for rejecting; it is sent to the seller.';
+                this.error = true;
+                return;
+            }
+            this.message = ''; this.error = false;
+            try {
+                const token = Alpine.store('auth').token;
+                const url = this.type === 'products' ? `/api/approvals/products/${item.id}` : `/api/approvals/revisions/${item.id}`;
+                const response = await axios.post(url, { decision, reason }, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                this.message = response.data.message;
+                delete this.reasons[item.id];
+                await this.fetchQueue(this.items.length === 1 ? Math.max(this.currentPage - 1, 1) : this.currentPage);
+            } catch (err) {
+                this.message = err.response?.data?.message || 'Failed to save the decision.';
+                this.error = true;
+            }
+        }
+    }));
+
+    //================================================================
+    // 44. PRODUCT STOCK HISTORY COMPONENT (admin-product-stock.html?id=<productId>)
+    //================================================================
+    Alpine.data('adminProductStockPage', () => ({
+        productId: new URLSearchParams(window.location.search).get('id'),
+        product: null,
+        movements: [],
+        drift: [], // Stock that doesn't match the ledger
+        reasons: [], // The reasons that can be picked by hand
+        form: { variant_id: '', reason: 'restock', change: '', note: '', order_id: '' },
+        loading: true,
+        saving: false,
+        message: '',
+        error: false,
+        currentPage: 1,
+        totalPages: 1,
+
+        init() {
+            if (!this.productId) {
+                this.message = 'No product was chosen.';
+                this.error = true;
+                this.loading = false;
+                return;
+            }
+            this.fetchHistory(1);
+        },
+
+        async fetchHistory(page = 1) {
+            if (page < 1 || (page > this.totalPages && this.totalPages > 0)) return;
+            this.loading = true;
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.get(`/api/admin/products/${this.productId}/stock?page=${page}`, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                this.product = response.data.product;
+                this.movements = response.data.movements;
+                this.drift = response.data.drift;
+                this.reasons = response.data.reasons;
+                this.currentPage = response.data.currentPage;
+                this.totalPages = response.data.totalPages;
+            } catch (err) {
+                this.message = err.response?.data?.message || 'Failed to load the stock history.';
+                this.error = true;
+                console.error('Fetch stock history error:', err);
+            } finally {
+                this.loading = false;
+            }
+        },
+
+        reasonLabel(reason) {
+            return {
+                initial: 'Opening stock', sale: 'Sale', adjustment: 'Adjustment', return: 'Return',
+                restock: 'Restock', cancellation: 'Order cancelled', import: 'CSV import'
+            }[reason] || reason;
+        },
+
+        formatChange(change) {
+            return change > 0 ? `+${change}` : String(change);
+        },
+
+        async submitMovement() {
+            this.saving = true;
+            this.message = ''; this.error = false;
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.post(`/api/admin/products/${this.productId}/stock`, this.form, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                this.message = response.data.message;
+                this.form = { ...this.form, change: '', note: '', order_id: '' };
+                await this.fetchHistory(1);
+            } catch (err) {
+                this.message = err.response?.data?.message || 'Failed to change the stock.';
+                this.error = true;
+            } finally {
+                this.saving = false;
+            }
+        }
+    }));
+
+    //================================================================
+    // 45. PROMOTIONS COMPONENT (admin-promotions.html): coupon codes and automatic promotions
+    //================================================================
+    const emptyPromotion = () => ({
+        id: null, name: '', code: '', type: 'percentage', value: '', buy_quantity: '', get_quantity: '',
+        min_spend: '', usage_limit: '', per_user_limit: '', scope: 'all', scope_id: '', starts_at: '', ends_at: '', is_active: true
+    });
+
+    Alpine.data('adminPromotionsPage', () => ({
+        promotions: [],
+        kind: '', // '', 'codes' or 'automatic'
+        form: emptyPromotion(),
+        showForm: false,
+        sectors: [],
+        brands: [],
+        sboProfiles: [],
+        loading: true,
+        saving: false,
+        message: '',
+        error: false,
+        currentPage: 1,
+        totalPages: 1,
+        formatPrice: formatBasePrice,
+
+        init() {
+            if (!Alpine.store('auth').loggedIn) return;
+            this.fetchPromotions(1);
+            const headers = { 'Authorization': `Bearer ${Alpine.store('auth').token}` };
+            axios.get('/api/products/sectors').then(res => { this.sectors = res.data; }).catch(() => {});
+            axios.get('/api/products/brands').then(res => { this.brands = res.data; }).catch(() => {});
+            // Only staff who review SBOs can list them; everyone else enters the profile id
+            axios.get('/api/admin/sbo-profiles', { headers }).then(res => { this.sboProfiles = res.data; }).catch(() => {});
+        },
+
+        async fetchPromotions(page = 1) {
+            if (page < 1 || (page > this.totalPages && this.totalPages > 0)) return;
+            this.loading = true;
+            try {
+                const token = Alpine.store('auth').token;
+                const params = new URLSearchParams({ page });
+                if (this.kind) params.set('kind', this.kind);
+                const response = await axios.get(`/api/promotions?${params.toString()}`, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                this.promotions = response.data.promotions;
+                this.currentPage = response.data.currentPage;
+                this.totalPages = response.data.totalPages;
+            } catch (err) {
+                this.message = err.response?.data?.message || 'Failed to load promotions.';
+                this.error = true;
+            } finally {
+                this.loading = false;
+            }
+        },
+
+        // What the promotion does, in a few words
+        describe(promotion) {
+            const value = Number(promotion.value);
+            const what = {
+                percentage: `${value}% off`,
+                fixed_amount: `${this.formatPrice(value)} off`,
+                free_shipping: 'Free shipping',
+                buy_x_get_y: `Buy ${promotion.buy_quantity}, get ${promotion.get_quantity} ${value === 100 ? 'free' : `at ${value}% off`}`
+            }[promotion.type];
+            const spend = promotion.min_spend ? ` on orders of ${this.formatPrice(promotion.min_spend)} or more` : '';
+            return `${what}${spend}`;
+        },
+
+        scopeLabel(promotion) {
+            const find = (list, key = 'name') => list.find(item => item.id === promotion.scope_id)?.[key] || `#${promotion.scope_id}`;
+            return {
+                all: 'Everything',
+                sector: `Sector: ${find(this.sectors)}`,
+                brand: `Brand: ${find(this.brands)}`,
+                sbo: `Seller: ${find(this.sboProfiles, 'company_name')}`,
+                product: `Product #${promotion.scope_id}`
+            }[promotion.scope];
+        },
+
+        // Dates come back as ISO strings; datetime-local inputs want "YYYY-MM-DDTHH:MM" in local time
+        toInputDate(value) {
+            if (!value) return '';
+            const date = new Date(value);
+            date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+            return date.toISOString().slice(0, 16);
+        },
+
+        newPromotion() {
+            this.form = emptyPromotion();
+            this.showForm = true;
+        },
+
+        editPromotion(promotion) {
+            this.form = {
+                ...emptyPromotion(),
+                ...Object.fromEntries(Object.entries(promotion).map(([key, value]) => [key, value ?? ''])),
+                starts_at: this.toInputDate(promotion.starts_at),
+                ends_at: this.toInputDate(promotion.ends_at)
+            };
+            this.showForm = true;
+        },
+
+        async savePromotion() {
+            this.saving = true;
+            this.message = ''; this.error = false;
+            try {
+                const headers = { 'Authorization': `Bearer ${Alpine.store('auth').token}` };
+                const response = this.form.id
+                    ? await axios.put(`/api/promotions/${this.form.id}`, this.form, { headers })
+                    : await axios.post('/api/promotions', this.form, { headers });
+                this.message = response.data.message;
+                this.showForm = false;
+                await this.fetchPromotions(this.form.id ? this.currentPage : 1);
+            } catch (err) {
+                this.message = err.response?.data?.message || 'Failed to save the promotion.';
+                this.error = true;
+            } finally {
+                this.saving = false;
+            }
+        },
+
+        async toggleActive(promotion) {
+            this.editPromotion(promotion);
+            this.form.is_active = !promotion.is_active;
+            await this.savePromotion();
+        },
+
+        async deletePromotion(promotion) {
+            if (!confirm(`Delete "${promotion.name}"?`)) return;
+            this.message = ''; this.error = false;
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.delete(`/api/promotions/${promotion.id}`, { headers: { 'Authorization': `Bearer ${token}` } });
+                this.message = response.data.message;
+                await this.fetchPromotions(this.currentPage);
+            } catch (err) {
+                this.message = err.response?.data?.message || 'Failed to delete the promotion.';
+                this.error = true;
+            }
+        }
+    }));
+
+    //================================================================
+    // 46. CURRENCY STORE: the currency prices are shown in ($store.currency)
+    // Logged-in shoppers keep their choice on their account, so the cart and checkout use it too;
+    // everyone else keeps it in localStorage.
+    //================================================================
+    Alpine.store('currency', {
+        code: 'USD',
+        rate: 1, // Units of this currency per USD
+        chargeInCurrency: true, // Whether checkout charges in it, or in USD
+        currencies: [], // The ones on offer, from /api/currencies
+
+        async initialize() {
+            try {
+                const response = await axios.get('/api/currencies');
+                this.currencies = response.data.currencies;
+            } catch (error) {
+                console.error('Failed to load currencies:', error);
+            }
+            const auth = Alpine.store('auth');
+            this._use(auth.loggedIn ? auth.user?.preferredCurrency : localStorage.getItem('currency'));
+        },
+
+        // Falls back to USD when the currency isn't offered (any more)
+        _use(code) {
+            const currency = this.currencies.find(c => c.code === code);
+            this.code = currency ? currency.code : 'USD';
+            this.rate = currency ? currency.rate_per_usd : 1;
+            this.chargeInCurrency = currency ? currency.charge_in_currency : true;
+        },
+
+        async setCurrency(code) {
+            this._use(code);
+            localStorage.setItem('currency', this.code);
+            const auth = Alpine.store('auth');
+            if (!auth.loggedIn || auth.impersonating) return;
+            try {
+                await axios.put('/api/currencies/preference', { currency: this.code }, { headers: { 'Authorization': `Bearer ${auth.token}` } });
+                auth.user.preferredCurrency = this.code === 'USD' ? null : this.code;
+                localStorage.setItem('user', JSON.stringify(auth.user));
+                await Alpine.store('cart').initialize(); // Re-price the cart in the new currency
+            } catch (error) {
+                console.error('Failed to save currency preference:', error);
+            }
+        }
+    });
+
+    //================================================================
+    // 47. CURRENCIES COMPONENT (admin-currencies.html): exchange rates, by hand or from a CSV file
+    //================================================================
+    Alpine.data('adminCurrenciesPage', () => ({
+        currencies: [],
+        newCurrency: { code: '', name: '' },
+        file: null,
+        report: null, // The last preview or import result from the server
+        loading: true,
+        saving: null, // The code being saved
+        previewing: false,
+        importing: false,
+        message: '',
+        error: false,
+
+        init() {
+            if (Alpine.store('auth').loggedIn) this.fetchCurrencies();
+        },
+
+        get canImport() {
+            return this.report && this.report.dryRun && this.report.errors.length === 0 && this.report.changes.length > 0;
+        },
+
+        async fetchCurrencies() {
+            this.loading = true;
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.get('/api/admin/currencies', { headers: { 'Authorization': `Bearer ${token}` } });
+                this.currencies = response.data.map(currency => ({ ...currency, rate_per_usd: currency.rate_per_usd ?? '' }));
+            } catch (err) {
+                this.message = err.response?.data?.message || 'Failed to load currencies.';
+                this.error = true;
+            } finally {
+                this.loading = false;
+            }
+        },
+
+        async save(currency) {
+            this.saving = currency.code;
+            this.message = ''; this.error = false;
+            try {
+                const token = Alpine.store('auth').token;
+                const { name, rate_per_usd, is_active, charge_in_currency } = currency;
+                const response = await axios.put(`/api/admin/currencies/${currency.code}`, { name, rate_per_usd, is_active, charge_in_currency }, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                this.message = response.data.message;
+                await this.fetchCurrencies();
+            } catch (err) {
+                this.message = err.response?.data?.message || 'Failed to save the currency.';
+                this.error = true;
+            } finally {
+                this.saving = null;
+            }
+        },
+
+        async addCurrency() {
+            const code = this.newCurrency.code.trim().toUpperCase();
+            if (!code) return;
+            await this.save({ code, name: this.newCurrency.name, rate_per_usd: '', is_active: false, charge_in_currency: false });
+            if (!this.error) this.newCurrency = { code: '', name: '' };
+        },
+
+        handleFileSelect(event) {
+            this.file = event.target.files[0] || null;
+            this.report = null;
+            this.message = '';
+        },
+
+        // Sends the file with dryRun=true for a preview, or for real once the preview is clean
+        async upload(dryRun) {
+            if (!this.file) return;
+            this[dryRun ? 'previewing' : 'importing'] = true;
+            this.message = ''; this.error = false;
+            const data = new FormData();
+            data.append('file', this.file);
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.post(`/api/admin/currencies/import?dryRun=${dryRun}`, data, {
+                    headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'multipart/form-data' }
+                });
+                this.report = response.data;
+                if (!dryRun) {
+                    this.message = response.data.message;
+                    await this.fetchCurrencies();
+                }
+            } catch (err) {
+                // A refused import still sends back what was wrong with the file
+                if (err.response?.data?.errors) this.report = err.response.data;
+                this.message = err.response?.data?.message || 'Failed to read the file.';
+                this.error = true;
+            } finally {
+                this.previewing = false; this.importing = false;
+            }
+        }
+    }));
+
+    //================================================================
+    // 48. ORDER SUCCESS COMPONENT (order-success.html?provider=&reference=)
+    // Confirms the payment with the server, so the order is there even if the provider's webhook is slow.
+    //================================================================
+    Alpine.data('orderSuccessPage', () => ({
+        status: 'confirming', // confirming, paid, pending or error
+        message: '',
+
+        async init() {
+            const params = new URLSearchParams(window.location.search);
+            const provider = params.get('provider');
+            const reference = params.get('reference');
+            if (!provider || !reference || !Alpine.store('auth').loggedIn) {
+                this.status = 'paid';
+                return;
+            }
+            try {
+                const token = Alpine.store('auth').token;
+                const response = await axios.post('/api/checkout/confirm', { provider, reference }, { headers: { 'Authorization': `Bearer ${token}` } });
+                this.status = response.data.status;
+            } catch (err) {
+                this.status = 'error';
+                this.message = err.response?.data?.message || 'Could not confirm your payment yet.';
+            } finally {
+                Alpine.store('cart').initialize();
+            }
+        }
+    }));
+
     //================================================================
     // Initialize the auth store when the app loads
     //================================================================
     Alpine.store('auth').initialize();
     Alpine.store('cart').initialize();
+    Alpine.store('currency').initialize();
 });
 
@@ -23,7 +23,86 @@ async function repairSchema() {
 
         const alterQueries = [
             "ALTER TABLE users ADD COLUMN kingschat_access_token TEXT",
-            "ALTER TABLE users ADD COLUMN kingschat_refresh_token TEXT"
+            "ALTER TABLE users ADD COLUMN kingschat_refresh_token TEXT",
+            // Accounts that existed before email verification are treated as verified,
+            // then the default is switched so new sign-ups start unverified.
+            "ALTER TABLE users ADD COLUMN email_verified BOOLEAN DEFAULT TRUE",
+            "ALTER TABLE users ALTER COLUMN email_verified SET DEFAULT FALSE",
+            "ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP NULL",
+            "ALTER TABLE users ADD COLUMN failed_login_count INT DEFAULT 0",
+            "ALTER TABLE users ADD COLUMN locked_until TIMESTAMP NULL",
+            // KingsChat sign-ups have no password
+            "ALTER TABLE users MODIFY COLUMN password_hash VARCHAR(255) NULL",
+            "ALTER TABLE users ADD COLUMN kingschat_token_expires_at TIMESTAMP NULL",
+            "ALTER TABLE users ADD COLUMN kingschat_synced_at TIMESTAMP NULL",
+            "ALTER TABLE users ADD COLUMN deleted_at TIMESTAMP NULL",
+            "ALTER TABLE users ADD COLUMN suspended_at TIMESTAMP NULL",
+            "ALTER TABLE users ADD COLUMN suspended_reason VARCHAR(255)",
+            "ALTER TABLE users ADD COLUMN password_reset_required BOOLEAN DEFAULT FALSE",
+            "ALTER TABLE users ADD COLUMN merged_into_user_id INT NULL",
+            "ALTER TABLE audit_log ADD COLUMN impersonator_user_id INT NULL",
+            // Product variants
+            "ALTER TABLE product_images ADD COLUMN variant_id INT NULL",
+            "ALTER TABLE order_items ADD COLUMN variant_id INT NULL",
+            "ALTER TABLE order_items ADD COLUMN variant_title VARCHAR(255)",
+            "ALTER TABLE order_items ADD COLUMN sku VARCHAR(100)",
+            "ALTER TABLE cart_items ADD COLUMN variant_id INT NULL",
+            "ALTER TABLE cart_items ADD COLUMN variant_key INT AS (COALESCE(variant_id, 0)) STORED",
+            "ALTER TABLE cart_items ADD UNIQUE KEY unique_cart_item_variant (cart_id, product_id, variant_key)",
+            "ALTER TABLE cart_items DROP INDEX unique_cart_item",
+            "ALTER TABLE product_images ADD CONSTRAINT fk_product_images_variant FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE SET NULL",
+            "ALTER TABLE cart_items ADD CONSTRAINT fk_cart_items_variant FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE",
+            "ALTER TABLE order_items ADD CONSTRAINT fk_order_items_variant FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE SET NULL",
+            // Product search
+            "ALTER TABLE products ADD FULLTEXT KEY ft_products_search (name, description)",
+            // Sector tree and slugs
+            "ALTER TABLE sectors ADD COLUMN slug VARCHAR(255) UNIQUE",
+            "ALTER TABLE sectors ADD COLUMN parent_id INT NULL",
+            "ALTER TABLE sectors ADD CONSTRAINT fk_sectors_parent FOREIGN KEY (parent_id) REFERENCES sectors(id) ON DELETE SET NULL",
+            "UPDATE sectors SET slug = TRIM(BOTH '-' FROM LOWER(REGEXP_REPLACE(name, '[^A-Za-z0-9]+', '-'))) WHERE slug IS NULL",
+            // If two names give the same slug the update above fails as a whole; this one always succeeds
+            "UPDATE sectors SET slug = CONCAT(TRIM(BOTH '-' FROM LOWER(REGEXP_REPLACE(name, '[^A-Za-z0-9]+', '-'))), '-', id) WHERE slug IS NULL",
+            // Product reviews
+            "ALTER TABLE products ADD COLUMN rating_average DECIMAL(3, 2) NULL",
+            "ALTER TABLE products ADD COLUMN rating_count INT DEFAULT 0",
+            // CSV product import
+            "ALTER TABLE products ADD COLUMN sku VARCHAR(100)",
+            "ALTER TABLE products ADD UNIQUE KEY unique_product_sku (sbo_id, sku)",
+            // Product review workflow. Existing products keep their state: live ones are published, switched-off ones archived;
+            // then the defaults are switched so new products start as unpublished drafts.
+            "ALTER TABLE products ADD COLUMN status ENUM('draft', 'pending_review', 'published', 'rejected', 'archived') NOT NULL DEFAULT 'published'",
+            "UPDATE products SET status = 'archived' WHERE status = 'published' AND is_active = FALSE",
+            "ALTER TABLE products ALTER COLUMN status SET DEFAULT 'draft'",
+            "ALTER TABLE products ALTER COLUMN is_active SET DEFAULT FALSE",
+            "ALTER TABLE products ADD COLUMN rejection_reason TEXT",
+            "ALTER TABLE products ADD COLUMN submitted_at TIMESTAMP NULL",
+            "ALTER TABLE products ADD COLUMN reviewed_at TIMESTAMP NULL",
+            "ALTER TABLE products ADD COLUMN reviewed_by INT NULL",
+            "ALTER TABLE products ADD CONSTRAINT fk_products_reviewed_by FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL",
+            "ALTER TABLE products ADD INDEX idx_products_status (status, submitted_at)",
+            // Low-stock alerts
+            "ALTER TABLE products ADD COLUMN low_stock_threshold INT NULL",
+            "ALTER TABLE products ADD COLUMN low_stock_alerted_at TIMESTAMP NULL",
+            // Discounts
+            "ALTER TABLE orders ADD COLUMN subtotal_amount DECIMAL(10, 2) NULL",
+            "ALTER TABLE orders ADD COLUMN discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0",
+            "ALTER TABLE orders ADD COLUMN shipping_amount DECIMAL(10, 2) NOT NULL DEFAULT 0",
+            "ALTER TABLE orders ADD COLUMN coupon_code VARCHAR(50) NULL",
+            "ALTER TABLE carts ADD COLUMN coupon_code VARCHAR(50) NULL",
+            // Currencies
+            "ALTER TABLE orders ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'USD'",
+            "ALTER TABLE orders ADD COLUMN exchange_rate DECIMAL(18, 6) NOT NULL DEFAULT 1",
+            "ALTER TABLE orders ADD COLUMN charged_total DECIMAL(14, 2) NULL",
+            "ALTER TABLE users ADD COLUMN preferred_currency CHAR(3) NULL",
+            // Payment providers (Stripe and Espees)
+            "ALTER TABLE orders ADD COLUMN payment_provider VARCHAR(20) NOT NULL DEFAULT 'stripe'",
+            "ALTER TABLE orders ADD COLUMN payment_reference VARCHAR(255) NULL",
+            "UPDATE orders SET payment_reference = stripe_session_id WHERE payment_reference IS NULL AND stripe_session_id IS NOT NULL",
+            "ALTER TABLE orders ADD UNIQUE KEY unique_order_payment (payment_provider, payment_reference)",
+            "ALTER TABLE stock_reservations CHANGE COLUMN stripe_session_id payment_reference VARCHAR(255)",
+            "ALTER TABLE stock_reservations ADD COLUMN payment_provider VARCHAR(20) NULL",
+            "UPDATE stock_reservations SET payment_provider = 'stripe' WHERE payment_reference IS NOT NULL AND payment_provider IS NULL",
+            "ALTER TABLE stock_reservations ADD COLUMN unit_price DECIMAL(10, 2) NULL"
         ];
 
         for (const query of alterQueries) {
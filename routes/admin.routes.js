@@ -2,7 +2,24 @@
 import express from 'express';
 import pool from '../config/db.js';
 import { authenticateToken } from '../middleware/auth.middleware.js';
-import { checkRole } from '../middleware/role.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+import { can } from '../utils/permission.helpers.js';
+import { recordAudit, loadSnapshot } from '../utils/audit.helpers.js';
+import { revokeAllRefreshTokens } from '../utils/token.helpers.js';
+import { clearFailedLogins } from '../utils/login.helpers.js';
+import { loadProductVariants, validateVariantPayload, saveProductVariants, syncVariantStock } from '../utils/product.helpers.js';
+import {
+    MANUAL_MOVEMENT_REASONS, recordStockMovement, setStockLevel, hasVariantStock, findStockDrift, reconcileStockDrift,
+    PRODUCT_IS_LOW_STOCK, parseLowStockThreshold
+} from '../utils/inventory.helpers.js';
+import { slugify, parseTagIds, setProductTags, loadProductTags, validateShelf } from '../utils/tag.helpers.js';
+import { loadSectorTree, wouldCreateCycle, uniqueSectorSlug } from '../utils/sector.helpers.js';
+import { toCsv, parseCsv } from '../utils/csv.helpers.js';
+import { BASE_CURRENCY, parseRateRows } from '../utils/currency.helpers.js';
+import { PRODUCT_CSV_COLUMNS, loadProductExportRows, planProductImport, applyProductImport } from '../utils/import.helpers.js';
+import {
+    PRODUCT_STATUSES, OWNER_TRANSITIONS, canPublishDirectly, editsNeedReview, setProductStatus, holdReviewedChanges, loadPendingRevision
+} from '../utils/approval.helpers.js';
 import multer from 'multer';
 import { v2 as cloudinary } from 'cloudinary';
 import { CloudinaryStorage } from 'multer-storage-cloudinary';
@@ -31,18 +48,24 @@ const storage = new CloudinaryStorage({
 // --- Multer Configuration for Product Images ---
 
 const upload = multer({ storage: storage });
+
+// CSV imports are read in memory and never stored
+const csvUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024 } });
 // ---------------------------------------------
 
 const router = express.Router();
 
 
 // @route   POST /api/admin/products
-// @desc    Create a new product with images
+// @desc    Create a new product with images. It starts as a draft; with submit=true it is sent for review straight away
+//          (or published, for users with products.review).
 // @access  Private (Admin or SBO)
-router.post('/products', authenticateToken, checkRole(['Admin', 'SBO']), upload.array('images'), async (req, res) => {
+router.post('/products', authenticateToken, requirePermission(['products.manage_own', 'products.manage_all']), upload.array('images'), async (req, res) => {
     // THE FIX: Add 'sbo_profile_id' to the destructuring assignment
-    const { name, description, price, stock_quantity, sector_id, brand_id, sbo_profile_id } = req.body;
+    const { name, sku, description, price, stock_quantity, sector_id, brand_id, sbo_profile_id } = req.body;
     const sboUserId = req.user.id;
+    const { threshold: lowStockThreshold, error: thresholdError } = parseLowStockThreshold(req.body.low_stock_threshold);
+    if (thresholdError) return res.status(400).json({ message: thresholdError });
 
     // Use connection for transaction
     const connection = await pool.getConnection();
@@ -50,18 +73,24 @@ router.post('/products', authenticateToken, checkRole(['Admin', 'SBO']), upload.
         await connection.beginTransaction();
 
         let finalSboProfileId = sbo_profile_id;
-        if (req.user.role === 'SBO') {
+        if (!can(req, 'products.manage_all')) { // Only staff may list a product under another SBO's profile
             const [sboProfileResult] = await connection.execute('SELECT id FROM sbo_profiles WHERE user_id = ?', [sboUserId]);
             if (sboProfileResult.length === 0) throw new Error('SBO profile not found for this user.');
             finalSboProfileId = sboProfileResult[0].id;
         }
 
         const productQuery = `
-                INSERT INTO products (name, description, price, stock_quantity, sector_id, brand_id, sbo_id, sbo_profile_id)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
-        const productValues = [name, description, price, stock_quantity, sector_id, brand_id, sboUserId, finalSboProfileId || null];
+                INSERT INTO products (name, sku, description, price, stock_quantity, low_stock_threshold, sector_id, brand_id, sbo_id, sbo_profile_id)
+                VALUES (?, ?, ?, ?, 0, ?, ?, ?, ?, ?)`;
+        const productValues = [
+            name, sku?.trim() || null, description, price, lowStockThreshold, sector_id, brand_id, sboUserId, finalSboProfileId || null
+        ];
         const [newProduct] = await connection.execute(productQuery, productValues);
         const newProductId = newProduct.insertId;
+        // The starting stock is the first entry in the product's inventory ledger
+        await recordStockMovement({
+            productId: newProductId, change: parseInt(stock_quantity) || 0, reason: 'initial', note: 'New product', userId: sboUserId
+        }, connection);
 
         // THE FIX: req.files now contains Cloudinary data
         if (req.files && req.files.length > 0) {
@@ -72,11 +101,24 @@ router.post('/products', authenticateToken, checkRole(['Admin', 'SBO']), upload.
             });
             await Promise.all(imageInsertPromises);
         }
+        const tagIds = parseTagIds(req.body.tag_ids) || [];
+        await setProductTags(newProductId, tagIds, connection);
+        const submit = req.body.submit === 'true';
+        if (submit) await setProductStatus(newProductId, canPublishDirectly(req) ? 'published' : 'pending_review', connection);
+        await recordAudit(req, {
+            action: 'product.create', entityType: 'product', entityId: newProductId,
+            after: { ...await loadSnapshot('products', newProductId, connection), tag_ids: tagIds }
+        }, connection);
         await connection.commit();
-        res.status(201).json({ message: 'Product created successfully!', productId: newProductId });
+        const message = !submit ? 'Product saved as a draft.'
+            : canPublishDirectly(req) ? 'Product created and published!' : 'Product created and sent for review.';
+        res.status(201).json({ message, productId: newProductId });
 
     } catch (error) {
         await connection.rollback();
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'You already have a product with that SKU.' });
+        }
         console.error('Error creating product:', error);
         res.status(500).json({ message: error.message || 'Failed to create product. Transaction rolled back.' });
     } finally {
@@ -85,35 +127,52 @@ router.post('/products', authenticateToken, checkRole(['Admin', 'SBO']), upload.
 }
 );
 
-// @route   GET /api/admin/products
-// @desc    Get all products for the admin management view
+// @route   GET /api/admin/products?page=&status=&stock=low
+// @desc    Get products for the admin management view: every product for products.manage_all, otherwise the seller's own.
+//          status narrows it to one of PRODUCT_STATUSES; stock=low to products at or below their low-stock level.
 // @access  Private (Admin or SBO)
-router.get('/products', authenticateToken, checkRole(['Admin', 'SBO']), async (req, res) => {
-    const page = parseInt(req.query.page || '1');
+router.get('/products', authenticateToken, requirePermission(['products.manage_own', 'products.manage_all']), async (req, res) => {
+    const page = Math.max(parseInt(req.query.page || '1') || 1, 1);
     const limit = 15; // Show 15 products per page in the admin panel
     const offset = (page - 1) * limit;
 
+    const conditions = [];
+    const params = [];
+    if (!can(req, 'products.manage_all')) {
+        conditions.push('p.sbo_id = ?');
+        params.push(req.user.id);
+    }
+    if (PRODUCT_STATUSES.includes(req.query.status)) {
+        conditions.push('p.status = ?');
+        params.push(req.query.status);
+    }
+    if (req.query.stock === 'low') conditions.push(PRODUCT_IS_LOW_STOCK);
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
     try {
         // Query to get the paginated list
-        const [productsResult] = await pool.execute(
-            `SELECT p.id, p.name, p.price, p.stock_quantity, p.is_active, s.name as sector_name, b.name as brand_name
+        const [productsResult] = await pool.query(
+            `SELECT p.id, p.name, p.sku, p.price, p.stock_quantity, p.low_stock_threshold, ${PRODUCT_IS_LOW_STOCK} as is_low_stock,
+                p.is_active, p.status, p.rejection_reason, s.name as sector_name, b.name as brand_name,
+                EXISTS (SELECT 1 FROM product_revisions r WHERE r.product_id = p.id AND r.status = 'pending') as has_pending_edit
              FROM products p
              LEFT JOIN sectors s ON p.sector_id = s.id
              LEFT JOIN brands b ON p.brand_id = b.id
+             ${where}
              ORDER BY p.created_at DESC
              LIMIT ? OFFSET ?`,
-            [limit.toString(), offset.toString()] // MySQL2 often likes strings for LIMIT/OFFSET in prepared statements or explicit numbers, but ? usually handles it. 
-            // Actually, LIMIT ? OFFSET ? works with integers in mysql2 if generic query. let's pass numbers.
-            // Wait, passing integers to execute with mysql2 is fine.
+            [...params, limit, offset]
         );
 
         // Query to get the total count for pagination controls
-        const [totalResult] = await pool.execute('SELECT COUNT(*) as count FROM products');
+        const [totalResult] = await pool.query(`SELECT COUNT(*) as count FROM products p ${where}`, params);
         const totalProducts = parseInt(totalResult[0].count);
         const totalPages = Math.ceil(totalProducts / limit);
 
         res.status(200).json({
-            products: productsResult,
+            products: productsResult.map(product => ({
+                ...product, has_pending_edit: Boolean(product.has_pending_edit), is_low_stock: Boolean(product.is_low_stock)
+            })),
             currentPage: page,
             totalPages: totalPages
         });
@@ -123,12 +182,112 @@ router.get('/products', authenticateToken, checkRole(['Admin', 'SBO']), async (r
     }
 });
 
+/**
+ * Works out whose catalogue a CSV export or import is for: the seller's own or,
+ * for products.manage_all, the seller chosen with ?sboProfileId=.
+ * @returns {Promise<{sboUserId: number, sboProfileId: number|null}|null>} null if there is no such seller.
+ */
+const resolveCatalogueOwner = async (req) => {
+    if (req.query.sboProfileId && can(req, 'products.manage_all')) {
+        const [profileResult] = await pool.execute('SELECT id, user_id FROM sbo_profiles WHERE id = ?', [req.query.sboProfileId]);
+        return profileResult.length > 0 ? { sboUserId: profileResult[0].user_id, sboProfileId: profileResult[0].id } : null;
+    }
+    const [profileResult] = await pool.execute('SELECT id FROM sbo_profiles WHERE user_id = ?', [req.user.id]);
+    if (profileResult.length === 0 && !can(req, 'products.manage_all')) return null;
+    return { sboUserId: req.user.id, sboProfileId: profileResult[0]?.id ?? null };
+};
+
+/**
+ * Reads the uploaded CSV (form field "file") into req.file, answering 400 if it's too big
+ * or isn't a CSV, instead of letting multer's error fall through to the default handler.
+ */
+const readCsvUpload = (req, res, next) => {
+    csvUpload.single('file')(req, res, (error) => {
+        if (error) {
+            const message = error.code === 'LIMIT_FILE_SIZE' ? 'The file is larger than 2 MB; split it into smaller files.' : error.message;
+            return res.status(400).json({ message });
+        }
+        if (!req.file) return res.status(400).json({ message: 'Please choose a CSV file.' });
+        if (/\.(xlsx|xls|ods)$/i.test(req.file.originalname)) {
+            return res.status(400).json({ message: 'Spreadsheet files can\'t be read directly. Save it as CSV (File > Save As > CSV UTF-8) and upload that.' });
+        }
+        next();
+    });
+};
+
+// @route   GET /api/admin/products/export?sboProfileId=
+// @desc    Download the seller's products as a CSV, in the layout the import reads back
+// @access  Private (Admin or SBO)
+router.get('/products/export', authenticateToken, requirePermission(['products.manage_own', 'products.manage_all']), async (req, res) => {
+    try {
+        const owner = await resolveCatalogueOwner(req);
+        if (!owner) return res.status(404).json({ message: 'SBO profile not found.' });
+
+        const rows = await loadProductExportRows(owner.sboUserId);
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="products-${new Date().toISOString().slice(0, 10)}.csv"`);
+        // The BOM makes Excel open the file as UTF-8
+        res.status(200).send('\uFEFF' + toCsv(rows, PRODUCT_CSV_COLUMNS));
+    } catch (error) {
+        console.error('Error exporting products:', error);
+        res.status(500).json({ message: 'Server error while exporting products.' });
+    }
+});
+
+// @route   POST /api/admin/products/import?dryRun=true&sboProfileId=
+// @desc    Create and update products from a CSV (form field "file"), matched by SKU.
+//          With dryRun=true nothing is saved and the per-row check is returned as a preview.
+//          Otherwise the import only goes ahead if every row is valid, and then all rows are saved together.
+// @access  Private (Admin or SBO)
+router.post('/products/import', authenticateToken, requirePermission(['products.manage_own', 'products.manage_all']), readCsvUpload, async (req, res) => {
+    const dryRun = req.query.dryRun === 'true';
+
+    try {
+        const owner = await resolveCatalogueOwner(req);
+        if (!owner) return res.status(404).json({ message: 'SBO profile not found.' });
+
+        const { fileErrors, rows } = await planProductImport(
+            parseCsv(req.file.buffer.toString('utf8')), owner.sboUserId, { holdForReview: editsNeedReview(req) }
+        );
+        const count = (action) => rows.filter(row => row.action === action).length;
+        const report = {
+            dryRun,
+            fileErrors,
+            rows: rows.map(({ changes, newImages, holdForReview, ...row }) => ({ ...row, changedFields: Object.keys(changes), newImageCount: newImages.length })),
+            summary: {
+                create: count('create'), update: count('update'), unchanged: count('unchanged'),
+                withErrors: rows.filter(row => row.errors.length > 0).length
+            }
+        };
+
+        if (dryRun) return res.status(200).json(report);
+        if (fileErrors.length > 0 || report.summary.withErrors > 0) {
+            return res.status(400).json({ ...report, message: 'Nothing was imported. Fix the errors below and try again.' });
+        }
+
+        const result = await applyProductImport(rows, owner, req);
+        res.status(200).json({
+            ...report,
+            // Image fetch warnings are only known after applying
+            rows: report.rows.map((row, index) => ({ ...row, warnings: rows[index].warnings })),
+            result,
+            message: `Import complete: ${result.created} created, ${result.updated} updated, ${result.unchanged} unchanged.`
+        });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'A SKU in the file was just used by another product. Nothing was imported; please try again.' });
+        }
+        console.error('Error importing products:', error);
+        res.status(500).json({ message: 'Server error while importing products. Nothing was imported.' });
+    }
+});
+
 // @route   GET /api/admin/products/:id
 // @desc    Get a single product's full details for editing
 // @access  Private (Admin or SBO)
-router.get('/products/:id', authenticateToken, checkRole(['Admin', 'SBO']), async (req, res) => {
+router.get('/products/:id', authenticateToken, requirePermission(['products.manage_own', 'products.manage_all']), async (req, res) => {
     const { id: productId } = req.params;
-    const { id: userId, role: userRole } = req.user;
+    const { id: userId } = req.user;
 
     try {
         const [productResult] = await pool.execute('SELECT * FROM products WHERE id = ?', [productId]);
@@ -137,9 +296,11 @@ router.get('/products/:id', authenticateToken, checkRole(['Admin', 'SBO']), asyn
         }
         const product = productResult[0];
         // Security Check: Ensure SBO can only edit their own products
-        if (userRole !== 'Admin' && product.sbo_id !== userId) {
+        if (!can(req, 'products.manage_all') && product.sbo_id !== userId) {
             return res.status(403).json({ message: 'You are not authorized to access this product.' });
         }
+        product.tag_ids = (await loadProductTags(productId)).map(tag => tag.id);
+        product.pending_revision = await loadPendingRevision(productId);
         res.status(200).json(product);
     } catch (error) {
         console.error('Error fetching product for edit:', error);
@@ -149,37 +310,54 @@ router.get('/products/:id', authenticateToken, checkRole(['Admin', 'SBO']), asyn
 
 
 // @route   POST /api/admin/products/:id/update
-// @desc    Update a product's text data AND/OR upload new images
+// @desc    Update a product's text data AND/OR upload new images.
+//          While the product is published, a seller's changes to what shoppers see wait for review (see holdReviewedChanges).
 // @access  Private (Admin or SBO)
-router.post('/products/:id/update', authenticateToken, checkRole(['Admin', 'SBO']), upload.array('newImages'), async (req, res) => {
+router.post('/products/:id/update', authenticateToken, requirePermission(['products.manage_own', 'products.manage_all']), upload.array('newImages'), async (req, res) => {
     const { id: productId } = req.params;
-    const { id: userId, role: userRole } = req.user;
+    const { id: userId } = req.user;
     const {
-        name, description, price, stock_quantity, sector_id, brand_id, is_active,
+        name, sku, description, price, stock_quantity, sector_id, brand_id,
         allow_backorder, sale_price, sale_start_date, sale_end_date, sbo_profile_id
     } = req.body;
+    const { threshold: lowStockThreshold, error: thresholdError } = req.body.low_stock_threshold === undefined
+        ? {} : parseLowStockThreshold(req.body.low_stock_threshold);
+    if (thresholdError) return res.status(400).json({ message: thresholdError });
 
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
 
-        const [productResult] = await connection.execute('SELECT sbo_id FROM products WHERE id = ?', [productId]);
+        const [productResult] = await connection.execute('SELECT * FROM products WHERE id = ? FOR UPDATE', [productId]);
         if (productResult.length === 0) throw new Error('Product not found.');
-        if (userRole !== 'Admin' && productResult[0].sbo_id !== userId) throw new Error('Authorization failed.');
-
-        // 1. Update the product's text/numeric data
-        await connection.execute(
-            `UPDATE products SET 
-                    name = ?, description = ?, price = ?, stock_quantity = ?, sector_id = ?, brand_id = ?, 
-                    is_active = ?, allow_backorder = ?, sale_price = ?, sale_start_date = ?, sale_end_date = ?,
-                    sbo_profile_id = ?, updated_at = CURRENT_TIMESTAMP
-                 WHERE id = ?`,
-            [
-                name, description, price, stock_quantity, sector_id, brand_id, is_active,
-                allow_backorder, sale_price || null, sale_start_date || null, sale_end_date || null,
-                sbo_profile_id || null, productId
-            ]
-        );
+        const product = productResult[0];
+        if (!can(req, 'products.manage_all') && product.sbo_id !== userId) throw new Error('Authorization failed.');
+        const tagIds = parseTagIds(req.body.tag_ids);
+        const previousTagIds = (await loadProductTags(productId, connection)).map(tag => tag.id);
+        const before = { ...await loadSnapshot('products', productId, connection), tag_ids: previousTagIds };
+
+        // 1. Update the product's text/numeric data. Its status only changes through POST /products/:id/status.
+        let changes = {
+            name, sku: sku?.trim() || null, description, price, sector_id, brand_id,
+            allow_backorder, sale_price: sale_price || null, sale_start_date: sale_start_date || null,
+            sale_end_date: sale_end_date || null, sbo_profile_id: sbo_profile_id || null
+        };
+        if (lowStockThreshold !== undefined) changes.low_stock_threshold = lowStockThreshold;
+        let heldForReview = [];
+        if (product.status === 'published' && editsNeedReview(req)) {
+            ({ apply: changes, held: heldForReview } = await holdReviewedChanges(product, changes, userId, connection));
+        }
+        await connection.query('UPDATE products SET ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [changes, productId]);
+        // A new stock level goes through the inventory ledger as an adjustment
+        // (products sold as variants keep their stock on the variants, and setStockLevel leaves them alone)
+        if (stock_quantity !== undefined && stock_quantity !== '') {
+            await setStockLevel({
+                productId, quantity: parseInt(stock_quantity) || 0, reason: 'adjustment',
+                note: req.body.stock_note || 'Changed on the product form', userId
+            }, connection);
+        }
+        await syncVariantStock(productId, connection);
+        if (tagIds !== undefined) await setProductTags(productId, tagIds, connection);
 
         // 2. If new images were uploaded, insert them
         if (req.files && req.files.length > 0) {
@@ -190,11 +368,23 @@ router.post('/products/:id/update', authenticateToken, checkRole(['Admin', 'SBO'
             await Promise.all(imageInsertPromises);
         }
 
+        await recordAudit(req, {
+            action: 'product.update', entityType: 'product', entityId: productId,
+            before, after: { ...await loadSnapshot('products', productId, connection), tag_ids: tagIds ?? previousTagIds }
+        }, connection);
         await connection.commit();
-        res.status(200).json({ message: 'Product updated successfully!' });
+        res.status(200).json({
+            message: heldForReview.length > 0
+                ? `Saved. Your changes to ${heldForReview.join(', ').replace(/_id\b/g, '').replace(/_/g, ' ')} will go live once they are approved.`
+                : 'Product updated successfully!',
+            heldForReview
+        });
 
     } catch (error) {
         await connection.rollback();
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'You already have a product with that SKU.' });
+        }
         console.error('Error updating product:', error);
         res.status(500).json({ message: error.message || 'Server error while updating product.' });
     } finally {
@@ -203,10 +393,69 @@ router.post('/products/:id/update', authenticateToken, checkRole(['Admin', 'SBO'
 }
 );
 
+// @route   POST /api/admin/products/:id/status
+// @desc    Move a product through review (body: action). submit sends a draft, rejected or archived product for review
+//          (users with products.review publish it at once), withdraw takes it back out of the queue as a draft,
+//          and archive takes it out of the shop.
+// @access  Private (Admin or SBO)
+router.post('/products/:id/status', authenticateToken, requirePermission(['products.manage_own', 'products.manage_all']), async (req, res) => {
+    const { action } = req.body;
+    if (!OWNER_TRANSITIONS[action]) return res.status(400).json({ message: 'Unknown action.' });
+
+    try {
+        const [productResult] = await pool.execute('SELECT id, sbo_id, status FROM products WHERE id = ?', [req.params.id]);
+        if (productResult.length === 0) return res.status(404).json({ message: 'Product not found.' });
+        const product = productResult[0];
+        if (!can(req, 'products.manage_all') && product.sbo_id !== req.user.id) {
+            return res.status(403).json({ message: 'You are not authorized to change this product.' });
+        }
+        if (!OWNER_TRANSITIONS[action].includes(product.status)) {
+            return res.status(409).json({ message: `You can't ${action} a product that is ${product.status.replace('_', ' ')}.` });
+        }
+
+        const status = { submit: canPublishDirectly(req) ? 'published' : 'pending_review', withdraw: 'draft', archive: 'archived' }[action];
+        await setProductStatus(product.id, status);
+        await recordAudit(req, {
+            action: `product.${action}`, entityType: 'product', entityId: product.id,
+            before: { status: product.status }, after: { status }
+        });
+
+        const messages = {
+            published: 'Product published.',
+            pending_review: "Product sent for review. We'll email you when it's been looked at.",
+            draft: 'Product taken out of review and saved as a draft.',
+            archived: 'Product archived. It is no longer shown in the shop.'
+        };
+        res.status(200).json({ message: messages[status], status });
+    } catch (error) {
+        console.error('Error changing product status:', error);
+        res.status(500).json({ message: 'Server error while changing the product status.' });
+    }
+});
+
+// @route   DELETE /api/admin/products/:id/revision
+// @desc    Withdraw the product's edits that are waiting for review; the live product stays as it is
+// @access  Private (Admin or SBO)
+router.delete('/products/:id/revision', authenticateToken, requirePermission(['products.manage_own', 'products.manage_all']), async (req, res) => {
+    try {
+        const [result] = await pool.execute(
+            `UPDATE product_revisions r JOIN products p ON r.product_id = p.id
+             SET r.status = 'withdrawn'
+             WHERE r.product_id = ? AND r.status = 'pending' AND (p.sbo_id = ? OR ?)`,
+            [req.params.id, req.user.id, can(req, 'products.manage_all')]
+        );
+        if (result.affectedRows === 0) return res.status(404).json({ message: 'There are no changes waiting for review.' });
+        res.status(200).json({ message: 'Your changes were withdrawn.' });
+    } catch (error) {
+        console.error('Error withdrawing product revision:', error);
+        res.status(500).json({ message: 'Server error.' });
+    }
+});
+
 // @route   GET /api/admin/products/:id/images
 // @desc    Get all images for a specific product
 // @access  Private (Admin or SBO)
-router.get('/products/:id/images', authenticateToken, checkRole(['Admin', 'SBO']), async (req, res) => {
+router.get('/products/:id/images', authenticateToken, requirePermission(['products.manage_own', 'products.manage_all']), async (req, res) => {
     const { id: productId } = req.params;
     try {
         const [images] = await pool.execute('SELECT * FROM product_images WHERE product_id = ? ORDER BY display_order ASC', [productId]);
@@ -217,9 +466,9 @@ router.get('/products/:id/images', authenticateToken, checkRole(['Admin', 'SBO']
 // @route   POST /api/admin/products/:id/images
 // @desc    Upload new images for an existing product
 // @access  Private (Admin or SBO who owns the post)
-router.post('/products/:id/images', authenticateToken, checkRole(['Admin', 'SBO']), upload.array('newImages'), async (req, res) => {
+router.post('/products/:id/images', authenticateToken, requirePermission(['products.manage_own', 'products.manage_all']), upload.array('newImages'), async (req, res) => {
     const { id: productId } = req.params;
-    const { id: userId, role: userRole } = req.user;
+    const { id: userId } = req.user;
 
     if (!req.files || req.files.length === 0) {
         return res.status(400).json({ message: 'No image files were uploaded.' });
@@ -231,7 +480,7 @@ router.post('/products/:id/images', authenticateToken, checkRole(['Admin', 'SBO'
 
         const [productResult] = await connection.execute('SELECT sbo_id FROM products WHERE id = ?', [productId]);
         if (productResult.length === 0) throw new Error('Product not found.');
-        if (userRole !== 'Admin' && productResult[0].sbo_id !== userId) throw new Error('Authorization failed.');
+        if (!can(req, 'products.manage_all') && productResult[0].sbo_id !== userId) throw new Error('Authorization failed.');
 
         const imageInsertPromises = req.files.map((file, index) => {
             const imageUrl = `/${file.path.replace(/\\/g, "/")}`;
@@ -239,6 +488,10 @@ router.post('/products/:id/images', authenticateToken, checkRole(['Admin', 'SBO'
         });
         await Promise.all(imageInsertPromises);
 
+        await recordAudit(req, {
+            action: 'product.images_add', entityType: 'product', entityId: productId,
+            after: { image_urls: req.files.map(file => `/${file.path.replace(/\\/g, "/")}`) }
+        }, connection);
         await connection.commit();
         res.status(201).json({ message: 'Images uploaded successfully.' });
     } catch (error) {
@@ -250,12 +503,321 @@ router.post('/products/:id/images', authenticateToken, checkRole(['Admin', 'SBO'
     }
 });
 
+// @route   GET /api/admin/products/:id/variants
+// @desc    Get a product's options and variants for the variant matrix editor
+// @access  Private (Admin or SBO who owns the product)
+router.get('/products/:id/variants', authenticateToken, requirePermission(['products.manage_own', 'products.manage_all']), async (req, res) => {
+    const { id: productId } = req.params;
+    try {
+        const [productResult] = await pool.execute('SELECT sbo_id FROM products WHERE id = ?', [productId]);
+        if (productResult.length === 0) return res.status(404).json({ message: 'Product not found.' });
+        if (!can(req, 'products.manage_all') && productResult[0].sbo_id !== req.user.id) {
+            return res.status(403).json({ message: 'You are not authorized to access this product.' });
+        }
+        res.status(200).json(await loadProductVariants(productId));
+    } catch (error) {
+        console.error('Error fetching product variants:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   PUT /api/admin/products/:id/variants
+// @desc    Replace a product's options and variants (body: { options, variants }, see validateVariantPayload)
+// @access  Private (Admin or SBO who owns the product)
+router.put('/products/:id/variants', authenticateToken, requirePermission(['products.manage_own', 'products.manage_all']), async (req, res) => {
+    const { id: productId } = req.params;
+    const payload = { options: req.body.options, variants: req.body.variants };
+
+    const problem = validateVariantPayload(payload);
+    if (problem) return res.status(400).json({ message: problem });
+
+    const connection = await pool.getConnection();
+    try {
+        const [productResult] = await connection.execute('SELECT sbo_id FROM products WHERE id = ?', [productId]);
+        if (productResult.length === 0) return res.status(404).json({ message: 'Product not found.' });
+        if (!can(req, 'products.manage_all') && productResult[0].sbo_id !== req.user.id) {
+            return res.status(403).json({ message: 'You are not authorized to edit this product.' });
+        }
+
+        await connection.beginTransaction();
+        const before = await loadProductVariants(productId, {}, connection);
+        await saveProductVariants(productId, payload, connection, req.user.id);
+        const after = await loadProductVariants(productId, {}, connection);
+        await recordAudit(req, { action: 'product.variants_update', entityType: 'product', entityId: productId, before, after }, connection);
+        await connection.commit();
+
+        res.status(200).json({ message: 'Variants saved.', ...after });
+    } catch (error) {
+        await connection.rollback();
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: "One of those SKUs is already used on another of the seller's products." });
+        }
+        console.error('Error saving product variants:', error);
+        res.status(500).json({ message: 'Server error while saving variants.' });
+    } finally {
+        connection.release();
+    }
+});
+
+const STOCK_HISTORY_PAGE_SIZE = 25;
+
+// @route   GET /api/admin/products/:id/stock?page=
+// @desc    A product's stock (per variant, for products sold as variants) and its inventory ledger, newest first:
+//          who changed what, when and why. drift lists stock that doesn't match the ledger.
+// @access  Private (Admin or SBO who owns the product)
+router.get('/products/:id/stock', authenticateToken, requirePermission(['products.manage_own', 'products.manage_all']), async (req, res) => {
+    const { id: productId } = req.params;
+    const page = Math.max(parseInt(req.query.page || '1') || 1, 1);
+
+    try {
+        const [productResult] = await pool.execute('SELECT id, name, sku, sbo_id, stock_quantity, allow_backorder FROM products WHERE id = ?', [productId]);
+        if (productResult.length === 0) return res.status(404).json({ message: 'Product not found.' });
+        const { sbo_id: sboId, ...product } = productResult[0];
+        if (!can(req, 'products.manage_all') && sboId !== req.user.id) {
+            return res.status(403).json({ message: 'You are not authorized to access this product.' });
+        }
+
+        const [variants] = await pool.execute(
+            'SELECT id, title, sku, stock_quantity, is_active FROM product_variants WHERE product_id = ? ORDER BY position',
+            [productId]
+        );
+        const [countResult] = await pool.execute('SELECT COUNT(*) as count FROM inventory_movements WHERE product_id = ?', [productId]);
+        const [movements] = await pool.query(
+            `SELECT m.id, m.variant_id, m.variant_title, m.quantity_change, m.balance_after, m.reason, m.note, m.order_id, m.created_at,
+                CONCAT_WS(' ', u.first_name, u.last_name) as user_name
+             FROM inventory_movements m
+             LEFT JOIN users u ON m.user_id = u.id
+             WHERE m.product_id = ?
+             ORDER BY m.created_at DESC, m.id DESC
+             LIMIT ? OFFSET ?`,
+            [productId, STOCK_HISTORY_PAGE_SIZE, (page - 1) * STOCK_HISTORY_PAGE_SIZE]
+        );
+
+        res.status(200).json({
+            product: {
+                ...product,
+                allow_backorder: Boolean(product.allow_backorder),
+                has_variant_stock: variants.some(variant => variant.is_active),
+                variants: variants.map(variant => ({ ...variant, is_active: Boolean(variant.is_active) }))
+            },
+            movements,
+            drift: await findStockDrift({ productId: product.id }),
+            reasons: MANUAL_MOVEMENT_REASONS,
+            currentPage: page,
+            totalPages: Math.ceil(countResult[0].count / STOCK_HISTORY_PAGE_SIZE)
+        });
+    } catch (error) {
+        console.error('Error fetching stock history:', error);
+        res.status(500).json({ message: 'Server error while fetching the stock history.' });
+    }
+});
+
+// @route   POST /api/admin/products/:id/stock
+// @desc    Change stock by hand (body: change, reason, note, variant_id?, order_id?). reason is one of MANUAL_MOVEMENT_REASONS;
+//          restocks and returns add stock, an adjustment can go either way but needs a note saying why.
+// @access  Private (Admin or SBO who owns the product)
+router.post('/products/:id/stock', authenticateToken, requirePermission(['products.manage_own', 'products.manage_all']), async (req, res) => {
+    const { id: productId } = req.params;
+    const change = Number(req.body.change);
+    const reason = req.body.reason;
+    const note = String(req.body.note || '').trim();
+    const variantId = Number(req.body.variant_id) || null;
+    const orderId = Number(req.body.order_id) || null;
+
+    if (!MANUAL_MOVEMENT_REASONS.includes(reason)) return res.status(400).json({ message: 'Please choose a reason.' });
+    if (!Number.isInteger(change) || change === 0) return res.status(400).json({ message: 'The change must be a whole number other than zero.' });
+    if (reason !== 'adjustment' && change < 0) return res.status(400).json({ message: `A ${reason} adds stock; use an adjustment to take stock away.` });
+    if (reason === 'adjustment' && note.length < 3) return res.status(400).json({ message: 'Please say why the stock is being adjusted.' });
+    if (note.length > 255) return res.status(400).json({ message: 'The note can be at most 255 characters.' });
+
+    const connection = await pool.getConnection();
+    try {
+        const [productResult] = await connection.execute('SELECT sbo_id FROM products WHERE id = ?', [productId]);
+        if (productResult.length === 0) return res.status(404).json({ message: 'Product not found.' });
+        if (!can(req, 'products.manage_all') && productResult[0].sbo_id !== req.user.id) {
+            return res.status(403).json({ message: 'You are not authorized to edit this product.' });
+        }
+        const variantStock = await hasVariantStock(productId, connection);
+        if (variantStock && !variantId) return res.status(400).json({ message: 'This product is sold in options; choose which one.' });
+        if (!variantStock && variantId) return res.status(400).json({ message: 'This product has no options to choose from.' });
+        if (orderId) {
+            const [orderItems] = await connection.execute('SELECT id FROM order_items WHERE order_id = ? AND product_id = ?', [orderId, productId]);
+            if (orderItems.length === 0) return res.status(400).json({ message: `Order #${orderId} doesn't include this product.` });
+        }
+
+        await connection.beginTransaction();
+        const balance = await recordStockMovement({ productId, variantId, change, reason, note, orderId, userId: req.user.id }, connection);
+        if (balance === null) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'That option no longer exists.' });
+        }
+        if (balance < 0 && change < 0) {
+            await connection.rollback();
+            return res.status(400).json({ message: `There are only ${Math.max(balance - change, 0)} in stock to take away.` });
+        }
+        if (variantId) await syncVariantStock(productId, connection);
+        await connection.commit();
+
+        res.status(201).json({ message: `Stock is now ${balance}.`, stock_quantity: balance });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error recording stock movement:', error);
+        res.status(500).json({ message: 'Server error while changing the stock.' });
+    } finally {
+        connection.release();
+    }
+});
+
+// @route   GET /api/admin/inventory/drift
+// @desc    Stock across the catalogue that doesn't match its inventory ledger (changed outside it, e.g. directly in the database)
+// @access  Private (products.manage_all)
+router.get('/inventory/drift', authenticateToken, requirePermission('products.manage_all'), async (req, res) => {
+    try {
+        res.status(200).json(await findStockDrift());
+    } catch (error) {
+        console.error('Error checking stock against the ledger:', error);
+        res.status(500).json({ message: 'Server error while checking stock.' });
+    }
+});
+
+// @route   POST /api/admin/inventory/reconcile
+// @desc    Accept the stock found by GET /inventory/drift as right, recording each difference in the ledger as an adjustment
+// @access  Private (products.manage_all)
+router.post('/inventory/reconcile', authenticateToken, requirePermission('products.manage_all'), async (req, res) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const drift = await findStockDrift({}, connection);
+        await reconcileStockDrift(drift, req.user.id, connection);
+        if (drift.length > 0) {
+            await recordAudit(req, { action: 'inventory.reconcile', entityType: 'inventory', entityId: null, after: { drift } }, connection);
+        }
+        await connection.commit();
+        res.status(200).json({
+            message: drift.length > 0 ? `Reconciled ${drift.length} stock level(s) with the ledger.` : 'All stock already matches the ledger.',
+            reconciled: drift.length
+        });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error reconciling stock:', error);
+        res.status(500).json({ message: 'Server error while reconciling stock.' });
+    } finally {
+        connection.release();
+    }
+});
+
+// @route   GET /api/admin/currencies
+// @desc    Every currency, offered or not, with its rate and who last set it
+// @access  Private (currencies.manage)
+router.get('/currencies', authenticateToken, requirePermission('currencies.manage'), async (req, res) => {
+    try {
+        const [currencies] = await pool.execute(
+            `SELECT c.*, CONCAT(u.first_name, ' ', u.last_name) as rate_updated_by_name
+             FROM currencies c LEFT JOIN users u ON c.rate_updated_by = u.id
+             ORDER BY c.code = ? DESC, c.code ASC`,
+            [BASE_CURRENCY]
+        );
+        res.status(200).json(currencies.map(currency => ({
+            ...currency,
+            rate_per_usd: currency.rate_per_usd === null ? null : Number(currency.rate_per_usd),
+            is_active: Boolean(currency.is_active),
+            charge_in_currency: Boolean(currency.charge_in_currency)
+        })));
+    } catch (error) {
+        console.error('Error fetching currencies:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   PUT /api/admin/currencies/:code
+// @desc    Add a currency or change one (body: name, rate_per_usd, is_active, charge_in_currency).
+//          USD is the base: its rate is always 1 and it can't be switched off.
+// @access  Private (currencies.manage)
+router.put('/currencies/:code', authenticateToken, requirePermission('currencies.manage'), async (req, res) => {
+    const code = req.params.code.toUpperCase();
+    if (!/^[A-Z]{3}$/.test(code)) return res.status(400).json({ message: 'Currency codes are three letters, e.g. NGN.' });
+
+    try {
+        const before = (await pool.execute('SELECT * FROM currencies WHERE code = ?', [code]))[0][0] || null;
+        const name = String(req.body.name ?? before?.name ?? '').trim();
+        const rate = code === BASE_CURRENCY ? 1 : (req.body.rate_per_usd === '' || req.body.rate_per_usd == null ? null : Number(req.body.rate_per_usd));
+        const isActive = code === BASE_CURRENCY ? true : Boolean(req.body.is_active);
+        const chargeInCurrency = code === BASE_CURRENCY ? true : Boolean(req.body.charge_in_currency);
+
+        if (!name || name.length > 100) return res.status(400).json({ message: 'Please give the currency a name.' });
+        if (rate !== null && !(rate > 0)) return res.status(400).json({ message: 'The rate must be a number above 0.' });
+        if (isActive && rate === null) return res.status(400).json({ message: 'Set a rate before offering this currency.' });
+
+        const rateChanged = before === null || Number(before.rate_per_usd) !== rate;
+        await pool.execute(
+            `INSERT INTO currencies (code, name, rate_per_usd, is_active, charge_in_currency, rate_source, rate_updated_at, rate_updated_by)
+             VALUES (?, ?, ?, ?, ?, 'manual', NOW(), ?)
+             ON DUPLICATE KEY UPDATE name = VALUES(name), rate_per_usd = VALUES(rate_per_usd), is_active = VALUES(is_active),
+                charge_in_currency = VALUES(charge_in_currency),
+                rate_source = IF(?, 'manual', rate_source), rate_updated_at = IF(?, NOW(), rate_updated_at),
+                rate_updated_by = IF(?, VALUES(rate_updated_by), rate_updated_by)`,
+            [code, name, rate, isActive, chargeInCurrency, req.user.id, rateChanged, rateChanged, rateChanged]
+        );
+        await recordAudit(req, {
+            action: before ? 'currency.update' : 'currency.create', entityType: 'currency', entityId: code,
+            before, after: { name, rate_per_usd: rate, is_active: isActive, charge_in_currency: chargeInCurrency }
+        });
+        res.status(200).json({ message: `${code} saved.` });
+    } catch (error) {
+        console.error('Error saving currency:', error);
+        res.status(500).json({ message: 'Server error while saving the currency.' });
+    }
+});
+
+// @route   POST /api/admin/currencies/import?dryRun=true
+// @desc    Set exchange rates from a CSV file (form field "file"; columns currency, rate_per_usd).
+//          With dryRun=true nothing is saved: the response shows each rate's old and new value.
+//          Currencies not in the file are left alone; ones the shop doesn't have yet are added switched off.
+// @access  Private (currencies.manage)
+router.post('/currencies/import', authenticateToken, requirePermission('currencies.manage'), readCsvUpload, async (req, res) => {
+    const dryRun = req.query.dryRun === 'true';
+    try {
+        const { errors, rates } = parseRateRows(parseCsv(req.file.buffer.toString('utf8')));
+        const [existing] = await pool.execute('SELECT code, rate_per_usd FROM currencies');
+        const current = new Map(existing.map(row => [row.code, row.rate_per_usd === null ? null : Number(row.rate_per_usd)]));
+        const changes = rates.map(({ code, rate, line }) => ({ code, line, oldRate: current.get(code) ?? null, newRate: rate, isNew: !current.has(code) }));
+
+        if (dryRun) return res.status(200).json({ dryRun, errors, changes });
+        if (errors.length > 0) return res.status(400).json({ dryRun, errors, changes, message: 'No rates were saved. Fix the errors below and try again.' });
+
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+            for (const { code, newRate } of changes) {
+                await connection.execute(
+                    `INSERT INTO currencies (code, name, rate_per_usd, is_active, rate_source, rate_updated_at, rate_updated_by)
+                     VALUES (?, ?, ?, FALSE, 'import', NOW(), ?)
+                     ON DUPLICATE KEY UPDATE rate_per_usd = VALUES(rate_per_usd), rate_source = 'import',
+                        rate_updated_at = NOW(), rate_updated_by = VALUES(rate_updated_by)`,
+                    [code, code, newRate, req.user.id]
+                );
+            }
+            await recordAudit(req, { action: 'currency.import', entityType: 'currency', entityId: null, after: { changes } }, connection);
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+        res.status(200).json({ dryRun, errors, changes, message: `Saved ${changes.length} rate(s).` });
+    } catch (error) {
+        console.error('Error importing exchange rates:', error);
+        res.status(500).json({ message: 'Server error while importing rates. Nothing was saved.' });
+    }
+});
+
 // @route   DELETE /api/admin/products/:id
 // @desc    Delete a product and its images
 // @access  Private (Admin or SBO who owns the product)
-router.delete('/products/:id', authenticateToken, checkRole(['Admin', 'SBO']), async (req, res) => {
+router.delete('/products/:id', authenticateToken, requirePermission(['products.manage_own', 'products.manage_all']), async (req, res) => {
     const { id: productId } = req.params;
-    const { id: userId, role: userRole } = req.user;
+    const { id: userId } = req.user;
 
     const connection = await pool.getConnection();
     try {
@@ -283,13 +845,15 @@ router.delete('/products/:id', authenticateToken, checkRole(['Admin', 'SBO']), a
         const imageUrls = productResult.map(row => row.image_url).filter(url => url);
 
         // 2. Security Check: Ensure SBO can only delete their own product
-        if (userRole !== 'Admin' && productData.sbo_id !== userId) {
+        if (!can(req, 'products.manage_all') && productData.sbo_id !== userId) {
             return res.status(403).json({ message: 'You are not authorized to delete this product.' });
         }
 
         // 3. Delete the product from the database.
         // ON DELETE CASCADE will handle deleting from: product_images, section_products, cart_items, order_items.
+        const before = { ...await loadSnapshot('products', productId, connection), image_urls: imageUrls };
         await connection.execute('DELETE FROM products WHERE id = ?', [productId]);
+        await recordAudit(req, { action: 'product.delete', entityType: 'product', entityId: productId, before }, connection);
 
         // 4. Delete the physical image files from the /uploads folder
         if (imageUrls.length > 0) {
@@ -318,9 +882,9 @@ router.delete('/products/:id', authenticateToken, checkRole(['Admin', 'SBO']), a
 // @route   DELETE /api/admin/images/:imageId
 // @desc    Delete a single product image
 // @access  Private (Admin or SBO who owns the product)
-router.delete('/images/:imageId', authenticateToken, checkRole(['Admin', 'SBO']), async (req, res) => {
+router.delete('/images/:imageId', authenticateToken, requirePermission(['products.manage_own', 'products.manage_all']), async (req, res) => {
     const { imageId } = req.params;
-    const { id: userId, role: userRole } = req.user;
+    const { id: userId } = req.user;
 
     try {
         const [imageResult] = await pool.execute(
@@ -331,13 +895,15 @@ router.delete('/images/:imageId', authenticateToken, checkRole(['Admin', 'SBO'])
         if (imageResult.length === 0) return res.status(404).json({ message: 'Image not found.' });
 
         const imageData = imageResult[0];
-        if (userRole !== 'Admin' && imageData.sbo_id !== userId) {
+        if (!can(req, 'products.manage_all') && imageData.sbo_id !== userId) {
             return res.status(403).json({ message: 'You are not authorized to delete this image.' });
         }
 
         // --- THIS IS THE PRODUCTION-READY FIX ---
         // 1. Delete the record from the database
+        const before = await loadSnapshot('product_images', imageId);
         await pool.execute('DELETE FROM product_images WHERE id = ?', [imageId]);
+        await recordAudit(req, { action: 'product_image.delete', entityType: 'product_image', entityId: imageId, before });
 
         // 2. Delete the actual file from the server's disk
         // Construct the full file path from the project root
@@ -362,7 +928,7 @@ router.delete('/images/:imageId', authenticateToken, checkRole(['Admin', 'SBO'])
 // @route   GET /api/admin/sbo-profiles
 // @desc    Get a list of all SBO profiles for dropdowns
 // @access  Private (Admin only)
-router.get('/sbo-profiles', authenticateToken, checkRole(['Admin']), async (req, res) => {
+router.get('/sbo-profiles', authenticateToken, requirePermission('sbo.review'), async (req, res) => {
     try {
         const [sboProfiles] = await pool.execute(
             'SELECT id, company_name FROM sbo_profiles ORDER BY company_name ASC'
@@ -384,14 +950,14 @@ router.get('/sbo-profiles', authenticateToken, checkRole(['Admin']), async (req,
 router.post(
     '/sectors',
     authenticateToken,
-    checkRole(['Admin']),
+    requirePermission('catalog.manage'),
     // Use multer's .fields() to handle specific, named file uploads
     upload.fields([
         { name: 'image_url', maxCount: 1 },
         { name: 'hero_image_url', maxCount: 1 }
     ]),
     async (req, res) => {
-        const { name, is_featured, display_order } = req.body;
+        const { name, is_featured, display_order, parent_id } = req.body;
         if (!name) return res.status(400).json({ message: 'Sector name is required.' });
 
         try {
@@ -403,11 +969,18 @@ router.post(
             const imageUrl = req.files['image_url'] ? req.files['image_url'][0].path : null;
             const heroImageUrl = req.files['hero_image_url'] ? req.files['hero_image_url'][0].path : null;
 
+            if (parent_id) {
+                const [parentResult] = await pool.execute('SELECT id FROM sectors WHERE id = ?', [parent_id]);
+                if (parentResult.length === 0) return res.status(400).json({ message: 'Parent sector not found.' });
+            }
+
             const [result] = await pool.execute(
-                `INSERT INTO sectors (name, image_url, hero_image_url, is_featured, display_order)
-                 VALUES (?, ?, ?, ?, ?)`,
+                `INSERT INTO sectors (name, slug, parent_id, image_url, hero_image_url, is_featured, display_order)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
                 [
                     name,
+                    await uniqueSectorSlug(name),
+                    parent_id || null,
                     imageUrl,
                     heroImageUrl,
                     is_featured === 'true', // FormData sends booleans as strings 
@@ -417,6 +990,7 @@ router.post(
 
             // Fetch the newly created sector
             const [newSector] = await pool.execute('SELECT * FROM sectors WHERE id = ?', [result.insertId]);
+            await recordAudit(req, { action: 'sector.create', entityType: 'sector', entityId: result.insertId, after: newSector[0] });
             res.status(201).json(newSector[0]);
         } catch (error) {
             console.error('Error creating sector:', error);
@@ -425,27 +999,74 @@ router.post(
     }
 );
 
+// @route   PUT /api/admin/sectors/:id
+// @desc    Rename a sector, move it under another parent, or change how it is featured.
+//          The slug only changes when one is sent, so existing links keep working after a rename.
+// @access  Private (catalog.manage)
+router.put('/sectors/:id', authenticateToken, requirePermission('catalog.manage'), async (req, res) => {
+    const { id: sectorId } = req.params;
+    try {
+        const before = await loadSnapshot('sectors', sectorId);
+        if (!before) return res.status(404).json({ message: 'Sector not found.' });
+
+        const name = req.body.name !== undefined ? String(req.body.name).trim() : before.name;
+        const parentId = req.body.parent_id !== undefined ? (req.body.parent_id || null) : before.parent_id;
+        if (!name) return res.status(400).json({ message: 'Sector name is required.' });
+
+        const sectors = await loadSectorTree();
+        if (parentId && !sectors.some(sector => sector.id === Number(parentId))) {
+            return res.status(400).json({ message: 'Parent sector not found.' });
+        }
+        if (wouldCreateCycle(sectors, sectorId, parentId)) {
+            return res.status(400).json({ message: 'A sector cannot be moved under itself or one of its own sub-sectors.' });
+        }
+        const slug = req.body.slug ? await uniqueSectorSlug(req.body.slug, sectorId) : before.slug || await uniqueSectorSlug(name, sectorId);
+
+        await pool.execute(
+            'UPDATE sectors SET name = ?, slug = ?, parent_id = ?, is_featured = ?, display_order = ? WHERE id = ?',
+            [
+                name, slug, parentId,
+                req.body.is_featured !== undefined ? Boolean(req.body.is_featured) : before.is_featured,
+                req.body.display_order !== undefined ? Number(req.body.display_order) || 0 : before.display_order,
+                sectorId
+            ]
+        );
+        const after = await loadSnapshot('sectors', sectorId);
+        await recordAudit(req, { action: 'sector.update', entityType: 'sector', entityId: sectorId, before, after });
+        res.status(200).json(after);
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'A sector with this name already exists.' });
+        }
+        console.error('Error updating sector:', error);
+        res.status(500).json({ message: 'Server error while updating sector.' });
+    }
+});
+
 // @route   DELETE /api/admin/sectors/:id
-// @desc    Delete a sector
+// @desc    Delete a sector. Its sub-sectors move up to its parent.
 // @access  Private (Admin)
 // --- REPLACE THE ENTIRE DELETE /sectors/:id ROUTE ---
-router.delete('/sectors/:id', authenticateToken, checkRole(['Admin']), async (req, res) => {
+router.delete('/sectors/:id', authenticateToken, requirePermission('catalog.manage'), async (req, res) => {
     const { id: sectorId } = req.params;
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
 
         // 1. Get the image URLs before deleting the record
-        const [sectorResult] = await connection.execute('SELECT image_url, hero_image_url FROM sectors WHERE id = ?', [sectorId]);
+        const [sectorResult] = await connection.execute('SELECT image_url, hero_image_url, parent_id FROM sectors WHERE id = ?', [sectorId]);
         if (sectorResult.length === 0) {
             // If not found, it might have been deleted already. Send success.
             return res.status(200).json({ message: 'Sector already deleted.' });
         }
-        const { image_url, hero_image_url } = sectorResult[0];
+        const { image_url, hero_image_url, parent_id } = sectorResult[0];
+        await connection.execute('UPDATE sectors SET parent_id = ? WHERE parent_id = ?', [parent_id, sectorId]);
 
         // 2. Delete the sector from the database.
         // Products linked via sector_id will have it set to NULL automatically.
+        const before = await loadSnapshot('sectors', sectorId, connection);
         await connection.execute('DELETE FROM sectors WHERE id = ?', [sectorId]);
+        await recordAudit(req, { action: 'sector.delete', entityType: 'sector', entityId: sectorId, before }, connection);
 
         // 3. Delete the physical image files from the /uploads folder
         [image_url, hero_image_url].forEach(url => {
@@ -477,7 +1098,7 @@ router.delete('/sectors/:id', authenticateToken, checkRole(['Admin']), async (re
 // @route   POST /api/admin/brands
 // @desc    Create a new brand
 // @access  Private (Admin)
-router.post('/brands', authenticateToken, checkRole(['Admin']), async (req, res) => {
+router.post('/brands', authenticateToken, requirePermission('catalog.manage'), async (req, res) => {
     const { name } = req.body;
     if (!name) return res.status(400).json({ message: 'Brand name is required.' });
     try {
@@ -486,6 +1107,7 @@ router.post('/brands', authenticateToken, checkRole(['Admin']), async (req, res)
 
         const [result] = await pool.execute('INSERT INTO brands (name) VALUES (?)', [name]);
         const [newBrand] = await pool.execute('SELECT * FROM brands WHERE id = ?', [result.insertId]);
+        await recordAudit(req, { action: 'brand.create', entityType: 'brand', entityId: result.insertId, after: newBrand[0] });
         res.status(201).json(newBrand[0]);
     } catch (error) { res.status(500).json({ message: 'Server error' }); }
 });
@@ -493,13 +1115,190 @@ router.post('/brands', authenticateToken, checkRole(['Admin']), async (req, res)
 // @route   DELETE /api/admin/brands/:id
 // @desc    Delete a brand
 // @access  Private (Admin)
-router.delete('/brands/:id', authenticateToken, checkRole(['Admin']), async (req, res) => {
+router.delete('/brands/:id', authenticateToken, requirePermission('catalog.manage'), async (req, res) => {
     try {
+        const before = await loadSnapshot('brands', req.params.id);
         await pool.execute('DELETE FROM brands WHERE id = ?', [req.params.id]);
+        if (before) await recordAudit(req, { action: 'brand.delete', entityType: 'brand', entityId: req.params.id, before });
         res.status(200).json({ message: 'Brand deleted successfully.' });
     } catch (error) { res.status(500).json({ message: 'Server error' }); }
 });
 
+// =======================================================
+// TAG MANAGEMENT ROUTES (Admin Only)
+// =======================================================
+
+// @route   POST /api/admin/tags
+// @desc    Create a new product tag
+// @access  Private (catalog.manage)
+router.post('/tags', authenticateToken, requirePermission('catalog.manage'), async (req, res) => {
+    const name = String(req.body.name || '').trim();
+    const { description = null } = req.body;
+    const slug = slugify(req.body.slug || name);
+    if (!name || name.length > 100 || !slug) {
+        return res.status(400).json({ message: 'A tag name of up to 100 characters is required.' });
+    }
+    try {
+        const [result] = await pool.execute(
+            'INSERT INTO tags (name, slug, description) VALUES (?, ?, ?)',
+            [name, slug, description || null]
+        );
+        const [newTag] = await pool.execute('SELECT * FROM tags WHERE id = ?', [result.insertId]);
+        await recordAudit(req, { action: 'tag.create', entityType: 'tag', entityId: result.insertId, after: newTag[0] });
+        res.status(201).json({ ...newTag[0], product_count: 0 });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'A tag with this name already exists.' });
+        }
+        console.error('Error creating tag:', error);
+        res.status(500).json({ message: 'Server error while creating tag.' });
+    }
+});
+
+// @route   PUT /api/admin/tags/:id
+// @desc    Rename a tag or change its description
+// @access  Private (catalog.manage)
+router.put('/tags/:id', authenticateToken, requirePermission('catalog.manage'), async (req, res) => {
+    const name = String(req.body.name || '').trim();
+    const { description = null } = req.body;
+    const slug = slugify(req.body.slug || name);
+    if (!name || name.length > 100 || !slug) {
+        return res.status(400).json({ message: 'A tag name of up to 100 characters is required.' });
+    }
+    try {
+        const before = await loadSnapshot('tags', req.params.id);
+        if (!before) return res.status(404).json({ message: 'Tag not found.' });
+
+        await pool.execute(
+            'UPDATE tags SET name = ?, slug = ?, description = ? WHERE id = ?',
+            [name, slug, description || null, req.params.id]
+        );
+        const after = await loadSnapshot('tags', req.params.id);
+        await recordAudit(req, { action: 'tag.update', entityType: 'tag', entityId: req.params.id, before, after });
+        res.status(200).json(after);
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'A tag with this name already exists.' });
+        }
+        console.error('Error updating tag:', error);
+        res.status(500).json({ message: 'Server error while updating tag.' });
+    }
+});
+
+// @route   DELETE /api/admin/tags/:id
+// @desc    Delete a tag. It is removed from its products, and shelves that show it are deleted.
+// @access  Private (catalog.manage)
+router.delete('/tags/:id', authenticateToken, requirePermission('catalog.manage'), async (req, res) => {
+    try {
+        const before = await loadSnapshot('tags', req.params.id);
+        await pool.execute('DELETE FROM tags WHERE id = ?', [req.params.id]);
+        if (before) await recordAudit(req, { action: 'tag.delete', entityType: 'tag', entityId: req.params.id, before });
+        res.status(200).json({ message: 'Tag deleted successfully.' });
+    } catch (error) {
+        console.error('Error deleting tag:', error);
+        res.status(500).json({ message: 'Server error while deleting tag.' });
+    }
+});
+
+// =======================================================
+// SECTOR SHELF MANAGEMENT ROUTES (Admin Only)
+// =======================================================
+
+// @route   GET /api/admin/sectors/:id/shelves
+// @desc    Get every shelf configured for a sector, including hidden ones
+// @access  Private (catalog.manage)
+router.get('/sectors/:id/shelves', authenticateToken, requirePermission('catalog.manage'), async (req, res) => {
+    try {
+        const [shelves] = await pool.execute(
+            `SELECT sh.*, t.name as tag_name
+             FROM sector_shelves sh LEFT JOIN tags t ON sh.tag_id = t.id
+             WHERE sh.sector_id = ?
+             ORDER BY sh.position ASC, sh.id ASC`,
+            [req.params.id]
+        );
+        res.status(200).json(shelves);
+    } catch (error) {
+        console.error('Error fetching sector shelves:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/admin/sectors/:id/shelves
+// @desc    Add a shelf to a sector page
+// @access  Private (catalog.manage)
+router.post('/sectors/:id/shelves', authenticateToken, requirePermission('catalog.manage'), async (req, res) => {
+    const { title, tag_id = null, sort_by = 'newest', item_limit = 10, position = 0, is_active = true } = req.body;
+    const validationError = validateShelf(req.body);
+    if (validationError) return res.status(400).json({ message: validationError });
+
+    try {
+        const [result] = await pool.execute(
+            `INSERT INTO sector_shelves (sector_id, title, tag_id, sort_by, item_limit, position, is_active)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [req.params.id, String(title).trim(), tag_id || null, sort_by, Number(item_limit), Number(position) || 0, Boolean(is_active)]
+        );
+        const after = await loadSnapshot('sector_shelves', result.insertId);
+        await recordAudit(req, { action: 'shelf.create', entityType: 'sector_shelf', entityId: result.insertId, after });
+        res.status(201).json(after);
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'This sector already has a shelf with that title.' });
+        }
+        if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+            return res.status(400).json({ message: 'Unknown sector or tag.' });
+        }
+        console.error('Error creating shelf:', error);
+        res.status(500).json({ message: 'Server error while creating shelf.' });
+    }
+});
+
+// @route   PUT /api/admin/shelves/:id
+// @desc    Update a shelf
+// @access  Private (catalog.manage)
+router.put('/shelves/:id', authenticateToken, requirePermission('catalog.manage'), async (req, res) => {
+    const { title, tag_id = null, sort_by = 'newest', item_limit = 10, position = 0, is_active = true } = req.body;
+    const validationError = validateShelf(req.body);
+    if (validationError) return res.status(400).json({ message: validationError });
+
+    try {
+        const before = await loadSnapshot('sector_shelves', req.params.id);
+        if (!before) return res.status(404).json({ message: 'Shelf not found.' });
+
+        await pool.execute(
+            `UPDATE sector_shelves SET title = ?, tag_id = ?, sort_by = ?, item_limit = ?, position = ?, is_active = ?
+             WHERE id = ?`,
+            [String(title).trim(), tag_id || null, sort_by, Number(item_limit), Number(position) || 0, Boolean(is_active), req.params.id]
+        );
+        const after = await loadSnapshot('sector_shelves', req.params.id);
+        await recordAudit(req, { action: 'shelf.update', entityType: 'sector_shelf', entityId: req.params.id, before, after });
+        res.status(200).json(after);
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'This sector already has a shelf with that title.' });
+        }
+        if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+            return res.status(400).json({ message: 'Unknown tag.' });
+        }
+        console.error('Error updating shelf:', error);
+        res.status(500).json({ message: 'Server error while updating shelf.' });
+    }
+});
+
+// @route   DELETE /api/admin/shelves/:id
+// @desc    Remove a shelf from its sector page
+// @access  Private (catalog.manage)
+router.delete('/shelves/:id', authenticateToken, requirePermission('catalog.manage'), async (req, res) => {
+    try {
+        const before = await loadSnapshot('sector_shelves', req.params.id);
+        await pool.execute('DELETE FROM sector_shelves WHERE id = ?', [req.params.id]);
+        if (before) await recordAudit(req, { action: 'shelf.delete', entityType: 'sector_shelf', entityId: req.params.id, before });
+        res.status(200).json({ message: 'Shelf deleted successfully.' });
+    } catch (error) {
+        console.error('Error deleting shelf:', error);
+        res.status(500).json({ message: 'Server error while deleting shelf.' });
+    }
+});
+
 // =======================================================
 // HERO SLIDE MANAGEMENT ROUTES (Admin Only)
 // =======================================================
@@ -507,7 +1306,7 @@ router.delete('/brands/:id', authenticateToken, checkRole(['Admin']), async (req
 // @route   GET /api/admin/hero-slides
 // @desc    Get all hero slides for the admin view
 // @access  Private (Admin)
-router.get('/hero-slides', authenticateToken, checkRole(['Admin']), async (req, res) => {
+router.get('/hero-slides', authenticateToken, requirePermission('content.publish'), async (req, res) => {
     try {
         const [slides] = await pool.execute('SELECT * FROM hero_slides ORDER BY display_order ASC');
         // For each slide, fetch its collage images
@@ -520,7 +1319,7 @@ router.get('/hero-slides', authenticateToken, checkRole(['Admin']), async (req,
 });
 
 // POST (Create) a new hero slide
-router.post('/hero-slides', authenticateToken, checkRole(['Admin']), upload.single('background_image_url'), async (req, res) => {
+router.post('/hero-slides', authenticateToken, requirePermission('content.publish'), upload.single('background_image_url'), async (req, res) => {
     const { title_text, subtitle_text, display_order, is_active } = req.body;
     if (!req.file) return res.status(400).json({ message: 'A background image is required.' });
 
@@ -533,6 +1332,7 @@ router.post('/hero-slides', authenticateToken, checkRole(['Admin']), upload.sing
         // Return the new slide with an empty collage_images array for the frontend
         const [newSlide] = await pool.execute('SELECT * FROM hero_slides WHERE id = ?', [result.insertId]);
         const slideData = newSlide[0];
+        await recordAudit(req, { action: 'hero_slide.create', entityType: 'hero_slide', entityId: result.insertId, after: slideData });
         slideData.collage_images = [];
         res.status(201).json(slideData);
     } catch (error) {
@@ -543,7 +1343,7 @@ router.post('/hero-slides', authenticateToken, checkRole(['Admin']), upload.sing
 );
 
 // POST (Add) a collage image to a slide
-router.post('/hero-slides/:slideId/collage', authenticateToken, checkRole(['Admin']), upload.single('image_url'), async (req, res) => {
+router.post('/hero-slides/:slideId/collage', authenticateToken, requirePermission('content.publish'), upload.single('image_url'), async (req, res) => {
     const { slideId } = req.params;
     const { top_position, left_position, width, height, z_index } = req.body;
     if (!req.file) return res.status(400).json({ message: 'An image file is required.' });
@@ -555,13 +1355,14 @@ router.post('/hero-slides/:slideId/collage', authenticateToken, checkRole(['Admi
             [slideId, imageUrl, top_position || '50%', left_position || '50%', width || '150px', height || '150px', z_index || 10]
         );
         const [newCollageImage] = await pool.execute('SELECT * FROM hero_slide_collages WHERE id = ?', [result.insertId]);
+        await recordAudit(req, { action: 'hero_slide.collage_add', entityType: 'hero_slide', entityId: slideId, after: newCollageImage[0] });
         res.status(201).json(newCollageImage[0]);
     } catch (error) { res.status(500).json({ message: 'Server error' }); }
 }
 );
 
 // DELETE a hero slide
-router.delete('/hero-slides/:slideId', authenticateToken, checkRole(['Admin']), async (req, res) => {
+router.delete('/hero-slides/:slideId', authenticateToken, requirePermission('content.publish'), async (req, res) => {
     // This is complex because we need to delete multiple files.
     const connection = await pool.getConnection();
     try {
@@ -573,6 +1374,10 @@ router.delete('/hero-slides/:slideId', authenticateToken, checkRole(['Admin']),
         const [collageResult] = await connection.execute('SELECT image_url FROM hero_slide_collages WHERE slide_id = ?', [req.params.slideId]);
 
         await connection.execute('DELETE FROM hero_slides WHERE id = ?', [req.params.slideId]);
+        await recordAudit(req, {
+            action: 'hero_slide.delete', entityType: 'hero_slide', entityId: req.params.slideId,
+            before: { ...slide, collage_images: collageResult.map(img => img.image_url) }
+        }, connection);
 
         // Delete main background image file
         if (slide.background_image_url) {
@@ -599,7 +1404,7 @@ const deleteCloudinaryFile = (imageUrl) => {
 };
 
 // DELETE a single collage image (PRODUCTION-READY VERSION)
-router.delete('/collage-images/:imageId', authenticateToken, checkRole(['Admin']), async (req, res) => {
+router.delete('/collage-images/:imageId', authenticateToken, requirePermission('content.publish'), async (req, res) => {
     try {
         const [imageResult] = await pool.execute('SELECT image_url FROM hero_slide_collages WHERE id = ?', [req.params.imageId]);
         if (imageResult.length === 0) return res.status(404).json({ message: 'Image not found.' });
@@ -609,7 +1414,9 @@ router.delete('/collage-images/:imageId', authenticateToken, checkRole(['Admin']
         // However, I must replicate the user's potentially buggy logic unless I'm fixing it.
         // Step 585 selects from `hero_slide_collages`. Step 588 deletes from `product_images`. This is definitely a bug. `product_images` is for products. 
         // I will FIX it to `hero_slide_collages` as it makes sense in this context (Hero Slide Management).
+        const before = await loadSnapshot('hero_slide_collages', req.params.imageId);
         await pool.execute('DELETE FROM hero_slide_collages WHERE id = ?', [req.params.imageId]);
+        await recordAudit(req, { action: 'hero_slide.collage_delete', entityType: 'hero_slide', entityId: before.slide_id, before });
 
         if (imageUrl) deleteCloudinaryFile(imageUrl);
         // Delete the physical file from disk
@@ -626,16 +1433,18 @@ router.delete('/collage-images/:imageId', authenticateToken, checkRole(['Admin']
 // @route   PUT /api/admin/hero-slides/:id
 // @desc    Update a hero slide's text content and settings
 // @access  Private (Admin)
-router.put('/hero-slides/:id', authenticateToken, checkRole(['Admin']), async (req, res) => {
+router.put('/hero-slides/:id', authenticateToken, requirePermission('content.publish'), async (req, res) => {
     const { id } = req.params;
     const { title_text, subtitle_text, display_order, is_active } = req.body;
     try {
+        const before = await loadSnapshot('hero_slides', id);
         await pool.execute(
             `UPDATE hero_slides SET title_text=?, subtitle_text=?, display_order=?, is_active=?, updated_at=NOW()
              WHERE id=?`,
             [title_text, subtitle_text, display_order, is_active, id]
         );
         const [updatedSlide] = await pool.execute('SELECT * FROM hero_slides WHERE id = ?', [id]);
+        await recordAudit(req, { action: 'hero_slide.update', entityType: 'hero_slide', entityId: id, before, after: updatedSlide[0] || null });
         res.status(200).json(updatedSlide[0]);
     } catch (error) { res.status(500).json({ message: 'Server error' }); }
 });
@@ -643,16 +1452,18 @@ router.put('/hero-slides/:id', authenticateToken, checkRole(['Admin']), async (r
 // @route   PUT /api/admin/shop-sections/:id
 // @desc    Update a shop section's settings
 // @access  Private (Admin)
-router.put('/shop-sections/:id', authenticateToken, checkRole(['Admin']), async (req, res) => {
+router.put('/shop-sections/:id', authenticateToken, requirePermission('content.publish'), async (req, res) => {
     const { id } = req.params;
     const { title, type, display_order, is_active, start_date, end_date } = req.body;
     try {
+        const before = await loadSnapshot('shop_sections', id);
         await pool.execute(
             `UPDATE shop_sections SET title=?, type=?, display_order=?, is_active=?, start_date=?, end_date=?
              WHERE id=?`,
             [title, type, display_order, is_active, start_date || null, end_date || null, id]
         );
         const [updatedSection] = await pool.execute('SELECT * FROM shop_sections WHERE id = ?', [id]);
+        await recordAudit(req, { action: 'shop_section.update', entityType: 'shop_section', entityId: id, before, after: updatedSection[0] || null });
         res.status(200).json(updatedSection[0]);
     } catch (error) { res.status(500).json({ message: 'Server error' }); }
 });
@@ -664,7 +1475,7 @@ router.put('/shop-sections/:id', authenticateToken, checkRole(['Admin']), async
 // @route   GET /api/admin/shop-sections
 // @desc    Get all shop sections for the admin view
 // @access  Private (Admin)
-router.get('/shop-sections', authenticateToken, checkRole(['Admin']), async (req, res) => {
+router.get('/shop-sections', authenticateToken, requirePermission('content.publish'), async (req, res) => {
     try {
         const [sections] = await pool.execute('SELECT * FROM shop_sections ORDER BY display_order ASC, title ASC');
         res.status(200).json(sections);
@@ -674,7 +1485,7 @@ router.get('/shop-sections', authenticateToken, checkRole(['Admin']), async (req
 // @route   POST /api/admin/shop-sections
 // @desc    Create a new shop section
 // @access  Private (Admin)
-router.post('/shop-sections', authenticateToken, checkRole(['Admin']), async (req, res) => {
+router.post('/shop-sections', authenticateToken, requirePermission('content.publish'), async (req, res) => {
     const { title, type, display_order, is_active, start_date, end_date } = req.body;
     if (!title || !type) return res.status(400).json({ message: 'Title and Type are required.' });
     try {
@@ -684,6 +1495,7 @@ router.post('/shop-sections', authenticateToken, checkRole(['Admin']), async (re
             [title, type, display_order || 0, is_active, start_date || null, end_date || null]
         );
         const [newSection] = await pool.execute('SELECT * FROM shop_sections WHERE id = ?', [result.insertId]);
+        await recordAudit(req, { action: 'shop_section.create', entityType: 'shop_section', entityId: result.insertId, after: newSection[0] });
         res.status(201).json(newSection[0]);
     } catch (error) { res.status(500).json({ message: 'Server error' }); }
 });
@@ -691,9 +1503,11 @@ router.post('/shop-sections', authenticateToken, checkRole(['Admin']), async (re
 // @route   DELETE /api/admin/shop-sections/:id
 // @desc    Delete a shop section
 // @access  Private (Admin)
-router.delete('/shop-sections/:id', authenticateToken, checkRole(['Admin']), async (req, res) => {
+router.delete('/shop-sections/:id', authenticateToken, requirePermission('content.publish'), async (req, res) => {
     try {
+        const before = await loadSnapshot('shop_sections', req.params.id);
         await pool.execute('DELETE FROM shop_sections WHERE id = ?', [req.params.id]);
+        if (before) await recordAudit(req, { action: 'shop_section.delete', entityType: 'shop_section', entityId: req.params.id, before });
         res.status(200).json({ message: 'Shop section deleted successfully.' });
     } catch (error) { res.status(500).json({ message: 'Server error' }); }
 });
@@ -701,7 +1515,7 @@ router.delete('/shop-sections/:id', authenticateToken, checkRole(['Admin']), asy
 // @route   GET /api/admin/shop-sections/:id
 // @desc    Get details for a single shop section, including linked products
 // @access  Private (Admin)
-router.get('/shop-sections/:id', authenticateToken, checkRole(['Admin']), async (req, res) => {
+router.get('/shop-sections/:id', authenticateToken, requirePermission('content.publish'), async (req, res) => {
     try {
         // 1. Get the section details
         const [sectionResult] = await pool.execute('SELECT * FROM shop_sections WHERE id = ?', [req.params.id]);
@@ -720,7 +1534,7 @@ router.get('/shop-sections/:id', authenticateToken, checkRole(['Admin']), async
 // @route   POST /api/admin/shop-sections/:id/products
 // @desc    Update the list of products linked to a section
 // @access  Private (Admin)
-router.post('/shop-sections/:id/products', authenticateToken, checkRole(['Admin']), async (req, res) => {
+router.post('/shop-sections/:id/products', authenticateToken, requirePermission('content.publish'), async (req, res) => {
     const { id: sectionId } = req.params;
     const { productIds } = req.body; // Expect an array of product IDs
 
@@ -731,6 +1545,8 @@ router.post('/shop-sections/:id/products', authenticateToken, checkRole(['Admin'
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
+        const [previousLinks] = await connection.execute('SELECT product_id FROM section_products WHERE section_id = ?', [sectionId]);
+
         // 1. A simple and robust approach: Delete all existing links for this section
         await connection.execute('DELETE FROM section_products WHERE section_id = ?', [sectionId]);
 
@@ -742,6 +1558,11 @@ router.post('/shop-sections/:id/products', authenticateToken, checkRole(['Admin'
             await Promise.all(insertPromises);
         }
 
+        await recordAudit(req, {
+            action: 'shop_section.products_update', entityType: 'shop_section', entityId: sectionId,
+            before: { product_ids: previousLinks.map(link => link.product_id) },
+            after: { product_ids: productIds }
+        }, connection);
         await connection.commit();
         res.status(200).json({ message: 'Section products updated successfully.' });
     } catch (error) {
@@ -760,8 +1581,9 @@ router.post('/shop-sections/:id/products', authenticateToken, checkRole(['Admin'
 // @route   GET /api/admin/orders
 // @desc    Get orders based on user role (Admin sees all, SBO sees their own)
 // @access  Private (Admin or SBO)
-router.get('/orders', authenticateToken, checkRole(['Admin', 'SBO']), async (req, res) => {
-    const { id: userId, role: userRole } = req.user;
+router.get('/orders', authenticateToken, requirePermission(['orders.view', 'orders.manage_all']), async (req, res) => {
+    const { id: userId } = req.user;
+    const seesAllOrders = can(req, 'orders.manage_all');
     const page = parseInt(req.query.page || '1');
     const limit = 15;
     const offset = (page - 1) * limit;
@@ -772,7 +1594,7 @@ router.get('/orders', authenticateToken, checkRole(['Admin', 'SBO']), async (req
         let countQuery;
         const queryParams = [];
 
-        if (userRole === 'Admin') {
+        if (seesAllOrders) {
             mainQuery = `FROM orders o JOIN users u ON o.user_id = u.id`;
             countQuery = `SELECT COUNT(*) as count FROM orders o`; // Use alias 'o'
         } else { // SBO
@@ -788,7 +1610,7 @@ router.get('/orders', authenticateToken, checkRole(['Admin', 'SBO']), async (req
         }
 
         if (searchTerm) {
-            const whereOrAnd = queryParams.length > 0 || userRole === 'SBO' ? 'AND' : 'WHERE';
+            const whereOrAnd = seesAllOrders ? 'WHERE' : 'AND';
             // Assuming searchTerm is treated as ID if number, else date/string?
             // The original logic checked !isNaN(searchTerm).
             if (!isNaN(searchTerm)) {
@@ -835,9 +1657,9 @@ router.get('/orders', authenticateToken, checkRole(['Admin', 'SBO']), async (req
 // @route   GET /api/admin/orders/:id
 // @desc    Get full details of a single order for an Admin/SBO
 // @access  Private (Admin or SBO)
-router.get('/orders/:id', authenticateToken, checkRole(['Admin', 'SBO']), async (req, res) => {
+router.get('/orders/:id', authenticateToken, requirePermission(['orders.view', 'orders.manage_all']), async (req, res) => {
     const { id: orderId } = req.params;
-    const { id: userId, role: userRole } = req.user;
+    const { id: userId } = req.user;
 
     try {
         // 1. Fetch main order and customer details
@@ -852,15 +1674,15 @@ router.get('/orders/:id', authenticateToken, checkRole(['Admin', 'SBO']), async
 
         // 2. Fetch the items in the order
         const [itemsResult] = await pool.execute(
-            `SELECT oi.quantity, oi.price_at_purchase, p.id as product_id, p.name as product_name, p.sbo_id
+            `SELECT oi.quantity, oi.price_at_purchase, oi.variant_title, oi.sku, p.id as product_id, p.name as product_name, p.sbo_id
              FROM order_items oi JOIN products p ON oi.product_id = p.id
              WHERE oi.order_id = ?`,
             [orderId]
         );
         order.items = itemsResult;
 
-        // 3. Security Check: If user is an SBO, ensure at least one item in the order is theirs
-        if (userRole === 'SBO') {
+        // 3. Security Check: Unless they can see every order, ensure at least one item in the order is theirs
+        if (!can(req, 'orders.manage_all')) {
             const isSboOrder = order.items.some(item => item.sbo_id === userId);
             if (!isSboOrder) {
                 return res.status(403).json({ message: 'You are not authorized to view this order.' });
@@ -879,10 +1701,10 @@ router.get('/orders/:id', authenticateToken, checkRole(['Admin', 'SBO']), async
 // @route   PUT /api/admin/orders/:id/status
 // @desc    Update the status of an order
 // @access  Private (Admin or SBO)
-router.put('/orders/:id/status', authenticateToken, checkRole(['Admin', 'SBO']), async (req, res) => {
+router.put('/orders/:id/status', authenticateToken, requirePermission(['orders.update_status', 'orders.manage_all']), async (req, res) => {
     const { id: orderId } = req.params;
     const { status: newStatus } = req.body;
-    const { id: userId, role: userRole } = req.user;
+    const { id: userId } = req.user;
 
     // 1. Validate the new status to ensure it's one of the allowed values
     const allowedStatuses = ['pending', 'paid', 'shipped', 'delivered', 'cancelled'];
@@ -890,10 +1712,11 @@ router.put('/orders/:id/status', authenticateToken, checkRole(['Admin', 'SBO']),
         return res.status(400).json({ message: 'Invalid status provided.' });
     }
 
+    const connection = await pool.getConnection();
     try {
-        // 2. Security Check: If the user is an SBO, verify they are part of this order
-        if (userRole === 'SBO') {
-            const [orderItems] = await pool.execute(
+        // 2. Security Check: Unless they can manage every order, verify they are part of this order
+        if (!can(req, 'orders.manage_all')) {
+            const [orderItems] = await connection.execute(
                 `SELECT p.sbo_id FROM order_items oi
                  JOIN products p ON oi.product_id = p.id
                  WHERE oi.order_id = ?`,
@@ -906,12 +1729,36 @@ router.put('/orders/:id/status', authenticateToken, checkRole(['Admin', 'SBO']),
         }
 
         // 3. Perform the update
-        await pool.execute('UPDATE orders SET status = ? WHERE id = ?', [newStatus, orderId]);
-        const [updatedOrder] = await pool.execute('SELECT id, status FROM orders WHERE id = ?', [orderId]);
-
-        if (updatedOrder.length === 0) {
+        await connection.beginTransaction();
+        const [previousOrder] = await connection.execute('SELECT id, status FROM orders WHERE id = ? FOR UPDATE', [orderId]);
+        if (previousOrder.length === 0) {
+            await connection.rollback();
             return res.status(404).json({ message: 'Order not found.' });
         }
+        await connection.execute('UPDATE orders SET status = ? WHERE id = ?', [newStatus, orderId]);
+
+        // 4. Cancelling an order puts its items back in stock; taking it out of cancelled sells them again
+        const wasCancelled = previousOrder[0].status.toLowerCase() === 'cancelled';
+        if (wasCancelled !== (newStatus === 'cancelled')) {
+            const [items] = await connection.execute('SELECT product_id, variant_id, quantity FROM order_items WHERE order_id = ?', [orderId]);
+            for (const item of items) {
+                await recordStockMovement({
+                    productId: item.product_id, variantId: item.variant_id,
+                    change: wasCancelled ? -item.quantity : item.quantity,
+                    reason: wasCancelled ? 'sale' : 'cancellation',
+                    note: wasCancelled ? 'Order reinstated after being cancelled' : null,
+                    orderId, userId
+                }, connection);
+                if (item.variant_id) await syncVariantStock(item.product_id, connection);
+            }
+        }
+
+        const [updatedOrder] = await connection.execute('SELECT id, status FROM orders WHERE id = ?', [orderId]);
+        await recordAudit(req, {
+            action: 'order.status_change', entityType: 'order', entityId: orderId,
+            before: previousOrder[0], after: updatedOrder[0]
+        }, connection);
+        await connection.commit();
 
         res.status(200).json({
             message: 'Order status updated successfully.',
@@ -919,8 +1766,11 @@ router.put('/orders/:id/status', authenticateToken, checkRole(['Admin', 'SBO']),
         });
 
     } catch (error) {
+        await connection.rollback();
         console.error('Error updating order status:', error);
         res.status(500).json({ message: 'Server error' });
+    } finally {
+        connection.release();
     }
 });
 
@@ -931,7 +1781,7 @@ router.put('/orders/:id/status', authenticateToken, checkRole(['Admin', 'SBO']),
 // @route   GET /api/admin/innovations
 // @desc    Get all innovation submissions
 // @access  Private (Admin)
-router.get('/innovations', authenticateToken, checkRole(['Admin']), async (req, res) => {
+router.get('/innovations', authenticateToken, requirePermission('innovations.view'), async (req, res) => {
     try {
         const [submissions] = await pool.execute(
             `SELECT 
@@ -951,24 +1801,83 @@ router.get('/innovations', authenticateToken, checkRole(['Admin']), async (req,
 // @route   GET /api/admin/users/:id
 // @desc    Get the full profile of a single user
 // @access  Private (Admin)
-router.get('/users/:id', authenticateToken, checkRole(['Admin']), async (req, res) => {
+router.get('/users/:id', authenticateToken, requirePermission('users.view'), async (req, res) => {
     try {
         const [userResult] = await pool.execute('SELECT * FROM users WHERE id = ?', [req.params.id]);
         if (userResult.length === 0) {
             return res.status(404).json({ message: 'User not found.' });
         }
-        // Exclude password hash for security
+        // Exclude password hash and KingsChat tokens for security
         delete userResult[0].password_hash;
+        delete userResult[0].kingschat_access_token;
+        delete userResult[0].kingschat_refresh_token;
         res.status(200).json(userResult[0]);
     } catch (error) {
         res.status(500).json({ message: 'Server error' });
     }
 });
 
+// @route   POST /api/admin/users/:id/unlock
+// @desc    Lift a login lockout and reset the user's failed-attempt counter
+// @access  Private (Admin)
+router.post('/users/:id/unlock', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+    try {
+        const [userResult] = await pool.execute('SELECT id, failed_login_count, locked_until FROM users WHERE id = ?', [req.params.id]);
+        if (userResult.length === 0) return res.status(404).json({ message: 'User not found.' });
+
+        await clearFailedLogins(userResult[0].id);
+        await recordAudit(req, {
+            action: 'user.unlock', entityType: 'user', entityId: userResult[0].id,
+            before: userResult[0], after: { id: userResult[0].id, failed_login_count: 0, locked_until: null }
+        });
+        res.status(200).json({ message: 'Account unlocked.' });
+    } catch (error) {
+        console.error('Error unlocking user:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/admin/login-attempts
+// @desc    Review recent login attempts (filter by identifier, ip, outcome or user)
+// @access  Private (Admin)
+router.get('/login-attempts', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+    const page = parseInt(req.query.page || '1');
+    const limit = 25;
+    const offset = (page - 1) * limit;
+    const { identifier, ip, success, userId } = req.query;
+
+    const conditions = [];
+    const params = [];
+    if (identifier) { conditions.push('la.identifier LIKE ?'); params.push(`%${identifier.toLowerCase()}%`); }
+    if (ip) { conditions.push('la.ip_address = ?'); params.push(ip); }
+    if (success === 'true' || success === 'false') { conditions.push('la.success = ?'); params.push(success === 'true'); }
+    if (userId) { conditions.push('la.user_id = ?'); params.push(userId); }
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    try {
+        const [totalResult] = await pool.execute(`SELECT COUNT(*) as count FROM login_attempts la ${whereClause}`, params);
+        const [attemptsResult] = await pool.query(
+            `SELECT la.*, u.username, u.locked_until
+             FROM login_attempts la LEFT JOIN users u ON la.user_id = u.id
+             ${whereClause}
+             ORDER BY la.created_at DESC LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        );
+        res.status(200).json({
+            attempts: attemptsResult,
+            currentPage: page,
+            totalPages: Math.ceil(parseInt(totalResult[0]?.count || 0) / limit)
+        });
+    } catch (error) {
+        console.error('Error fetching login attempts:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // @route   GET /api/admin/business-inquiries
 // @desc    Get all business inquiries
 // @access  Private (Admin)
-router.get('/business-inquiries', authenticateToken, checkRole(['Admin']), async (req, res) => {
+router.get('/business-inquiries', authenticateToken, requirePermission('inquiries.manage'), async (req, res) => {
     const page = parseInt(req.query.page || '1');
     const limit = 15;
     const offset = (page - 1) * limit;
@@ -991,7 +1900,7 @@ router.get('/business-inquiries', authenticateToken, checkRole(['Admin']), async
 // @route   PUT /api/admin/business-inquiries/:id/status
 // @desc    Update the status of a business inquiry
 // @access  Private (Admin)
-router.put('/business-inquiries/:id/status', authenticateToken, checkRole(['Admin']), async (req, res) => {
+router.put('/business-inquiries/:id/status', authenticateToken, requirePermission('inquiries.manage'), async (req, res) => {
     const { id } = req.params;
     const { status } = req.body;
     const allowedStatuses = ['pending', 'contacted', 'resolved', 'archived'];
@@ -999,7 +1908,14 @@ router.put('/business-inquiries/:id/status', authenticateToken, checkRole(['Admi
         return res.status(400).json({ message: 'Invalid status provided.' });
     }
     try {
+        const before = await loadSnapshot('business_inquiries', id);
         await pool.execute('UPDATE business_inquiries SET status = ? WHERE id = ?', [status, id]);
+        if (before) {
+            await recordAudit(req, {
+                action: 'business_inquiry.status_change', entityType: 'business_inquiry', entityId: id,
+                before: { status: before.status }, after: { status }
+            });
+        }
         res.status(200).json({ message: 'Inquiry status updated.' });
     } catch (error) {
         res.status(500).json({ message: 'Server error' });
@@ -1009,7 +1925,7 @@ router.put('/business-inquiries/:id/status', authenticateToken, checkRole(['Admi
 // @route   GET /api/admin/sbo-applications
 // @desc    Admin gets all pending SBO applications
 // @access  Private (Admin)
-router.get('/sbo-applications', authenticateToken, checkRole(['Admin']), async (req, res) => {
+router.get('/sbo-applications', authenticateToken, requirePermission('sbo.review'), async (req, res) => {
     try {
         const [applications] = await pool.execute(
             `SELECT sp.*, u.username FROM sbo_profiles sp JOIN users u ON sp.user_id = u.id WHERE sp.status = 'pending' ORDER BY sp.id ASC`
@@ -1021,7 +1937,7 @@ router.get('/sbo-applications', authenticateToken, checkRole(['Admin']), async (
 // @route   PUT /api/admin/sbo-applications/:profileId/status
 // @desc    Admin approves or rejects an SBO application
 // @access  Private (Admin)
-router.put('/sbo-applications/:profileId/status', authenticateToken, checkRole(['Admin']), async (req, res) => {
+router.put('/sbo-applications/:profileId/status', authenticateToken, requirePermission('sbo.review'), async (req, res) => {
     const { profileId } = req.params;
     const { status } = req.body; // 'approved' or 'rejected'
     if (!['approved', 'rejected'].includes(status)) return res.status(400).json({ message: 'Invalid status.' });
@@ -1029,6 +1945,7 @@ router.put('/sbo-applications/:profileId/status', authenticateToken, checkRole([
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
+        const before = await loadSnapshot('sbo_profiles', profileId, connection);
         const [profileUpdate] = await connection.execute('UPDATE sbo_profiles SET status = ? WHERE id = ?', [status, profileId]);
 
         // Check affectedRows (mysql logic)
@@ -1039,8 +1956,15 @@ router.put('/sbo-applications/:profileId/status', authenticateToken, checkRole([
             const [profile] = await connection.execute('SELECT user_id FROM sbo_profiles WHERE id = ?', [profileId]);
             const userId = profile[0].user_id;
             await connection.execute(`UPDATE users SET role = 'SBO' WHERE id = ?`, [userId]);
+            // Sessions issued before the promotion still say 'User'.
+            await revokeAllRefreshTokens(userId, connection);
         }
 
+        await recordAudit(req, {
+            action: status === 'approved' ? 'sbo_application.approve' : 'sbo_application.reject',
+            entityType: 'sbo_profile', entityId: profileId,
+            before, after: await loadSnapshot('sbo_profiles', profileId, connection)
+        }, connection);
         await connection.commit();
         res.status(200).json({ message: `Application ${status}.` });
     } catch (error) {
@@ -1049,4 +1973,77 @@ router.put('/sbo-applications/:profileId/status', authenticateToken, checkRole([
     } finally { connection.release(); }
 });
 
+// =======================================================
+// AUDIT LOG (Admin Only)
+// =======================================================
+
+// @route   GET /api/admin/audit-log
+// @desc    Browse the audit trail of privileged changes, newest first
+// @access  Private (audit.view)
+router.get('/audit-log', authenticateToken, requirePermission('audit.view'), async (req, res) => {
+    const page = parseInt(req.query.page || '1');
+    const limit = 25;
+    const offset = (page - 1) * limit;
+    const { actor, action, entityType, entityId, from, to } = req.query;
+
+    try {
+        const conditions = [];
+        const params = [];
+        if (actor) {
+            // Either a user id or (part of) a username/email
+            if (!isNaN(actor)) {
+                conditions.push('a.actor_user_id = ?');
+                params.push(actor);
+            } else {
+                conditions.push('(u.username LIKE ? OR u.email LIKE ?)');
+                params.push(`%${actor}%`, `%${actor}%`);
+            }
+        }
+        if (action) {
+            // 'order' matches every order.* action
+            conditions.push('a.action LIKE ?');
+            params.push(`${action}%`);
+        }
+        if (entityType) {
+            conditions.push('a.entity_type = ?');
+            params.push(entityType);
+        }
+        if (entityId) {
+            conditions.push('a.entity_id = ?');
+            params.push(entityId);
+        }
+        if (from) {
+            conditions.push('a.created_at >= ?');
+            params.push(from);
+        }
+        if (to) {
+            // Inclusive of the whole 'to' day
+            conditions.push('a.created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+            params.push(to);
+        }
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const [totalResult] = await pool.query(
+            `SELECT COUNT(*) as count FROM audit_log a LEFT JOIN users u ON a.actor_user_id = u.id ${whereClause}`,
+            params
+        );
+        const totalPages = Math.ceil(parseInt(totalResult[0].count) / limit);
+
+        const [entries] = await pool.query(
+            `SELECT a.*, u.username as actor_username
+             FROM audit_log a
+             LEFT JOIN users u ON a.actor_user_id = u.id
+             ${whereClause}
+             ORDER BY a.created_at DESC, a.id DESC
+             LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        );
+
+        res.status(200).json({ entries, currentPage: page, totalPages });
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 export default router;
\ No newline at end of file
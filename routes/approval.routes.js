@@ -0,0 +1,216 @@
+// routes/approval.routes.js
+import express from 'express';
+import pool from '../config/db.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+import { recordAudit, loadSnapshot } from '../utils/audit.helpers.js';
+import { setProductStatus } from '../utils/approval.helpers.js';
+import { sendProductDecisionEmail } from '../utils/email.helpers.js';
+
+const router = express.Router();
+
+const APPROVAL_PAGE_SIZE = 10;
+const MAX_REASON_LENGTH = 1000;
+
+// How changed fields are labelled in the review queue
+const FIELD_LABELS = {
+    name: 'Name', description: 'Description', price: 'Price', sector_id: 'Sector', brand_id: 'Brand',
+    sale_price: 'Sale price', sale_start_date: 'Sale starts', sale_end_date: 'Sale ends'
+};
+
+const SELLER_COLUMNS = `sbop.company_name as seller_name,
+    (SELECT image_url FROM product_images pi WHERE pi.product_id = p.id ORDER BY pi.display_order ASC LIMIT 1) as main_image_url`;
+
+/**
+ * Checks a decision from the request body.
+ * @returns {string|null} An error message, or null if it's fine.
+ */
+const validateDecision = ({ decision, reason }) => {
+    if (!['approve', 'reject'].includes(decision)) return 'Decision must be approve or reject.';
+    if (decision === 'reject' && String(reason || '').trim().length < 5) return 'Please tell the seller why it was rejected.';
+    if (String(reason || '').length > MAX_REASON_LENGTH) return `The reason can be at most ${MAX_REASON_LENGTH} characters.`;
+    return null;
+};
+
+/**
+ * Emails the seller about a decision. A failed email never undoes the decision.
+ */
+const notifySeller = async (product, decision, req) => {
+    try {
+        const [sellerResult] = await pool.execute('SELECT email, first_name FROM users WHERE id = ?', [product.sbo_id]);
+        if (sellerResult.length > 0) await sendProductDecisionEmail(sellerResult[0], product, decision, req);
+    } catch (mailError) {
+        console.error('Failed to send product decision email:', mailError);
+    }
+};
+
+// @route   GET /api/approvals?type=products&page=
+// @desc    The review queue, oldest first: new products waiting to go live (type=products) or edits to live ones (type=edits).
+//          Edits come with each changed field's live and proposed value.
+// @access  Private (products.review)
+router.get('/', authenticateToken, requirePermission('products.review'), async (req, res) => {
+    const type = req.query.type === 'edits' ? 'edits' : 'products';
+    const page = Math.max(parseInt(req.query.page || '1') || 1, 1);
+    const offset = (page - 1) * APPROVAL_PAGE_SIZE;
+
+    try {
+        const [countResult] = await pool.execute(
+            `SELECT (SELECT COUNT(*) FROM products WHERE status = 'pending_review') as products,
+                (SELECT COUNT(*) FROM product_revisions WHERE status = 'pending') as edits`
+        );
+        const counts = { products: parseInt(countResult[0].products), edits: parseInt(countResult[0].edits) };
+
+        let items;
+        if (type === 'products') {
+            [items] = await pool.query(
+                `SELECT p.id, p.name, p.sku, p.description, p.price, p.sale_price, p.sale_start_date, p.sale_end_date,
+                    p.stock_quantity, p.submitted_at, s.name as sector_name, b.name as brand_name, ${SELLER_COLUMNS}
+                 FROM products p
+                 LEFT JOIN sectors s ON p.sector_id = s.id
+                 LEFT JOIN brands b ON p.brand_id = b.id
+                 LEFT JOIN sbo_profiles sbop ON p.sbo_profile_id = sbop.id
+                 WHERE p.status = 'pending_review'
+                 ORDER BY p.submitted_at ASC
+                 LIMIT ? OFFSET ?`,
+                [APPROVAL_PAGE_SIZE, offset]
+            );
+        } else {
+            const [revisions] = await pool.query(
+                `SELECT r.id, r.product_id, r.changes, r.updated_at as submitted_at, p.name, p.description, p.price,
+                    p.sector_id, p.brand_id, p.sale_price, p.sale_start_date, p.sale_end_date, ${SELLER_COLUMNS}
+                 FROM product_revisions r
+                 JOIN products p ON r.product_id = p.id
+                 LEFT JOIN sbo_profiles sbop ON p.sbo_profile_id = sbop.id
+                 WHERE r.status = 'pending'
+                 ORDER BY r.updated_at ASC
+                 LIMIT ? OFFSET ?`,
+                [APPROVAL_PAGE_SIZE, offset]
+            );
+            // Sector and brand changes are shown by name
+            const [sectors] = await pool.execute('SELECT id, name FROM sectors');
+            const [brands] = await pool.execute('SELECT id, name FROM brands');
+            const names = {
+                sector_id: new Map(sectors.map(sector => [sector.id, sector.name])),
+                brand_id: new Map(brands.map(brand => [brand.id, brand.name]))
+            };
+            const display = (field, value) => (names[field] && value !== null ? names[field].get(Number(value)) || `#${value}` : value);
+
+            items = revisions.map(revision => ({
+                id: revision.id,
+                product_id: revision.product_id,
+                name: revision.name,
+                seller_name: revision.seller_name,
+                main_image_url: revision.main_image_url,
+                submitted_at: revision.submitted_at,
+                changes: Object.entries(revision.changes).map(([field, proposed]) => ({
+                    field,
+                    label: FIELD_LABELS[field] || field,
+                    current: display(field, revision[field] ?? null),
+                    proposed: display(field, proposed)
+                }))
+            }));
+        }
+
+        res.status(200).json({
+            type,
+            items,
+            counts,
+            currentPage: page,
+            totalPages: Math.ceil(counts[type] / APPROVAL_PAGE_SIZE)
+        });
+    } catch (error) {
+        console.error('Error fetching approval queue:', error);
+        res.status(500).json({ message: 'Server error while fetching the review queue.' });
+    }
+});
+
+// @route   POST /api/approvals/products/:id
+// @desc    Approve (publish) or reject a new product waiting for review (body: decision, reason). The seller is emailed.
+// @access  Private (products.review)
+router.post('/products/:id', authenticateToken, requirePermission('products.review'), async (req, res) => {
+    const validationError = validateDecision(req.body);
+    if (validationError) return res.status(400).json({ message: validationError });
+    const approved = req.body.decision === 'approve';
+    const reason = approved ? null : String(req.body.reason).trim();
+
+    const connection = await pool.getConnection();
+    let product;
+    try {
+        await connection.beginTransaction();
+        const [productResult] = await connection.execute('SELECT id, name, status, sbo_id FROM products WHERE id = ? FOR UPDATE', [req.params.id]);
+        product = productResult[0];
+        if (!product || product.status !== 'pending_review') {
+            await connection.rollback();
+            return res.status(409).json({ message: 'This product is no longer waiting for review.' });
+        }
+
+        const status = approved ? 'published' : 'rejected';
+        await setProductStatus(product.id, status, connection, { reviewerId: req.user.id, reason });
+        await recordAudit(req, {
+            action: approved ? 'product.approve' : 'product.reject', entityType: 'product', entityId: product.id,
+            before: { status: product.status }, after: { status, rejection_reason: reason }
+        }, connection);
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error deciding on product:', error);
+        return res.status(500).json({ message: 'Server error while saving the decision.' });
+    } finally {
+        connection.release();
+    }
+
+    await notifySeller(product, { approved, isEdit: false, reason }, req);
+    res.status(200).json({ message: approved ? `"${product.name}" is now live.` : `"${product.name}" was rejected and the seller has been told why.` });
+});
+
+// @route   POST /api/approvals/revisions/:id
+// @desc    Approve or reject edits to a published product (body: decision, reason). Approved edits go live at once.
+//          The seller is emailed.
+// @access  Private (products.review)
+router.post('/revisions/:id', authenticateToken, requirePermission('products.review'), async (req, res) => {
+    const validationError = validateDecision(req.body);
+    if (validationError) return res.status(400).json({ message: validationError });
+    const approved = req.body.decision === 'approve';
+    const reason = approved ? null : String(req.body.reason).trim();
+
+    const connection = await pool.getConnection();
+    let revision;
+    try {
+        await connection.beginTransaction();
+        const [revisionResult] = await connection.execute(
+            `SELECT r.*, p.name, p.sbo_id FROM product_revisions r JOIN products p ON r.product_id = p.id
+             WHERE r.id = ? FOR UPDATE`,
+            [req.params.id]
+        );
+        revision = revisionResult[0];
+        if (!revision || revision.status !== 'pending') {
+            await connection.rollback();
+            return res.status(409).json({ message: 'These changes are no longer waiting for review.' });
+        }
+
+        const before = await loadSnapshot('products', revision.product_id, connection);
+        if (approved) {
+            await connection.query('UPDATE products SET ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [revision.changes, revision.product_id]);
+        }
+        await connection.execute(
+            'UPDATE product_revisions SET status = ?, rejection_reason = ?, reviewed_by = ?, reviewed_at = NOW() WHERE id = ?',
+            [approved ? 'approved' : 'rejected', reason, req.user.id, revision.id]
+        );
+        await recordAudit(req, {
+            action: approved ? 'product.edit_approve' : 'product.edit_reject', entityType: 'product', entityId: revision.product_id,
+            before, after: approved ? await loadSnapshot('products', revision.product_id, connection) : { rejected_changes: revision.changes, reason }
+        }, connection);
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error deciding on product revision:', error);
+        return res.status(500).json({ message: 'Server error while saving the decision.' });
+    } finally {
+        connection.release();
+    }
+
+    await notifySeller({ id: revision.product_id, name: revision.name, sbo_id: revision.sbo_id }, { approved, isEdit: true, reason }, req);
+    res.status(200).json({ message: approved ? `The changes to "${revision.name}" are now live.` : 'The changes were rejected and the seller has been told why.' });
+});
+
+export default router;
@@ -2,7 +2,9 @@
 import express from 'express';
 import pool from '../config/db.js';
 import { authenticateToken } from '../middleware/auth.middleware.js';
-import { getActivePricesForProducts } from '../utils/product.helpers.js';
+import { getActivePricesForProducts, priceKey, resolvePurchasable } from '../utils/product.helpers.js';
+import { priceCart, normalizeCode } from '../utils/promotion.helpers.js';
+import { resolveCurrency, convertCartPricing } from '../utils/currency.helpers.js';
 
 const router = express.Router();
 
@@ -24,10 +26,11 @@ const getOrCreateCart = async (userId, connection) => {
 };
 
 // @route   POST /api/cart/items
-// @desc    Add an item to the cart
+// @desc    Add an item to the cart (body: productId, quantity, and variantId for products with variants)
 // @access  Private
 router.post('/items', authenticateToken, async (req, res) => {
     const { productId, quantity } = req.body;
+    const variantId = req.body.variantId || null;
     const userId = req.user.id;
     if (!productId || !quantity || quantity < 1) return res.status(400).json({ message: 'Invalid request.' });
 
@@ -35,14 +38,17 @@ router.post('/items', authenticateToken, async (req, res) => {
     try {
         await connection.beginTransaction();
 
-        // 1. GET THE CURRENT STOCK AND PRODUCT INFO
-        const [productResult] = await connection.execute('SELECT stock_quantity, allow_backorder FROM products WHERE id = ?', [productId]);
-        if (productResult.length === 0) throw new Error('Product not found.');
-        const { stock_quantity, allow_backorder } = productResult[0];
+        // 1. GET THE CURRENT STOCK AND PRODUCT INFO (a variant has its own stock)
+        const purchasable = await resolvePurchasable(productId, variantId, connection);
+        if (purchasable.error) throw new Error(purchasable.error);
+        const { stock_quantity, allow_backorder } = purchasable;
 
         // 2. GET CURRENT QUANTITY IN CART
         const cartId = await getOrCreateCart(userId, connection); // Pass connection
-        const [cartItemResult] = await connection.execute('SELECT quantity FROM cart_items WHERE cart_id = ? AND product_id = ?', [cartId, productId]);
+        const [cartItemResult] = await connection.execute(
+            'SELECT quantity FROM cart_items WHERE cart_id = ? AND product_id = ? AND variant_key = ?',
+            [cartId, productId, variantId || 0]
+        );
         const quantityInCart = cartItemResult.length > 0 ? cartItemResult[0].quantity : 0;
 
         // 3. VALIDATE THE REQUEST
@@ -54,7 +60,7 @@ router.post('/items', authenticateToken, async (req, res) => {
 
         // 4. PERFORM THE UPSERT
         // MySQL uses ON DUPLICATE KEY UPDATE.
-        // Assuming (cart_id, product_id) is unique/PK.
+        // (cart_id, product_id, variant_key) is unique.
         const query = `
             INSERT INTO cart_items (cart_id, product_id, quantity) VALUES (?, ?, ?)
             ON DUPLICATE KEY UPDATE quantity = quantity + VALUES(quantity)`;
@@ -64,12 +70,18 @@ router.post('/items', authenticateToken, async (req, res) => {
         // Let's use standard VALUES for compatibility or just `quantity = quantity + ?` logic.
         // Actually `quantity = quantity + ?` implies adding the new amount. Yes.
 
-        await connection.execute('INSERT INTO cart_items (cart_id, product_id, quantity) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE quantity = quantity + ?', [cartId, productId, quantity, quantity]);
+        await connection.execute(
+            'INSERT INTO cart_items (cart_id, product_id, variant_id, quantity) VALUES (?, ?, ?, ?) ON DUPLICATE KEY UPDATE quantity = quantity + ?',
+            [cartId, productId, variantId, quantity, quantity]
+        );
         // We can't easily "RETURNING *" in MySQL.
         // But we can just return what we put in or fetch it.
         // Fetched data is often needed for frontend state.
 
-        const [newItem] = await connection.execute('SELECT * FROM cart_items WHERE cart_id = ? AND product_id = ?', [cartId, productId]);
+        const [newItem] = await connection.execute(
+            'SELECT * FROM cart_items WHERE cart_id = ? AND product_id = ? AND variant_key = ?',
+            [cartId, productId, variantId || 0]
+        );
 
         await connection.commit();
         res.status(201).json({ message: 'Item added to cart.', item: newItem[0] });
@@ -83,65 +95,134 @@ router.post('/items', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * Loads a cart's lines with their live prices, and prices the whole cart (discounts, shipping, total).
+ * pricing.charge is the same cart in the shopper's currency (see convertCartPricing).
+ * @returns {Promise<{items: Array<object>, pricing: object}>}
+ */
+const loadPricedCart = async (cartId, userId) => {
+    const [cartResult] = await pool.execute(
+        'SELECT c.coupon_code, u.preferred_currency FROM carts c JOIN users u ON c.user_id = u.id WHERE c.id = ?',
+        [cartId]
+    );
+
+    // 1. Get the items in the cart
+    const [items] = await pool.execute(
+        `SELECT ci.product_id, ci.variant_id, ci.quantity, p.name, v.title as variant_title, v.sku,
+            p.sector_id, p.brand_id, p.sbo_profile_id,
+        COALESCE(
+            (SELECT image_url FROM product_images pi WHERE pi.variant_id = ci.variant_id ORDER BY pi.display_order LIMIT 1),
+            (SELECT image_url FROM product_images pi WHERE pi.product_id = p.id LIMIT 1)
+        ) as main_image_url
+         FROM cart_items ci JOIN products p ON ci.product_id = p.id
+         LEFT JOIN product_variants v ON ci.variant_id = v.id
+         WHERE ci.cart_id = ?`, [cartId]
+    );
+
+    // 2. Get the current, active prices for all products in the cart
+    const productIds = items.map(item => item.product_id);
+    const variantIds = items.filter(item => item.variant_id).map(item => item.variant_id);
+    const priceMap = await getActivePricesForProducts(productIds, variantIds);
+
+    // 3. Combine the cart items with their correct, live prices
+    const itemsWithLivePrices = items.map(item => {
+        const pricing = priceMap.get(priceKey(item.product_id, item.variant_id)) || { active_price: 0, original_price: null };
+        return {
+            ...item,
+            active_price: pricing.active_price,
+            original_price: pricing.original_price
+        };
+    });
+
+    // 4. Promotions, the shopper's coupon code and shipping
+    const pricing = await priceCart(itemsWithLivePrices, { userId, couponCode: cartResult[0]?.coupon_code });
+
+    // 5. What that comes to in the shopper's currency
+    const currency = await resolveCurrency(cartResult[0]?.preferred_currency);
+    pricing.charge = convertCartPricing(itemsWithLivePrices, pricing, currency);
+    return { items: itemsWithLivePrices, pricing };
+};
+
 // @route   GET /api/cart
-// @desc    Get the current user's cart contents
+// @desc    Get the current user's cart contents, with its discounts, shipping and total (USD).
+//          coupon says whether the code they entered still applies, and if not, why.
+//          charge is the same totals in the user's currency, and whether checkout charges in it or in USD.
 // @access  Private
 router.get('/', authenticateToken, async (req, res) => {
     const userId = req.user.id;
     try {
         const cartId = await getOrCreateCart(userId, pool); // Pass pool as 'connection'
+        const { items, pricing } = await loadPricedCart(cartId, userId);
+        res.status(200).json({ items, ...pricing });
 
-        // 1. Get the items in the cart
-        const [cartItemsResult] = await pool.execute(
-            `SELECT ci.product_id, ci.quantity, p.name, 
-            (SELECT image_url FROM product_images pi WHERE pi.product_id = p.id LIMIT 1) as main_image_url
-             FROM cart_items ci JOIN products p ON ci.product_id = p.id
-             WHERE ci.cart_id = ?`, [cartId]
-        );
-        const items = cartItemsResult;
-
-        // 2. Get the current, active prices for all products in the cart
-        const productIds = items.map(item => item.product_id);
-        const priceMap = await getActivePricesForProducts(productIds);
+    } catch (error) {
+        console.error('Error fetching cart:', error);
+        res.status(500).json({ message: 'Server error', error: error.message, stack: error.stack });
+    }
+});
 
-        // 3. Combine the cart items with their correct, live prices
-        const itemsWithLivePrices = items.map(item => {
-            const pricing = priceMap.get(item.product_id) || { active_price: 0, original_price: null };
-            return {
-                ...item,
-                active_price: pricing.active_price,
-                original_price: pricing.original_price
-            };
-        });
+// @route   POST /api/cart/coupon
+// @desc    Apply a coupon code to the cart (body: code). Only one code at a time; a new one replaces the old.
+// @access  Private
+router.post('/coupon', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    const code = normalizeCode(req.body.code);
+    if (!code) return res.status(400).json({ message: 'Please enter a code.' });
 
-        res.status(200).json(itemsWithLivePrices);
+    try {
+        const cartId = await getOrCreateCart(userId, pool);
+        const [previous] = await pool.execute('SELECT coupon_code FROM carts WHERE id = ?', [cartId]);
+        await pool.execute('UPDATE carts SET coupon_code = ? WHERE id = ?', [code, cartId]);
+        const { items, pricing } = await loadPricedCart(cartId, userId);
+        if (!pricing.coupon.applied) {
+            // Keep the code they had, if any
+            await pool.execute('UPDATE carts SET coupon_code = ? WHERE id = ?', [previous[0].coupon_code, cartId]);
+            return res.status(400).json({ message: pricing.coupon.error });
+        }
+        res.status(200).json({ message: `Code ${code} applied.`, items, ...pricing });
+    } catch (error) {
+        console.error('Error applying coupon code:', error);
+        res.status(500).json({ message: 'Server error while applying the code.' });
+    }
+});
 
+// @route   DELETE /api/cart/coupon
+// @desc    Remove the coupon code from the cart
+// @access  Private
+router.delete('/coupon', authenticateToken, async (req, res) => {
+    try {
+        await pool.execute('UPDATE carts SET coupon_code = NULL WHERE user_id = ?', [req.user.id]);
+        res.status(200).json({ message: 'Code removed.' });
     } catch (error) {
-        console.error('Error fetching cart:', error);
-        res.status(500).json({ message: 'Server error', error: error.message, stack: error.stack });
+        console.error('Error removing coupon code:', error);
+        res.status(500).json({ message: 'Server error while removing the code.' });
     }
 });
 
 // @route   PUT /api/cart/items/:productId
-// @desc    Update the quantity of an item in the cart
+// @desc    Update the quantity of an item in the cart (?variantId= for a variant line)
 // @access  Private
 router.put('/items/:productId', authenticateToken, async (req, res) => {
     const { productId } = req.params;
+    const variantId = Number(req.query.variantId) || null;
     const { quantity } = req.body;
     const userId = req.user.id;
     if (!quantity || quantity < 1) return res.status(400).json({ message: 'Invalid quantity.' });
 
     try {
-        const [productResult] = await pool.execute('SELECT stock_quantity, allow_backorder FROM products WHERE id = ?', [productId]);
-        if (productResult.length === 0) return res.status(404).json({ message: 'Product not found.' });
-        const { stock_quantity, allow_backorder } = productResult[0];
+        const purchasable = await resolvePurchasable(productId, variantId);
+        if (purchasable.error) return res.status(purchasable.status).json({ message: purchasable.error });
+        const { stock_quantity, allow_backorder } = purchasable;
 
         if (quantity > stock_quantity && !allow_backorder) {
             return res.status(400).json({ message: `Quantity cannot exceed available stock of ${stock_quantity}.` });
         }
 
         const cartId = await getOrCreateCart(userId, pool);
-        await pool.execute('UPDATE cart_items SET quantity = ? WHERE cart_id = ? AND product_id = ?', [quantity, cartId, productId]);
+        await pool.execute(
+            'UPDATE cart_items SET quantity = ? WHERE cart_id = ? AND product_id = ? AND variant_key = ?',
+            [quantity, cartId, productId, variantId || 0]
+        );
         res.status(200).json({ message: 'Cart updated.' });
     } catch (error) {
         console.error('Error updating cart item:', error);
@@ -150,17 +231,18 @@ router.put('/items/:productId', authenticateToken, async (req, res) => {
 });
 
 // @route   DELETE /api/cart/items/:productId
-// @desc    Remove an item from the cart
+// @desc    Remove an item from the cart (?variantId= for a variant line)
 // @access  Private
 router.delete('/items/:productId', authenticateToken, async (req, res) => {
     const { productId } = req.params;
+    const variantId = Number(req.query.variantId) || null;
     const userId = req.user.id;
 
     try {
         const cartId = await getOrCreateCart(userId, pool);
         await pool.execute(
-            'DELETE FROM cart_items WHERE cart_id = ? AND product_id = ?',
-            [cartId, productId]
+            'DELETE FROM cart_items WHERE cart_id = ? AND product_id = ? AND variant_key = ?',
+            [cartId, productId, variantId || 0]
         );
         res.status(200).json({ message: 'Item removed from cart.' });
     } catch (error) {
@@ -169,7 +251,144 @@ router.delete('/items/:productId', authenticateToken, async (req, res) => {
     }
 });
 
+// @route   POST /api/cart/items/:productId/save-for-later
+// @desc    Move a cart line to the user's saved-for-later items (?variantId= for a variant line)
+// @access  Private
+router.post('/items/:productId/save-for-later', authenticateToken, async (req, res) => {
+    const { productId } = req.params;
+    const variantId = Number(req.query.variantId) || null;
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const cartId = await getOrCreateCart(req.user.id, connection);
+        const [cartItemResult] = await connection.execute(
+            'SELECT quantity FROM cart_items WHERE cart_id = ? AND product_id = ? AND variant_key = ?',
+            [cartId, productId, variantId || 0]
+        );
+        if (cartItemResult.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'That item is not in your cart.' });
+        }
+
+        await connection.execute(
+            'INSERT INTO saved_items (user_id, product_id, variant_id, quantity) VALUES (?, ?, ?, ?) ON DUPLICATE KEY UPDATE quantity = ?',
+            [req.user.id, productId, variantId, cartItemResult[0].quantity, cartItemResult[0].quantity]
+        );
+        await connection.execute(
+            'DELETE FROM cart_items WHERE cart_id = ? AND product_id = ? AND variant_key = ?',
+            [cartId, productId, variantId || 0]
+        );
+        await connection.commit();
+        res.status(200).json({ message: 'Saved for later.' });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error saving cart item for later:', error);
+        res.status(500).json({ message: 'Server error' });
+    } finally {
+        connection.release();
+    }
+});
+
+// @route   GET /api/cart/saved
+// @desc    Get the items the user saved for later, with live prices
+// @access  Private
+router.get('/saved', authenticateToken, async (req, res) => {
+    try {
+        const [items] = await pool.execute(
+            `SELECT si.product_id, si.variant_id, si.quantity, p.name, p.is_active, v.title as variant_title,
+            COALESCE(
+                (SELECT image_url FROM product_images pi WHERE pi.variant_id = si.variant_id ORDER BY pi.display_order LIMIT 1),
+                (SELECT image_url FROM product_images pi WHERE pi.product_id = p.id LIMIT 1)
+            ) as main_image_url
+             FROM saved_items si JOIN products p ON si.product_id = p.id
+             LEFT JOIN product_variants v ON si.variant_id = v.id
+             WHERE si.user_id = ?
+             ORDER BY si.created_at DESC`, [req.user.id]
+        );
+        const priceMap = await getActivePricesForProducts(
+            items.map(item => item.product_id),
+            items.filter(item => item.variant_id).map(item => item.variant_id)
+        );
+
+        res.status(200).json(items.map(item => {
+            const pricing = priceMap.get(priceKey(item.product_id, item.variant_id)) || { active_price: 0, original_price: null };
+            return { ...item, is_active: Boolean(item.is_active), ...pricing };
+        }));
+    } catch (error) {
+        console.error('Error fetching saved items:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/cart/saved/:productId/move-to-cart
+// @desc    Move a saved-for-later item back into the cart (?variantId= for a variant line)
+// @access  Private
+router.post('/saved/:productId/move-to-cart', authenticateToken, async (req, res) => {
+    const { productId } = req.params;
+    const variantId = Number(req.query.variantId) || null;
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [savedResult] = await connection.execute(
+            'SELECT quantity FROM saved_items WHERE user_id = ? AND product_id = ? AND variant_key = ?',
+            [req.user.id, productId, variantId || 0]
+        );
+        if (savedResult.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'That item is not in your saved items.' });
+        }
+
+        // Same stock rule as adding to the cart
+        const purchasable = await resolvePurchasable(productId, variantId, connection);
+        if (purchasable.error) throw new Error(purchasable.error);
+        const cartId = await getOrCreateCart(req.user.id, connection);
+        const [cartItemResult] = await connection.execute(
+            'SELECT quantity FROM cart_items WHERE cart_id = ? AND product_id = ? AND variant_key = ?',
+            [cartId, productId, variantId || 0]
+        );
+        const quantity = savedResult[0].quantity;
+        const quantityInCart = cartItemResult.length > 0 ? cartItemResult[0].quantity : 0;
+        if (quantityInCart + quantity > purchasable.stock_quantity && !purchasable.allow_backorder) {
+            throw new Error(`Only ${purchasable.stock_quantity} item(s) in stock, so this can't go back in your cart right now.`);
+        }
+
+        await connection.execute(
+            'INSERT INTO cart_items (cart_id, product_id, variant_id, quantity) VALUES (?, ?, ?, ?) ON DUPLICATE KEY UPDATE quantity = quantity + ?',
+            [cartId, productId, variantId, quantity, quantity]
+        );
+        await connection.execute(
+            'DELETE FROM saved_items WHERE user_id = ? AND product_id = ? AND variant_key = ?',
+            [req.user.id, productId, variantId || 0]
+        );
+        await connection.commit();
+        res.status(200).json({ message: 'Moved to your cart.' });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error moving saved item to cart:', error);
+        res.status(400).json({ message: error.message });
+    } finally {
+        connection.release();
+    }
+});
+
+// @route   DELETE /api/cart/saved/:productId
+// @desc    Remove a saved-for-later item (?variantId= for a variant line)
+// @access  Private
+router.delete('/saved/:productId', authenticateToken, async (req, res) => {
+    const variantId = Number(req.query.variantId) || null;
+    try {
+        await pool.execute(
+            'DELETE FROM saved_items WHERE user_id = ? AND product_id = ? AND variant_key = ?',
+            [req.user.id, req.params.productId, variantId || 0]
+        );
+        res.status(200).json({ message: 'Item removed.' });
+    } catch (error) {
+        console.error('Error removing saved item:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
 
-// We will add routes for updating/deleting cart items later.
 
 export default router;
\ No newline at end of file
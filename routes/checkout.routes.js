@@ -1,188 +1,256 @@
 // routes/checkout.routes.js
 import express from 'express';
-import Stripe from 'stripe';
 import pool from '../config/db.js';
 import { authenticateToken } from '../middleware/auth.middleware.js';
 import dotenv from 'dotenv';
-import { getActivePricesForProducts } from '../utils/product.helpers.js';
+import { getActivePricesForProducts, priceKey } from '../utils/product.helpers.js';
+import {
+    RESERVATION_MINUTES, reserveCartItems, attachReservationsToCheckout, releaseReservations, loadHeldCheckouts
+} from '../utils/reservation.helpers.js';
+import { priceCart, encodeRedemptions } from '../utils/promotion.helpers.js';
+import { resolveCurrency, convertFromUsd, convertCartPricing } from '../utils/currency.helpers.js';
+import { getPaymentProvider, listPaymentProviders } from '../utils/payment.providers.js';
+import { fulfillOrder } from '../utils/order.helpers.js';
 
 dotenv.config();
 const router = express.Router();
 
-// Initialize Stripe with your secret key
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+// This router is mounted before express.json() so the webhooks get the raw body their signatures are over;
+// the shopper-facing routes parse JSON themselves
+const jsonBody = express.json();
+
+/**
+ * Closes the cart's checkouts that are still open and gives back the stock they hold,
+ * when the shopper cancels or starts checkout again. A checkout that has been paid is left alone:
+ * its webhook turns its holds into a sale.
+ * @param {number} cartId - The cart.
+ */
+const abandonOpenCheckouts = async (cartId) => {
+    for (const { provider, reference } of await loadHeldCheckouts(cartId)) {
+        try {
+            const paid = await getPaymentProvider(provider)?.closeCheckout(reference);
+            if (!paid) await releaseReservations({ provider, reference });
+        } catch (error) {
+            // The holds run out by themselves (see expireStaleReservations)
+            console.error(`Failed to close ${provider} checkout ${reference}:`, error.message || error);
+        }
+    }
+};
+
+// @route   GET /api/checkout/providers
+// @desc    The ways shoppers can pay at checkout. currency is set for providers that always charge in one currency.
+// @access  Public
+router.get('/providers', (req, res) => {
+    res.status(200).json(listPaymentProviders());
+});
 
 // @route   POST /api/checkout/create-session
-// @desc    Create a Stripe checkout session
+// @desc    Open a payment for the cart with its discounts and shipping (see priceCart), and hold its stock meanwhile
+//          (body: provider, 'stripe' by default, or 'espees'). Responds with the url to send the shopper to.
+//          Stripe charges in the shopper's currency if that currency is set to be charged in, otherwise in USD.
 // @access  Private
-router.post('/create-session', authenticateToken, async (req, res) => {
+router.post('/create-session', authenticateToken, jsonBody, async (req, res) => {
     const userId = req.user.id;
+    const provider = getPaymentProvider(req.body?.provider || 'stripe');
+    if (!provider) return res.status(400).json({ message: 'That payment method is not available.' });
 
     try {
         // 1. Get the user's cart items from our database
-        const [cartResult] = await pool.execute('SELECT id FROM carts WHERE user_id = ?', [userId]);
+        const [cartResult] = await pool.execute(
+            'SELECT c.id, c.coupon_code, u.preferred_currency FROM carts c JOIN users u ON c.user_id = u.id WHERE c.user_id = ?',
+            [userId]
+        );
         if (cartResult.length === 0) {
             return res.status(404).json({ message: 'No active cart found for this user.' });
         }
         const cartId = cartResult[0].id;
 
-        const [cartItemsResult] = await pool.execute(
-            `SELECT ci.product_id, p.name, p.description, p.price, ci.quantity 
+        const [cartItems] = await pool.execute(
+            `SELECT ci.product_id, ci.variant_id, p.name, v.title as variant_title, p.description, p.price, ci.quantity,
+                p.sector_id, p.brand_id, p.sbo_profile_id
              FROM cart_items ci
              JOIN products p ON ci.product_id = p.id
+             LEFT JOIN product_variants v ON ci.variant_id = v.id
              WHERE ci.cart_id = ?`,
             [cartId]
         );
 
-        if (cartItemsResult.length === 0) {
+        if (cartItems.length === 0) {
             return res.status(400).json({
                 message: 'Your cart is empty.'
             });
         }
 
-        const cartItems = cartItemsResult;
-
+        // THE FIX: Get live prices before opening the payment
+        const productIds = cartItems.map(item => item.product_id);
+        const variantIds = cartItems.filter(item => item.variant_id).map(item => item.variant_id);
+        const priceMap = await getActivePricesForProducts(productIds, variantIds);
         for (const item of cartItems) {
-            const [stockResult] = await pool.execute('SELECT stock_quantity, allow_backorder FROM products WHERE id = ?', [item.product_id]);
-            const { stock_quantity, allow_backorder } = stockResult[0];
-            if (item.quantity > stock_quantity && !allow_backorder) {
-                return res.status(400).json({ message: `Checkout failed: The quantity for "${item.name}" exceeds the ${stock_quantity} available in stock. Please update your cart.` });
-            }
+            const pricing = priceMap.get(priceKey(item.product_id, item.variant_id));
+            if (!pricing) throw new Error(`Pricing not found for product ID ${item.product_id}`);
+            item.active_price = pricing.active_price;
         }
 
-        if (cartItems.length === 0)
+        // Discounts and shipping, worked out exactly as the cart page shows them
+        const cartPricing = await priceCart(cartItems, { userId, couponCode: cartResult[0].coupon_code });
+        if (cartPricing.coupon && !cartPricing.coupon.applied) {
             return res.status(400).json({
-                message: 'Your cart is empty.'
+                message: `Your code ${cartPricing.coupon.code} can't be used: ${cartPricing.coupon.error} Remove it to check out without it.`
             });
+        }
 
-        // THE FIX: Get live prices before creating the Stripe session
-        const productIds = cartItems.map(item => item.product_id);
-        const priceMap = await getActivePricesForProducts(productIds);
+        // The currency the provider charges in, and the rate our USD prices are converted at
+        const chargeCurrency = await provider.chargeCurrency(await resolveCurrency(cartResult[0].preferred_currency));
+        const charge = convertCartPricing(cartItems, cartPricing, chargeCurrency);
+        const lines = cartItems.map(item => ({
+            name: item.variant_title ? `${item.name} (${item.variant_title})` : item.name,
+            quantity: item.quantity,
+            unitAmount: convertFromUsd(item.active_price, chargeCurrency.rate_per_usd) // USE THE CORRECT PRICE
+        }));
 
-        // Format items for Stripe using the live active_price
-        const line_items = cartItems.map(item => {
-            const pricing = priceMap.get(item.product_id);
-            if (!pricing) throw new Error(`Pricing not found for product ID ${item.product_id}`);
+        // 2. Hold the stock while they pay. A checkout they left open (e.g. in another tab) is closed first,
+        //    so its holds don't count twice.
+        await abandonOpenCheckouts(cartId);
+        const connection = await pool.getConnection();
+        let reservationIds;
+        try {
+            await connection.beginTransaction();
+            const reservation = await reserveCartItems({ cartId, userId }, cartItems, connection);
+            if (reservation.error) {
+                await connection.rollback();
+                return res.status(400).json({ message: reservation.error });
+            }
+            await connection.commit();
+            reservationIds = reservation.reservationIds;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
 
-            return {
-                price_data: {
-                    currency: 'usd',
-                    product_data: { name: item.name },
-                    unit_amount: Math.round(pricing.active_price * 100), // USE THE CORRECT PRICE
-                },
-                quantity: item.quantity,
-            };
-        });
+        // 3. Open the payment. It closes when the hold runs out,
+        //    so nobody can pay for stock that is no longer held for them.
+        let checkout;
+        try {
+            checkout = await provider.createCheckout({
+                userId, cartId, lines, charge,
+                // THE FIX: Prioritize CLIENT_URL env var, fallback to dynamic
+                // This gives the user full control via cPanel Environment Variables
+                appUrl: process.env.CLIENT_URL || `${req.protocol}://${req.get('host')}`,
+                discountName: cartPricing.discounts.map(discount => discount.name).join(' + '),
+                expiresAt: new Date(Date.now() + RESERVATION_MINUTES * 60 * 1000),
+                metadata: {
+                    couponCode: cartPricing.coupon?.code || '',
+                    promotions: encodeRedemptions(cartPricing) // Recorded against the order by fulfillOrder
+                }
+            });
+        } catch (error) {
+            await releaseReservations({ reservationIds });
+            throw error;
+        }
+        await attachReservationsToCheckout(reservationIds, { provider: provider.name, reference: checkout.reference });
 
-        // 3. Create the checkout session with Stripe
-        const session = await stripe.checkout.sessions.create({
-            payment_method_types: ['card'],
-            line_items: line_items,
-            mode: 'payment',
+        res.status(200).json({ id: checkout.reference, url: checkout.url, provider: provider.name });
 
-            // THE FIX: The invalid 'currency_conversion' parameter has been removed.
-            // Stripe's modern Checkout page handles multi-currency presentation by default.
+    } catch (error) {
+        console.error(`${provider.label} checkout creation error:`, error);
+        res.status(500).json({ message: 'Failed to start checkout.' });
+    }
+});
 
-            locale: 'auto', // This tells Stripe to auto-detect the user's language/region.
+// @route   POST /api/checkout/confirm
+// @desc    The shopper is back from paying (body: provider, reference): fulfill the order now if the payment went
+//          through, rather than waiting for the webhook. Safe to call more than once.
+// @access  Private
+router.post('/confirm', authenticateToken, jsonBody, async (req, res) => {
+    const provider = getPaymentProvider(req.body?.provider);
+    const reference = req.body?.reference;
+    if (!provider || !reference) return res.status(400).json({ message: 'Unknown payment.' });
 
-            // THE FIX: Prioritize CLIENT_URL env var, fallback to dynamic, then localhost
-            // This gives the user full control via cPanel Environment Variables
-            success_url: `${process.env.CLIENT_URL || req.protocol + '://' + req.get('host')}/order-success.html?session_id={CHECKOUT_SESSION_ID}`,
-            cancel_url: `${process.env.CLIENT_URL || req.protocol + '://' + req.get('host')}/cart.html`,
-            metadata: { userId, cartId }
-        });
+    try {
+        const checkout = await provider.loadPaidCheckout(reference);
+        if (!checkout) return res.status(200).json({ status: 'pending' });
+        if (checkout.userId !== req.user.id) return res.status(404).json({ message: 'Unknown payment.' });
 
-        res.status(200).json({ id: session.id, url: session.url });
+        const { orderId } = await fulfillOrder(checkout);
+        res.status(200).json({ status: 'paid', orderId });
+    } catch (error) {
+        console.error('Error confirming payment:', error.message || error);
+        res.status(500).json({ message: 'Could not confirm your payment yet. It will show in your orders once it has been received.' });
+    }
+});
 
+// @route   POST /api/checkout/cancel
+// @desc    The shopper came back without paying: close their open checkout and give back the stock it held
+// @access  Private
+router.post('/cancel', authenticateToken, async (req, res) => {
+    try {
+        const [cartResult] = await pool.execute('SELECT id FROM carts WHERE user_id = ?', [req.user.id]);
+        if (cartResult.length > 0) await abandonOpenCheckouts(cartResult[0].id);
+        res.status(200).json({ message: 'Checkout cancelled. Your cart is just as you left it.' });
     } catch (error) {
-        console.error('Stripe session creation error:', error);
-        res.status(500).json({ message: 'Failed to create checkout session.' });
+        console.error('Error cancelling checkout:', error);
+        res.status(500).json({ message: 'Server error while cancelling checkout.' });
     }
 });
 
-// @route   POST /api/checkout/webhook
-// @desc    Listen for events from Stripe
-// @access  Public (but verified by Stripe)
-router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
-    const sig = req.headers['stripe-signature'];
-    const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
+/**
+ * Handles a payment provider's webhook: a paid checkout becomes an order, and one that expired or was cancelled
+ * gives back the stock it held.
+ */
+const handleWebhook = async (providerName, req, res) => {
+    const provider = getPaymentProvider(providerName);
+    if (!provider) return res.status(404).json({ message: 'Unknown payment provider.' });
 
     let event;
     try {
-        event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
+        event = provider.verifyWebhook(req.body, req.headers);
     } catch (err) {
-        console.error(`Webhook signature verification failed:`, err.message);
+        console.error(`${provider.label} webhook verification failed:`, err.message);
         return res.status(400).send(`Webhook Error: ${err.message}`);
     }
 
-    if (event.type === 'checkout.session.completed') {
-        const session = event.data.object;
-        const { userId, cartId } = session.metadata;
+    let notice;
+    try {
+        notice = await provider.readWebhook(event);
+    } catch (error) {
+        console.error(`Error reading ${provider.label} webhook:`, error.message || error);
+        // A 500 makes the provider send it again later
+        return res.status(500).json({ message: 'Error reading webhook.' });
+    }
 
-        // Use a database transaction for this critical operation
-        const connection = await pool.getConnection(); // UPDATE: getConnection
+    if (notice.type === 'paid') {
         try {
-            await connection.beginTransaction();
-
-            // 1. Get all items from the user's cart
-            const [cartItemsResult] = await connection.execute(
-                `SELECT ci.product_id, ci.quantity, p.price 
-                 FROM cart_items ci JOIN products p ON ci.product_id = p.id
-                 WHERE ci.cart_id = ?`, [cartId]
-            );
-            const cartItems = cartItemsResult;
-
-            if (cartItems.length > 0) {
-                // 2. Create a new Order and get its ID
-                // MySQL doesn't support RETURNING id in the same way, need to use insertId
-                const [newOrderResult] = await connection.execute(
-                    `INSERT INTO orders (user_id, total_amount, status, stripe_session_id) 
-                     VALUES (?, ?, 'paid', ?)`,
-                    [userId, session.amount_total / 100, session.id]
-                );
-                const newOrderId = newOrderResult.insertId;
-
-                // 3. Loop through items, copy them to order_items, AND UPDATE STOCK
-                for (const item of cartItems) {
-                    // 3a. Copy to order_items
-                    await connection.execute(
-                        `INSERT INTO order_items (order_id, product_id, quantity, price_at_purchase) 
-                         VALUES (?, ?, ?, ?)`,
-                        [newOrderId, item.product_id, item.quantity, item.price]
-                    );
-
-                    // --- THIS IS THE CRITICAL FIX ---
-                    // 3b. Decrement the stock_quantity in the products table
-                    await connection.execute(
-                        `UPDATE products 
-                         SET stock_quantity = stock_quantity - ? 
-                         WHERE id = ?`,
-                        [item.quantity, item.product_id]
-                    );
-                }
-
-                // 4. Clear the user's cart
-                await connection.execute('DELETE FROM cart_items WHERE cart_id = ?', [cartId]);
-
-                await connection.commit(); // Commit all changes
-                console.log(`Order ${newOrderId} fulfilled, stock updated, and cart ${cartId} cleared.`);
-            } else {
-                // If the cart was somehow empty, just commit what we have (nothing)
-                await connection.commit();
-            }
+            await fulfillOrder(notice.checkout);
         } catch (error) {
-            await connection.rollback(); // If any step fails, undo everything
             console.error('Error fulfilling order and updating stock:', error);
-            // Webhook should return 200 even if internal error to verify receipt, 
-            // but for debugging let's error. Actually standard is 200 if handled or 500 if retry needed.
+            // A 500 makes the provider send it again later
             return res.status(500).json({ message: 'Error fulfilling order.' });
-        } finally {
-            connection.release(); // ALWAYS release the client
+        }
+    } else if (notice.type === 'expired') {
+        try {
+            await releaseReservations({ provider: provider.name, reference: notice.reference }, 'expired');
+        } catch (error) {
+            console.error('Error releasing stock held for an expired checkout:', error);
+            return res.status(500).json({ message: 'Error releasing held stock.' });
         }
     }
 
     res.status(200).json({ received: true });
-});
+};
+
+// @route   POST /api/checkout/webhook
+// @desc    Listen for events from Stripe
+//          (checkout.session.completed turns the stock held for the session into a sale;
+//          checkout.session.expired gives it back)
+// @access  Public (but verified by Stripe)
+router.post('/webhook', express.raw({ type: 'application/json' }), (req, res) => handleWebhook('stripe', req, res));
+
+// @route   POST /api/checkout/webhook/:provider
+// @desc    Listen for events from another payment provider, e.g. /webhook/espees
+// @access  Public (but verified with the provider)
+router.post('/webhook/:provider', express.raw({ type: 'application/json' }), (req, res) => handleWebhook(req.params.provider, req, res));
 
 
-export default router;
\ No newline at end of file
+export default router;
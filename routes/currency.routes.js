@@ -0,0 +1,39 @@
+// routes/currency.routes.js
+import express from 'express';
+import pool from '../config/db.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import { BASE_CURRENCY, loadActiveCurrencies } from '../utils/currency.helpers.js';
+
+const router = express.Router();
+
+// @route   GET /api/currencies
+// @desc    The currencies shoppers can pick, with their rates (units per USD) and whether checkout charges in them
+// @access  Public
+router.get('/', async (req, res) => {
+    try {
+        res.status(200).json({ base: BASE_CURRENCY, currencies: await loadActiveCurrencies() });
+    } catch (error) {
+        console.error('Error fetching currencies:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   PUT /api/currencies/preference
+// @desc    Save the currency the logged-in user sees prices in (body: currency)
+// @access  Private
+router.put('/preference', authenticateToken, async (req, res) => {
+    const code = String(req.body.currency || '').toUpperCase();
+    try {
+        const currencies = await loadActiveCurrencies();
+        if (!currencies.some(currency => currency.code === code)) {
+            return res.status(400).json({ message: 'That currency is not available.' });
+        }
+        await pool.execute('UPDATE users SET preferred_currency = ? WHERE id = ?', [code === BASE_CURRENCY ? null : code, req.user.id]);
+        res.status(200).json({ message: `Prices will be shown in ${code}.`, currency: code });
+    } catch (error) {
+        console.error('Error saving currency preference:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+export default router;
@@ -2,14 +2,16 @@
 import express from 'express';
 import pool from '../config/db.js';
 import { authenticateToken } from '../middleware/auth.middleware.js';
-import { checkRole } from '../middleware/role.middleware.js'; // Import our new role middleware
+import { requirePermission } from '../middleware/role.middleware.js';
+import { can } from '../utils/permission.helpers.js';
+import { recordAudit, loadSnapshot } from '../utils/audit.helpers.js';
 
 const router = express.Router();
 
 // @route   POST /api/jobs
 // @desc    Create a new job post
 // @access  Private (SBO or Admin)
-router.post('/', authenticateToken, checkRole(['SBO', 'Admin']), async (req, res) => {
+router.post('/', authenticateToken, requirePermission(['jobs.manage_own', 'jobs.manage_all']), async (req, res) => {
     const { title, description, tags } = req.body;
     const userId = req.user.id;
 
@@ -29,6 +31,7 @@ router.post('/', authenticateToken, checkRole(['SBO', 'Admin']), async (req, res
             [title, description, tagsValue, userId]
         );
         const [newJob] = await pool.execute('SELECT * FROM job_posts WHERE id = ?', [result.insertId]);
+        await recordAudit(req, { action: 'job.create', entityType: 'job_post', entityId: result.insertId, after: newJob[0] });
         res.status(201).json(newJob[0]);
     } catch (error) {
         console.error('Error creating job post:', error);
@@ -97,7 +100,7 @@ router.get('/', async (req, res) => {
 // @route   GET /api/jobs/my-jobs
 // @desc    Get all job posts created by the currently logged-in SBO/Admin
 // @access  Private (SBO or Admin)
-router.get('/my-jobs', authenticateToken, checkRole(['SBO', 'Admin']), async (req, res) => {
+router.get('/my-jobs', authenticateToken, requirePermission(['jobs.manage_own', 'jobs.manage_all']), async (req, res) => {
     if (!req.user || !req.user.id) {
         return res.status(401).json({ message: 'Authentication error: User ID not found.' });
     }
@@ -143,9 +146,9 @@ router.get('/:id', async (req, res) => {
 // @route   GET /api/jobs/edit/:id
 // @desc    Get a single job post for editing (checks ownership)
 // @access  Private (SBO or Admin who owns the post)
-router.get('/edit/:id', authenticateToken, checkRole(['SBO', 'Admin']), async (req, res) => {
+router.get('/edit/:id', authenticateToken, requirePermission(['jobs.manage_own', 'jobs.manage_all']), async (req, res) => {
     const { id: jobId } = req.params;
-    const { id: userId, role: userRole } = req.user;
+    const { id: userId } = req.user;
 
     try {
         const [jobResult] = await pool.execute('SELECT * FROM job_posts WHERE id = ?', [jobId]);
@@ -155,8 +158,8 @@ router.get('/edit/:id', authenticateToken, checkRole(['SBO', 'Admin']), async (r
 
         const job = jobResult[0];
 
-        // An SBO can only get their own posts. An Admin can get any post.
-        if (userRole !== 'Admin' && job.created_by_user_id !== userId) {
+        // An SBO can only get their own posts. Staff with jobs.manage_all can get any post.
+        if (!can(req, 'jobs.manage_all') && job.created_by_user_id !== userId) {
             return res.status(403).json({ message: 'Forbidden: You are not authorized to access this post.' });
         }
 
@@ -170,10 +173,10 @@ router.get('/edit/:id', authenticateToken, checkRole(['SBO', 'Admin']), async (r
 // @route   PUT /api/jobs/:id
 // @desc    Update a job post
 // @access  Private (SBO or Admin who owns the post)
-router.put('/:id', authenticateToken, checkRole(['SBO', 'Admin']), async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission(['jobs.manage_own', 'jobs.manage_all']), async (req, res) => {
     const { id: jobId } = req.params;
     const { title, description, tags, is_active } = req.body;
-    const { id: userId, role: userRole } = req.user;
+    const { id: userId } = req.user;
 
     if (!title || !description) {
         return res.status(400).json({ message: 'Title and description are required.' });
@@ -187,11 +190,12 @@ router.put('/:id', authenticateToken, checkRole(['SBO', 'Admin']), async (req, r
         }
 
         const jobOwnerId = jobResult[0].created_by_user_id;
-        if (userRole !== 'Admin' && jobOwnerId !== userId) {
+        if (!can(req, 'jobs.manage_all') && jobOwnerId !== userId) {
             return res.status(403).json({ message: 'Forbidden: You are not authorized to update this post.' });
         }
 
         const tagsValue = Array.isArray(tags) ? JSON.stringify(tags) : tags;
+        const before = await loadSnapshot('job_posts', jobId);
 
         // Perform the update
         await pool.execute(
@@ -202,6 +206,7 @@ router.put('/:id', authenticateToken, checkRole(['SBO', 'Admin']), async (req, r
         );
 
         const [updatedJob] = await pool.execute('SELECT * FROM job_posts WHERE id = ?', [jobId]);
+        await recordAudit(req, { action: 'job.update', entityType: 'job_post', entityId: jobId, before, after: updatedJob[0] });
 
         res.status(200).json({
             message: 'Job post updated successfully.',
@@ -263,9 +268,9 @@ router.get('/:id/check-application', authenticateToken, async (req, res) => {
 // @route   DELETE /api/jobs/:id
 // @desc    Delete a job post
 // @access  Private (SBO or Admin who owns the post)
-router.delete('/:id', authenticateToken, checkRole(['SBO', 'Admin']), async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission(['jobs.manage_own', 'jobs.manage_all']), async (req, res) => {
     const { id: jobId } = req.params;
-    const { id: userId, role: userRole } = req.user;
+    const { id: userId } = req.user;
 
     try {
         // First, verify ownership or admin status
@@ -277,12 +282,14 @@ router.delete('/:id', authenticateToken, checkRole(['SBO', 'Admin']), async (req
         const jobOwnerId = jobResult[0].created_by_user_id;
 
         // An SBO can only delete their own posts. An Admin can delete any post.
-        if (userRole !== 'Admin' && jobOwnerId !== userId) {
+        if (!can(req, 'jobs.manage_all') && jobOwnerId !== userId) {
             return res.status(403).json({ message: 'Forbidden: You are not authorized to delete this post.' });
         }
 
         // Perform the deletion
+        const before = await loadSnapshot('job_posts', jobId);
         await pool.execute('DELETE FROM job_posts WHERE id = ?', [jobId]);
+        await recordAudit(req, { action: 'job.delete', entityType: 'job_post', entityId: jobId, before });
 
         res.status(200).json({ message: 'Job post deleted successfully.' });
     } catch (error) {
@@ -294,9 +301,9 @@ router.delete('/:id', authenticateToken, checkRole(['SBO', 'Admin']), async (req
 // @route   GET /api/jobs/:id/applicants
 // @desc    Get all applicants for a specific job post
 // @access  Private (SBO or Admin who owns the post)
-router.get('/:id/applicants', authenticateToken, checkRole(['SBO', 'Admin']), async (req, res) => {
+router.get('/:id/applicants', authenticateToken, requirePermission(['jobs.manage_own', 'jobs.manage_all']), async (req, res) => {
     const { id: jobId } = req.params;
-    const { id: userId, role: userRole } = req.user;
+    const { id: userId } = req.user;
 
     try {
         // First, verify that the job exists and that the current user owns it (or is an Admin)
@@ -306,7 +313,7 @@ router.get('/:id/applicants', authenticateToken, checkRole(['SBO', 'Admin']), as
         }
 
         const jobOwnerId = jobResult[0].created_by_user_id;
-        if (userRole !== 'Admin' && jobOwnerId !== userId) {
+        if (!can(req, 'jobs.manage_all') && jobOwnerId !== userId) {
             return res.status(403).json({ message: 'Forbidden: You are not authorized to view applicants for this post.' });
         }
 
@@ -1,29 +1,41 @@
 // routes/kingschat.routes.js
 import express from 'express';
-import axios from 'axios';
-import jwt from 'jsonwebtoken';
 import pool from '../config/db.js';
 import { authenticateToken } from '../middleware/auth.middleware.js';
+import { throttleLogin } from '../middleware/throttle.middleware.js';
+import { issueSession } from '../utils/token.helpers.js';
+import { recordLoginAttempt } from '../utils/login.helpers.js';
+import { buildUserResponse, loadUserResponse } from '../utils/user.helpers.js';
+import { listRolePermissions } from '../utils/permission.helpers.js';
+import {
+    mapKingsChatProfile, generateUniqueUsername, applyKingsChatProfile, syncKingsChatProfile
+} from '../utils/kingschat.helpers.js';
+import { fetchProfile, saveKingsChatTokens, expiryFromMillis } from '../utils/kingschat.client.js';
+import { encryptSecret } from '../utils/crypto.helpers.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 const router = express.Router();
 
-const KINGSCHAT_API_URL = 'https://connect.kingsch.at/developer';
-
 // --- NEW KINGSCHAT LOGIN ROUTE ---
-router.post('/login', async (req, res) => {
-    const { accessToken, refreshToken } = req.body;
+router.post('/login', throttleLogin('kingschat'), async (req, res) => {
+    const { accessToken, refreshToken, expiresInMillis } = req.body;
     if (!accessToken) return res.status(400).json({
         message: 'KingsChat access token is required.'
     });
 
     try {
-        const profileResponse = await axios.get(`${KINGSCHAT_API_URL}/api/profile`,
-            {
-                headers: { 'authorization': `Bearer ${accessToken}` }
-            });
-        const kcProfile = profileResponse.data.profile;
+        let kcProfile;
+        try {
+            kcProfile = await fetchProfile(accessToken);
+        } catch (kcError) {
+            if (kcError.response && kcError.response.status === 401) {
+                await recordLoginAttempt(req, { identifier: null, success: false, reason: 'invalid_token', method: 'kingschat' });
+                return res.status(401).json({ message: 'Your KingsChat session is not valid. Please try again.' });
+            }
+            throw kcError;
+        }
+        const attemptIdentifier = `kingschat:${kcProfile.id}`;
         const [userResult] = await pool.execute(
             `SELECT u.*, sp.id as sbo_profile_id
              FROM users u
@@ -34,60 +46,41 @@ router.post('/login', async (req, res) => {
 
         if (userResult.length > 0) {
             const user = userResult[0];
-
-            if (refreshToken) {
-                await pool.execute(
-                    `UPDATE users 
-                    SET kingschat_access_token = ?, 
-                    kingschat_refresh_token = ?, 
-                    updated_at = CURRENT_TIMESTAMP 
-                    WHERE id = ?`,
-                    [accessToken, refreshToken, user.id]
-                );
-            } else {
-                await pool.execute(
-                    `UPDATE users 
-                    SET kingschat_access_token = ?, 
-                    updated_at = CURRENT_TIMESTAMP 
-                    WHERE id = ?`,
-                    [accessToken, user.id]
-                );
+            if (user.suspended_at) {
+                await recordLoginAttempt(req, { identifier: attemptIdentifier, userId: user.id, success: false, reason: 'suspended', method: 'kingschat' });
+                return res.status(403).json({
+                    message: 'This account has been suspended. Please contact support if you think this is a mistake.',
+                    code: 'ACCOUNT_SUSPENDED'
+                });
             }
+            // A password lockout (or a forced password reset) doesn't apply here: KingsChat has already proven who this is,
+            // and it gives the real owner a way in while someone is hammering their password.
+            await recordLoginAttempt(req, { identifier: attemptIdentifier, userId: user.id, success: true, method: 'kingschat' });
+
+            // Keep the latest tokens (encrypted) so the server can act for them later,
+            // and take the chance to pick up any avatar/handle changes.
+            await saveKingsChatTokens(user.id, { accessToken, refreshToken, expiresAt: expiryFromMillis(expiresInMillis) });
+            await applyKingsChatProfile(user.id, kcProfile);
 
             // Re-fetch the user data after the update to get the latest info
             const [updatedUserResult] = await pool.execute('SELECT * FROM users WHERE id = ?', [user.id]);
             const updatedUser = updatedUserResult[0];
 
-            const appToken = jwt.sign(
-                { id: updatedUser.id, role: updatedUser.role },
-                process.env.JWT_SECRET,
-                { expiresIn: '10h' }
-            );
+            const { token: appToken, refreshToken: appRefreshToken } = await issueSession(updatedUser, req);
 
-            // THE FIX IS HERE: We now build the COMPLETE user object
             res.status(200).json({
                 message: 'Logged in successfully via KingsChat.',
                 token: appToken,
-                user: {
-                    id: updatedUser.id, username: updatedUser.username, email: updatedUser.email, role: updatedUser.role, sbo_profile_id: user.sbo_profile_id, // keep sbo_profile_id from original join
-                    firstName: updatedUser.first_name, lastName: updatedUser.last_name, dateOfBirth: updatedUser.date_of_birth,
-                    phoneNumber: updatedUser.phone_number, kingschatHandle: updatedUser.kingschat_handle,
-                    kingschatId: updatedUser.kingschat_id, kingschatGender: updatedUser.kingschat_gender,
-                    kingschatAvatarUrl: updatedUser.kingschat_avatar_url, zone: updatedUser.zone, church: updatedUser.church,
-                    ministryPosition: updatedUser.ministry_position, yearsInPosition: updatedUser.years_in_position,
-                    group: updatedUser.group, leadership_role: updatedUser.leadership_role, ministry_staff: updatedUser.ministry_staff,
-                    ministry_department: updatedUser.ministry_department, educational_qualification: updatedUser.educational_qualification,
-                    institution_of_completion: updatedUser.institution_of_completion, professional_qualification: updatedUser.professional_qualification,
-                    has_work_experience: updatedUser.has_work_experience, organisation_of_employment: updatedUser.organisation_of_employment,
-                    duration_of_employment: updatedUser.duration_of_employment, significant_achievements: updatedUser.significant_achievements,
-                    areas_of_interest: updatedUser.areas_of_interest, apply_for: updatedUser.apply_for
-                }
+                refreshToken: appRefreshToken,
+                // keep sbo_profile_id from original join
+                user: buildUserResponse({ ...updatedUser, sbo_profile_id: user.sbo_profile_id }, await listRolePermissions(updatedUser.role))
             });
 
         } else {
             // User Does NOT Exist: REJECT the login attempt.
             // Send a 404 Not Found status with a clear message.
-            return res.status(404).json({ message: 'No account on our platform is linked to this KingsChat profile. Please create an account first.' });
+            await recordLoginAttempt(req, { identifier: attemptIdentifier, success: false, reason: 'unknown_user', method: 'kingschat' });
+            return res.status(404).json({ message: 'No account on our platform is linked to this KingsChat profile. Create an account, or sign up with KingsChat to use this profile.' });
         }
     } catch (error) {
         console.error('KingsChat login error:', error);
@@ -95,10 +88,84 @@ router.post('/login', async (req, res) => {
     }
 });
 
+// @route   POST /api/kingschat/signup
+// @desc    Create a new account from a KingsChat profile (no password) and log it in
+// @access  Public (requires a KingsChat access token)
+router.post('/signup', throttleLogin('kingschat'), async (req, res) => {
+    const { accessToken, refreshToken, expiresInMillis } = req.body;
+    if (!accessToken) return res.status(400).json({ message: 'KingsChat access token is required.' });
+
+    try {
+        let kcProfile;
+        try {
+            kcProfile = await fetchProfile(accessToken);
+        } catch (kcError) {
+            if (kcError.response && kcError.response.status === 401) {
+                await recordLoginAttempt(req, { identifier: null, success: false, reason: 'invalid_token', method: 'kingschat' });
+                return res.status(401).json({ message: 'Your KingsChat session is not valid. Please try again.' });
+            }
+            throw kcError;
+        }
+        const profile = mapKingsChatProfile(kcProfile);
+
+        const [existingLink] = await pool.execute('SELECT id FROM users WHERE kingschat_id = ?', [profile.kingschatId]);
+        if (existingLink.length > 0) {
+            return res.status(409).json({ message: 'An account is already linked to this KingsChat profile. Please log in with KingsChat instead.' });
+        }
+
+        // Email is required on our side (receipts, password resets), so we can't continue without one.
+        if (!profile.email) {
+            return res.status(422).json({ message: 'Your KingsChat profile has no email address. Please sign up with the form instead.' });
+        }
+        const [existingEmail] = await pool.execute('SELECT id FROM users WHERE email = ?', [profile.email]);
+        if (existingEmail.length > 0) {
+            return res.status(409).json({ message: 'An account with this email already exists. Log in with your password, then link KingsChat from your profile.' });
+        }
+
+        const username = await generateUniqueUsername(profile.handle || `${profile.firstName}.${profile.lastName}`);
+
+        // No password: they sign in with KingsChat (and can set one later via "Forgot password").
+        // KingsChat has already confirmed the email address, so it counts as verified.
+        const [result] = await pool.execute(
+            `INSERT INTO users (
+                first_name, last_name, date_of_birth, email, phone_number, username, password_hash,
+                kingschat_id, kingschat_handle, kingschat_gender, kingschat_avatar_url,
+                kingschat_access_token, kingschat_refresh_token, kingschat_token_expires_at, kingschat_synced_at,
+                email_verified, email_verified_at
+            ) VALUES (?, ?, ?, ?, ?, ?, NULL, ?, ?, ?, ?, ?, ?, ?, NOW(), TRUE, NOW())`,
+            [
+                profile.firstName, profile.lastName, profile.dateOfBirth, profile.email, profile.phoneNumber, username,
+                profile.kingschatId, profile.handle, profile.gender, profile.avatarUrl,
+                encryptSecret(accessToken), encryptSecret(refreshToken), expiryFromMillis(expiresInMillis)
+            ]
+        );
+
+        const [newUserResult] = await pool.execute('SELECT * FROM users WHERE id = ?', [result.insertId]);
+        const newUser = newUserResult[0];
+
+        await recordLoginAttempt(req, { identifier: `kingschat:${profile.kingschatId}`, userId: newUser.id, success: true, method: 'kingschat' });
+        const { token, refreshToken: appRefreshToken } = await issueSession(newUser, req);
+
+        res.status(201).json({
+            message: 'Your account has been created with KingsChat!',
+            token,
+            refreshToken: appRefreshToken,
+            user: buildUserResponse(newUser, await listRolePermissions(newUser.role))
+        });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            // Lost a race with another sign-up for the same username/email
+            return res.status(409).json({ message: 'That account was just created. Please try logging in with KingsChat.' });
+        }
+        console.error('KingsChat signup error:', error.response ? error.response.data : error);
+        res.status(500).json({ message: 'An error occurred during KingsChat sign up.' });
+    }
+});
+
 // REWRITTEN ENDPOINT: Receives accessToken directly
 router.post('/link', authenticateToken, async (req, res) => {
-    // We now expect 'accessToken' from the frontend
-    const { accessToken } = req.body;
+    // We now expect 'accessToken' from the frontend (plus the refresh token and expiry, when the SDK gives them)
+    const { accessToken, refreshToken, expiresInMillis } = req.body;
     const ourUserId = req.user.id;
 
     if (!accessToken) {
@@ -108,78 +175,22 @@ router.post('/link', authenticateToken, async (req, res) => {
     try {
         // Step 1: Use the received accessToken to fetch the KC user profile
         // (The code exchange step is no longer needed)
-        const profileResponse = await axios.get(`${KINGSCHAT_API_URL}/api/profile`, {
-            headers: {
-                'authorization': `Bearer ${accessToken}`
-            }
-        });
-
-        const kcProfile = profileResponse.data.profile;
+        const kcProfile = await fetchProfile(accessToken);
 
         // Step 2: Update our user record in the database
-        const birthDate = kcProfile.birth_date_millis ? new Date(kcProfile.birth_date_millis).toISOString().split('T')[0] : null;
-
         const [existingLink] = await pool.execute('SELECT id FROM users WHERE kingschat_id = ? AND id != ?', [kcProfile.id, ourUserId]);
         if (existingLink.length > 0) {
             return res.status(409).json({ message: 'This KingsChat account is already linked to another user.' });
         }
 
-        // We only have the access token from this flow. We can't get the refresh token.
-        // We will save the access token we received.
-        await pool.execute(
-            `UPDATE users SET
-                kingschat_id = ?,
-                kingschat_gender = ?,
-                kingschat_avatar_url = ?,
-                kingschat_access_token = ?, -- Save the token we got
-                kingschat_handle = COALESCE(kingschat_handle, ?),
-                first_name = COALESCE(NULLIF(first_name, ''), ?),
-                last_name = COALESCE(NULLIF(last_name, ''), ?),
-                email = COALESCE(NULLIF(email, ''), ?),
-                phone_number = COALESCE(NULLIF(phone_number, ''), ?),
-                date_of_birth = COALESCE(date_of_birth, ?),
-                updated_at = CURRENT_TIMESTAMP
-            WHERE id = ?`,
-            [
-                kcProfile.id,
-                kcProfile.gender,
-                kcProfile.avatar,
-                accessToken, // Save the accessToken
-                kcProfile.username,
-                kcProfile.name.split(' ')[0] || '',
-                kcProfile.name.split(' ').slice(1).join(' ') || '',
-                kcProfile.email,
-                kcProfile.phone_number,
-                birthDate,
-                ourUserId
-            ]
-        );
-
-        const [updatedUser] = await pool.execute('SELECT * FROM users WHERE id = ?', [ourUserId]);
-        const user = updatedUser[0];
-        const userToReturn = {
-            id: user.id,
-            username: user.username,
-            email: user.email,
-            role: user.role,
-            sbo_profile_id: user.sbo_profile_id,
-            firstName: user.first_name,
-            lastName: user.last_name,
-            dateOfBirth: user.date_of_birth,
-            phoneNumber: user.phone_number,
-            kingschatHandle: user.kingschat_handle,
-            kingschatId: user.kingschat_id,
-            kingschatGender: user.kingschat_gender,
-            kingschatAvatarUrl: user.kingschat_avatar_url,
-            zone: user.zone,
-            church: user.church,
-            ministryPosition: user.ministry_position,
-            yearsInPosition: user.years_in_position
-        };
+        await pool.execute('UPDATE users SET kingschat_id = ? WHERE id = ?', [kcProfile.id, ourUserId]);
+        // Same rule as re-sync: fill in blanks, never overwrite what the user entered themselves.
+        await applyKingsChatProfile(ourUserId, kcProfile);
+        await saveKingsChatTokens(ourUserId, { accessToken, refreshToken, expiresAt: expiryFromMillis(expiresInMillis) });
 
         res.status(200).json({
             message: 'KingsChat account linked successfully!',
-            user: userToReturn
+            user: await loadUserResponse(ourUserId)
         });
 
     } catch (error) {
@@ -188,4 +199,60 @@ router.post('/link', authenticateToken, async (req, res) => {
     }
 });
 
+// @route   DELETE /api/kingschat/link
+// @desc    Unlink KingsChat from the logged-in user's account
+// @access  Private
+router.delete('/link', authenticateToken, async (req, res) => {
+    try {
+        const [userResult] = await pool.execute('SELECT kingschat_id, password_hash FROM users WHERE id = ?', [req.user.id]);
+        if (userResult.length === 0) return res.status(404).json({ message: 'User not found.' });
+        const user = userResult[0];
+
+        if (!user.kingschat_id) {
+            return res.status(400).json({ message: 'No KingsChat account is linked.' });
+        }
+        // Without a password, KingsChat is their only way in; unlinking would lock them out.
+        if (!user.password_hash) {
+            return res.status(400).json({ message: 'Please set a password before unlinking KingsChat, so you can still log in.' });
+        }
+
+        await pool.execute(
+            `UPDATE users SET
+                kingschat_id = NULL, kingschat_handle = NULL, kingschat_gender = NULL, kingschat_avatar_url = NULL,
+                kingschat_access_token = NULL, kingschat_refresh_token = NULL, kingschat_token_expires_at = NULL,
+                kingschat_synced_at = NULL, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [req.user.id]
+        );
+
+        res.status(200).json({
+            message: 'KingsChat account unlinked.',
+            user: await loadUserResponse(req.user.id)
+        });
+    } catch (error) {
+        console.error('KingsChat unlink error:', error);
+        res.status(500).json({ message: 'An error occurred while unlinking your KingsChat account.' });
+    }
+});
+
+// @route   POST /api/kingschat/resync
+// @desc    Pull the latest KingsChat profile for the logged-in user
+// @access  Private
+router.post('/resync', authenticateToken, async (req, res) => {
+    try {
+        await syncKingsChatProfile(req.user.id);
+        res.status(200).json({
+            message: 'Your KingsChat profile has been refreshed.',
+            user: await loadUserResponse(req.user.id)
+        });
+    } catch (error) {
+        if (error.code === 'KINGSCHAT_REAUTH_REQUIRED') {
+            // Not a 401: that would make the frontend think our own session had expired.
+            return res.status(409).json({ message: 'Please log in with KingsChat again to refresh your profile.', code: error.code });
+        }
+        console.error('KingsChat resync error:', error.response ? error.response.data : error);
+        res.status(500).json({ message: 'An error occurred while refreshing your KingsChat profile.' });
+    }
+});
+
 export default router;
\ No newline at end of file
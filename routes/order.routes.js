@@ -46,7 +46,7 @@ router.get('/my-orders', authenticateToken, async (req, res) => {
         queryParams.push(limit);
         queryParams.push(offset);
         const mainQuery = `
-            SELECT id, total_amount, status, created_at 
+            SELECT id, total_amount, currency, exchange_rate, charged_total, status, created_at 
             ${baseQuery} 
             ORDER BY created_at DESC 
             LIMIT ? OFFSET ?
@@ -86,7 +86,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
         // 2. Fetch the items associated with this order
         const [itemsResult] = await pool.execute(
-            `SELECT oi.quantity, oi.price_at_purchase, p.name, 
+            `SELECT oi.quantity, oi.price_at_purchase, p.name, oi.product_id, oi.variant_id, oi.variant_title, oi.sku,
             (SELECT image_url FROM product_images pi WHERE pi.product_id = p.id LIMIT 1) as main_image_url
              FROM order_items oi
              JOIN products p ON oi.product_id = p.id
@@ -2,15 +2,24 @@
 import express from 'express';
 import pool from '../config/db.js';
 import { authenticateToken } from '../middleware/auth.middleware.js';
-import { checkRole } from '../middleware/role.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+import { can } from '../utils/permission.helpers.js';
+import { recordAudit, loadSnapshot } from '../utils/audit.helpers.js';
+import { getActivePricesForProducts, priceKey, loadProductVariants, resolvePurchasable } from '../utils/product.helpers.js';
+import { parseSearchQuery, searchProducts } from '../utils/search.helpers.js';
+import { DEFAULT_SHELVES, loadShelfProducts, loadProductTags } from '../utils/tag.helpers.js';
+import { loadSectorTree, getSubtreeIds, getBreadcrumbs, uniqueSectorSlug } from '../utils/sector.helpers.js';
+import { editsNeedReview, holdReviewedChanges } from '../utils/approval.helpers.js';
+import { setStockLevel, parseLowStockThreshold } from '../utils/inventory.helpers.js';
+import { subscribeToRestock } from '../utils/restock.helpers.js';
 
 const router = express.Router();
 
 
-// GET all sectors
+// GET all sectors, in tree order (parents before their sub-sectors)
 router.get('/sectors', async (req, res) => {
     try {
-        const [sectors] = await pool.execute('SELECT * FROM sectors ORDER BY name');
+        const sectors = await loadSectorTree();
         res.status(200).json(sectors);
     } catch (error) { res.status(500).json({ message: 'Server error' }); }
 });
@@ -23,33 +32,51 @@ router.get('/brands', async (req, res) => {
     } catch (error) { res.status(500).json({ message: 'Server error' }); }
 });
 
-// Get products by sector name
-router.get('/sector/:sectorName', async (req, res) => {
-    const { sectorName } = req.params;
+// @route   GET /api/products/tags
+// @desc    Get all product tags
+// @access  Public
+router.get('/tags', async (req, res) => {
     try {
-        // Step 1: Find the sector itself to get its details (like the image_url)
-        const [sectorResult] = await pool.execute(
-            'SELECT * FROM sectors WHERE name = ?',
-            [sectorName]
+        const [tags] = await pool.execute(
+            `SELECT t.*, (SELECT COUNT(*) FROM product_tags pt WHERE pt.tag_id = t.id) as product_count
+             FROM tags t ORDER BY t.name`
         );
+        res.status(200).json(tags);
+    } catch (error) {
+        console.error('Error fetching tags:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
 
-        if (sectorResult.length === 0) {
+// @route   GET /api/products/sector/:slug
+// @desc    Get a sector with its breadcrumbs, sub-sectors and every product in it or below it.
+//          Old links used the sector's name; those are redirected to the slug.
+// @access  Public
+router.get('/sector/:slug', async (req, res) => {
+    const { slug } = req.params;
+    try {
+        const sectors = await loadSectorTree();
+        let sector = sectors.find(s => s.slug === slug);
+        if (!sector) {
+            const byName = sectors.find(s => s.name.toLowerCase() === slug.toLowerCase());
+            if (byName && byName.slug) {
+                return res.redirect(301, `/api/products/sector/${encodeURIComponent(byName.slug)}`);
+            }
             return res.status(404).json({ message: 'Sector not found.' });
         }
-        const sector = sectorResult[0];
 
-        // Step 2: Find all products belonging to this sector
-        const [productsResult] = await pool.execute(
+        const [productsResult] = await pool.query(
             `SELECT p.id, p.name, p.price, 
             (SELECT image_url FROM product_images pi WHERE pi.product_id = p.id ORDER BY pi.display_order ASC LIMIT 1) as main_image_url
              FROM products p
-             WHERE p.sector_id = ? AND p.is_active = true`,
-            [sector.id]
+             WHERE p.sector_id IN (?) AND p.is_active = true`,
+            [getSubtreeIds(sectors, sector.id)]
         );
 
-        // Step 3: Combine the sector info and the products into a single response
         res.status(200).json({
             sector: sector,
+            breadcrumbs: getBreadcrumbs(sectors, sector.id),
+            children: sectors.filter(s => s.parent_id === sector.id),
             products: productsResult
         });
 
@@ -60,12 +87,13 @@ router.get('/sector/:sectorName', async (req, res) => {
 });
 
 // @route   GET /api/products/sector/:sectorId/bestsellers
-// @desc    Get the top 10 best-selling products in a specific sector from the last 30 days
+// @desc    Get the top 10 best-selling products in a specific sector (and its sub-sectors) from the last 30 days
 // @access  Public
 router.get('/sector/:sectorId/bestsellers', async (req, res) => {
     const { sectorId } = req.params;
     try {
-        const [bestsellersResult] = await pool.execute(
+        const sectorIds = getSubtreeIds(await loadSectorTree(), sectorId);
+        const [bestsellersResult] = await pool.query(
             `SELECT
                 p.id, p.name, p.price,
                 SUM(oi.quantity) as total_sold,
@@ -73,11 +101,11 @@ router.get('/sector/:sectorId/bestsellers', async (req, res) => {
              FROM order_items oi
              JOIN products p ON oi.product_id = p.id
              JOIN orders o ON oi.order_id = o.id
-             WHERE p.sector_id = ? AND o.created_at >= NOW() - INTERVAL 30 DAY AND p.is_active = true
+             WHERE p.sector_id IN (?) AND o.created_at >= NOW() - INTERVAL 30 DAY AND p.is_active = true
              GROUP BY p.id, p.name, p.price
              ORDER BY total_sold DESC
              LIMIT 10`,
-            [sectorId]
+            [sectorIds]
         );
         res.status(200).json(bestsellersResult);
     } catch (error) {
@@ -87,20 +115,21 @@ router.get('/sector/:sectorId/bestsellers', async (req, res) => {
 });
 
 // @route   GET /api/products/sector/:sectorId/new-arrivals
-// @desc    Get the 10 newest products in a specific sector
+// @desc    Get the 10 newest products in a specific sector (and its sub-sectors)
 // @access  Public
 router.get('/sector/:sectorId/new-arrivals', async (req, res) => {
     const { sectorId } = req.params;
     try {
-        const [newArrivalsResult] = await pool.execute(
+        const sectorIds = getSubtreeIds(await loadSectorTree(), sectorId);
+        const [newArrivalsResult] = await pool.query(
             `SELECT
                 p.id, p.name, p.price,
                 (SELECT image_url FROM product_images pi WHERE pi.product_id = p.id ORDER BY pi.display_order ASC LIMIT 1) as main_image_url
              FROM products p
-             WHERE p.sector_id = ? AND p.is_active = true
+             WHERE p.sector_id IN (?) AND p.is_active = true
              ORDER BY p.created_at DESC
              LIMIT 10`,
-            [sectorId]
+            [sectorIds]
         );
         res.status(200).json(newArrivalsResult);
     } catch (error) {
@@ -109,47 +138,38 @@ router.get('/sector/:sectorId/new-arrivals', async (req, res) => {
     }
 });
 
-// @route   GET /api/products/sector/:sectorId/family-feasts
-// @desc    Get products tagged as 'family feast' in a specific sector
-// @access  Public
-router.get('/sector/:sectorId/family-feasts', async (req, res) => {
-    const { sectorId } = req.params;
-    try {
-        // In production, you might search for a specific tag. For now, we'll search by name.
-        const [results] = await pool.execute(
-            `SELECT p.id, p.name, p.price, (SELECT image_url FROM product_images pi WHERE pi.product_id = p.id LIMIT 1) as main_image_url
-             FROM products p
-             WHERE p.sector_id = ? AND p.is_active = true AND (p.name LIKE ? OR p.name LIKE ?)
-             ORDER BY p.created_at DESC LIMIT 10`,
-            [sectorId, '%feast%', '%family%']
-        );
-        res.status(200).json(results);
-    } catch (error) { res.status(500).json({ message: 'Server error' }); }
-});
-
-// @route   GET /api/products/sector/:sectorId/fruits-vegetables
-// @desc    Get products tagged as 'fruit' or 'vegetable' in a specific sector
+// @route   GET /api/products/sector/:sectorId/shelves
+// @desc    Get the sector page's shelves with their products (the default shelves if none are configured)
 // @access  Public
-router.get('/sector/:sectorId/fruits-vegetables', async (req, res) => {
+router.get('/sector/:sectorId/shelves', async (req, res) => {
     const { sectorId } = req.params;
     try {
-        const [results] = await pool.execute(
-            `SELECT p.id, p.name, p.price, (SELECT image_url FROM product_images pi WHERE pi.product_id = p.id LIMIT 1) as main_image_url
-             FROM products p
-             WHERE p.sector_id = ? AND p.is_active = true AND (p.name LIKE ? OR p.name LIKE ?)
-             ORDER BY p.created_at DESC LIMIT 10`,
-            [sectorId, '%fruit%', '%vegetable%']
+        const [configured] = await pool.execute(
+            `SELECT sh.id, sh.title, sh.tag_id, t.slug as tag_slug, sh.sort_by, sh.item_limit
+             FROM sector_shelves sh LEFT JOIN tags t ON sh.tag_id = t.id
+             WHERE sh.sector_id = ? AND sh.is_active = TRUE
+             ORDER BY sh.position ASC, sh.id ASC`,
+            [sectorId]
         );
-        res.status(200).json(results);
-    } catch (error) { res.status(500).json({ message: 'Server error' }); }
+        const shelves = (configured.length > 0 ? configured : DEFAULT_SHELVES).map(shelf => ({ ...shelf }));
+        // Shelves show products from the sub-sectors too
+        const sectorIds = getSubtreeIds(await loadSectorTree(), sectorId);
+        for (const shelf of shelves) {
+            shelf.products = await loadShelfProducts(sectorIds, shelf);
+        }
+        res.status(200).json(shelves);
+    } catch (error) {
+        console.error('Error fetching sector shelves:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
 });
 
 // @route   POST /api/products/sectors
 // @desc    Create a new sector
 // @access  Private (Admin only)
-router.post('/sectors', authenticateToken, checkRole(['Admin']), async (req, res) => {
+router.post('/sectors', authenticateToken, requirePermission('catalog.manage'), async (req, res) => {
     // We expect a 'name' and optionally an 'image_url' from the admin form
-    const { name, image_url, hero_image_url, is_featured, display_order } = req.body;
+    const { name, image_url, hero_image_url, is_featured, display_order, parent_id } = req.body;
 
     // 1. Validation
     if (!name) {
@@ -169,10 +189,12 @@ router.post('/sectors', authenticateToken, checkRole(['Admin']), async (req, res
 
         // 3. Insert the new sector into the database
         const [result] = await pool.execute(
-            `INSERT INTO sectors (name, image_url, hero_image_url, is_featured, display_order)
-             VALUES (?, ?, ?, ?, ?)`,
+            `INSERT INTO sectors (name, slug, parent_id, image_url, hero_image_url, is_featured, display_order)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
             [
                 name,
+                await uniqueSectorSlug(name),
+                parent_id || null,
                 image_url || null,
                 hero_image_url || null,
                 is_featured || false,
@@ -182,6 +204,7 @@ router.post('/sectors', authenticateToken, checkRole(['Admin']), async (req, res
 
         // Fetch the newly created sector
         const [newSector] = await pool.execute('SELECT * FROM sectors WHERE id = ?', [result.insertId]);
+        await recordAudit(req, { action: 'sector.create', entityType: 'sector', entityId: result.insertId, after: newSector[0] });
 
         // 4. Send a success response with the newly created sector object
         res.status(201).json({
@@ -198,7 +221,7 @@ router.post('/sectors', authenticateToken, checkRole(['Admin']), async (req, res
 
 // === PRODUCT CRUD ===
 // CREATE a new product
-router.post('/', authenticateToken, checkRole(['Admin', 'SBO']), async (req, res) => {
+router.post('/', authenticateToken, requirePermission(['products.manage_own', 'products.manage_all']), async (req, res) => {
     // This assumes multer is configured on this route in server.js
     // For simplicity, let's assume no file uploads for this generic endpoint for now.
     // The one in admin.routes.js is superior.
@@ -208,38 +231,28 @@ router.post('/', authenticateToken, checkRole(['Admin', 'SBO']), async (req, res
 });
 
 
-// READ all products (for the public shop page)
+// @route   GET /api/products?q=&sector=&brand=&price=&onSale=&inStock=&sort=&page=
+// @desc    Product search: ranked full-text matches, paginated, with facet counts.
+//          sector/brand take ids and price takes band keys (see PRICE_BANDS); each may be comma-separated.
+//          sort is one of relevance, newest, price_asc, price_desc, name, rating.
+// @access  Public
 router.get('/', async (req, res) => {
-    // We get the search term from a query parameter 'q'
-    const searchTerm = req.query.q || '';
+    const search = parseSearchQuery(req.query);
+    const hasFilters = search.sectorIds.length > 0 || search.brandIds.length > 0 || search.priceBands.length > 0
+        || search.onSale || search.inStock;
 
-    if (!searchTerm) {
-        // If there's no search term, return an empty array.
-        return res.status(200).json([]);
+    if (!search.q && !hasFilters) {
+        // Nothing to search for
+        return res.status(200).json({ products: [], total: 0, currentPage: 1, totalPages: 0, facets: null });
     }
 
     try {
-        const [searchResult] = await pool.execute(
-            `SELECT 
-                p.id, p.name, p.price,
-                b.name as brand_name, 
-                s.name as sector_name,
-                (SELECT image_url FROM product_images pi WHERE pi.product_id = p.id ORDER BY pi.display_order ASC LIMIT 1) as main_image_url
-             FROM products p
-             LEFT JOIN brands b ON p.brand_id = b.id
-             LEFT JOIN sectors s ON p.sector_id = s.id
-             WHERE 
-                p.is_active = true AND (
-                    p.name LIKE ? OR
-                    p.description LIKE ? OR
-                    b.name LIKE ? OR
-                    s.name LIKE ?
-                )
-             LIMIT 50`, // Limit results to prevent overwhelming the server
-            [`%${searchTerm}%`, `%${searchTerm}%`, `%${searchTerm}%`, `%${searchTerm}%`]
-        );
-
-        res.status(200).json(searchResult);
+        // Filtering on a sector includes its sub-sectors
+        if (search.sectorIds.length > 0) {
+            const sectors = await loadSectorTree();
+            search.sectorIds = [...new Set(search.sectorIds.flatMap(id => getSubtreeIds(sectors, id)))];
+        }
+        res.status(200).json(await searchProducts(search));
     } catch (error) {
         console.error('Error during product search:', error);
         res.status(500).json({ message: 'Server error during search.' });
@@ -247,48 +260,60 @@ router.get('/', async (req, res) => {
 });
 
 // @route   PUT /api/products/:id (Admin Update)
-// @desc    Update a product
+// @desc    Update a product. As with POST /api/admin/products/:id/update, the status isn't set here
+//          and a seller's changes to a published product may wait for review.
 // @access  Private (Admin or SBO)
-router.put('/:id', authenticateToken, checkRole(['Admin', 'SBO']), async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission(['products.manage_own', 'products.manage_all']), async (req, res) => {
     const { id: productId } = req.params;
-    const { id: userId, role: userRole } = req.user;
+    const { id: userId } = req.user;
     const {
-        name, description, price, stock_quantity, sector_id, brand_id, is_active,
+        name, description, price, stock_quantity, sector_id, brand_id,
         allow_backorder, sale_price, sale_start_date, sale_end_date
     } = req.body;
 
     if (!name || !description || !price) {
         return res.status(400).json({ message: 'Name, description, and price are required.' });
     }
+    const { threshold: lowStockThreshold, error: thresholdError } = req.body.low_stock_threshold === undefined
+        ? {} : parseLowStockThreshold(req.body.low_stock_threshold);
+    if (thresholdError) return res.status(400).json({ message: thresholdError });
 
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
 
-        const [productResult] = await connection.execute('SELECT sbo_id FROM products WHERE id = ?', [productId]);
+        const [productResult] = await connection.execute('SELECT * FROM products WHERE id = ?', [productId]);
         if (productResult.length === 0) {
             return res.status(404).json({ message: 'Product not found.' });
         }
-        if (userRole !== 'Admin' && productResult[0].sbo_id !== userId) {
+        if (!can(req, 'products.manage_all') && productResult[0].sbo_id !== userId) {
             return res.status(403).json({ message: 'You are not authorized to update this product.' });
         }
-
-        await connection.execute(
-            `UPDATE products SET 
-                name = ?, description = ?, price = ?, stock_quantity = ?, sector_id = ?, brand_id = ?, is_active = ?,
-                allow_backorder = ?, sale_price = ?, sale_start_date = ?, sale_end_date = ?, updated_at = CURRENT_TIMESTAMP
-             WHERE id = ?`,
-            [
-                name, description, price, stock_quantity, sector_id, brand_id, is_active,
-                allow_backorder, sale_price, sale_start_date, sale_end_date,
-                productId
-            ]
-        );
+        const before = await loadSnapshot('products', productId, connection);
+
+        let changes = {
+            name, description, price, sector_id, brand_id,
+            allow_backorder, sale_price, sale_start_date, sale_end_date
+        };
+        if (lowStockThreshold !== undefined) changes.low_stock_threshold = lowStockThreshold;
+        let heldForReview = [];
+        if (productResult[0].status === 'published' && editsNeedReview(req)) {
+            ({ apply: changes, held: heldForReview } = await holdReviewedChanges(productResult[0], changes, userId, connection));
+        }
+        await connection.query('UPDATE products SET ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [changes, productId]);
+        if (stock_quantity !== undefined && stock_quantity !== null) {
+            await setStockLevel({
+                productId, quantity: parseInt(stock_quantity) || 0, reason: 'adjustment', note: req.body.stock_note, userId
+            }, connection);
+        }
 
         const [updatedProduct] = await connection.execute('SELECT * FROM products WHERE id = ?', [productId]);
+        await recordAudit(req, {
+            action: 'product.update', entityType: 'product', entityId: productId, before, after: updatedProduct[0]
+        }, connection);
 
         await connection.commit();
-        res.status(200).json({ message: 'Product updated successfully.', product: updatedProduct[0] });
+        res.status(200).json({ message: 'Product updated successfully.', product: updatedProduct[0], heldForReview });
 
     } catch (error) {
         await connection.rollback();
@@ -303,20 +328,22 @@ router.put('/:id', authenticateToken, checkRole(['Admin', 'SBO']), async (req, r
 // @route   DELETE /api/products/:id (Admin Delete)
 // @desc    Delete a product
 // @access  Private (Admin or SBO)
-router.delete('/:id', authenticateToken, checkRole(['Admin', 'SBO']), async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission(['products.manage_own', 'products.manage_all']), async (req, res) => {
     const { id: productId } = req.params;
-    const { id: userId, role: userRole } = req.user;
+    const { id: userId } = req.user;
 
     try {
         const [productResult] = await pool.execute('SELECT sbo_id FROM products WHERE id = ?', [productId]);
         if (productResult.length === 0) {
             return res.status(404).json({ message: 'Product not found.' });
         }
-        if (userRole !== 'Admin' && productResult[0].sbo_id !== userId) {
+        if (!can(req, 'products.manage_all') && productResult[0].sbo_id !== userId) {
             return res.status(403).json({ message: 'You are not authorized to delete this product.' });
         }
 
+        const before = await loadSnapshot('products', productId);
         await pool.execute('DELETE FROM products WHERE id = ?', [productId]);
+        await recordAudit(req, { action: 'product.delete', entityType: 'product', entityId: productId, before });
         res.status(200).json({ message: 'Product deleted successfully.' });
 
     } catch (error) {
@@ -330,7 +357,7 @@ router.delete('/:id', authenticateToken, checkRole(['Admin', 'SBO']), async (req
 
 
 // CREATE a new sector
-// router.post('/sectors', authenticateToken, checkRole(['Admin']), async (req, res) => {
+// router.post('/sectors', authenticateToken, requirePermission('catalog.manage'), async (req, res) => {
 //     res.status(201).json({ message: 'Sector created.' });
 // });
 
@@ -372,10 +399,22 @@ router.get('/:id', async (req, res) => {
         const [imagesResult] = await pool.execute('SELECT * FROM product_images WHERE product_id = ? ORDER BY display_order ASC', [id]);
         product.images = imagesResult;
 
+        // 2b. Options and purchasable variants, priced the same way the cart will price them
+        const { options, variants } = await loadProductVariants(id, { activeOnly: true });
+        const variantPrices = await getActivePricesForProducts([], variants.map(variant => variant.id));
+        product.options = options;
+        product.variants = variants.map(variant => ({
+            ...variant,
+            ...variantPrices.get(priceKey(product.id, variant.id))
+        }));
+
+        product.tags = await loadProductTags(id);
+        product.sector_breadcrumbs = product.sector_id ? getBreadcrumbs(await loadSectorTree(), product.sector_id) : [];
+
         // 3. Fetch RELATED products (from the same sector, excluding the current product)
         if (product.sector_id) {
             const [relatedResult] = await pool.execute(
-                `SELECT p.id, p.name, p.price, 
+                `SELECT p.id, p.name, p.price, p.rating_average, p.rating_count,
                 (SELECT image_url FROM product_images pi WHERE pi.product_id = p.id ORDER BY pi.display_order ASC LIMIT 1) as main_image_url
                  FROM products p
                  WHERE p.sector_id = ? AND p.id != ? AND p.is_active = true
@@ -394,6 +433,62 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+// @route   GET /api/products/:id/restock-subscriptions
+// @desc    Which of a product's out-of-stock items the user has asked to hear about (variantIds; null is the product itself)
+// @access  Private
+router.get('/:id/restock-subscriptions', authenticateToken, async (req, res) => {
+    try {
+        const [rows] = await pool.execute(
+            'SELECT variant_id FROM restock_subscriptions WHERE user_id = ? AND product_id = ? AND notified_at IS NULL',
+            [req.user.id, req.params.id]
+        );
+        res.status(200).json({ variantIds: rows.map(row => row.variant_id) });
+    } catch (error) {
+        console.error('Error fetching restock subscriptions:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/products/:id/restock-subscriptions
+// @desc    Email me when this product (or variantId) is back in stock
+// @access  Private
+router.post('/:id/restock-subscriptions', authenticateToken, async (req, res) => {
+    const productId = req.params.id;
+    const variantId = req.body.variantId || null;
+    try {
+        const [productResult] = await pool.execute('SELECT id FROM products WHERE id = ? AND is_active = TRUE', [productId]);
+        if (productResult.length === 0) return res.status(404).json({ message: 'Product not found.' });
+
+        const purchasable = await resolvePurchasable(productId, variantId);
+        if (purchasable.error) return res.status(purchasable.status).json({ message: purchasable.error });
+        if (purchasable.stock_quantity > 0 || purchasable.allow_backorder) {
+            return res.status(400).json({ message: 'This is in stock, so you can order it now.' });
+        }
+
+        await subscribeToRestock(req.user.id, productId, variantId);
+        res.status(201).json({ message: "We'll email you when it's back in stock." });
+    } catch (error) {
+        console.error('Error subscribing to restock:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/products/:id/restock-subscriptions?variantId=
+// @desc    Stop waiting for a product (or variant) to come back in stock
+// @access  Private
+router.delete('/:id/restock-subscriptions', authenticateToken, async (req, res) => {
+    try {
+        await pool.execute(
+            'DELETE FROM restock_subscriptions WHERE user_id = ? AND product_id = ? AND variant_id <=> ? AND notified_at IS NULL',
+            [req.user.id, req.params.id, req.query.variantId || null]
+        );
+        res.status(200).json({ message: "You won't be emailed about this." });
+    } catch (error) {
+        console.error('Error removing restock subscription:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // routes/product.routes.js
 
 // --- ADD THESE NEW ROUTES ---
@@ -404,7 +499,7 @@ router.get('/:id', async (req, res) => {
 router.get('/list/new-releases', async (req, res) => {
     try {
         const [products] = await pool.execute(
-            `SELECT p.id, p.name, p.price, (SELECT image_url FROM product_images pi WHERE pi.product_id = p.id LIMIT 1) as main_image_url FROM products p WHERE p.is_active = true ORDER BY p.created_at DESC LIMIT 20`
+            `SELECT p.id, p.name, p.price, p.rating_average, p.rating_count, (SELECT image_url FROM product_images pi WHERE pi.product_id = p.id LIMIT 1) as main_image_url FROM products p WHERE p.is_active = true ORDER BY p.created_at DESC LIMIT 20`
         );
         res.status(200).json(products);
     } catch (error) { res.status(500).json({ message: 'Server error' }); }
@@ -416,9 +511,9 @@ router.get('/list/new-releases', async (req, res) => {
 router.get('/list/best-sellers', async (req, res) => {
     try {
         const [products] = await pool.execute(
-            `SELECT p.id, p.name, p.price, SUM(oi.quantity) as total_sold, (SELECT image_url FROM product_images pi WHERE pi.product_id = p.id LIMIT 1) as main_image_url
+            `SELECT p.id, p.name, p.price, p.rating_average, p.rating_count, SUM(oi.quantity) as total_sold, (SELECT image_url FROM product_images pi WHERE pi.product_id = p.id LIMIT 1) as main_image_url
              FROM products p JOIN order_items oi ON p.id = oi.product_id
-             WHERE p.is_active = true GROUP BY p.id, p.name, p.price ORDER BY total_sold DESC LIMIT 20`
+             WHERE p.is_active = true GROUP BY p.id, p.name, p.price, p.rating_average, p.rating_count ORDER BY total_sold DESC LIMIT 20`
         );
         res.status(200).json(products);
     } catch (error) { res.status(500).json({ message: 'Server error' }); }
@@ -430,7 +525,7 @@ router.get('/list/best-sellers', async (req, res) => {
 router.get('/list/specials', async (req, res) => {
     try {
         const [products] = await pool.execute(
-            `SELECT p.id, p.name, p.price, p.sale_price as active_price, (SELECT image_url FROM product_images pi WHERE pi.product_id = p.id LIMIT 1) as main_image_url
+            `SELECT p.id, p.name, p.price, p.sale_price as active_price, p.rating_average, p.rating_count, (SELECT image_url FROM product_images pi WHERE pi.product_id = p.id LIMIT 1) as main_image_url
              FROM products p
              WHERE p.is_active = true AND p.sale_price IS NOT NULL
              AND (p.sale_start_date IS NULL OR p.sale_start_date <= NOW())
@@ -0,0 +1,111 @@
+// routes/promotion.routes.js
+import express from 'express';
+import pool from '../config/db.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+import { recordAudit, loadSnapshot } from '../utils/audit.helpers.js';
+import { validatePromotion } from '../utils/promotion.helpers.js';
+
+const router = express.Router();
+
+const PROMOTION_PAGE_SIZE = 20;
+
+// @route   GET /api/promotions?page=&kind=codes|automatic
+// @desc    List coupon codes and automatic promotions, newest first, with how many orders have used each
+//          and what they've taken off in total
+// @access  Private (promotions.manage)
+router.get('/', authenticateToken, requirePermission('promotions.manage'), async (req, res) => {
+    const page = Math.max(parseInt(req.query.page || '1') || 1, 1);
+    const offset = (page - 1) * PROMOTION_PAGE_SIZE;
+    const where = req.query.kind === 'codes' ? 'WHERE p.code IS NOT NULL'
+        : req.query.kind === 'automatic' ? 'WHERE p.code IS NULL' : '';
+
+    try {
+        const [promotions] = await pool.query(
+            `SELECT p.*, COUNT(r.id) as times_used, COALESCE(SUM(r.discount_amount), 0) as total_discount
+             FROM promotions p
+             LEFT JOIN promotion_redemptions r ON r.promotion_id = p.id
+             ${where}
+             GROUP BY p.id
+             ORDER BY p.created_at DESC
+             LIMIT ? OFFSET ?`,
+            [PROMOTION_PAGE_SIZE, offset]
+        );
+        const [countResult] = await pool.query(`SELECT COUNT(*) as count FROM promotions p ${where}`);
+
+        res.status(200).json({
+            promotions: promotions.map(promotion => ({
+                ...promotion, is_active: Boolean(promotion.is_active), times_used: Number(promotion.times_used),
+                total_discount: parseFloat(promotion.total_discount)
+            })),
+            currentPage: page,
+            totalPages: Math.ceil(countResult[0].count / PROMOTION_PAGE_SIZE)
+        });
+    } catch (error) {
+        console.error('Error fetching promotions:', error);
+        res.status(500).json({ message: 'Server error while fetching promotions.' });
+    }
+});
+
+// @route   POST /api/promotions
+// @desc    Create a coupon code or, with no code, a promotion that applies automatically (see validatePromotion)
+// @access  Private (promotions.manage)
+router.post('/', authenticateToken, requirePermission('promotions.manage'), async (req, res) => {
+    const { values, error } = validatePromotion(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    try {
+        const [result] = await pool.query('INSERT INTO promotions SET ?', [{ ...values, created_by: req.user.id }]);
+        await recordAudit(req, { action: 'promotion.create', entityType: 'promotion', entityId: result.insertId, after: values });
+        res.status(201).json({ message: values.code ? `Code ${values.code} created.` : 'Promotion created.', id: result.insertId });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') return res.status(409).json({ message: 'There is already a promotion with that code.' });
+        console.error('Error creating promotion:', error);
+        res.status(500).json({ message: 'Server error while creating the promotion.' });
+    }
+});
+
+// @route   PUT /api/promotions/:id
+// @desc    Update a promotion (the whole form, as for POST). Orders it was already used on keep their discount.
+// @access  Private (promotions.manage)
+router.put('/:id', authenticateToken, requirePermission('promotions.manage'), async (req, res) => {
+    const { values, error } = validatePromotion(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    try {
+        const before = await loadSnapshot('promotions', req.params.id);
+        if (!before) return res.status(404).json({ message: 'Promotion not found.' });
+
+        await pool.query('UPDATE promotions SET ? WHERE id = ?', [values, req.params.id]);
+        await recordAudit(req, { action: 'promotion.update', entityType: 'promotion', entityId: req.params.id, before, after: values });
+        res.status(200).json({ message: 'Promotion updated.' });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') return res.status(409).json({ message: 'There is already a promotion with that code.' });
+        console.error('Error updating promotion:', error);
+        res.status(500).json({ message: 'Server error while updating the promotion.' });
+    }
+});
+
+// @route   DELETE /api/promotions/:id
+// @desc    Delete a promotion that has never been used. Used ones are switched off instead, so order history keeps them.
+// @access  Private (promotions.manage)
+router.delete('/:id', authenticateToken, requirePermission('promotions.manage'), async (req, res) => {
+    try {
+        const before = await loadSnapshot('promotions', req.params.id);
+        if (!before) return res.status(404).json({ message: 'Promotion not found.' });
+
+        const [usage] = await pool.execute('SELECT COUNT(*) as count FROM promotion_redemptions WHERE promotion_id = ?', [req.params.id]);
+        if (usage[0].count > 0) {
+            return res.status(409).json({ message: 'This promotion has been used on orders, so it can only be switched off.' });
+        }
+
+        await pool.execute('DELETE FROM promotions WHERE id = ?', [req.params.id]);
+        await recordAudit(req, { action: 'promotion.delete', entityType: 'promotion', entityId: req.params.id, before });
+        res.status(200).json({ message: 'Promotion deleted.' });
+    } catch (error) {
+        console.error('Error deleting promotion:', error);
+        res.status(500).json({ message: 'Server error while deleting the promotion.' });
+    }
+});
+
+export default router;
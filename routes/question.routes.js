@@ -0,0 +1,240 @@
+// routes/question.routes.js
+import express from 'express';
+import pool from '../config/db.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+import { can, getRolePermissions } from '../utils/permission.helpers.js';
+import { recordAudit } from '../utils/audit.helpers.js';
+import { sendQuestionAskedEmail, sendQuestionAnsweredEmail } from '../utils/email.helpers.js';
+
+const router = express.Router();
+
+const QUESTION_PAGE_SIZE = 10;
+const MAX_QUESTION_LENGTH = 1000;
+const MAX_ANSWER_LENGTH = 2000;
+
+const QUESTION_COLUMNS = `q.id, q.product_id, q.question, q.answer, q.created_at, q.answered_at,
+    q.answered_by = p.sbo_id as answered_by_seller,
+    CONCAT(u.first_name, ' ', LEFT(COALESCE(u.last_name, ''), 1), '.') as asker_name`;
+
+// @route   GET /api/questions/product/:productId?page=
+// @desc    Get a product's answered questions, most recently answered first
+// @access  Public
+router.get('/product/:productId', async (req, res) => {
+    const { productId } = req.params;
+    const page = Math.max(parseInt(req.query.page || '1') || 1, 1);
+
+    try {
+        const [questions] = await pool.query(
+            `SELECT ${QUESTION_COLUMNS}
+             FROM product_questions q
+             JOIN products p ON q.product_id = p.id
+             JOIN users u ON q.user_id = u.id
+             WHERE q.product_id = ? AND q.answered_at IS NOT NULL
+             ORDER BY q.answered_at DESC
+             LIMIT ? OFFSET ?`,
+            [productId, QUESTION_PAGE_SIZE, (page - 1) * QUESTION_PAGE_SIZE]
+        );
+        const [totalResult] = await pool.execute(
+            'SELECT COUNT(*) as count FROM product_questions WHERE product_id = ? AND answered_at IS NOT NULL',
+            [productId]
+        );
+        const total = parseInt(totalResult[0].count);
+
+        res.status(200).json({
+            questions: questions.map(question => ({ ...question, answered_by_seller: Boolean(question.answered_by_seller) })),
+            total,
+            currentPage: page,
+            totalPages: Math.ceil(total / QUESTION_PAGE_SIZE)
+        });
+    } catch (error) {
+        console.error('Error fetching questions:', error);
+        res.status(500).json({ message: 'Server error while fetching questions.' });
+    }
+});
+
+// @route   GET /api/questions/product/:productId/mine
+// @desc    The logged-in user's questions about a product that are still waiting for an answer
+// @access  Private
+router.get('/product/:productId/mine', authenticateToken, async (req, res) => {
+    try {
+        const [questions] = await pool.execute(
+            `SELECT id, question, created_at FROM product_questions
+             WHERE product_id = ? AND user_id = ? AND answered_at IS NULL
+             ORDER BY created_at DESC`,
+            [req.params.productId, req.user.id]
+        );
+        res.status(200).json(questions);
+    } catch (error) {
+        console.error('Error fetching own questions:', error);
+        res.status(500).json({ message: 'Server error.' });
+    }
+});
+
+// @route   POST /api/questions/product/:productId
+// @desc    Ask a question about a product. The seller is emailed and it appears once answered.
+// @access  Private
+router.post('/product/:productId', authenticateToken, async (req, res) => {
+    const { productId } = req.params;
+    const question = String(req.body.question || '').trim();
+
+    if (question.length < 5) return res.status(400).json({ message: 'Please write your question.' });
+    if (question.length > MAX_QUESTION_LENGTH) {
+        return res.status(400).json({ message: `A question can be at most ${MAX_QUESTION_LENGTH} characters.` });
+    }
+
+    try {
+        const [productResult] = await pool.execute(
+            'SELECT id, name, sbo_id FROM products WHERE id = ? AND is_active = TRUE',
+            [productId]
+        );
+        if (productResult.length === 0) return res.status(404).json({ message: 'Product not found.' });
+        const product = productResult[0];
+
+        const [result] = await pool.execute(
+            'INSERT INTO product_questions (product_id, user_id, question) VALUES (?, ?, ?)',
+            [product.id, req.user.id, question]
+        );
+
+        // Products without an SBO are answered by admins from the inbox, so there's nobody to email
+        if (product.sbo_id) {
+            try {
+                const [sellerResult] = await pool.execute('SELECT email, first_name FROM users WHERE id = ?', [product.sbo_id]);
+                if (sellerResult.length > 0) await sendQuestionAskedEmail(sellerResult[0], product, question, req);
+            } catch (mailError) {
+                console.error('Failed to send new question email:', mailError);
+            }
+        }
+
+        res.status(201).json({
+            message: "Your question has been sent to the seller. We'll email you when it's answered.",
+            id: result.insertId
+        });
+    } catch (error) {
+        console.error('Error asking question:', error);
+        res.status(500).json({ message: 'Server error while sending your question.' });
+    }
+});
+
+// @route   GET /api/questions/inbox?status=unanswered&page=
+// @desc    Questions about the seller's products (every product for products.manage_all). status is unanswered or answered.
+// @access  Private (products.manage_own, products.manage_all)
+router.get('/inbox', authenticateToken, requirePermission(['products.manage_own', 'products.manage_all']), async (req, res) => {
+    const status = req.query.status === 'answered' ? 'answered' : 'unanswered';
+    const page = Math.max(parseInt(req.query.page || '1') || 1, 1);
+
+    const conditions = [status === 'answered' ? 'q.answered_at IS NOT NULL' : 'q.answered_at IS NULL'];
+    const params = [];
+    if (!can(req, 'products.manage_all')) {
+        conditions.push('p.sbo_id = ?');
+        params.push(req.user.id);
+    }
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
+    try {
+        const [questions] = await pool.query(
+            `SELECT ${QUESTION_COLUMNS}, p.name as product_name
+             FROM product_questions q
+             JOIN products p ON q.product_id = p.id
+             JOIN users u ON q.user_id = u.id
+             ${where}
+             ORDER BY ${status === 'answered' ? 'q.answered_at DESC' : 'q.created_at ASC'}
+             LIMIT ? OFFSET ?`,
+            [...params, QUESTION_PAGE_SIZE, (page - 1) * QUESTION_PAGE_SIZE]
+        );
+        const [totalResult] = await pool.query(
+            `SELECT COUNT(*) as count FROM product_questions q JOIN products p ON q.product_id = p.id ${where}`,
+            params
+        );
+        const total = parseInt(totalResult[0].count);
+
+        res.status(200).json({
+            questions: questions.map(question => ({ ...question, answered_by_seller: Boolean(question.answered_by_seller) })),
+            total,
+            currentPage: page,
+            totalPages: Math.ceil(total / QUESTION_PAGE_SIZE)
+        });
+    } catch (error) {
+        console.error('Error fetching question inbox:', error);
+        res.status(500).json({ message: 'Server error while fetching questions.' });
+    }
+});
+
+// @route   PUT /api/questions/:id/answer
+// @desc    Answer (or correct the answer to) a question about your product. The asker is emailed the first time.
+// @access  Private (products.manage_own for your own products, products.manage_all for any)
+router.put('/:id/answer', authenticateToken, requirePermission(['products.manage_own', 'products.manage_all']), async (req, res) => {
+    const answer = String(req.body.answer || '').trim();
+    if (!answer) return res.status(400).json({ message: 'Please write an answer.' });
+    if (answer.length > MAX_ANSWER_LENGTH) {
+        return res.status(400).json({ message: `An answer can be at most ${MAX_ANSWER_LENGTH} characters.` });
+    }
+
+    try {
+        const [questionResult] = await pool.execute(
+            `SELECT q.*, p.name as product_name, p.sbo_id
+             FROM product_questions q JOIN products p ON q.product_id = p.id
+             WHERE q.id = ?`,
+            [req.params.id]
+        );
+        if (questionResult.length === 0) return res.status(404).json({ message: 'Question not found.' });
+        const question = questionResult[0];
+        if (!can(req, 'products.manage_all') && question.sbo_id !== req.user.id) {
+            return res.status(403).json({ message: 'You can only answer questions about your own products.' });
+        }
+
+        await pool.execute(
+            'UPDATE product_questions SET answer = ?, answered_by = ?, answered_at = COALESCE(answered_at, NOW()) WHERE id = ?',
+            [answer, req.user.id, question.id]
+        );
+        await recordAudit(req, {
+            action: 'question.answer', entityType: 'product_question', entityId: question.id,
+            before: { answer: question.answer }, after: { answer }
+        });
+
+        if (!question.answered_at) {
+            try {
+                const [askerResult] = await pool.execute('SELECT email, first_name FROM users WHERE id = ?', [question.user_id]);
+                await sendQuestionAnsweredEmail(
+                    askerResult[0], { id: question.product_id, name: question.product_name },
+                    { question: question.question, answer }, req
+                );
+            } catch (mailError) {
+                console.error('Failed to send question answered email:', mailError);
+            }
+        }
+
+        res.status(200).json({ message: 'Answer posted.' });
+    } catch (error) {
+        console.error('Error answering question:', error);
+        res.status(500).json({ message: 'Server error while saving the answer.' });
+    }
+});
+
+// @route   DELETE /api/questions/:id
+// @desc    Withdraw your own unanswered question, or (products.manage_all) remove any question
+// @access  Private
+router.delete('/:id', authenticateToken, async (req, res) => {
+    try {
+        const [questionResult] = await pool.execute('SELECT * FROM product_questions WHERE id = ?', [req.params.id]);
+        if (questionResult.length === 0) return res.status(404).json({ message: 'Question not found.' });
+        const question = questionResult[0];
+
+        const isAsker = question.user_id === req.user.id && !question.answered_at;
+        const isStaff = (await getRolePermissions(req.user.role)).has('products.manage_all');
+        if (!isAsker && !isStaff) {
+            return res.status(403).json({ message: 'You can only withdraw your own questions before they are answered.' });
+        }
+
+        await pool.execute('DELETE FROM product_questions WHERE id = ?', [question.id]);
+        if (!isAsker) {
+            await recordAudit(req, { action: 'question.delete', entityType: 'product_question', entityId: question.id, before: question });
+        }
+        res.status(200).json({ message: 'Question removed.' });
+    } catch (error) {
+        console.error('Error deleting question:', error);
+        res.status(500).json({ message: 'Server error while removing the question.' });
+    }
+});
+
+export default router;
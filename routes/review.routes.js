@@ -0,0 +1,388 @@
+// routes/review.routes.js
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import multer from 'multer';
+import pool from '../config/db.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+import { can, getRolePermissions } from '../utils/permission.helpers.js';
+import { recordAudit, loadSnapshot } from '../utils/audit.helpers.js';
+import {
+    REVIEW_PAGE_SIZE, MAX_REVIEW_PHOTOS, VISIBLE_STATUSES, REVIEW_SORTS,
+    findDeliveredOrder, validateReview, refreshProductRating, attachReviewImages
+} from '../utils/review.helpers.js';
+
+const router = express.Router();
+
+//--- Multer Configuration (review photos) ---
+const storage = multer.diskStorage({
+    destination: 'uploads/reviews/',
+    filename: function (req, file, cb) {
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        cb(null, uniqueSuffix + path.extname(file.originalname));
+    }
+});
+const upload = multer({
+    storage: storage,
+    limits: { fileSize: 5 * 1024 * 1024, files: MAX_REVIEW_PHOTOS },
+    fileFilter: (req, file, cb) => cb(null, file.mimetype.startsWith('image/'))
+});
+//--------------------------
+
+/**
+ * Deletes uploaded photos when the review they came with is rejected.
+ * @param {Array<object>} [files] - req.files from multer.
+ */
+const discardUploads = (files = []) => {
+    files.forEach(file => fs.unlink(file.path, (err) => {
+        if (err) console.error(`Failed to delete review photo: ${file.path}`, err);
+    }));
+};
+
+const REVIEW_COLUMNS = `r.id, r.product_id, r.rating, r.title, r.body, r.status, r.sbo_reply, r.sbo_replied_at,
+    r.created_at, r.updated_at, r.order_id IS NOT NULL as verified_purchase,
+    CONCAT(u.first_name, ' ', LEFT(COALESCE(u.last_name, ''), 1), '.') as reviewer_name`;
+
+// @route   GET /api/reviews/product/:productId?sort=&page=
+// @desc    Get a product's reviews with the rating summary. sort is newest, highest or lowest.
+// @access  Public
+router.get('/product/:productId', async (req, res) => {
+    const { productId } = req.params;
+    const page = Math.max(parseInt(req.query.page || '1') || 1, 1);
+    const sort = REVIEW_SORTS[req.query.sort] ? req.query.sort : 'newest';
+
+    try {
+        const [reviews] = await pool.query(
+            `SELECT ${REVIEW_COLUMNS}
+             FROM product_reviews r JOIN users u ON r.user_id = u.id
+             WHERE r.product_id = ? AND r.status IN (?)
+             ORDER BY ${REVIEW_SORTS[sort]}
+             LIMIT ? OFFSET ?`,
+            [productId, VISIBLE_STATUSES, REVIEW_PAGE_SIZE, (page - 1) * REVIEW_PAGE_SIZE]
+        );
+        const [distribution] = await pool.query(
+            'SELECT rating, COUNT(*) as count FROM product_reviews WHERE product_id = ? AND status IN (?) GROUP BY rating',
+            [productId, VISIBLE_STATUSES]
+        );
+        const total = distribution.reduce((sum, row) => sum + Number(row.count), 0);
+        const average = total > 0
+            ? distribution.reduce((sum, row) => sum + row.rating * Number(row.count), 0) / total
+            : null;
+
+        res.status(200).json({
+            reviews: (await attachReviewImages(reviews)).map(review => ({
+                ...review, verified_purchase: Boolean(review.verified_purchase)
+            })),
+            summary: {
+                average: average !== null ? Math.round(average * 100) / 100 : null,
+                count: total,
+                distribution: [5, 4, 3, 2, 1].map(stars => ({
+                    rating: stars,
+                    count: Number(distribution.find(row => row.rating === stars)?.count || 0)
+                }))
+            },
+            currentPage: page,
+            totalPages: Math.ceil(total / REVIEW_PAGE_SIZE)
+        });
+    } catch (error) {
+        console.error('Error fetching reviews:', error);
+        res.status(500).json({ message: 'Server error while fetching reviews.' });
+    }
+});
+
+// @route   GET /api/reviews/product/:productId/mine
+// @desc    Whether the logged-in user may review a product, and their review if they already wrote one
+// @access  Private
+router.get('/product/:productId/mine', authenticateToken, async (req, res) => {
+    const { productId } = req.params;
+    try {
+        const [existing] = await pool.execute(
+            'SELECT id, rating, title, body, status FROM product_reviews WHERE product_id = ? AND user_id = ?',
+            [productId, req.user.id]
+        );
+        const orderId = await findDeliveredOrder(req.user.id, productId);
+        res.status(200).json({
+            canReview: existing.length === 0 && orderId !== null,
+            hasPurchased: orderId !== null,
+            review: existing.length > 0 ? (await attachReviewImages(existing))[0] : null
+        });
+    } catch (error) {
+        console.error('Error checking review eligibility:', error);
+        res.status(500).json({ message: 'Server error.' });
+    }
+});
+
+// @route   POST /api/reviews/product/:productId
+// @desc    Review a product. Only buyers with a delivered order for it may do so, once each.
+// @access  Private
+router.post('/product/:productId', authenticateToken, upload.array('photos', MAX_REVIEW_PHOTOS), async (req, res) => {
+    const { productId } = req.params;
+    const { rating, title, body } = req.body;
+
+    const validationError = validateReview(req.body);
+    if (validationError) {
+        discardUploads(req.files);
+        return res.status(400).json({ message: validationError });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        const orderId = await findDeliveredOrder(req.user.id, productId, connection);
+        if (!orderId) {
+            discardUploads(req.files);
+            return res.status(403).json({ message: 'You can review a product once your order for it has been delivered.' });
+        }
+
+        await connection.beginTransaction();
+        const [result] = await connection.execute(
+            `INSERT INTO product_reviews (product_id, user_id, order_id, rating, title, body)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [productId, req.user.id, orderId, Number(rating), title || null, body || null]
+        );
+        for (const [index, file] of (req.files || []).entries()) {
+            await connection.execute(
+                'INSERT INTO review_images (review_id, image_url, display_order) VALUES (?, ?, ?)',
+                [result.insertId, `/uploads/reviews/${file.filename}`, index]
+            );
+        }
+        await refreshProductRating(productId, connection);
+        await connection.commit();
+
+        res.status(201).json({ message: 'Thank you for your review!', id: result.insertId });
+    } catch (error) {
+        await connection.rollback();
+        discardUploads(req.files);
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'You have already reviewed this product. You can edit your review instead.' });
+        }
+        console.error('Error creating review:', error);
+        res.status(500).json({ message: 'Server error while saving your review.' });
+    } finally {
+        connection.release();
+    }
+});
+
+// @route   PUT /api/reviews/:id
+// @desc    Edit your own review (rating, title, body), optionally adding photos
+// @access  Private
+router.put('/:id', authenticateToken, upload.array('photos', MAX_REVIEW_PHOTOS), async (req, res) => {
+    const { rating, title, body } = req.body;
+
+    const validationError = validateReview(req.body);
+    if (validationError) {
+        discardUploads(req.files);
+        return res.status(400).json({ message: validationError });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        const [reviewResult] = await connection.execute('SELECT id, product_id, user_id FROM product_reviews WHERE id = ?', [req.params.id]);
+        if (reviewResult.length === 0 || reviewResult[0].user_id !== req.user.id) {
+            discardUploads(req.files);
+            return res.status(404).json({ message: 'Review not found.' });
+        }
+        const review = reviewResult[0];
+        const [photoCount] = await connection.execute('SELECT COUNT(*) as count FROM review_images WHERE review_id = ?', [review.id]);
+        if (Number(photoCount[0].count) + (req.files || []).length > MAX_REVIEW_PHOTOS) {
+            discardUploads(req.files);
+            return res.status(400).json({ message: `A review can have at most ${MAX_REVIEW_PHOTOS} photos.` });
+        }
+
+        await connection.beginTransaction();
+        await connection.execute(
+            'UPDATE product_reviews SET rating = ?, title = ?, body = ? WHERE id = ?',
+            [Number(rating), title || null, body || null, review.id]
+        );
+        for (const [index, file] of (req.files || []).entries()) {
+            await connection.execute(
+                'INSERT INTO review_images (review_id, image_url, display_order) VALUES (?, ?, ?)',
+                [review.id, `/uploads/reviews/${file.filename}`, Number(photoCount[0].count) + index]
+            );
+        }
+        await refreshProductRating(review.product_id, connection);
+        await connection.commit();
+
+        res.status(200).json({ message: 'Your review has been updated.' });
+    } catch (error) {
+        await connection.rollback();
+        discardUploads(req.files);
+        console.error('Error updating review:', error);
+        res.status(500).json({ message: 'Server error while updating your review.' });
+    } finally {
+        connection.release();
+    }
+});
+
+// @route   DELETE /api/reviews/:id
+// @desc    Delete your own review (or any review, for moderators)
+// @access  Private
+router.delete('/:id', authenticateToken, async (req, res) => {
+    try {
+        const before = await loadSnapshot('product_reviews', req.params.id);
+        const isModerator = (await getRolePermissions(req.user.role)).has('reviews.moderate');
+        if (!before || (before.user_id !== req.user.id && !isModerator)) {
+            return res.status(404).json({ message: 'Review not found.' });
+        }
+
+        const [images] = await pool.execute('SELECT image_url FROM review_images WHERE review_id = ?', [before.id]);
+        await pool.execute('DELETE FROM product_reviews WHERE id = ?', [before.id]);
+        await refreshProductRating(before.product_id);
+        if (before.user_id !== req.user.id) {
+            await recordAudit(req, { action: 'review.delete', entityType: 'review', entityId: before.id, before });
+        }
+        discardUploads(images.map(image => ({ path: path.join('.', image.image_url) })));
+
+        res.status(200).json({ message: 'Review deleted.' });
+    } catch (error) {
+        console.error('Error deleting review:', error);
+        res.status(500).json({ message: 'Server error while deleting the review.' });
+    }
+});
+
+// @route   POST /api/reviews/:id/flag
+// @desc    Report a review to the moderators
+// @access  Private
+router.post('/:id/flag', authenticateToken, async (req, res) => {
+    const reason = String(req.body.reason || '').trim().slice(0, 255) || null;
+    try {
+        const [reviewResult] = await pool.execute('SELECT id, user_id, status FROM product_reviews WHERE id = ?', [req.params.id]);
+        if (reviewResult.length === 0 || reviewResult[0].status === 'hidden') {
+            return res.status(404).json({ message: 'Review not found.' });
+        }
+        if (reviewResult[0].user_id === req.user.id) {
+            return res.status(400).json({ message: 'You cannot report your own review.' });
+        }
+
+        const [flagResult] = await pool.execute(
+            'INSERT IGNORE INTO review_flags (review_id, user_id, reason) VALUES (?, ?, ?)',
+            [req.params.id, req.user.id, reason]
+        );
+        if (flagResult.affectedRows > 0) {
+            await pool.execute(
+                `UPDATE product_reviews SET flag_count = flag_count + 1, status = IF(status = 'published', 'flagged', status)
+                 WHERE id = ? AND status IN ('published', 'flagged')`,
+                [req.params.id]
+            );
+        }
+        res.status(200).json({ message: 'Thanks, a moderator will take a look.' });
+    } catch (error) {
+        console.error('Error flagging review:', error);
+        res.status(500).json({ message: 'Server error.' });
+    }
+});
+
+// @route   PUT /api/reviews/:id/reply
+// @desc    Reply publicly to a review of your product (an empty reply removes it)
+// @access  Private (products.manage_own for your own products, products.manage_all for any)
+router.put('/:id/reply', authenticateToken, requirePermission(['products.manage_own', 'products.manage_all']), async (req, res) => {
+    const reply = String(req.body.reply || '').trim();
+    if (reply.length > 2000) return res.status(400).json({ message: 'A reply can be at most 2000 characters.' });
+
+    try {
+        const [reviewResult] = await pool.execute(
+            `SELECT r.*, p.sbo_id FROM product_reviews r JOIN products p ON r.product_id = p.id WHERE r.id = ?`,
+            [req.params.id]
+        );
+        if (reviewResult.length === 0) return res.status(404).json({ message: 'Review not found.' });
+        const review = reviewResult[0];
+        if (!can(req, 'products.manage_all') && review.sbo_id !== req.user.id) {
+            return res.status(403).json({ message: 'You can only reply to reviews of your own products.' });
+        }
+
+        await pool.execute(
+            'UPDATE product_reviews SET sbo_reply = ?, sbo_replied_at = ?, sbo_replied_by = ? WHERE id = ?',
+            reply ? [reply, new Date(), req.user.id, review.id] : [null, null, null, review.id]
+        );
+        await recordAudit(req, {
+            action: 'review.reply', entityType: 'review', entityId: review.id,
+            before: { sbo_reply: review.sbo_reply }, after: { sbo_reply: reply || null }
+        });
+        res.status(200).json({ message: reply ? 'Reply posted.' : 'Reply removed.' });
+    } catch (error) {
+        console.error('Error replying to review:', error);
+        res.status(500).json({ message: 'Server error while saving the reply.' });
+    }
+});
+
+// @route   GET /api/reviews/moderation?status=flagged&page=
+// @desc    The moderation queue: flagged reviews (or hidden/published ones) with the reasons given
+// @access  Private (reviews.moderate)
+router.get('/moderation', authenticateToken, requirePermission('reviews.moderate'), async (req, res) => {
+    const status = ['flagged', 'hidden', 'published'].includes(req.query.status) ? req.query.status : 'flagged';
+    const page = Math.max(parseInt(req.query.page || '1') || 1, 1);
+
+    try {
+        const [reviews] = await pool.query(
+            `SELECT ${REVIEW_COLUMNS}, r.flag_count, r.user_id, p.name as product_name, u.email as reviewer_email
+             FROM product_reviews r
+             JOIN users u ON r.user_id = u.id
+             JOIN products p ON r.product_id = p.id
+             WHERE r.status = ?
+             ORDER BY r.flag_count DESC, r.updated_at DESC
+             LIMIT ? OFFSET ?`,
+            [status, REVIEW_PAGE_SIZE, (page - 1) * REVIEW_PAGE_SIZE]
+        );
+        const [totalResult] = await pool.execute('SELECT COUNT(*) as count FROM product_reviews WHERE status = ?', [status]);
+        const [flags] = reviews.length > 0
+            ? await pool.query(
+                'SELECT review_id, reason, created_at FROM review_flags WHERE review_id IN (?) ORDER BY created_at DESC',
+                [reviews.map(review => review.id)]
+            )
+            : [[]];
+
+        res.status(200).json({
+            reviews: (await attachReviewImages(reviews)).map(review => ({
+                ...review,
+                verified_purchase: Boolean(review.verified_purchase),
+                flags: flags.filter(flag => flag.review_id === review.id)
+            })),
+            currentPage: page,
+            totalPages: Math.ceil(parseInt(totalResult[0].count) / REVIEW_PAGE_SIZE)
+        });
+    } catch (error) {
+        console.error('Error fetching review moderation queue:', error);
+        res.status(500).json({ message: 'Server error.' });
+    }
+});
+
+// @route   PUT /api/reviews/:id/moderation
+// @desc    Decide on a review: 'publish' clears its flags, 'hide' takes it off the product page
+// @access  Private (reviews.moderate)
+router.put('/:id/moderation', authenticateToken, requirePermission('reviews.moderate'), async (req, res) => {
+    const { decision } = req.body;
+    if (!['publish', 'hide'].includes(decision)) {
+        return res.status(400).json({ message: "Decision must be 'publish' or 'hide'." });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        const before = await loadSnapshot('product_reviews', req.params.id, connection);
+        if (!before) return res.status(404).json({ message: 'Review not found.' });
+
+        await connection.beginTransaction();
+        if (decision === 'publish') {
+            await connection.execute(`UPDATE product_reviews SET status = 'published', flag_count = 0 WHERE id = ?`, [before.id]);
+            await connection.execute('DELETE FROM review_flags WHERE review_id = ?', [before.id]);
+        } else {
+            await connection.execute(`UPDATE product_reviews SET status = 'hidden' WHERE id = ?`, [before.id]);
+        }
+        await refreshProductRating(before.product_id, connection);
+        await recordAudit(req, {
+            action: 'review.moderate', entityType: 'review', entityId: before.id,
+            before: { status: before.status, flag_count: before.flag_count },
+            after: { status: decision === 'publish' ? 'published' : 'hidden' }
+        }, connection);
+        await connection.commit();
+
+        res.status(200).json({ message: decision === 'publish' ? 'Review restored.' : 'Review hidden.' });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error moderating review:', error);
+        res.status(500).json({ message: 'Server error.' });
+    } finally {
+        connection.release();
+    }
+});
+
+export default router;
@@ -0,0 +1,227 @@
+// routes/role.routes.js
+import express from 'express';
+import pool from '../config/db.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+import { SUPERADMIN_ROLE, clearPermissionCache } from '../utils/permission.helpers.js';
+import { recordAudit } from '../utils/audit.helpers.js';
+
+const router = express.Router();
+
+/**
+ * Checks a list of permission names against the permissions table.
+ * @param {Array<string>} names - Permission names from the request body.
+ * @returns {Promise<{ids: Array<number>, unknown: Array<string>}>}
+ */
+const resolvePermissionIds = async (names) => {
+    if (names.length === 0) return { ids: [], unknown: [] };
+    const [rows] = await pool.query('SELECT id, name FROM permissions WHERE name IN (?)', [names]);
+    const known = new Set(rows.map(row => row.name));
+    return { ids: rows.map(row => row.id), unknown: names.filter(name => !known.has(name)) };
+};
+
+// @route   GET /api/roles
+// @desc    List every role with its permissions and how many users hold it
+// @access  Private (roles.manage, or users.assign_roles for the role picker)
+router.get('/', authenticateToken, requirePermission(['roles.manage', 'users.assign_roles']), async (req, res) => {
+    try {
+        const [roles] = await pool.execute(
+            `SELECT r.id, r.name, r.description, r.is_system,
+                    (SELECT COUNT(*) FROM users u WHERE u.role = r.name) as user_count
+             FROM roles r
+             ORDER BY r.is_system DESC, r.id`
+        );
+        const [grants] = await pool.execute(
+            `SELECT rp.role_id, p.name FROM role_permissions rp JOIN permissions p ON p.id = rp.permission_id`
+        );
+        const [allPermissions] = await pool.execute('SELECT name FROM permissions ORDER BY name');
+
+        res.status(200).json(roles.map(role => ({
+            ...role,
+            is_system: Boolean(role.is_system),
+            // The Superadmin implicitly has everything, whatever is stored for it
+            permissions: role.name === SUPERADMIN_ROLE
+                ? allPermissions.map(p => p.name)
+                : grants.filter(grant => grant.role_id === role.id).map(grant => grant.name).sort()
+        })));
+    } catch (error) {
+        console.error('Error fetching roles:', error);
+        res.status(500).json({ message: 'Server error while fetching roles.' });
+    }
+});
+
+// @route   GET /api/roles/permissions
+// @desc    List every permission that can be granted
+// @access  Private (roles.manage)
+router.get('/permissions', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+    try {
+        const [permissions] = await pool.execute('SELECT id, name, description FROM permissions ORDER BY name');
+        res.status(200).json(permissions);
+    } catch (error) {
+        console.error('Error fetching permissions:', error);
+        res.status(500).json({ message: 'Server error while fetching permissions.' });
+    }
+});
+
+// @route   POST /api/roles
+// @desc    Create a new role
+// @access  Private (roles.manage)
+router.post('/', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+    const name = (req.body.name || '').trim();
+    const { description = null, permissions = [] } = req.body;
+
+    if (!name || name.length > 50) {
+        return res.status(400).json({ message: 'A role name of up to 50 characters is required.' });
+    }
+    if (!Array.isArray(permissions)) {
+        return res.status(400).json({ message: 'Permissions must be a list of permission names.' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        const { ids, unknown } = await resolvePermissionIds(permissions);
+        if (unknown.length > 0) {
+            return res.status(400).json({ message: `Unknown permissions: ${unknown.join(', ')}` });
+        }
+
+        await connection.beginTransaction();
+        const [result] = await connection.execute(
+            'INSERT INTO roles (name, description) VALUES (?, ?)',
+            [name, description]
+        );
+        for (const permissionId of ids) {
+            await connection.execute(
+                'INSERT INTO role_permissions (role_id, permission_id) VALUES (?, ?)',
+                [result.insertId, permissionId]
+            );
+        }
+        await recordAudit(req, {
+            action: 'role.create', entityType: 'role', entityId: result.insertId,
+            after: { name, description, permissions }
+        }, connection);
+        await connection.commit();
+        clearPermissionCache();
+
+        res.status(201).json({ message: `Role "${name}" created.`, id: result.insertId });
+    } catch (error) {
+        await connection.rollback();
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'A role with that name already exists.' });
+        }
+        console.error('Error creating role:', error);
+        res.status(500).json({ message: 'Server error while creating role.' });
+    } finally {
+        connection.release();
+    }
+});
+
+// @route   PUT /api/roles/:id
+// @desc    Update a role's description, permissions and (for custom roles) name
+// @access  Private (roles.manage)
+router.put('/:id', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+    const { id: roleId } = req.params;
+    const { description = null, permissions } = req.body;
+    const name = req.body.name !== undefined ? String(req.body.name).trim() : undefined;
+
+    if (permissions !== undefined && !Array.isArray(permissions)) {
+        return res.status(400).json({ message: 'Permissions must be a list of permission names.' });
+    }
+    if (name !== undefined && (!name || name.length > 50)) {
+        return res.status(400).json({ message: 'A role name of up to 50 characters is required.' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        const [roleResult] = await connection.execute('SELECT * FROM roles WHERE id = ?', [roleId]);
+        if (roleResult.length === 0) {
+            return res.status(404).json({ message: 'Role not found.' });
+        }
+        const role = roleResult[0];
+
+        if (role.name === SUPERADMIN_ROLE) {
+            return res.status(403).json({ message: 'The Superadmin role always has every permission and cannot be edited.' });
+        }
+        if (role.is_system && name !== undefined && name !== role.name) {
+            return res.status(400).json({ message: 'Built-in roles cannot be renamed.' });
+        }
+
+        const { ids, unknown } = await resolvePermissionIds(permissions || []);
+        if (unknown.length > 0) {
+            return res.status(400).json({ message: `Unknown permissions: ${unknown.join(', ')}` });
+        }
+
+        const [previousGrants] = await connection.execute(
+            `SELECT p.name FROM role_permissions rp JOIN permissions p ON p.id = rp.permission_id WHERE rp.role_id = ?`,
+            [roleId]
+        );
+
+        await connection.beginTransaction();
+        await connection.execute(
+            'UPDATE roles SET name = ?, description = ? WHERE id = ?',
+            [name ?? role.name, description, roleId]
+        );
+        // users.role stores the role name, so a rename has to follow through
+        if (name !== undefined && name !== role.name) {
+            await connection.execute('UPDATE users SET role = ? WHERE role = ?', [name, role.name]);
+        }
+        if (permissions !== undefined) {
+            await connection.execute('DELETE FROM role_permissions WHERE role_id = ?', [roleId]);
+            for (const permissionId of ids) {
+                await connection.execute(
+                    'INSERT INTO role_permissions (role_id, permission_id) VALUES (?, ?)',
+                    [roleId, permissionId]
+                );
+            }
+        }
+        await recordAudit(req, {
+            action: 'role.update', entityType: 'role', entityId: roleId,
+            before: { name: role.name, description: role.description, permissions: previousGrants.map(grant => grant.name).sort() },
+            after: {
+                name: name ?? role.name, description,
+                permissions: permissions !== undefined ? [...permissions].sort() : previousGrants.map(grant => grant.name).sort()
+            }
+        }, connection);
+        await connection.commit();
+        clearPermissionCache();
+
+        res.status(200).json({ message: 'Role updated successfully.' });
+    } catch (error) {
+        await connection.rollback();
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'A role with that name already exists.' });
+        }
+        console.error('Error updating role:', error);
+        res.status(500).json({ message: 'Server error while updating role.' });
+    } finally {
+        connection.release();
+    }
+});
+
+// @route   DELETE /api/roles/:id
+// @desc    Delete a custom role that nobody holds
+// @access  Private (roles.manage)
+router.delete('/:id', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+    const { id: roleId } = req.params;
+
+    try {
+        const [roleResult] = await pool.execute('SELECT name, description, is_system FROM roles WHERE id = ?', [roleId]);
+        if (roleResult.length === 0) return res.status(404).json({ message: 'Role not found.' });
+        if (roleResult[0].is_system) return res.status(400).json({ message: 'Built-in roles cannot be deleted.' });
+
+        const [holders] = await pool.execute('SELECT COUNT(*) as count FROM users WHERE role = ?', [roleResult[0].name]);
+        if (holders[0].count > 0) {
+            return res.status(409).json({ message: 'Move the users who hold this role to another role first.' });
+        }
+
+        await pool.execute('DELETE FROM roles WHERE id = ?', [roleId]);
+        await recordAudit(req, { action: 'role.delete', entityType: 'role', entityId: roleId, before: roleResult[0] });
+        clearPermissionCache();
+
+        res.status(200).json({ message: 'Role deleted successfully.' });
+    } catch (error) {
+        console.error('Error deleting role:', error);
+        res.status(500).json({ message: 'Server error while deleting role.' });
+    }
+});
+
+export default router;
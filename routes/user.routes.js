@@ -1,17 +1,33 @@
 // routes/user.routes.js
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import pool from '../config/db.js';
 import dotenv from 'dotenv';
 // --- 1. IMPORT THE MIDDLEWARES ---
 import { authenticateToken } from '../middleware/auth.middleware.js';
-import { checkRole } from '../middleware/role.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+import { throttleLogin } from '../middleware/throttle.middleware.js';
+import {
+    issueSession, rotateRefreshToken, revokeRefreshToken, revokeAllRefreshTokens, consumeUserToken, signImpersonationToken
+} from '../utils/token.helpers.js';
+import { buildUserResponse, loadUserResponse, buildUserListFilters } from '../utils/user.helpers.js';
+import { SUPERADMIN_ROLE, can, getRolePermissions, listRolePermissions } from '../utils/permission.helpers.js';
+import { recordAudit, loadSnapshot } from '../utils/audit.helpers.js';
+import { toCsv } from '../utils/csv.helpers.js';
+import { buildAccountExport, anonymiseAccount } from '../utils/account.helpers.js';
+import { sendVerificationEmail, sendPasswordResetEmail } from '../utils/email.helpers.js';
+import { refreshProductRating } from '../utils/review.helpers.js';
+import {
+    normaliseIdentifier, recordLoginAttempt, getLockSecondsRemaining, registerFailedLogin, clearFailedLogins
+} from '../utils/login.helpers.js';
 
 dotenv.config();
 
 const router = express.Router();
 
+// When this is on, password logins are refused until the email address has been verified.
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
 // User Registration
 router.post('/register', async (req, res) => {
     // Only expect the simple fields for initial registration
@@ -64,15 +80,27 @@ router.post('/register', async (req, res) => {
         );
         const newUser = newUserRows[0];
 
-        const token = jwt.sign(
-            { id: newUser.id, role: newUser.role },
-            process.env.JWT_SECRET,
-            { expiresIn: '1h' }
-        );
+        // A mail failure shouldn't lose the registration; they can ask for a new link.
+        try {
+            await sendVerificationEmail(newUser, req);
+        } catch (mailError) {
+            console.error('Failed to send verification email:', mailError);
+        }
+
+        if (REQUIRE_EMAIL_VERIFICATION) {
+            return res.status(201).json({
+                message: 'Registration successful! Please check your email to verify your account before logging in.',
+                requiresVerification: true,
+                user: newUser
+            });
+        }
+
+        const { token, refreshToken } = await issueSession(newUser, req);
 
         res.status(201).json({
             message: 'User registered successfully!',
             token,
+            refreshToken,
             user: newUser
         });
 
@@ -83,8 +111,11 @@ router.post('/register', async (req, res) => {
 });
 
 // User Login (remains mostly the same, just returning more fields)
-router.post('/login', async (req, res) => {
+router.post('/login', throttleLogin('password'), async (req, res) => {
     const { identifier, password } = req.body;
+    if (!identifier || !password) return res.status(400).json({ message: 'Please enter your username/email and password.' });
+    const attemptIdentifier = normaliseIdentifier(identifier);
+
     try {
         const [userResult] = await pool.execute(
             `SELECT u.*, sp.id as sbo_profile_id 
@@ -94,38 +125,70 @@ router.post('/login', async (req, res) => {
             [identifier, identifier]
         );
         const user = userResult[0];
-        if (!user) return res.status(400).json({ message: 'Invalid credentials.' });
+        if (!user) {
+            await recordLoginAttempt(req, { identifier: attemptIdentifier, success: false, reason: 'unknown_user' });
+            return res.status(400).json({ message: 'Invalid credentials.' });
+        }
+
+        // Checked before the password so a locked account can't be used to test guesses.
+        const lockSeconds = getLockSecondsRemaining(user);
+        if (lockSeconds > 0) {
+            await recordLoginAttempt(req, { identifier: attemptIdentifier, userId: user.id, success: false, reason: 'locked' });
+            res.set('Retry-After', String(lockSeconds));
+            return res.status(423).json({
+                message: `This account is temporarily locked after too many failed attempts. Try again in ${Math.ceil(lockSeconds / 60)} minute(s), or reset your password.`,
+                code: 'ACCOUNT_LOCKED'
+            });
+        }
+
+        // Accounts created through KingsChat have no password until they set one.
+        if (!user.password_hash) {
+            await recordLoginAttempt(req, { identifier: attemptIdentifier, userId: user.id, success: false, reason: 'no_password' });
+            return res.status(400).json({
+                message: 'This account signs in with KingsChat. Use the KingsChat button, or choose "Forgot password?" to set a password.'
+            });
+        }
+
         const isMatch = await bcrypt.compare(password, user.password_hash);
-        if (!isMatch) return res.status(400).json({ message: 'Invalid credentials.' });
+        if (!isMatch) {
+            await registerFailedLogin(user.id);
+            await recordLoginAttempt(req, { identifier: attemptIdentifier, userId: user.id, success: false, reason: 'bad_password' });
+            return res.status(400).json({ message: 'Invalid credentials.' });
+        }
 
-        const token = jwt.sign({ id: user.id, role: user.role }, process.env.JWT_SECRET, { expiresIn: '10h' });
+        if (user.failed_login_count > 0 || user.locked_until) await clearFailedLogins(user.id);
+
+        // Checked after the password so these don't reveal anything to someone guessing.
+        if (user.suspended_at) {
+            await recordLoginAttempt(req, { identifier: attemptIdentifier, userId: user.id, success: false, reason: 'suspended' });
+            return res.status(403).json({
+                message: 'This account has been suspended. Please contact support if you think this is a mistake.',
+                code: 'ACCOUNT_SUSPENDED'
+            });
+        }
+        if (user.password_reset_required) {
+            await recordLoginAttempt(req, { identifier: attemptIdentifier, userId: user.id, success: false, reason: 'reset_required' });
+            return res.status(403).json({
+                message: 'You need to choose a new password before logging in. We have emailed you a reset link, or use "Forgot password?".',
+                code: 'PASSWORD_RESET_REQUIRED'
+            });
+        }
+
+        if (REQUIRE_EMAIL_VERIFICATION && !user.email_verified) {
+            return res.status(403).json({
+                message: 'Please verify your email address before logging in.',
+                code: 'EMAIL_NOT_VERIFIED'
+            });
+        }
+
+        await recordLoginAttempt(req, { identifier: attemptIdentifier, userId: user.id, success: true });
+        const { token, refreshToken } = await issueSession(user, req);
 
-        // THE FIX: Return EVERY field from the user object.
         res.status(200).json({
             message: 'Logged in successfully.',
             token,
-            user: {
-                id: user.id, username: user.username, email: user.email, role: user.role, sbo_profile_id: user.sbo_profile_id,
-                firstName: user.first_name, lastName: user.last_name, dateOfBirth: user.date_of_birth,
-                phoneNumber: user.phone_number, kingschatHandle: user.kingschat_handle,
-                kingschatId: user.kingschat_id, kingschatGender: user.kingschat_gender,
-                kingschatAvatarUrl: user.kingschat_avatar_url, zone: user.zone, church: user.church,
-                ministryPosition: user.ministry_position, yearsInPosition: user.years_in_position,
-                group: user.group, leadership_role: user.leadership_role,
-                ministry_staff: Boolean(user.ministry_staff),
-                ministry_department: user.ministry_department, educational_qualification: user.educational_qualification,
-                institution_of_completion: user.institution_of_completion, professional_qualification: user.professional_qualification,
-                has_work_experience: Boolean(user.has_work_experience),
-                organisation_of_employment: user.organisation_of_employment,
-                duration_of_employment: user.duration_of_employment,
-                significant_achievements: typeof user.significant_achievements === 'string' && user.significant_achievements.startsWith('[')
-                    ? JSON.parse(user.significant_achievements)
-                    : (user.significant_achievements ? user.significant_achievements.split(',') : []),
-                areas_of_interest: typeof user.areas_of_interest === 'string' && user.areas_of_interest.startsWith('[')
-                    ? JSON.parse(user.areas_of_interest)
-                    : (user.areas_of_interest ? user.areas_of_interest.split(',') : []),
-                apply_for: user.apply_for
-            }
+            refreshToken,
+            user: buildUserResponse(user, await listRolePermissions(user.role))
         });
     } catch (error) {
         console.error('Login error:', error);
@@ -133,58 +196,290 @@ router.post('/login', async (req, res) => {
     }
 });
 
+// @route   POST /api/users/refresh
+// @desc    Exchange a refresh token for a new access token (the refresh token is rotated)
+// @access  Public (requires a valid refresh token)
+router.post('/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ message: 'Refresh token is required.' });
+
+    try {
+        const session = await rotateRefreshToken(refreshToken, req);
+        if (!session) {
+            return res.status(401).json({ message: 'Your session has expired. Please log in again.' });
+        }
+
+        const user = await loadUserResponse(session.userId);
+        if (!user) return res.status(401).json({ message: 'User not found.' });
+
+        res.status(200).json({
+            token: session.token,
+            refreshToken: session.refreshToken,
+            user
+        });
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({ message: 'Server error during token refresh.' });
+    }
+});
+
+// @route   POST /api/users/logout
+// @desc    Revoke the given refresh token so it can no longer be used
+// @access  Public (the access token may already have expired)
+router.post('/logout', async (req, res) => {
+    const { refreshToken } = req.body;
+    try {
+        if (refreshToken) await revokeRefreshToken(refreshToken);
+        res.status(200).json({ message: 'Logged out successfully.' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ message: 'Server error during logout.' });
+    }
+});
+
+// @route   PUT /api/users/password
+// @desc    Change the logged-in user's password. Ends every other session.
+// @access  Private
+router.put('/password', authenticateToken, async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    if (!newPassword) {
+        return res.status(400).json({ message: 'A new password is required.' });
+    }
+
+    try {
+        const [userResult] = await pool.execute('SELECT id, role, password_hash FROM users WHERE id = ?', [req.user.id]);
+        if (userResult.length === 0) return res.status(404).json({ message: 'User not found.' });
+        const user = userResult[0];
+
+        // KingsChat-only accounts have no current password; they're setting their first one.
+        if (user.password_hash) {
+            if (!currentPassword) return res.status(400).json({ message: 'Your current password is required.' });
+            const isMatch = await bcrypt.compare(currentPassword, user.password_hash);
+            if (!isMatch) return res.status(400).json({ message: 'Your current password is incorrect.' });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        const passwordHash = await bcrypt.hash(newPassword, salt);
+        await pool.execute(
+            'UPDATE users SET password_hash = ?, password_reset_required = FALSE, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [passwordHash, user.id]
+        );
+
+        // Log out every device, then start a fresh session for this one.
+        await revokeAllRefreshTokens(user.id);
+        const { token, refreshToken } = await issueSession(user, req);
+
+        res.status(200).json({ message: 'Your password has been changed.', token, refreshToken });
+    } catch (error) {
+        console.error('Password change error:', error);
+        res.status(500).json({ message: 'Server error while changing password.' });
+    }
+});
+
+// @route   POST /api/users/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', async (req, res) => {
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ message: 'Email is required.' });
+
+    try {
+        const [userResult] = await pool.execute('SELECT id, email, first_name FROM users WHERE email = ?', [email]);
+        if (userResult.length > 0) {
+            await sendPasswordResetEmail(userResult[0], req);
+        }
+
+        // Same answer either way, so this can't be used to find out who has an account.
+        res.status(200).json({ message: 'If an account exists for that email, a reset link has been sent.' });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ message: 'Server error while requesting a password reset.' });
+    }
+});
+
+// @route   POST /api/users/reset-password
+// @desc    Set a new password using the token from a reset email. Ends every session.
+// @access  Public (requires a valid reset token)
+router.post('/reset-password', async (req, res) => {
+    const { token, newPassword } = req.body;
+    if (!token || !newPassword) {
+        return res.status(400).json({ message: 'Token and new password are required.' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const userId = await consumeUserToken(token, 'password_reset', connection);
+        if (!userId) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'This reset link is invalid or has expired. Please request a new one.' });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        const passwordHash = await bcrypt.hash(newPassword, salt);
+
+        // Following the emailed link also proves they own the address.
+        await connection.execute(
+            `UPDATE users SET password_hash = ?,
+                email_verified = TRUE, email_verified_at = COALESCE(email_verified_at, NOW()),
+                failed_login_count = 0, locked_until = NULL, password_reset_required = FALSE,
+                updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [passwordHash, userId]
+        );
+        await revokeAllRefreshTokens(userId, connection);
+
+        await connection.commit();
+        res.status(200).json({ message: 'Your password has been reset. You can now log in.' });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Reset password error:', error);
+        res.status(500).json({ message: 'Server error while resetting password.' });
+    } finally {
+        connection.release();
+    }
+});
+
+// @route   POST /api/users/verify-email
+// @desc    Mark an email address as verified using the token from a verification email
+// @access  Public (requires a valid verification token)
+router.post('/verify-email', async (req, res) => {
+    const { token } = req.body;
+    if (!token) return res.status(400).json({ message: 'Verification token is required.' });
+
+    try {
+        const userId = await consumeUserToken(token, 'email_verification');
+        if (!userId) {
+            return res.status(400).json({ message: 'This verification link is invalid or has expired. Please request a new one.' });
+        }
+
+        await pool.execute(
+            'UPDATE users SET email_verified = TRUE, email_verified_at = NOW(), updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [userId]
+        );
+
+        res.status(200).json({ message: 'Your email address has been verified.' });
+    } catch (error) {
+        console.error('Email verification error:', error);
+        res.status(500).json({ message: 'Server error while verifying email.' });
+    }
+});
+
+// @route   POST /api/users/resend-verification
+// @desc    Send a fresh verification email
+// @access  Public (unverified users may not be able to log in)
+router.post('/resend-verification', async (req, res) => {
+    const { identifier } = req.body; // Email or username, same as login
+    if (!identifier) return res.status(400).json({ message: 'Email or username is required.' });
+
+    try {
+        const [userResult] = await pool.execute(
+            'SELECT id, email, first_name, email_verified FROM users WHERE email = ? OR username = ?',
+            [identifier, identifier]
+        );
+        if (userResult.length > 0 && !userResult[0].email_verified) {
+            await sendVerificationEmail(userResult[0], req);
+        }
+
+        res.status(200).json({ message: 'If that account needs verifying, a new link has been sent.' });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ message: 'Server error while sending verification email.' });
+    }
+});
+
+// @route   GET /api/users/me/export
+// @desc    Download everything we hold about the logged-in user as a JSON file
+// @access  Private
+router.get('/me/export', authenticateToken, async (req, res) => {
+    try {
+        const data = await buildAccountExport(req.user.id);
+        if (!data) return res.status(404).json({ message: 'User not found.' });
+
+        const fileName = `loveworld-data-${data.profile.username}-${new Date().toISOString().split('T')[0]}.json`;
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.status(200).json(data);
+    } catch (error) {
+        console.error('Data export error:', error);
+        res.status(500).json({ message: 'Server error while exporting your data.' });
+    }
+});
+
+// @route   DELETE /api/users/me
+// @desc    Close the logged-in user's account. Personal data is removed; orders are kept but anonymised.
+// @access  Private
+router.delete('/me', authenticateToken, async (req, res) => {
+    const { password, confirm } = req.body || {};
+    if (confirm !== 'DELETE') {
+        return res.status(400).json({ message: 'Please type DELETE to confirm you want to close your account.' });
+    }
+
+    try {
+        const [userResult] = await pool.execute(
+            'SELECT id, role, password_hash, deleted_at FROM users WHERE id = ?',
+            [req.user.id]
+        );
+        if (userResult.length === 0 || userResult[0].deleted_at) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        const user = userResult[0];
+
+        if (user.role === SUPERADMIN_ROLE) {
+            return res.status(403).json({ message: 'The Superadmin account cannot be deleted.' });
+        }
+        // KingsChat-only accounts have no password; the typed confirmation is all we can ask for.
+        if (user.password_hash) {
+            const isMatch = password ? await bcrypt.compare(password, user.password_hash) : false;
+            if (!isMatch) return res.status(400).json({ message: 'Your password is incorrect.' });
+        }
+
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+            await anonymiseAccount(user.id, connection);
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        res.status(200).json({ message: 'Your account has been closed. We are sorry to see you go.' });
+    } catch (error) {
+        console.error('Account deletion error:', error);
+        res.status(500).json({ message: 'Server error while closing your account.' });
+    }
+});
+
 // --- 2. ADD THE NEW ADMIN ROUTES ---
 
 // @route   GET /api/users
-// @desc    Get all users (for Admin dashboard)
-// @access  Private (Admin only)
-router.get('/', authenticateToken, checkRole(['Admin']), async (req, res) => {
+// @desc    Get all users (for Admin dashboard), optionally filtered (see buildUserListFilters)
+// @access  Private (users.view)
+router.get('/', authenticateToken, requirePermission('users.view'), async (req, res) => {
     const page = parseInt(req.query.page || '1');
     const limit = 15; // Show 15 users per page
     const offset = (page - 1) * limit;
-    const searchTerm = req.query.search || '';
 
     try {
-        let countQuery = 'SELECT COUNT(*) as count FROM users';
-        let mainQuery = `
-            SELECT id, first_name, last_name, username, email, role, created_at 
-            FROM users
-        `;
-        const queryParams = [];
-
-        // Add search conditions if a search term exists
-        if (searchTerm) {
-            queryParams.push(`%${searchTerm}%`);
-            // Note: MySQL uses CONCAT for like '%term%', but prepared statement ? handles escaping, 
-            // so we pass %term% as the value.
-            const whereClause = ` WHERE username LIKE ? OR email LIKE ? OR first_name LIKE ? OR last_name LIKE ?`;
-            mainQuery += whereClause;
-            countQuery += whereClause;
-            // We need to push the param 4 times for the 4 placeholders? 
-            // Actually, for cleaner code, let's just handle the params array construction carefully.
-        }
-
-        // Re-construct params for correct count/main queries
-        let countParams = [];
-        if (searchTerm) {
-            countParams = [`%${searchTerm}%`, `%${searchTerm}%`, `%${searchTerm}%`, `%${searchTerm}%`];
-        }
+        const { whereClause, params } = buildUserListFilters(req.query);
 
         // Get total count for pagination
-        const [totalResult] = await pool.execute(countQuery, countParams);
+        const [totalResult] = await pool.execute(`SELECT COUNT(*) as count FROM users${whereClause}`, params);
         const totalUsers = parseInt(totalResult[0].count);
         const totalPages = Math.ceil(totalUsers / limit);
 
-        // Get paginated users
-        let mainParams = [...countParams];
-        mainParams.push(limit);
-        mainParams.push(offset);
-
-        mainQuery += ` ORDER BY created_at DESC LIMIT ? OFFSET ?`;
-
-        // Note: LIMIT/OFFSET in MySQL prepared statements sometimes require integers, causing issues if passed as strings.
-        // Ensuring they are numbers.
-        const [usersResult] = await pool.query(mainQuery, mainParams);
+        // Get paginated users (pool.query, as LIMIT/OFFSET must be sent as numbers)
+        const [usersResult] = await pool.query(
+            `SELECT id, first_name, last_name, username, email, role, zone, church,
+                    locked_until, suspended_at, suspended_reason, password_reset_required,
+                    deleted_at, merged_into_user_id, kingschat_id, created_at
+             FROM users${whereClause}
+             ORDER BY created_at DESC LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        );
 
         res.status(200).json({
             users: usersResult,
@@ -304,11 +599,11 @@ router.put('/profile', authenticateToken, async (req, res) => {
 
 // @route   PUT /api/users/:id/role
 // @desc    Update a user's role
-// @access  Private (Admin only)
-router.put('/:id/role', authenticateToken, checkRole(['Admin', 'Superadmin']), async (req, res) => { // Allow Superadmins
+// @access  Private (users.assign_roles)
+router.put('/:id/role', authenticateToken, requirePermission('users.assign_roles'), async (req, res) => {
     const { id: targetUserId } = req.params;
     const { newRole } = req.body;
-    const { id: currentAdminId, role: currentAdminRole } = req.user;
+    const { id: currentAdminId } = req.user;
 
     // Fetch the target user's current role
     const [targetUserResult] = await pool.execute('SELECT role FROM users WHERE id = ?', [targetUserId]);
@@ -317,32 +612,47 @@ router.put('/:id/role', authenticateToken, checkRole(['Admin', 'Superadmin']), a
 
     // --- NEW, ROBUST SECURITY RULES ---
     // 1. Nobody can change the role OF a Superadmin
-    if (targetUserRole === 'Superadmin') {
+    if (targetUserRole === SUPERADMIN_ROLE) {
         return res.status(403).json({ message: 'Forbidden: The Superadmin role cannot be changed.' });
     }
-    // 2. Only a Superadmin can promote someone TO Admin
-    if (newRole === 'Admin' && currentAdminRole !== 'Superadmin') {
-        return res.status(403).json({ message: 'Forbidden: Only a Superadmin can create other Admins.' });
-    }
-    // 3. Admins/Superadmins cannot change their own role
+    // 2. Admins/Superadmins cannot change their own role
     if (Number(targetUserId) === currentAdminId) {
         return res.status(400).json({ message: 'Error: You cannot change your own role.' });
     }
 
-    const allowedRoles = ['User', 'SBO', 'Admin']; // Superadmin is not a role you can assign
-    if (!newRole || !allowedRoles.includes(newRole)) return res.status(400).json({ message: 'Invalid role.' });
+    // 3. The role must exist, and Superadmin is not a role you can assign
+    if (!newRole || newRole === SUPERADMIN_ROLE) return res.status(400).json({ message: 'Invalid role.' });
+    const [roleResult] = await pool.execute('SELECT id FROM roles WHERE name = ?', [newRole]);
+    if (roleResult.length === 0) return res.status(400).json({ message: 'Invalid role.' });
+
+    // 4. Without roles.manage (i.e. unless you are a Superadmin), you can only hand out roles
+    //    that can't assign roles themselves and grant nothing you don't have yourself.
+    if (!can(req, 'roles.manage')) {
+        const grantedPermissions = await getRolePermissions(newRole);
+        const escalates = grantedPermissions.has('users.assign_roles')
+            || [...grantedPermissions].some(permission => !can(req, permission));
+        if (escalates) {
+            return res.status(403).json({ message: `Forbidden: Only a Superadmin can assign the ${newRole} role.` });
+        }
+    }
 
     try {
         await pool.execute(
             'UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
             [newRole, targetUserId]
         );
+        // Their existing sessions carry the old role; make them log in again.
+        await revokeAllRefreshTokens(targetUserId);
 
         const [updateUser] = await pool.execute('SELECT id, username, role FROM users WHERE id = ?', [targetUserId]);
 
         if (updateUser.length === 0) {
             return res.status(404).json({ message: 'User not found.' });
         }
+        await recordAudit(req, {
+            action: 'user.role_change', entityType: 'user', entityId: targetUserId,
+            before: { role: targetUserRole }, after: { role: newRole }
+        });
 
         res.status(200).json({
             message: `User role successfully updated to ${newRole}.`,
@@ -355,4 +665,293 @@ router.put('/:id/role', authenticateToken, checkRole(['Admin', 'Superadmin']), a
     }
 });
 
-export default router;
\ No newline at end of file
+// --- USER-MANAGEMENT CONSOLE ---
+
+// Columns written by the CSV export, in order.
+const USER_EXPORT_COLUMNS = [
+    { key: 'id', header: 'ID' }, { key: 'first_name', header: 'First name' }, { key: 'last_name', header: 'Last name' },
+    { key: 'username', header: 'Username' }, { key: 'email', header: 'Email' }, { key: 'phone_number', header: 'Phone' },
+    { key: 'role', header: 'Role' }, { key: 'zone', header: 'Zone' }, { key: 'church', header: 'Church' },
+    { key: 'kingschat_handle', header: 'KingsChat handle' }, { key: 'email_verified', header: 'Email verified' },
+    { key: 'suspended_at', header: 'Suspended at' }, { key: 'suspended_reason', header: 'Suspension reason' },
+    { key: 'deleted_at', header: 'Closed at' }, { key: 'created_at', header: 'Signed up' }
+];
+
+/**
+ * Loads the user an admin action targets and applies the rules every console action shares:
+ * nobody acts on a Superadmin or on themselves, closed accounts are left alone, and without
+ * roles.manage you can't act on someone whose role has permissions you don't.
+ * @param {object} req - The Express request (after requirePermission).
+ * @param {number|string} targetUserId - The user being acted on.
+ * @returns {Promise<{user?: object, status?: number, message?: string}>} The user, or an error to send.
+ */
+const loadManageableUser = async (req, targetUserId) => {
+    const [userResult] = await pool.execute('SELECT * FROM users WHERE id = ?', [targetUserId]);
+    if (userResult.length === 0) return { status: 404, message: 'User not found.' };
+    const user = userResult[0];
+
+    if (user.role === SUPERADMIN_ROLE) return { status: 403, message: 'Forbidden: This cannot be done to a Superadmin.' };
+    if (user.id === req.user.id) return { status: 400, message: 'Error: You cannot do this to your own account.' };
+    if (user.deleted_at) return { status: 400, message: 'This account has been closed.' };
+
+    if (!can(req, 'roles.manage')) {
+        const targetPermissions = await getRolePermissions(user.role);
+        if ([...targetPermissions].some(permission => !can(req, permission))) {
+            return { status: 403, message: `Forbidden: Only a Superadmin can do this to a ${user.role}.` };
+        }
+    }
+    return { user };
+};
+
+// @route   GET /api/users/export
+// @desc    Download the (filtered) user list as CSV. Takes the same filters as GET /api/users.
+// @access  Private (users.export)
+router.get('/export', authenticateToken, requirePermission('users.export'), async (req, res) => {
+    try {
+        const { whereClause, params } = buildUserListFilters(req.query);
+        const [users] = await pool.execute(
+            `SELECT id, first_name, last_name, username, email, phone_number, role, zone, church, kingschat_handle,
+                    email_verified, suspended_at, suspended_reason, deleted_at, created_at
+             FROM users${whereClause}
+             ORDER BY created_at DESC`,
+            params
+        );
+        await recordAudit(req, { action: 'user.export', entityType: 'user', after: { filters: req.query, count: users.length } });
+
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="users-${new Date().toISOString().slice(0, 10)}.csv"`);
+        res.status(200).send(toCsv(users.map(user => ({ ...user, email_verified: user.email_verified ? 'yes' : 'no' })), USER_EXPORT_COLUMNS));
+    } catch (error) {
+        console.error('Error exporting users:', error);
+        res.status(500).json({ message: 'Server error while exporting users.' });
+    }
+});
+
+// @route   POST /api/users/:id/suspend
+// @desc    Suspend a user: they are logged out everywhere and can't log in until reactivated
+// @access  Private (users.suspend)
+router.post('/:id/suspend', authenticateToken, requirePermission('users.suspend'), async (req, res) => {
+    const reason = (req.body.reason || '').trim();
+    if (!reason || reason.length > 255) {
+        return res.status(400).json({ message: 'Please give a reason for the suspension (up to 255 characters).' });
+    }
+
+    try {
+        const { user, status, message } = await loadManageableUser(req, req.params.id);
+        if (!user) return res.status(status).json({ message });
+        if (user.suspended_at) return res.status(400).json({ message: 'This user is already suspended.' });
+
+        await pool.execute(
+            'UPDATE users SET suspended_at = NOW(), suspended_reason = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [reason, user.id]
+        );
+        await revokeAllRefreshTokens(user.id);
+        await recordAudit(req, {
+            action: 'user.suspend', entityType: 'user', entityId: user.id,
+            before: { suspended_at: null }, after: { suspended_reason: reason }
+        });
+
+        res.status(200).json({ message: `${user.username} has been suspended.` });
+    } catch (error) {
+        console.error('Error suspending user:', error);
+        res.status(500).json({ message: 'Server error while suspending user.' });
+    }
+});
+
+// @route   POST /api/users/:id/reactivate
+// @desc    Lift a suspension
+// @access  Private (users.suspend)
+router.post('/:id/reactivate', authenticateToken, requirePermission('users.suspend'), async (req, res) => {
+    try {
+        const { user, status, message } = await loadManageableUser(req, req.params.id);
+        if (!user) return res.status(status).json({ message });
+        if (!user.suspended_at) return res.status(400).json({ message: 'This user is not suspended.' });
+
+        await pool.execute(
+            'UPDATE users SET suspended_at = NULL, suspended_reason = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [user.id]
+        );
+        await recordAudit(req, {
+            action: 'user.reactivate', entityType: 'user', entityId: user.id,
+            before: { suspended_at: user.suspended_at, suspended_reason: user.suspended_reason }, after: { suspended_at: null }
+        });
+
+        res.status(200).json({ message: `${user.username} has been reactivated.` });
+    } catch (error) {
+        console.error('Error reactivating user:', error);
+        res.status(500).json({ message: 'Server error while reactivating user.' });
+    }
+});
+
+// @route   POST /api/users/:id/force-password-reset
+// @desc    Log a user out everywhere and refuse password logins until they choose a new password
+// @access  Private (users.reset_password)
+router.post('/:id/force-password-reset', authenticateToken, requirePermission('users.reset_password'), async (req, res) => {
+    try {
+        const { user, status, message } = await loadManageableUser(req, req.params.id);
+        if (!user) return res.status(status).json({ message });
+
+        await pool.execute(
+            'UPDATE users SET password_reset_required = TRUE, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [user.id]
+        );
+        await revokeAllRefreshTokens(user.id);
+        await sendPasswordResetEmail(user, req);
+        await recordAudit(req, {
+            action: 'user.force_password_reset', entityType: 'user', entityId: user.id,
+            before: { password_reset_required: Boolean(user.password_reset_required) }, after: { password_reset_required: true }
+        });
+
+        res.status(200).json({ message: `${user.username} must now reset their password. A reset link has been emailed to them.` });
+    } catch (error) {
+        console.error('Error forcing password reset:', error);
+        res.status(500).json({ message: 'Server error while forcing a password reset.' });
+    }
+});
+
+// @route   POST /api/users/:id/impersonate
+// @desc    "View as user": a short-lived, read-only session as another user. No refresh token is issued.
+// @access  Private (users.impersonate)
+router.post('/:id/impersonate', authenticateToken, requirePermission('users.impersonate'), async (req, res) => {
+    try {
+        const { user, status, message } = await loadManageableUser(req, req.params.id);
+        if (!user) return res.status(status).json({ message });
+
+        const token = signImpersonationToken(user, req.user.id);
+        await recordAudit(req, { action: 'user.impersonate', entityType: 'user', entityId: user.id });
+
+        res.status(200).json({
+            message: `You are now viewing the site as ${user.username}.`,
+            token,
+            user: { ...await loadUserResponse(user.id), impersonatedBy: req.user.id }
+        });
+    } catch (error) {
+        console.error('Error starting impersonation:', error);
+        res.status(500).json({ message: 'Server error while starting to view as this user.' });
+    }
+});
+
+// @route   POST /api/users/:id/merge
+// @desc    Merge a duplicate account (body: sourceUserId) into this one, e.g. when the same person
+//          registered once with a password and once with KingsChat. The duplicate is then closed.
+// @access  Private (users.merge)
+router.post('/:id/merge', authenticateToken, requirePermission('users.merge'), async (req, res) => {
+    const targetUserId = Number(req.params.id);
+    const sourceUserId = Number(req.body.sourceUserId);
+    if (!sourceUserId || sourceUserId === targetUserId) {
+        return res.status(400).json({ message: 'Choose a different account to merge into this one.' });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        const target = await loadManageableUser(req, targetUserId);
+        if (!target.user) return res.status(target.status).json({ message: target.message });
+        const source = await loadManageableUser(req, sourceUserId);
+        if (!source.user) return res.status(source.status).json({ message: source.message });
+
+        if (source.user.kingschat_id && target.user.kingschat_id && source.user.kingschat_id !== target.user.kingschat_id) {
+            return res.status(409).json({ message: 'Both accounts are linked to different KingsChat accounts. Unlink one first.' });
+        }
+
+        const [profiles] = await connection.execute('SELECT user_id FROM sbo_profiles WHERE user_id IN (?, ?)', [targetUserId, sourceUserId]);
+        if (profiles.length > 1) {
+            return res.status(409).json({ message: 'Both accounts have an SBO profile. Close one of them before merging.' });
+        }
+        const before = {
+            target: await loadSnapshot('users', targetUserId, connection),
+            source: await loadSnapshot('users', sourceUserId, connection)
+        };
+
+        await connection.beginTransaction();
+
+        // Move everything the duplicate owns across
+        await connection.execute('UPDATE orders SET user_id = ? WHERE user_id = ?', [targetUserId, sourceUserId]);
+        await connection.execute('UPDATE products SET sbo_id = ? WHERE sbo_id = ?', [targetUserId, sourceUserId]);
+        await connection.execute('UPDATE product_variants SET sbo_id = ? WHERE sbo_id = ?', [targetUserId, sourceUserId]);
+        await connection.execute('UPDATE sbo_profiles SET user_id = ? WHERE user_id = ?', [targetUserId, sourceUserId]);
+        await connection.execute('UPDATE job_posts SET created_by_user_id = ? WHERE created_by_user_id = ?', [targetUserId, sourceUserId]);
+        // IGNORE skips applications to jobs both accounts applied for; anonymiseAccount removes the leftovers.
+        await connection.execute('UPDATE IGNORE job_applications SET applicant_user_id = ? WHERE applicant_user_id = ?', [targetUserId, sourceUserId]);
+        await connection.execute('UPDATE business_inquiries SET user_id = ? WHERE user_id = ?', [targetUserId, sourceUserId]);
+        await connection.execute('UPDATE innovations SET submitted_by_user_id = ? WHERE submitted_by_user_id = ?', [targetUserId, sourceUserId]);
+        await connection.execute('UPDATE login_attempts SET user_id = ? WHERE user_id = ?', [targetUserId, sourceUserId]);
+        // Per-shopper promotion limits count the duplicate's redemptions against the person
+        await connection.execute('UPDATE promotion_redemptions SET user_id = ? WHERE user_id = ?', [targetUserId, sourceUserId]);
+        // IGNORE keeps the target's list when both have one with the same name, and its saved line when both saved the same item
+        await connection.execute('UPDATE IGNORE wishlists SET user_id = ? WHERE user_id = ?', [targetUserId, sourceUserId]);
+        await connection.execute('UPDATE IGNORE saved_items SET user_id = ? WHERE user_id = ?', [targetUserId, sourceUserId]);
+        // ...and its back-in-stock request when both asked about the same item (anonymiseAccount removes the leftovers)
+        await connection.execute('UPDATE IGNORE restock_subscriptions SET user_id = ? WHERE user_id = ?', [targetUserId, sourceUserId]);
+        // A product both accounts reviewed keeps the target's review; the duplicate's is dropped
+        const [reviewedProducts] = await connection.execute(
+            'SELECT DISTINCT product_id FROM product_reviews WHERE user_id = ?',
+            [sourceUserId]
+        );
+        await connection.execute('UPDATE IGNORE product_reviews SET user_id = ? WHERE user_id = ?', [targetUserId, sourceUserId]);
+        await connection.execute('DELETE FROM product_reviews WHERE user_id = ?', [sourceUserId]);
+        for (const { product_id } of reviewedProducts) await refreshProductRating(product_id, connection);
+        await connection.execute('UPDATE IGNORE product_questions SET user_id = ? WHERE user_id = ?', [targetUserId, sourceUserId]);
+
+        const [targetCart] = await connection.execute('SELECT id FROM carts WHERE user_id = ?', [targetUserId]);
+        if (targetCart.length === 0) {
+            await connection.execute('UPDATE carts SET user_id = ? WHERE user_id = ?', [targetUserId, sourceUserId]);
+        } else {
+            await connection.execute(
+                `INSERT IGNORE INTO cart_items (cart_id, product_id, variant_id, quantity)
+                 SELECT ?, ci.product_id, ci.variant_id, ci.quantity FROM cart_items ci JOIN carts c ON ci.cart_id = c.id WHERE c.user_id = ?`,
+                [targetCart[0].id, sourceUserId]
+            );
+        }
+
+        // The KingsChat link moves with the person. Clear it on the duplicate first so the id is only ever on one row.
+        const s = source.user;
+        if (s.kingschat_id && !target.user.kingschat_id) {
+            await connection.execute('UPDATE users SET kingschat_id = NULL WHERE id = ?', [sourceUserId]);
+            await connection.execute(
+                `UPDATE users SET kingschat_id = ?, kingschat_handle = ?, kingschat_gender = ?, kingschat_avatar_url = ?,
+                    kingschat_access_token = ?, kingschat_refresh_token = ?, kingschat_token_expires_at = ?, kingschat_synced_at = ?
+                 WHERE id = ?`,
+                [
+                    s.kingschat_id, s.kingschat_handle, s.kingschat_gender, s.kingschat_avatar_url,
+                    s.kingschat_access_token, s.kingschat_refresh_token, s.kingschat_token_expires_at, s.kingschat_synced_at,
+                    targetUserId
+                ]
+            );
+        }
+
+        // Keep the target's own details, filling in only what it is missing
+        await connection.execute(
+            `UPDATE users t JOIN users s ON s.id = ?
+             SET t.password_hash = COALESCE(t.password_hash, s.password_hash),
+                 t.email_verified = t.email_verified OR s.email_verified,
+                 t.email_verified_at = COALESCE(t.email_verified_at, s.email_verified_at),
+                 t.phone_number = COALESCE(NULLIF(t.phone_number, ''), s.phone_number),
+                 t.date_of_birth = COALESCE(t.date_of_birth, s.date_of_birth),
+                 t.zone = COALESCE(NULLIF(t.zone, ''), s.zone),
+                 t.church = COALESCE(NULLIF(t.church, ''), s.church),
+                 t.updated_at = CURRENT_TIMESTAMP
+             WHERE t.id = ?`,
+            [sourceUserId, targetUserId]
+        );
+
+        await anonymiseAccount(sourceUserId, connection);
+        await connection.execute('UPDATE users SET merged_into_user_id = ? WHERE id = ?', [targetUserId, sourceUserId]);
+        await revokeAllRefreshTokens(targetUserId, connection);
+
+        await recordAudit(req, {
+            action: 'user.merge', entityType: 'user', entityId: targetUserId,
+            before, after: await loadSnapshot('users', targetUserId, connection)
+        }, connection);
+        await connection.commit();
+
+        res.status(200).json({ message: `${s.username} has been merged into ${target.user.username}.` });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error merging users:', error);
+        res.status(500).json({ message: 'Server error while merging users.' });
+    } finally {
+        connection.release();
+    }
+});
+
+export default router;
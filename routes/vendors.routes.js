@@ -4,7 +4,8 @@ import express from 'express';
 import pool from '../config/db.js';
 import axios from 'axios';
 import { authenticateToken } from '../middleware/auth.middleware.js';
-import { checkRole } from '../middleware/role.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+import { recordAudit, loadSnapshot } from '../utils/audit.helpers.js';
 
 const router = express.Router();
 
@@ -37,7 +38,7 @@ const geocodeAddress = async (address, city, country) => {
 // @route   POST /api/vendors
 // @desc    Admin creates a new vendor location
 // @access  Private (Admin)
-router.post('/', authenticateToken, checkRole(['Admin']), async (req, res) => {
+router.post('/', authenticateToken, requirePermission('vendors.manage'), async (req, res) => {
     const { company_name, address, city, country, postal_code, sector_name } = req.body;
     if (!company_name || !city || !country) return res.status(400).json({ message: 'Company Name, City, and Country are required.' });
 
@@ -63,6 +64,9 @@ router.post('/', authenticateToken, checkRole(['Admin']), async (req, res) => {
         );
 
         const [newVendor] = await connection.execute('SELECT * FROM vendor_locations WHERE id = ?', [newVendorResult.insertId]);
+        await recordAudit(req, {
+            action: 'vendor.create', entityType: 'vendor_location', entityId: newVendorResult.insertId, after: newVendor[0]
+        }, connection);
 
         await connection.commit();
         res.status(201).json(newVendor[0]);
@@ -93,7 +97,7 @@ router.get('/', async (req, res) => {
 // @route   PUT /api/vendors/:id
 // @desc    Admin updates a vendor location
 // @access  Private (Admin)
-router.put('/:id', authenticateToken, checkRole(['Admin']), async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('vendors.manage'), async (req, res) => {
     const { id } = req.params;
     const { company_name, address, city, country, postal_code, sector_name } = req.body;
     // (Note: This is a simplified update. A full update would also handle sector creation like the POST route)
@@ -105,12 +109,14 @@ router.put('/:id', authenticateToken, checkRole(['Admin']), async (req, res) =>
         const coords = await geocodeAddress(address, city, country);
         if (!coords) return res.status(400).json({ message: 'Could not find coordinates for the updated address.' });
 
+        const before = await loadSnapshot('vendor_locations', id);
         await pool.execute(
             `UPDATE vendor_locations SET company_name=?, address=?, city=?, country=?, postal_code=?, sector_id=?, latitude=?, longitude=? WHERE id=?`,
             [company_name, address, city, country, postal_code, sectorId, coords.lat, coords.lon, id]
         );
 
         const [updatedVendor] = await pool.execute('SELECT * FROM vendor_locations WHERE id = ?', [id]);
+        await recordAudit(req, { action: 'vendor.update', entityType: 'vendor_location', entityId: id, before, after: updatedVendor[0] || null });
 
         res.status(200).json(updatedVendor[0]);
     } catch (error) {
@@ -122,9 +128,11 @@ router.put('/:id', authenticateToken, checkRole(['Admin']), async (req, res) =>
 // @route   DELETE /api/vendors/:id
 // @desc    Admin deletes a vendor location
 // @access  Private (Admin)
-router.delete('/:id', authenticateToken, checkRole(['Admin']), async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('vendors.manage'), async (req, res) => {
     try {
+        const before = await loadSnapshot('vendor_locations', req.params.id);
         await pool.execute('DELETE FROM vendor_locations WHERE id = ?', [req.params.id]);
+        if (before) await recordAudit(req, { action: 'vendor.delete', entityType: 'vendor_location', entityId: req.params.id, before });
         res.status(200).json({ message: 'Vendor location deleted successfully.' });
     } catch (error) {
         console.error('Error deleting vendor:', error);
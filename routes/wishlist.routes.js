@@ -0,0 +1,207 @@
+// routes/wishlist.routes.js
+import express from 'express';
+import pool from '../config/db.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import {
+    MAX_WISHLISTS, createShareToken, getOrCreateDefaultWishlist, addWishlistItem, loadWishlistItems
+} from '../utils/wishlist.helpers.js';
+
+const router = express.Router();
+
+/**
+ * Loads one of the logged-in user's wishlists.
+ * @returns {Promise<object|null>} The wishlist row, or null if it doesn't exist or isn't theirs.
+ */
+const findOwnWishlist = async (wishlistId, userId) => {
+    const [rows] = await pool.execute('SELECT * FROM wishlists WHERE id = ? AND user_id = ?', [wishlistId, userId]);
+    return rows[0] || null;
+};
+
+/**
+ * Checks a wishlist name from the request body.
+ * @returns {string|null} An error message, or null if the name is fine.
+ */
+const validateName = (name) => (!name || name.length > 100 ? 'A list name of up to 100 characters is required.' : null);
+
+// @route   GET /api/wishlists
+// @desc    The user's wishlists, each with the product ids on it (so product pages can show what's saved)
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const [wishlists] = await pool.execute(
+            'SELECT id, name, is_public, share_token, created_at FROM wishlists WHERE user_id = ? ORDER BY id',
+            [req.user.id]
+        );
+        const [items] = wishlists.length > 0
+            ? await pool.query('SELECT wishlist_id, product_id, variant_id FROM wishlist_items WHERE wishlist_id IN (?)', [wishlists.map(list => list.id)])
+            : [[]];
+
+        res.status(200).json(wishlists.map(list => ({
+            ...list,
+            is_public: Boolean(list.is_public),
+            items: items.filter(item => item.wishlist_id === list.id).map(({ product_id, variant_id }) => ({ product_id, variant_id }))
+        })));
+    } catch (error) {
+        console.error('Error fetching wishlists:', error);
+        res.status(500).json({ message: 'Server error while fetching wishlists.' });
+    }
+});
+
+// @route   POST /api/wishlists
+// @desc    Create a named wishlist
+// @access  Private
+router.post('/', authenticateToken, async (req, res) => {
+    const name = String(req.body.name || '').trim();
+    const nameError = validateName(name);
+    if (nameError) return res.status(400).json({ message: nameError });
+
+    try {
+        const [countResult] = await pool.execute('SELECT COUNT(*) as count FROM wishlists WHERE user_id = ?', [req.user.id]);
+        if (countResult[0].count >= MAX_WISHLISTS) {
+            return res.status(400).json({ message: `You can have at most ${MAX_WISHLISTS} wishlists.` });
+        }
+        const [result] = await pool.execute('INSERT INTO wishlists (user_id, name) VALUES (?, ?)', [req.user.id, name]);
+        res.status(201).json({ message: `Created "${name}".`, id: result.insertId });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'You already have a list with that name.' });
+        }
+        console.error('Error creating wishlist:', error);
+        res.status(500).json({ message: 'Server error while creating the wishlist.' });
+    }
+});
+
+// @route   POST /api/wishlists/items
+// @desc    Save a product (body: productId, variantId?, wishlistId?) to a wishlist. Without wishlistId, the first list is used.
+// @access  Private
+router.post('/items', authenticateToken, async (req, res) => {
+    const { productId } = req.body;
+    const variantId = Number(req.body.variantId) || null;
+    if (!productId) return res.status(400).json({ message: 'Invalid request.' });
+
+    try {
+        const [productResult] = await pool.execute('SELECT id FROM products WHERE id = ? AND is_active = TRUE', [productId]);
+        if (productResult.length === 0) return res.status(404).json({ message: 'Product not found.' });
+
+        let wishlistId;
+        if (req.body.wishlistId) {
+            const wishlist = await findOwnWishlist(req.body.wishlistId, req.user.id);
+            if (!wishlist) return res.status(404).json({ message: 'Wishlist not found.' });
+            wishlistId = wishlist.id;
+        } else {
+            wishlistId = await getOrCreateDefaultWishlist(req.user.id);
+        }
+
+        await addWishlistItem(wishlistId, productId, variantId);
+        res.status(201).json({ message: 'Saved to your wishlist.', wishlistId });
+    } catch (error) {
+        console.error('Error adding to wishlist:', error);
+        res.status(500).json({ message: 'Server error while saving to the wishlist.' });
+    }
+});
+
+// @route   GET /api/wishlists/shared/:token
+// @desc    A wishlist someone has shared, read-only
+// @access  Public
+router.get('/shared/:token', async (req, res) => {
+    try {
+        const [rows] = await pool.execute(
+            `SELECT w.id, w.name, u.first_name as owner_name
+             FROM wishlists w JOIN users u ON w.user_id = u.id
+             WHERE w.share_token = ? AND w.is_public = TRUE AND u.deleted_at IS NULL`,
+            [req.params.token]
+        );
+        if (rows.length === 0) return res.status(404).json({ message: 'This wishlist is private or no longer exists.' });
+
+        // Products that have been switched off aren't shown to other people
+        const items = (await loadWishlistItems([rows[0].id])).filter(item => item.is_active);
+        res.status(200).json({ ...rows[0], items });
+    } catch (error) {
+        console.error('Error fetching shared wishlist:', error);
+        res.status(500).json({ message: 'Server error while fetching the wishlist.' });
+    }
+});
+
+// @route   GET /api/wishlists/:id
+// @desc    One of the user's wishlists with its items, live prices and stock
+// @access  Private
+router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+        const wishlist = await findOwnWishlist(req.params.id, req.user.id);
+        if (!wishlist) return res.status(404).json({ message: 'Wishlist not found.' });
+        res.status(200).json({
+            ...wishlist,
+            is_public: Boolean(wishlist.is_public),
+            items: await loadWishlistItems([wishlist.id])
+        });
+    } catch (error) {
+        console.error('Error fetching wishlist:', error);
+        res.status(500).json({ message: 'Server error while fetching the wishlist.' });
+    }
+});
+
+// @route   PUT /api/wishlists/:id
+// @desc    Rename a wishlist or turn its share link on/off (body: name?, is_public?)
+// @access  Private
+router.put('/:id', authenticateToken, async (req, res) => {
+    const name = req.body.name !== undefined ? String(req.body.name).trim() : undefined;
+    if (name !== undefined) {
+        const nameError = validateName(name);
+        if (nameError) return res.status(400).json({ message: nameError });
+    }
+
+    try {
+        const wishlist = await findOwnWishlist(req.params.id, req.user.id);
+        if (!wishlist) return res.status(404).json({ message: 'Wishlist not found.' });
+
+        const isPublic = req.body.is_public !== undefined ? Boolean(req.body.is_public) : Boolean(wishlist.is_public);
+        // The link stays the same if a list is made private and shared again later
+        const shareToken = wishlist.share_token || (isPublic ? createShareToken() : null);
+
+        await pool.execute(
+            'UPDATE wishlists SET name = ?, is_public = ?, share_token = ? WHERE id = ?',
+            [name ?? wishlist.name, isPublic, shareToken, wishlist.id]
+        );
+        res.status(200).json({ message: 'Wishlist updated.', is_public: isPublic, share_token: shareToken });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'You already have a list with that name.' });
+        }
+        console.error('Error updating wishlist:', error);
+        res.status(500).json({ message: 'Server error while updating the wishlist.' });
+    }
+});
+
+// @route   DELETE /api/wishlists/:id
+// @desc    Delete a wishlist and everything on it
+// @access  Private
+router.delete('/:id', authenticateToken, async (req, res) => {
+    try {
+        const [result] = await pool.execute('DELETE FROM wishlists WHERE id = ? AND user_id = ?', [req.params.id, req.user.id]);
+        if (result.affectedRows === 0) return res.status(404).json({ message: 'Wishlist not found.' });
+        res.status(200).json({ message: 'Wishlist deleted.' });
+    } catch (error) {
+        console.error('Error deleting wishlist:', error);
+        res.status(500).json({ message: 'Server error while deleting the wishlist.' });
+    }
+});
+
+// @route   DELETE /api/wishlists/:id/items/:itemId
+// @desc    Remove an item from a wishlist
+// @access  Private
+router.delete('/:id/items/:itemId', authenticateToken, async (req, res) => {
+    try {
+        const [result] = await pool.execute(
+            `DELETE wi FROM wishlist_items wi JOIN wishlists w ON wi.wishlist_id = w.id
+             WHERE wi.id = ? AND w.id = ? AND w.user_id = ?`,
+            [req.params.itemId, req.params.id, req.user.id]
+        );
+        if (result.affectedRows === 0) return res.status(404).json({ message: 'Item not found.' });
+        res.status(200).json({ message: 'Removed from your wishlist.' });
+    } catch (error) {
+        console.error('Error removing wishlist item:', error);
+        res.status(500).json({ message: 'Server error while removing the item.' });
+    }
+});
+
+export default router;
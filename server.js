@@ -18,6 +18,20 @@ import orderRoutes from './routes/order.routes.js';
 import adminRoutes from './routes/admin.routes.js'; // <-- 1. IMPORT
 import sboRoutes from './routes/sbo.routes.js';
 import vendorRoutes from './routes/vendors.routes.js';
+import roleRoutes from './routes/role.routes.js';
+import reviewRoutes from './routes/review.routes.js';
+import questionRoutes from './routes/question.routes.js';
+import wishlistRoutes from './routes/wishlist.routes.js';
+import approvalRoutes from './routes/approval.routes.js';
+import promotionRoutes from './routes/promotion.routes.js';
+import currencyRoutes from './routes/currency.routes.js';
+import { scheduleJob, startScheduledJobs } from './utils/scheduler.js';
+import { resyncStaleKingsChatProfiles } from './utils/kingschat.helpers.js';
+import { sendWishlistAlerts } from './utils/wishlist.helpers.js';
+import { expireStaleReservations } from './utils/reservation.helpers.js';
+import { sendLowStockAlerts, sendLowStockDigest } from './utils/inventory.helpers.js';
+import { sendBackInStockNotifications } from './utils/restock.helpers.js';
+import { findSectorSlugByName } from './utils/sector.helpers.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -57,6 +71,28 @@ app.use('/api/orders', orderRoutes);
 app.use('/api/admin', adminRoutes); // <-- 2. USE THE NEW ADMIN ROUTE
 app.use('/api/sbo', sboRoutes);
 app.use('/api/vendors', vendorRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/questions', questionRoutes);
+app.use('/api/wishlists', wishlistRoutes);
+app.use('/api/approvals', approvalRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/currencies', currencyRoutes);
+
+// Sector pages live at /sector/:slug. Old links used /sector.html?name=..., so redirect those.
+app.get('/sector.html', async (req, res, next) => {
+    if (!req.query.name) return next();
+    try {
+        const slug = await findSectorSlugByName(String(req.query.name));
+        if (slug) return res.redirect(301, `/sector/${encodeURIComponent(slug)}`);
+    } catch (error) {
+        console.error('Error redirecting old sector link:', error);
+    }
+    next();
+});
+app.get('/sector/:slug', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'sector.html'));
+});
 
 // Serve static assets from the 'public' and 'uploads' folders
 app.use(express.static(path.join(__dirname, 'public')));
@@ -89,6 +125,23 @@ app.use((req, res, next) => {
     res.status(404).sendFile(path.join(__dirname, 'public', '404.html'));
 });
 
+// Background jobs
+const KINGSCHAT_RESYNC_HOURS = parseInt(process.env.KINGSCHAT_RESYNC_HOURS || '24'); // 0 disables
+scheduleJob('kingschat-resync', KINGSCHAT_RESYNC_HOURS > 0 ? 60 * 60 * 1000 : 0,
+    () => resyncStaleKingsChatProfiles(KINGSCHAT_RESYNC_HOURS));
+const WISHLIST_ALERT_MINUTES = parseInt(process.env.WISHLIST_ALERT_MINUTES || '30'); // 0 disables
+scheduleJob('wishlist-alerts', WISHLIST_ALERT_MINUTES * 60 * 1000, sendWishlistAlerts);
+const RESERVATION_SWEEP_MINUTES = parseInt(process.env.RESERVATION_SWEEP_MINUTES || '5'); // 0 disables
+scheduleJob('stock-reservation-sweeper', RESERVATION_SWEEP_MINUTES * 60 * 1000, expireStaleReservations);
+const STOCK_ALERT_MINUTES = parseInt(process.env.STOCK_ALERT_MINUTES || '10'); // 0 disables
+scheduleJob('stock-alerts', STOCK_ALERT_MINUTES * 60 * 1000, async () => {
+    await sendLowStockAlerts();
+    await sendBackInStockNotifications();
+});
+const LOW_STOCK_DIGEST_HOURS = parseInt(process.env.LOW_STOCK_DIGEST_HOURS || '24'); // 0 disables
+scheduleJob('low-stock-digest', LOW_STOCK_DIGEST_HOURS * 60 * 60 * 1000, sendLowStockDigest);
+
 app.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
+    startScheduledJobs();
 });
\ No newline at end of file
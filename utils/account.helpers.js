@@ -0,0 +1,172 @@
+// utils/account.helpers.js
+import pool from '../config/db.js';
+import { revokeAllRefreshTokens } from './token.helpers.js';
+
+// Columns that are never included in an export.
+const SECRET_COLUMNS = ['password_hash', 'kingschat_access_token', 'kingschat_refresh_token'];
+
+/**
+ * Collects everything we hold about a user into one JSON-friendly object
+ * (for the "download my data" request).
+ * @param {number} userId - The user to export.
+ * @returns {Promise<object|null>} The export, or null if the user doesn't exist.
+ */
+export const buildAccountExport = async (userId) => {
+    const [userResult] = await pool.execute('SELECT * FROM users WHERE id = ?', [userId]);
+    if (userResult.length === 0) return null;
+    const profile = { ...userResult[0] };
+    SECRET_COLUMNS.forEach(column => delete profile[column]);
+
+    const [sboProfiles] = await pool.execute('SELECT * FROM sbo_profiles WHERE user_id = ?', [userId]);
+
+    const [orders] = await pool.execute('SELECT * FROM orders WHERE user_id = ? ORDER BY created_at DESC', [userId]);
+    const [orderItems] = await pool.execute(
+        `SELECT oi.*, p.name as product_name
+         FROM order_items oi
+         JOIN orders o ON oi.order_id = o.id
+         LEFT JOIN products p ON oi.product_id = p.id
+         WHERE o.user_id = ?`,
+        [userId]
+    );
+
+    const [cart] = await pool.execute(
+        `SELECT ci.product_id, p.name as product_name, ci.quantity, ci.created_at
+         FROM cart_items ci
+         JOIN carts c ON ci.cart_id = c.id
+         LEFT JOIN products p ON ci.product_id = p.id
+         WHERE c.user_id = ?`,
+        [userId]
+    );
+
+    const [savedForLater] = await pool.execute(
+        `SELECT si.product_id, p.name as product_name, si.quantity, si.created_at
+         FROM saved_items si LEFT JOIN products p ON si.product_id = p.id
+         WHERE si.user_id = ?`,
+        [userId]
+    );
+    const [wishlists] = await pool.execute('SELECT id, name, is_public, created_at FROM wishlists WHERE user_id = ?', [userId]);
+    const [wishlistItems] = await pool.execute(
+        `SELECT wi.wishlist_id, wi.product_id, p.name as product_name, wi.created_at
+         FROM wishlist_items wi
+         JOIN wishlists w ON wi.wishlist_id = w.id
+         LEFT JOIN products p ON wi.product_id = p.id
+         WHERE w.user_id = ?`,
+        [userId]
+    );
+    const [restockSubscriptions] = await pool.execute(
+        `SELECT rs.product_id, p.name as product_name, rs.variant_id, v.title as variant_title, rs.notified_at, rs.created_at
+         FROM restock_subscriptions rs
+         LEFT JOIN products p ON rs.product_id = p.id
+         LEFT JOIN product_variants v ON rs.variant_id = v.id
+         WHERE rs.user_id = ?`,
+        [userId]
+    );
+
+    const [promotionRedemptions] = await pool.execute(
+        `SELECT pr.order_id, pm.name as promotion_name, pm.code, pr.discount_amount, pr.created_at
+         FROM promotion_redemptions pr LEFT JOIN promotions pm ON pr.promotion_id = pm.id
+         WHERE pr.user_id = ?`,
+        [userId]
+    );
+
+    const [jobApplications] = await pool.execute(
+        `SELECT ja.job_post_id, jp.title as job_title, ja.application_date
+         FROM job_applications ja LEFT JOIN job_posts jp ON ja.job_post_id = jp.id
+         WHERE ja.applicant_user_id = ?`,
+        [userId]
+    );
+    const [jobPosts] = await pool.execute('SELECT * FROM job_posts WHERE created_by_user_id = ?', [userId]);
+    const [businessInquiries] = await pool.execute('SELECT * FROM business_inquiries WHERE user_id = ?', [userId]);
+    const [innovations] = await pool.execute('SELECT * FROM innovations WHERE submitted_by_user_id = ?', [userId]);
+    const [reviews] = await pool.execute(
+        `SELECT r.product_id, p.name as product_name, r.rating, r.title, r.body, r.status, r.created_at, r.updated_at
+         FROM product_reviews r LEFT JOIN products p ON r.product_id = p.id
+         WHERE r.user_id = ?`,
+        [userId]
+    );
+    const [questions] = await pool.execute(
+        `SELECT q.product_id, p.name as product_name, q.question, q.answer, q.created_at, q.answered_at
+         FROM product_questions q LEFT JOIN products p ON q.product_id = p.id
+         WHERE q.user_id = ?`,
+        [userId]
+    );
+    const [loginHistory] = await pool.execute(
+        'SELECT created_at, method, success, reason, ip_address, user_agent FROM login_attempts WHERE user_id = ? ORDER BY created_at DESC',
+        [userId]
+    );
+
+    return {
+        exportedAt: new Date().toISOString(),
+        profile,
+        sboProfile: sboProfiles[0] || null,
+        orders: orders.map(order => ({ ...order, items: orderItems.filter(item => item.order_id === order.id) })),
+        promotionRedemptions,
+        cart,
+        savedForLater,
+        wishlists: wishlists.map(list => ({ ...list, items: wishlistItems.filter(item => item.wishlist_id === list.id) })),
+        restockSubscriptions,
+        jobApplications,
+        jobPosts,
+        businessInquiries,
+        innovations,
+        reviews,
+        questions,
+        loginHistory
+    };
+};
+
+/**
+ * Closes an account. The users row is kept but scrubbed of personal data, so orders
+ * (and SBO sales records) stay intact for accounting without pointing at a real person.
+ * Everything that is purely the user's own content is deleted.
+ * Must be called inside a transaction.
+ * @param {number} userId - The account to close.
+ * @param {object} connection - A transaction connection.
+ */
+export const anonymiseAccount = async (userId, connection) => {
+    // Personal content with no accounting value
+    await connection.execute('DELETE ci FROM cart_items ci JOIN carts c ON ci.cart_id = c.id WHERE c.user_id = ?', [userId]);
+    await connection.execute('DELETE FROM carts WHERE user_id = ?', [userId]);
+    await connection.execute('DELETE FROM saved_items WHERE user_id = ?', [userId]);
+    await connection.execute('DELETE FROM wishlists WHERE user_id = ?', [userId]);
+    await connection.execute('DELETE FROM restock_subscriptions WHERE user_id = ?', [userId]);
+    await connection.execute('DELETE FROM job_applications WHERE applicant_user_id = ?', [userId]);
+    await connection.execute('DELETE FROM business_inquiries WHERE user_id = ?', [userId]);
+    await connection.execute('DELETE FROM innovations WHERE submitted_by_user_id = ?', [userId]);
+    await connection.execute('DELETE FROM user_tokens WHERE user_id = ?', [userId]);
+
+    // Things other people rely on are switched off rather than deleted
+    await connection.execute("UPDATE products SET is_active = FALSE, status = 'archived' WHERE sbo_id = ?", [userId]);
+    await connection.execute('UPDATE job_posts SET is_active = FALSE WHERE created_by_user_id = ?', [userId]);
+    await connection.execute(
+        `UPDATE sbo_profiles SET contact_phone = NULL, contact_email = NULL, status = 'closed' WHERE user_id = ?`,
+        [userId]
+    );
+
+    // Keep the security log, but without anything that identifies the person
+    await connection.execute(
+        'UPDATE login_attempts SET identifier = NULL, ip_address = NULL, user_agent = NULL WHERE user_id = ?',
+        [userId]
+    );
+
+    await connection.execute(
+        `UPDATE users SET
+            first_name = 'Deleted', last_name = 'User',
+            email = CONCAT('deleted-', id, '@deleted.invalid'), username = CONCAT('deleted-', id),
+            password_hash = NULL, date_of_birth = NULL, phone_number = NULL, role = 'User',
+            kingschat_id = NULL, kingschat_handle = NULL, kingschat_gender = NULL, kingschat_avatar_url = NULL,
+            kingschat_access_token = NULL, kingschat_refresh_token = NULL, kingschat_token_expires_at = NULL,
+            kingschat_synced_at = NULL,
+            zone = NULL, church = NULL, ministry_position = NULL, years_in_position = NULL,
+            \`group\` = NULL, leadership_role = NULL, ministry_staff = FALSE, ministry_department = NULL,
+            educational_qualification = NULL, institution_of_completion = NULL, professional_qualification = NULL,
+            has_work_experience = FALSE, organisation_of_employment = NULL, duration_of_employment = NULL,
+            significant_achievements = NULL, areas_of_interest = NULL, apply_for = NULL,
+            email_verified = FALSE, email_verified_at = NULL, failed_login_count = 0, locked_until = NULL,
+            deleted_at = NOW(), updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [userId]
+    );
+
+    await revokeAllRefreshTokens(userId, connection);
+};
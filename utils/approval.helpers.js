@@ -0,0 +1,134 @@
+// utils/approval.helpers.js
+import pool from '../config/db.js';
+import { can } from './permission.helpers.js';
+
+// Where a product is in its life. Only published products are shown in the shop.
+export const PRODUCT_STATUSES = ['draft', 'pending_review', 'published', 'rejected', 'archived'];
+
+// What a product's owner can do from each status (see POST /api/admin/products/:id/status).
+export const OWNER_TRANSITIONS = {
+    submit: ['draft', 'rejected', 'archived'],
+    withdraw: ['pending_review'],
+    archive: ['draft', 'pending_review', 'published', 'rejected']
+};
+
+// The fields shoppers see. While a product is published, a seller's edits to these wait for review;
+// stock, backorders and SKU are day-to-day running and change straight away.
+export const REVIEWED_FIELDS = ['name', 'description', 'price', 'sector_id', 'brand_id', 'sale_price', 'sale_start_date', 'sale_end_date'];
+
+const DATE_FIELDS = ['sale_start_date', 'sale_end_date'];
+const NUMBER_FIELDS = ['price', 'sale_price', 'sector_id', 'brand_id'];
+
+/**
+ * Whether the user's own products and edits go live without review. Reviewers don't review themselves.
+ * @param {object} req - A request that has been through requirePermission().
+ * @returns {boolean}
+ */
+export const canPublishDirectly = (req) => can(req, 'products.review');
+
+/**
+ * Whether the user's edits to a published product wait for review.
+ * On unless PRODUCT_EDIT_REVIEW=false, in which case only new products are reviewed.
+ * @param {object} req - A request that has been through requirePermission().
+ * @returns {boolean}
+ */
+export const editsNeedReview = (req) => process.env.PRODUCT_EDIT_REVIEW !== 'false' && !canPublishDirectly(req);
+
+/**
+ * Reads a field value from a form, a CSV or the database into something that can be compared,
+ * so "19.90" and 19.9, or "2025-06-01" and the stored date, count as the same.
+ */
+const toComparable = (field, value) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (DATE_FIELDS.includes(field)) {
+        const date = value instanceof Date ? value : new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00` : value);
+        return Number.isNaN(date.getTime()) ? String(value) : date.getTime();
+    }
+    if (NUMBER_FIELDS.includes(field)) return Number(value);
+    return String(value);
+};
+
+/**
+ * Turns a proposed value into what's kept in product_revisions.changes: JSON has no dates,
+ * so they're stored as local 'YYYY-MM-DD HH:MM:SS', which MySQL reads back the same way it was written.
+ */
+const toStoredValue = (value) => {
+    if (value === undefined || value === '') return null;
+    if (!(value instanceof Date)) return value;
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())} `
+        + `${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+};
+
+/**
+ * Moves a product to a new status. is_active, which the shop filters on, follows it: only published products are live.
+ * @param {number} productId - The product.
+ * @param {string} status - One of PRODUCT_STATUSES.
+ * @param {object} [db] - A transaction connection, or the pool.
+ * @param {{reviewerId: number, reason?: string}|null} [review] - Set when a reviewer made the decision; reason when rejecting.
+ */
+export const setProductStatus = async (productId, status, db = pool, review = null) => {
+    await db.execute(
+        `UPDATE products SET status = ?, is_active = ?, rejection_reason = ?,
+            submitted_at = IF(? = 'pending_review', NOW(), submitted_at),
+            reviewed_at = IF(?, NOW(), reviewed_at), reviewed_by = IF(?, ?, reviewed_by)
+         WHERE id = ?`,
+        [
+            status, status === 'published', status === 'rejected' ? review?.reason || null : null,
+            status, Boolean(review), Boolean(review), review?.reviewerId ?? null, productId
+        ]
+    );
+};
+
+/**
+ * Splits an edit to a published product: changes to REVIEWED_FIELDS become the product's pending revision
+ * (merged into the one already waiting, if any), everything else can be applied straight away.
+ * Values that don't actually change are dropped, so saving an untouched form doesn't start a review,
+ * and setting a field back to its live value takes it out of the pending revision.
+ * @param {object} product - The product row as it is now.
+ * @param {object} changes - Field -> new value.
+ * @param {number} userId - Who made the edit.
+ * @param {object} [db] - A transaction connection, or the pool.
+ * @returns {Promise<{apply: object, held: Array<string>}>} The changes to apply now, and the fields waiting for review.
+ */
+export const holdReviewedChanges = async (product, changes, userId, db = pool) => {
+    const apply = {};
+    const proposed = {};
+    const unchanged = [];
+    for (const [field, value] of Object.entries(changes)) {
+        if (!REVIEWED_FIELDS.includes(field)) apply[field] = value;
+        else if (toComparable(field, value) === toComparable(field, product[field])) unchanged.push(field);
+        else proposed[field] = toStoredValue(value);
+    }
+
+    const [pendingResult] = await db.execute(
+        "SELECT id, changes FROM product_revisions WHERE product_id = ? AND status = 'pending' FOR UPDATE",
+        [product.id]
+    );
+    const pending = pendingResult[0] || null;
+    const merged = { ...(pending?.changes || {}), ...proposed };
+    unchanged.forEach(field => delete merged[field]);
+
+    if (pending && Object.keys(merged).length === 0) {
+        await db.execute("UPDATE product_revisions SET status = 'withdrawn' WHERE id = ?", [pending.id]);
+    } else if (pending) {
+        await db.execute('UPDATE product_revisions SET changes = ?, submitted_by = ? WHERE id = ?', [JSON.stringify(merged), userId, pending.id]);
+    } else if (Object.keys(merged).length > 0) {
+        await db.execute('INSERT INTO product_revisions (product_id, submitted_by, changes) VALUES (?, ?, ?)', [product.id, userId, JSON.stringify(merged)]);
+    }
+    return { apply, held: Object.keys(merged) };
+};
+
+/**
+ * Loads a product's pending revision, if it has one.
+ * @param {number} productId - The product.
+ * @param {object} [db] - A transaction connection, or the pool.
+ * @returns {Promise<{id: number, changes: object, updated_at: Date}|null>}
+ */
+export const loadPendingRevision = async (productId, db = pool) => {
+    const [rows] = await db.execute(
+        "SELECT id, changes, updated_at FROM product_revisions WHERE product_id = ? AND status = 'pending'",
+        [productId]
+    );
+    return rows[0] || null;
+};
@@ -0,0 +1,55 @@
+// utils/audit.helpers.js
+import pool from '../config/db.js';
+
+// Columns that must never end up in an audit snapshot.
+const REDACTED_COLUMNS = ['password_hash', 'kingschat_access_token', 'kingschat_refresh_token'];
+
+/**
+ * Loads a row to use as a before/after snapshot.
+ * @param {string} table - The table name (always a constant from our own code, never user input).
+ * @param {number|string} id - The row id.
+ * @param {object} [db] - A pool or transaction connection.
+ * @returns {Promise<object|null>} The row with secrets removed, or null if it doesn't exist.
+ */
+export const loadSnapshot = async (table, id, db = pool) => {
+    const [rows] = await db.execute(`SELECT * FROM \`${table}\` WHERE id = ?`, [id]);
+    if (rows.length === 0) return null;
+    const snapshot = { ...rows[0] };
+    REDACTED_COLUMNS.forEach(column => { if (column in snapshot) snapshot[column] = '[redacted]'; });
+    return snapshot;
+};
+
+/**
+ * Records a privileged change in the audit log.
+ * Auditing must never break the action itself, so failures are logged and swallowed.
+ * Pass the transaction connection when the change happens inside one, so the entry
+ * is rolled back together with the change.
+ * @param {object} req - The Express request (for the actor, IP and user agent).
+ * @param {object} entry
+ * @param {string} entry.action - What happened, e.g. 'product.delete'.
+ * @param {string} entry.entityType - What kind of thing it happened to, e.g. 'product'.
+ * @param {number|string|null} entry.entityId - Which one.
+ * @param {object|null} [entry.before] - State before the change.
+ * @param {object|null} [entry.after] - State after the change.
+ * @param {object} [db] - A pool or transaction connection.
+ */
+export const recordAudit = async (req, { action, entityType, entityId, before = null, after = null }, db = pool) => {
+    try {
+        await db.execute(
+            `INSERT INTO audit_log
+                (actor_user_id, actor_role, action, entity_type, entity_id, before_data, after_data,
+                 ip_address, user_agent, impersonator_user_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                req.user?.id || null, req.user?.role || null, action, entityType,
+                entityId === null || entityId === undefined ? null : String(entityId),
+                before === null ? null : JSON.stringify(before),
+                after === null ? null : JSON.stringify(after),
+                req.ip || null, req.get('user-agent')?.slice(0, 255) || null,
+                req.user?.impersonatedBy || null
+            ]
+        );
+    } catch (error) {
+        console.error(`Failed to write audit log entry for ${action}:`, error.message);
+    }
+};
@@ -0,0 +1,68 @@
+// utils/crypto.helpers.js
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Encrypted values look like "enc:v1:<iv>:<auth tag>:<ciphertext>" (base64 parts).
+// Anything without the prefix is a legacy plaintext value and is returned unchanged.
+const PREFIX = 'enc:v1:';
+
+let cachedKey = null;
+
+/**
+ * Returns the 32-byte AES key. TOKEN_ENCRYPTION_KEY should be 64 hex characters
+ * (e.g. `openssl rand -hex 32`). Without it we derive a key from JWT_SECRET so development
+ * still works, but then rotating JWT_SECRET would make stored secrets unreadable.
+ * @returns {Buffer}
+ */
+const getKey = () => {
+    if (cachedKey) return cachedKey;
+
+    if (process.env.TOKEN_ENCRYPTION_KEY) {
+        cachedKey = Buffer.from(process.env.TOKEN_ENCRYPTION_KEY, 'hex');
+        if (cachedKey.length !== 32) throw new Error('TOKEN_ENCRYPTION_KEY must be 64 hex characters (32 bytes).');
+    } else {
+        console.warn('TOKEN_ENCRYPTION_KEY is not set; deriving the token encryption key from JWT_SECRET.');
+        cachedKey = crypto.createHash('sha256').update(`token-encryption:${process.env.JWT_SECRET}`).digest();
+    }
+    return cachedKey;
+};
+
+/**
+ * Encrypts a secret (e.g. a KingsChat token) for storage with AES-256-GCM.
+ * @param {string|null} plaintext - The value to encrypt.
+ * @returns {string|null} The encrypted value, or null if there was nothing to encrypt.
+ */
+export const encryptSecret = (plaintext) => {
+    if (plaintext === null || plaintext === undefined || plaintext === '') return null;
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return `${PREFIX}${iv.toString('base64')}:${tag.toString('base64')}:${ciphertext.toString('base64')}`;
+};
+
+/**
+ * Decrypts a value produced by encryptSecret. Legacy plaintext values pass straight through.
+ * @param {string|null} stored - The value from the database.
+ * @returns {string|null}
+ */
+export const decryptSecret = (stored) => {
+    if (!stored) return null;
+    if (!isEncrypted(stored)) return stored;
+
+    const [iv, tag, ciphertext] = stored.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Whether a stored value is already encrypted.
+ * @param {string|null} stored - The value from the database.
+ * @returns {boolean}
+ */
+export const isEncrypted = (stored) => typeof stored === 'string' && stored.startsWith(PREFIX);
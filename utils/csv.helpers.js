@@ -0,0 +1,74 @@
+// utils/csv.helpers.js
+
+/**
+ * Formats one value as a CSV field.
+ * Values that a spreadsheet would treat as a formula (=, +, -, @) are prefixed with a quote,
+ * so a name like "=HYPERLINK(...)" shows up as text instead of running when the file is opened.
+ * @param {*} value - Any value; null/undefined become an empty field, dates become ISO strings.
+ * @returns {string}
+ */
+const formatField = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds a CSV document from database rows.
+ * @param {Array<object>} rows - The rows to write.
+ * @param {Array<{key: string, header: string}>} columns - Which fields to write, in order, and their header text.
+ * @returns {string} The CSV text (CRLF line endings, header row first).
+ */
+export const toCsv = (rows, columns) => {
+    const lines = [columns.map(column => formatField(column.header)).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => formatField(row[column.key])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+};
+
+/**
+ * Parses CSV text (as written by toCsv or saved from a spreadsheet) into rows of fields.
+ * Handles quoted fields with commas, quotes and line breaks, CRLF or LF line endings and a UTF-8 BOM.
+ * The quote toCsv puts in front of formula-like values is taken off again, so exports re-import unchanged.
+ * @param {string} text - The CSV document.
+ * @returns {Array<Array<string>>} One array of fields per row; blank lines are skipped.
+ */
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    const endField = () => {
+        row.push(/^'[=+\-@\t\r]/.test(field) ? field.slice(1) : field);
+        field = '';
+    };
+    const endRow = () => {
+        endField();
+        if (row.length > 1 || row[0] !== '') rows.push(row);
+        row = [];
+    };
+
+    const input = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else field += char;
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) endRow();
+    return rows;
+};
@@ -0,0 +1,96 @@
+// utils/currency.helpers.js
+import pool from '../config/db.js';
+
+// Prices, order totals and reports are always kept in USD; other currencies are worked out from it
+export const BASE_CURRENCY = 'USD';
+const BASE = { code: BASE_CURRENCY, name: 'US Dollar', rate_per_usd: 1, charge_in_currency: true };
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+/**
+ * Converts a USD amount at a rate, rounded to the cent the way it is shown and charged.
+ * @param {number} amount - In USD.
+ * @param {number} rate - Units of the other currency per USD.
+ * @returns {number}
+ */
+export const convertFromUsd = (amount, rate) => toCents(Number(amount) * Number(rate)) / 100;
+
+/**
+ * Loads the currencies shoppers can pick, USD first.
+ * @param {object} [db] - A pool or transaction connection.
+ * @returns {Promise<Array<{code: string, name: string, rate_per_usd: number, charge_in_currency: boolean}>>}
+ */
+export const loadActiveCurrencies = async (db = pool) => {
+    const [rows] = await db.execute(
+        `SELECT code, name, rate_per_usd, charge_in_currency FROM currencies
+         WHERE is_active = TRUE AND rate_per_usd > 0
+         ORDER BY code = ? DESC, code ASC`,
+        [BASE_CURRENCY]
+    );
+    return rows.map(row => ({ ...row, rate_per_usd: Number(row.rate_per_usd), charge_in_currency: Boolean(row.charge_in_currency) }));
+};
+
+/**
+ * The currency to show (and maybe charge) a shopper in: their choice if it's still offered, otherwise USD.
+ * @param {string|null} code - e.g. the user's preferred_currency.
+ * @param {object} [db] - A pool or transaction connection.
+ * @returns {Promise<{code: string, name: string, rate_per_usd: number, charge_in_currency: boolean}>}
+ */
+export const resolveCurrency = async (code, db = pool) => {
+    if (!code || code === BASE_CURRENCY) return BASE;
+    const currency = (await loadActiveCurrencies(db)).find(row => row.code === code);
+    return currency || BASE;
+};
+
+/**
+ * What a priced cart (see priceCart) comes to in a currency. Each unit price is converted and rounded first,
+ * then added up, which is how Stripe adds up the line items, so the cart shows exactly what will be charged.
+ * @param {Array<{active_price: number, quantity: number}>} items - The cart's lines.
+ * @param {{discount_total: number, shipping: number}} pricing - From priceCart (USD).
+ * @param {object} currency - From resolveCurrency.
+ * @returns {{currency: string, rate: number, charge_in_currency: boolean, subtotal: number, discount_total: number, shipping: number, total: number}}
+ */
+export const convertCartPricing = (items, pricing, currency) => {
+    const rate = Number(currency.rate_per_usd);
+    const subtotalCents = items.reduce((total, item) => total + toCents(convertFromUsd(item.active_price, rate)) * item.quantity, 0);
+    const discountCents = Math.min(toCents(convertFromUsd(pricing.discount_total, rate)), subtotalCents);
+    const shippingCents = toCents(convertFromUsd(pricing.shipping, rate));
+    return {
+        currency: currency.code,
+        rate,
+        charge_in_currency: Boolean(currency.charge_in_currency),
+        subtotal: subtotalCents / 100,
+        discount_total: discountCents / 100,
+        shipping: shippingCents / 100,
+        total: (subtotalCents - discountCents + shippingCents) / 100
+    };
+};
+
+/**
+ * Reads an exchange-rate file: a header row with "currency" and "rate_per_usd" (or "rate") columns,
+ * then one currency per row, e.g. "NGN,1550.25".
+ * @param {Array<Array<string>>} csvRows - From parseCsv.
+ * @returns {{errors: Array<string>, rates: Array<{code: string, rate: number, line: number}>}}
+ */
+export const parseRateRows = (csvRows) => {
+    const errors = [];
+    const rates = [];
+    if (csvRows.length === 0) return { errors: ['The file is empty.'], rates };
+
+    const header = csvRows[0].map(cell => cell.trim().toLowerCase());
+    const codeColumn = header.indexOf('currency');
+    const rateColumn = header.includes('rate_per_usd') ? header.indexOf('rate_per_usd') : header.indexOf('rate');
+    if (codeColumn === -1 || rateColumn === -1) return { errors: ['The first row must name the "currency" and "rate_per_usd" columns.'], rates };
+
+    csvRows.slice(1).forEach((row, index) => {
+        const line = index + 2;
+        const code = String(row[codeColumn] || '').trim().toUpperCase();
+        const rate = Number(String(row[rateColumn] || '').replace(/,/g, '').trim());
+        if (!/^[A-Z]{3}$/.test(code)) errors.push(`Line ${line}: "${row[codeColumn] || ''}" isn't a currency code like NGN.`);
+        else if (code === BASE_CURRENCY) errors.push(`Line ${line}: ${BASE_CURRENCY} is the base currency; its rate is always 1.`);
+        else if (!(rate > 0)) errors.push(`Line ${line}: the rate for ${code} must be a number above 0.`);
+        else if (rates.some(existing => existing.code === code)) errors.push(`Line ${line}: ${code} appears more than once.`);
+        else rates.push({ code, rate, line });
+    });
+    return { errors, rates };
+};
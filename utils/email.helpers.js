@@ -0,0 +1,171 @@
+// utils/email.helpers.js
+import { sendMail, buildAppUrl } from './mailer.js';
+import { createUserToken } from './token.helpers.js';
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60');
+const EMAIL_VERIFICATION_TTL_MINUTES = parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES || '1440');
+
+/**
+ * Escapes a value for an email's HTML body, so a name like "<a href=...>" shows as typed instead of as markup.
+ * @param {*} value - The value to put in the HTML.
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Emails a user a link to verify their email address.
+ * @param {{id: number, email: string, first_name: string}} user - The user to verify.
+ * @param {object} req - The Express request (used to build the link).
+ */
+export const sendVerificationEmail = async (user, req) => {
+    const token = await createUserToken(user.id, 'email_verification', EMAIL_VERIFICATION_TTL_MINUTES);
+    const link = buildAppUrl(req, `/verify-email.html?token=${token}`);
+
+    await sendMail({
+        to: user.email,
+        subject: 'Verify your LoveWorld 4.0 email address',
+        text: `Hi ${user.first_name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in ${EMAIL_VERIFICATION_TTL_MINUTES / 60} hours.`,
+        html: `<p>Hi ${escapeHtml(user.first_name)},</p><p>Please confirm your email address by clicking <a href="${escapeHtml(link)}">this link</a>.</p><p>The link expires in ${escapeHtml(EMAIL_VERIFICATION_TTL_MINUTES / 60)} hours.</p>`
+    });
+};
+
+/**
+ * Emails a user a link to choose a new password.
+ * @param {{id: number, email: string, first_name: string}} user - The user resetting their password.
+ * @param {object} req - The Express request (used to build the link).
+ */
+export const sendPasswordResetEmail = async (user, req) => {
+    const token = await createUserToken(user.id, 'password_reset', PASSWORD_RESET_TTL_MINUTES);
+    const link = buildAppUrl(req, `/reset-password.html?token=${token}`);
+
+    await sendMail({
+        to: user.email,
+        subject: 'Reset your LoveWorld 4.0 password',
+        text: `Hi ${user.first_name},\n\nWe received a request to reset your password. Choose a new one here:\n${link}\n\nThe link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you didn't ask for this, you can ignore this email.`,
+        html: `<p>Hi ${escapeHtml(user.first_name)},</p><p>We received a request to reset your password. <a href="${escapeHtml(link)}">Choose a new password</a>.</p><p>The link expires in ${escapeHtml(PASSWORD_RESET_TTL_MINUTES)} minutes. If you didn't ask for this, you can ignore this email.</p>`
+    });
+};
+
+/**
+ * Tells a seller that a shopper asked a question about one of their products.
+ * Plain text only, since the question is whatever the shopper typed.
+ * @param {{email: string, first_name: string}} seller - Who answers for the product.
+ * @param {{id: number, name: string}} product - The product asked about.
+ * @param {string} question - The question text.
+ * @param {object} req - The Express request (used to build the link).
+ */
+export const sendQuestionAskedEmail = async (seller, product, question, req) => {
+    const link = buildAppUrl(req, '/admin-questions.html');
+    await sendMail({
+        to: seller.email,
+        subject: `New question about ${product.name}`,
+        text: `Hi ${seller.first_name},\n\nA shopper asked a question about ${product.name}:\n\n"${question}"\n\nAnswer it here and it will be shown on the product page:\n${link}`
+    });
+};
+
+/**
+ * Tells a shopper that their question has been answered.
+ * @param {{email: string, first_name: string}} asker - Who asked.
+ * @param {{id: number, name: string}} product - The product asked about.
+ * @param {{question: string, answer: string}} question - The question and its answer.
+ * @param {object} req - The Express request (used to build the link).
+ */
+export const sendQuestionAnsweredEmail = async (asker, product, { question, answer }, req) => {
+    const link = buildAppUrl(req, `/product-detail.html?id=${product.id}#questions`);
+    await sendMail({
+        to: asker.email,
+        subject: `Your question about ${product.name} was answered`,
+        text: `Hi ${asker.first_name},\n\nYou asked: "${question}"\n\nThe answer: "${answer}"\n\nSee it on the product page:\n${link}`
+    });
+};
+
+/**
+ * Tells a user that items on their wishlists have gone on sale or come back in stock.
+ * @param {{email: string, first_name: string}} user - The wishlist owner.
+ * @param {Array<{name: string, variant_title?: string, reason: 'sale'|'restock', active_price: number, original_price: number|null}>} alerts
+ */
+export const sendWishlistAlertEmail = async (user, alerts) => {
+    const link = buildAppUrl(null, '/wishlist.html');
+    const lines = alerts.map(alert => {
+        const name = alert.variant_title ? `${alert.name} (${alert.variant_title})` : alert.name;
+        return alert.reason === 'sale'
+            ? `- ${name} is on sale: $${alert.active_price.toFixed(2)}${alert.original_price ? `, was $${alert.original_price.toFixed(2)}` : ''}`
+            : `- ${name} is back in stock`;
+    });
+    await sendMail({
+        to: user.email,
+        subject: alerts.length === 1 ? 'An item on your wishlist has news' : `${alerts.length} items on your wishlist have news`,
+        text: `Hi ${user.first_name},\n\nGood news about your wishlist:\n\n${lines.join('\n')}\n\nSee your wishlists:\n${link}`
+    });
+};
+
+/**
+ * Tells a seller which of their products are running low.
+ * @param {{email: string, first_name: string}} seller - The products' SBO.
+ * @param {Array<{name: string, sku: string|null, stock_quantity: number, threshold: number}>} products - The low products.
+ * @param {{digest?: boolean}} [options] - digest: the daily list, rather than an alert about products that just ran low.
+ */
+export const sendLowStockEmail = async (seller, products, { digest = false } = {}) => {
+    const link = buildAppUrl(null, '/admin-products.html?stock=low');
+    const lines = products.map(product => {
+        const name = product.sku ? `${product.name} (SKU ${product.sku})` : product.name;
+        return product.stock_quantity > 0
+            ? `- ${name}: ${product.stock_quantity} left (alert level ${product.threshold})`
+            : `- ${name}: out of stock`;
+    });
+    const subject = digest
+        ? `Low stock summary: ${products.length} product${products.length === 1 ? '' : 's'} running low`
+        : (products.length === 1 ? `${products[0].name} is running low` : `${products.length} of your products are running low`);
+    await sendMail({
+        to: seller.email,
+        subject,
+        text: `Hi ${seller.first_name},\n\n${digest ? 'These products are at or below their low-stock level:' : 'These products have just reached their low-stock level:'}\n\n`
+            + `${lines.join('\n')}\n\nRestock them or change their alert level here:\n${link}`
+    });
+};
+
+/**
+ * Tells a shopper that items they asked about are back in stock.
+ * @param {{email: string, first_name: string}} user - The shopper.
+ * @param {Array<{product_id: number, name: string, variant_title: string|null}>} items - What's back.
+ */
+export const sendBackInStockEmail = async (user, items) => {
+    const lines = items.map(item => {
+        const name = item.variant_title ? `${item.name} (${item.variant_title})` : item.name;
+        return `- ${name}: ${buildAppUrl(null, `/product-detail.html?id=${item.product_id}`)}`;
+    });
+    await sendMail({
+        to: user.email,
+        subject: items.length === 1 ? `${items[0].name} is back in stock` : `${items.length} items you asked about are back in stock`,
+        text: `Hi ${user.first_name},\n\nYou asked us to tell you when these were back in stock. They are now, while it lasts:\n\n${lines.join('\n')}`
+    });
+};
+
+/**
+ * Tells a seller what review decided about their product, or about their edits to a published one.
+ * @param {{email: string, first_name: string}} seller - The product's SBO.
+ * @param {{id: number, name: string}} product - The product.
+ * @param {{approved: boolean, isEdit: boolean, reason?: string}} decision - The outcome; reason is given when rejected.
+ * @param {object} req - The Express request (used to build the link).
+ */
+export const sendProductDecisionEmail = async (seller, product, { approved, isEdit, reason }, req) => {
+    const subject = isEdit
+        ? `Your changes to ${product.name} were ${approved ? 'approved' : 'not approved'}`
+        : `${product.name} was ${approved ? 'approved and is now live' : 'not approved'}`;
+    const body = approved
+        ? (isEdit ? 'Your changes are now live on the product page.' : 'It is now live in the shop.')
+        : `The reviewer's reason:\n\n"${reason}"\n\n${isEdit ? 'The live product is unchanged. ' : ''}You can make changes and send it for review again.`;
+    const link = approved
+        ? buildAppUrl(req, `/product-detail.html?id=${product.id}`)
+        : buildAppUrl(req, `/admin-edit-product.html?id=${product.id}`);
+    await sendMail({
+        to: seller.email,
+        subject,
+        text: `Hi ${seller.first_name},\n\n${subject}.\n\n${body}\n\n${link}`
+    });
+};
@@ -0,0 +1,103 @@
+// utils/espees.client.js
+// Server-side access to the Espees merchant API, for taking payments from shoppers' Espees wallets.
+// Set ESPEES_API_URL, ESPEES_MERCHANT_ID and ESPEES_API_KEY to turn Espees on at checkout; point ESPEES_API_URL
+// at espees_stub_server.js to run against a local stub.
+//
+//   POST /v1/payments             - open a payment: { merchant_id, amount, currency, description, return_url, cancel_url,
+//                                   callback_url, expires_at, metadata } -> a payment with the checkout_url to send the shopper to
+//   GET  /v1/payments/:id         - a payment; status is pending, paid, cancelled or expired
+//   POST /v1/payments/:id/cancel  - stop a pending payment from being paid (409 if it already has been)
+//
+// "{PAYMENT_ID}" in return_url and cancel_url is replaced with the payment's id. Espees POSTs
+// { event, data: payment } to callback_url when a payment changes, signed with ESPEES_WEBHOOK_SECRET
+// (X-Espees-Signature: hex HMAC-SHA256 of the raw body).
+import axios from 'axios';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const ESPEES_API_URL = process.env.ESPEES_API_URL || '';
+const ESPEES_MERCHANT_ID = process.env.ESPEES_MERCHANT_ID || '';
+const ESPEES_API_KEY = process.env.ESPEES_API_KEY || '';
+const ESPEES_WEBHOOK_SECRET = process.env.ESPEES_WEBHOOK_SECRET || '';
+const ESPEES_TIMEOUT_MS = 15 * 1000;
+
+// The currency Espees payments are taken in. It must be USD or a currency set up under Currencies.
+export const ESPEES_CURRENCY = (process.env.ESPEES_CURRENCY || 'USD').toUpperCase();
+
+/**
+ * Whether Espees has been set up, i.e. whether shoppers can pay with it.
+ * @returns {boolean}
+ */
+export const isEspeesConfigured = () => Boolean(ESPEES_API_URL && ESPEES_MERCHANT_ID && ESPEES_API_KEY);
+
+/**
+ * Makes an Espees API request as our merchant account.
+ * @param {object} config - An axios request config; `url` is relative to the Espees API.
+ * @returns {Promise<object>} The response body.
+ */
+const send = async (config) => {
+    const response = await axios({
+        ...config,
+        url: `${ESPEES_API_URL}${config.url}`,
+        headers: { ...config.headers, 'authorization': `Bearer ${ESPEES_API_KEY}` },
+        timeout: ESPEES_TIMEOUT_MS
+    });
+    return response.data;
+};
+
+/**
+ * Opens a payment for the shopper to approve in their Espees wallet.
+ * @param {{amount: number, currency: string, description: string, returnUrl: string, cancelUrl: string,
+ *          callbackUrl: string, expiresAt: Date, metadata: object}} payment
+ * @returns {Promise<object>} The payment, with its id and checkout_url.
+ */
+export const createPayment = async ({ amount, currency, description, returnUrl, cancelUrl, callbackUrl, expiresAt, metadata }) => {
+    return send({
+        method: 'post',
+        url: '/v1/payments',
+        data: {
+            merchant_id: ESPEES_MERCHANT_ID,
+            amount: Number(amount).toFixed(2),
+            currency,
+            description,
+            return_url: returnUrl,
+            cancel_url: cancelUrl,
+            callback_url: callbackUrl,
+            expires_at: expiresAt.toISOString(),
+            metadata
+        }
+    });
+};
+
+/**
+ * Fetches a payment, e.g. to check it has really been paid before fulfilling an order.
+ * @param {string} paymentId - The Espees payment id.
+ * @returns {Promise<object>}
+ */
+export const getPayment = async (paymentId) => {
+    return send({ method: 'get', url: `/v1/payments/${encodeURIComponent(paymentId)}` });
+};
+
+/**
+ * Cancels a pending payment.
+ * @param {string} paymentId - The Espees payment id.
+ * @returns {Promise<object>} The payment. Espees answers 409 if it has already been paid.
+ */
+export const cancelPayment = async (paymentId) => {
+    return send({ method: 'post', url: `/v1/payments/${encodeURIComponent(paymentId)}/cancel` });
+};
+
+/**
+ * Checks that a webhook really came from Espees.
+ * @param {Buffer} rawBody - The request body, exactly as received.
+ * @param {string|undefined} signature - The X-Espees-Signature header.
+ * @returns {boolean}
+ */
+export const verifyWebhookSignature = (rawBody, signature) => {
+    if (!ESPEES_WEBHOOK_SECRET || !signature) return false;
+    const expected = crypto.createHmac('sha256', ESPEES_WEBHOOK_SECRET).update(rawBody).digest('hex');
+    const received = Buffer.from(String(signature), 'utf8');
+    return received.length === expected.length && crypto.timingSafeEqual(received, Buffer.from(expected, 'utf8'));
+};
@@ -0,0 +1,355 @@
+// utils/import.helpers.js
+import { v2 as cloudinary } from 'cloudinary';
+import pool from '../config/db.js';
+import { recordAudit, loadSnapshot } from './audit.helpers.js';
+import { syncVariantStock } from './product.helpers.js';
+import { recordStockMovement, setStockLevel } from './inventory.helpers.js';
+import { REVIEWED_FIELDS, holdReviewedChanges } from './approval.helpers.js';
+
+export const MAX_IMPORT_ROWS = 1000;
+const MAX_IMAGES_PER_ROW = 10;
+
+// The columns of a product spreadsheet, in export order. An import can leave out any column except sku:
+// a missing column leaves that field as it is, a blank cell clears it (or keeps the default for yes/no columns).
+// id is only used to give an existing product its first SKU, and status is only exported: new products come in as drafts
+// and go through review from the products page.
+export const PRODUCT_CSV_COLUMNS = [
+    { key: 'sku', header: 'sku' },
+    { key: 'id', header: 'id' },
+    { key: 'name', header: 'name' },
+    { key: 'description', header: 'description' },
+    { key: 'price', header: 'price' },
+    { key: 'stock_quantity', header: 'stock_quantity' },
+    { key: 'sector', header: 'sector' },
+    { key: 'brand', header: 'brand' },
+    { key: 'sale_price', header: 'sale_price' },
+    { key: 'sale_start_date', header: 'sale_start_date' },
+    { key: 'sale_end_date', header: 'sale_end_date' },
+    { key: 'allow_backorder', header: 'allow_backorder' },
+    { key: 'status', header: 'status' },
+    { key: 'image_urls', header: 'image_urls' }
+];
+
+/**
+ * Formats a date the way a spreadsheet shows it (local time, no seconds), so exports read naturally
+ * and parseDate reads them back to the same minute.
+ * @returns {string}
+ */
+const formatDate = (date) => {
+    if (!date) return '';
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+/**
+ * Reads a date cell: YYYY-MM-DD or YYYY-MM-DD HH:MM (local time), or a full ISO timestamp.
+ * @returns {Date|null} The date, or null if it can't be read.
+ */
+const parseDate = (text) => {
+    const local = text.match(/^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2})(:\d{2})?)?$/);
+    const date = local ? new Date(`${local[1]}T${local[2] || '00:00'}${local[3] || ':00'}`) : new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Reads a yes/no cell.
+ * @returns {boolean|null} null if it's neither.
+ */
+const parseBoolean = (text) => {
+    const value = text.toLowerCase();
+    if (['yes', 'y', 'true', '1'].includes(value)) return true;
+    if (['no', 'n', 'false', '0'].includes(value)) return false;
+    return null;
+};
+
+/**
+ * Reads a money cell such as 19.99 (a leading currency sign and thousands separators are allowed).
+ * @returns {number|null} null if it isn't a non-negative amount with at most two decimals.
+ */
+const parseMoney = (text) => {
+    const value = text.replace(/^[$€£₦]/, '').replace(/,/g, '');
+    return /^\d+(\.\d{1,2})?$/.test(value) ? parseFloat(value) : null;
+};
+
+/**
+ * Whether a value from the spreadsheet equals what the product already has, so unchanged rows can be skipped.
+ */
+const sameValue = (current, next) => {
+    if (current === null || current === undefined || next === null) return (current ?? null) === next;
+    if (next instanceof Date) return current instanceof Date && current.getTime() === next.getTime();
+    if (typeof next === 'number') return Number(current) === next;
+    if (typeof next === 'boolean') return Boolean(current) === next;
+    return String(current) === next;
+};
+
+/**
+ * Builds the rows of a seller's catalogue export, one per product, in PRODUCT_CSV_COLUMNS order.
+ * Only the product's own images are listed; images of a particular variant are managed with the variants.
+ * @param {number} sboUserId - The seller.
+ * @returns {Promise<Array<object>>} Rows for toCsv.
+ */
+export const loadProductExportRows = async (sboUserId) => {
+    const [products] = await pool.query(
+        `SELECT p.id, p.sku, p.name, p.description, p.price, p.stock_quantity, s.name as sector, b.name as brand,
+            p.sale_price, p.sale_start_date, p.sale_end_date, p.allow_backorder, p.status,
+            (SELECT GROUP_CONCAT(pi.image_url ORDER BY pi.display_order, pi.id SEPARATOR ' | ')
+             FROM product_images pi WHERE pi.product_id = p.id AND pi.variant_id IS NULL) as image_urls
+         FROM products p
+         LEFT JOIN sectors s ON p.sector_id = s.id
+         LEFT JOIN brands b ON p.brand_id = b.id
+         WHERE p.sbo_id = ?
+         ORDER BY p.sku IS NULL, p.sku, p.id`,
+        [sboUserId]
+    );
+    return products.map(product => ({
+        ...product,
+        sale_start_date: formatDate(product.sale_start_date),
+        sale_end_date: formatDate(product.sale_end_date),
+        allow_backorder: product.allow_backorder ? 'yes' : 'no'
+    }));
+};
+
+/**
+ * Checks an uploaded product CSV against the seller's catalogue without changing anything.
+ * Each row is matched to an existing product by SKU (or by id, to give a product its first SKU);
+ * rows that match nothing create a new product.
+ * @param {Array<Array<string>>} table - From parseCsv, header row first.
+ * @param {number} sboUserId - The seller the products belong to.
+ * @param {{holdForReview: boolean}} options - Whether edits to published products wait for review (see editsNeedReview).
+ * @returns {Promise<{fileErrors: Array<string>, rows: Array<object>}>} fileErrors are problems with the file as a whole.
+ *   Each row has line, id, sku, name, action (create, update or unchanged), errors, warnings,
+ *   changes (the fields to write) and newImages (image URLs to fetch).
+ */
+export const planProductImport = async (table, sboUserId, { holdForReview }) => {
+    const fileErrors = [];
+    const headers = (table[0] || []).map(header => header.trim().toLowerCase());
+    const knownHeaders = PRODUCT_CSV_COLUMNS.map(column => column.header);
+
+    headers.filter(header => !knownHeaders.includes(header))
+        .forEach(header => fileErrors.push(`Unknown column "${header}". The columns are: ${knownHeaders.join(', ')}.`));
+    headers.filter((header, index) => headers.indexOf(header) !== index)
+        .forEach(header => fileErrors.push(`The column "${header}" appears more than once.`));
+    if (headers.length > 0 && !headers.includes('sku')) fileErrors.push('The file needs a sku column.');
+    if (table.length < 2) fileErrors.push('The file has no products in it.');
+    if (table.length - 1 > MAX_IMPORT_ROWS) fileErrors.push(`A file can have at most ${MAX_IMPORT_ROWS} products; split it up.`);
+    if (fileErrors.length > 0) return { fileErrors, rows: [] };
+
+    const [sectors] = await pool.execute('SELECT id, name, slug FROM sectors');
+    const [brands] = await pool.execute('SELECT id, name FROM brands');
+    const [products] = await pool.execute(
+        `SELECT id, sku, name, description, price, stock_quantity, sector_id, brand_id, sale_price,
+            sale_start_date, sale_end_date, allow_backorder, status
+         FROM products WHERE sbo_id = ?`,
+        [sboUserId]
+    );
+    const productIds = products.map(product => product.id);
+    const [images] = productIds.length > 0
+        ? await pool.query('SELECT product_id, image_url FROM product_images WHERE product_id IN (?)', [productIds])
+        : [[]];
+    const [variantProducts] = productIds.length > 0
+        ? await pool.query('SELECT DISTINCT product_id FROM product_variants WHERE is_active = TRUE AND product_id IN (?)', [productIds])
+        : [[]];
+
+    // SKUs, sector and brand names are matched without regard to case, like the database's unique keys
+    const productsBySku = new Map(products.filter(product => product.sku).map(product => [product.sku.toLowerCase(), product]));
+    const productsById = new Map(products.map(product => [product.id, product]));
+    const sectorIds = new Map(sectors.flatMap(sector => [[sector.name.toLowerCase(), sector.id], ...(sector.slug ? [[sector.slug, sector.id]] : [])]));
+    const brandIds = new Map(brands.map(brand => [brand.name.toLowerCase(), brand.id]));
+    const hasVariants = new Set(variantProducts.map(row => row.product_id));
+    const seenSkus = new Map();
+    const seenIds = new Map();
+
+    const rows = table.slice(1).map((cells, index) => {
+        const line = index + 2; // The header is line 1
+        const cell = (header) => {
+            const position = headers.indexOf(header);
+            return position === -1 ? undefined : (cells[position] ?? '').trim();
+        };
+        const errors = [];
+        const warnings = [];
+        const changes = {};
+
+        // 1. Which product is this?
+        const sku = cell('sku');
+        const idText = cell('id');
+        let existing = sku ? productsBySku.get(sku.toLowerCase()) || null : null;
+        if (idText) {
+            const byId = productsById.get(Number(idText));
+            if (!byId) errors.push(`You have no product with id ${idText}.`);
+            else if (existing && existing.id !== byId.id) errors.push(`SKU ${sku} already belongs to your product ${existing.id}.`);
+            else existing = byId;
+        }
+        if (!sku && !existing && errors.length === 0) errors.push('A SKU is required.');
+        if (sku && sku.length > 100) errors.push('A SKU can be at most 100 characters.');
+        if (sku && seenSkus.has(sku.toLowerCase())) errors.push(`SKU ${sku} is also on line ${seenSkus.get(sku.toLowerCase())}.`);
+        if (sku) seenSkus.set(sku.toLowerCase(), line);
+        if (existing && seenIds.has(existing.id)) errors.push(`This product is also on line ${seenIds.get(existing.id)}.`);
+        if (existing) seenIds.set(existing.id, line);
+
+        const set = (field, value) => {
+            if (!existing || !sameValue(existing[field], value)) changes[field] = value;
+        };
+        if (sku) set('sku', sku);
+
+        // 2. The fields
+        const name = cell('name');
+        if (name === undefined ? !existing : !name) errors.push('A name is required.');
+        else if (name && name.length > 255) errors.push('A name can be at most 255 characters.');
+        else if (name) set('name', name);
+
+        const description = cell('description');
+        if (description !== undefined) set('description', description || null);
+
+        const priceText = cell('price');
+        if (priceText === undefined ? !existing : !priceText) errors.push('A price is required.');
+        else if (priceText && parseMoney(priceText) === null) errors.push(`price "${priceText}" isn't an amount like 19.99.`);
+        else if (priceText) set('price', parseMoney(priceText));
+
+        const stockText = cell('stock_quantity');
+        if (stockText && !/^\d+$/.test(stockText)) errors.push(`stock_quantity "${stockText}" isn't a whole number.`);
+        else if (stockText !== undefined && existing && hasVariants.has(existing.id)) {
+            warnings.push('Stock for a product with options is kept on its variants, so stock_quantity was ignored.');
+        } else if (stockText !== undefined) set('stock_quantity', stockText ? parseInt(stockText) : 0);
+
+        const sector = cell('sector');
+        if (sector && !sectorIds.has(sector.toLowerCase())) errors.push(`There is no sector called "${sector}".`);
+        else if (sector !== undefined) set('sector_id', sector ? sectorIds.get(sector.toLowerCase()) : null);
+
+        const brand = cell('brand');
+        if (brand && !brandIds.has(brand.toLowerCase())) errors.push(`There is no brand called "${brand}".`);
+        else if (brand !== undefined) set('brand_id', brand ? brandIds.get(brand.toLowerCase()) : null);
+
+        const salePriceText = cell('sale_price');
+        if (salePriceText && parseMoney(salePriceText) === null) errors.push(`sale_price "${salePriceText}" isn't an amount like 19.99.`);
+        else if (salePriceText !== undefined) set('sale_price', salePriceText ? parseMoney(salePriceText) : null);
+
+        for (const field of ['sale_start_date', 'sale_end_date']) {
+            const text = cell(field);
+            if (text && !parseDate(text)) errors.push(`${field} "${text}" isn't a date; use YYYY-MM-DD or YYYY-MM-DD HH:MM.`);
+            else if (text !== undefined) set(field, text ? parseDate(text) : null);
+        }
+
+        const backorderText = cell('allow_backorder');
+        if (backorderText && parseBoolean(backorderText) === null) errors.push(`allow_backorder "${backorderText}" should be yes or no.`);
+        else if (backorderText) set('allow_backorder', parseBoolean(backorderText));
+
+        // 3. The sale window, as it will be once this row is applied
+        if (errors.length === 0) {
+            const after = (field) => (field in changes ? changes[field] : existing?.[field] ?? null);
+            const salePrice = after('sale_price');
+            const saleStart = after('sale_start_date');
+            const saleEnd = after('sale_end_date');
+            if (salePrice !== null && Number(salePrice) >= Number(after('price'))) errors.push('sale_price must be lower than price.');
+            if (saleStart && saleEnd && saleStart > saleEnd) errors.push('sale_start_date must be before sale_end_date.');
+            if ((saleStart || saleEnd) && salePrice === null) errors.push('A sale window needs a sale_price.');
+        }
+
+        // 4. Images: URLs the product already has are left alone, new ones are fetched. Nothing is removed.
+        const currentImages = new Set(existing ? images.filter(image => image.product_id === existing.id).map(image => image.image_url) : []);
+        const imageUrls = [...new Set((cell('image_urls') || '').split(/[|\s]+/).filter(Boolean))];
+        const newImages = imageUrls.filter(url => !currentImages.has(url));
+        if (imageUrls.length > MAX_IMAGES_PER_ROW) errors.push(`A product can have at most ${MAX_IMAGES_PER_ROW} image_urls.`);
+        newImages.filter(url => !/^https?:\/\/[^/]+/i.test(url))
+            .forEach(url => errors.push(`Image "${url}" must be a full http:// or https:// address.`));
+
+        const heldForReview = existing?.status === 'published' && holdForReview
+            ? Object.keys(changes).filter(field => REVIEWED_FIELDS.includes(field))
+            : [];
+        if (heldForReview.length > 0) {
+            warnings.push(`The product is live, so the changes to ${heldForReview.join(', ')} will wait for review.`);
+        }
+
+        const action = !existing ? 'create' : (Object.keys(changes).length > 0 || newImages.length > 0 ? 'update' : 'unchanged');
+        return {
+            line, id: existing?.id ?? null, sku: sku || existing?.sku || '', name: name || existing?.name || '',
+            action, errors, warnings, changes, newImages, holdForReview: heldForReview.length > 0
+        };
+    });
+
+    return { fileErrors, rows };
+};
+
+/**
+ * Applies a checked import (from planProductImport, with no errors) in one transaction: every row goes in, or none do.
+ * New products are saved as drafts; edits to live products are held for review where planned.
+ * New image URLs are fetched into Cloudinary first; one that can't be fetched is skipped with a warning
+ * on its row rather than failing the whole import.
+ * @param {Array<object>} rows - The planned rows.
+ * @param {{sboUserId: number, sboProfileId: number|null}} owner - Whose catalogue the products go in.
+ * @param {object} req - The request, for the audit log.
+ * @returns {Promise<{created: number, updated: number, unchanged: number}>}
+ */
+export const applyProductImport = async (rows, { sboUserId, sboProfileId }, req) => {
+    for (const row of rows) {
+        row.fetchedImages = [];
+        for (const url of row.newImages) {
+            try {
+                const result = await cloudinary.uploader.upload(url, { folder: 'loveworld_app_products', format: 'webp' });
+                row.fetchedImages.push(result.secure_url);
+            } catch (error) {
+                console.error(`Failed to fetch import image ${url}:`, error.message || error);
+                row.warnings.push(`The image ${url} couldn't be fetched and was skipped.`);
+            }
+        }
+    }
+
+    const summary = { created: 0, updated: 0, unchanged: 0 };
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        for (const row of rows) {
+            if (row.action === 'unchanged' || (Object.keys(row.changes).length === 0 && row.fetchedImages.length === 0)) {
+                summary.unchanged++;
+                continue;
+            }
+
+            let productId = row.id;
+            const before = productId ? await loadSnapshot('products', productId, connection) : null;
+            // Stock goes through the inventory ledger rather than being written with the other fields
+            const { stock_quantity: stockQuantity, ...changes } = row.changes;
+            const stockMovement = { reason: 'import', note: `CSV import, line ${row.line}`, userId: req.user.id };
+            if (!productId) {
+                const [result] = await connection.query(
+                    'INSERT INTO products SET ?',
+                    [{ ...changes, stock_quantity: 0, sbo_id: sboUserId, sbo_profile_id: sboProfileId }]
+                );
+                productId = result.insertId;
+                await recordStockMovement({ ...stockMovement, productId, change: stockQuantity ?? 0 }, connection);
+            } else if (Object.keys(row.changes).length > 0) {
+                const { apply } = row.holdForReview
+                    ? await holdReviewedChanges(before, changes, req.user.id, connection)
+                    : { apply: changes };
+                if (Object.keys(apply).length > 0) {
+                    await connection.query('UPDATE products SET ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [apply, productId]);
+                }
+                if (stockQuantity !== undefined) await setStockLevel({ ...stockMovement, productId, quantity: stockQuantity }, connection);
+                await syncVariantStock(productId, connection);
+            }
+
+            if (row.fetchedImages.length > 0) {
+                const [orderResult] = await connection.execute(
+                    'SELECT COALESCE(MAX(display_order) + 1, 0) as next FROM product_images WHERE product_id = ?',
+                    [productId]
+                );
+                await connection.query(
+                    'INSERT INTO product_images (product_id, image_url, display_order) VALUES ?',
+                    [row.fetchedImages.map((url, index) => [productId, url, orderResult[0].next + index])]
+                );
+            }
+
+            await recordAudit(req, {
+                action: row.id ? 'product.update' : 'product.create', entityType: 'product', entityId: productId,
+                before, after: { ...await loadSnapshot('products', productId, connection), source: 'csv_import' }
+            }, connection);
+            if (row.id) summary.updated++;
+            else summary.created++;
+        }
+        await connection.commit();
+        return summary;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
@@ -0,0 +1,233 @@
+// utils/inventory.helpers.js
+import pool from '../config/db.js';
+import { sendLowStockEmail } from './email.helpers.js';
+
+// Why stock can change. Every change is one row in inventory_movements; rows are never edited or deleted.
+export const STOCK_MOVEMENT_REASONS = ['initial', 'sale', 'adjustment', 'return', 'restock', 'cancellation', 'import'];
+
+// The reasons a seller can pick when changing stock by hand (see POST /api/admin/products/:id/stock).
+export const MANUAL_MOVEMENT_REASONS = ['adjustment', 'restock', 'return'];
+
+const MAX_NOTE_LENGTH = 255;
+
+// The low-stock level for products that don't set their own low_stock_threshold
+export const DEFAULT_LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD || '5') || 5;
+
+/**
+ * Reads a low_stock_threshold from a form: blank means the default level.
+ * @param {*} value - The submitted value.
+ * @returns {{threshold?: number|null, error?: string}}
+ */
+export const parseLowStockThreshold = (value) => {
+    if (value === null || String(value).trim() === '') return { threshold: null };
+    const threshold = Number(value);
+    if (!Number.isInteger(threshold) || threshold < 0) return { error: 'The low-stock level must be a whole number, 0 or more.' };
+    return { threshold };
+};
+
+// Whether a product (p) is running low. Products with variants are judged on their total stock.
+export const PRODUCT_IS_LOW_STOCK = `(p.status <> 'archived' AND p.stock_quantity <= COALESCE(p.low_stock_threshold, ${DEFAULT_LOW_STOCK_THRESHOLD}))`;
+
+/**
+ * Locks the stock row a movement applies to and reads it.
+ * @returns {Promise<{stock_quantity: number, title: string|null}|null>}
+ */
+const lockStockRow = async (productId, variantId, db) => {
+    const [rows] = variantId
+        ? await db.execute('SELECT stock_quantity, title FROM product_variants WHERE id = ? AND product_id = ? FOR UPDATE', [variantId, productId])
+        : await db.execute('SELECT stock_quantity, NULL as title FROM products WHERE id = ? FOR UPDATE', [productId]);
+    return rows[0] || null;
+};
+
+const insertMovement = async (db, { productId, variantId, variantTitle, change, balance, reason, note, orderId, userId }) => {
+    await db.execute(
+        `INSERT INTO inventory_movements
+            (product_id, variant_id, variant_title, quantity_change, balance_after, reason, note, order_id, user_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            productId, variantId || null, variantTitle || null, change, balance, reason,
+            note ? String(note).slice(0, MAX_NOTE_LENGTH) : null, orderId || null, userId || null
+        ]
+    );
+};
+
+/**
+ * Whether a product's stock is kept on its variants (it has active ones), so its own stock_quantity is only their total.
+ * @param {number} productId - The product.
+ * @param {object} [db] - A pool or transaction connection.
+ * @returns {Promise<boolean>}
+ */
+export const hasVariantStock = async (productId, db = pool) => {
+    const [rows] = await db.execute(
+        'SELECT COUNT(*) as count FROM product_variants WHERE product_id = ? AND is_active = TRUE',
+        [productId]
+    );
+    return rows[0].count > 0;
+};
+
+/**
+ * Adds to or takes from a product's (or variant's) stock and writes the movement to the ledger.
+ * For a variant, call syncVariantStock afterwards so the product's total follows.
+ * Use inside a transaction, so the stock and its ledger row are saved together.
+ * @param {object} movement
+ * @param {number} movement.productId - The product.
+ * @param {number|null} [movement.variantId] - The variant, for products sold as variants.
+ * @param {number} movement.change - How many to add (positive) or take away (negative).
+ * @param {string} movement.reason - One of STOCK_MOVEMENT_REASONS.
+ * @param {string} [movement.note] - Free text, e.g. why it was adjusted.
+ * @param {number} [movement.orderId] - The order it belongs to, for sales, cancellations and returns.
+ * @param {number} [movement.userId] - Who made the change; left out for checkout and the system.
+ * @param {object} [db] - A transaction connection, or the pool.
+ * @returns {Promise<number|null>} The new stock level, or null if the product (or variant) no longer exists.
+ */
+export const recordStockMovement = async ({ productId, variantId = null, change, reason, note = null, orderId = null, userId = null }, db = pool) => {
+    const current = await lockStockRow(productId, variantId, db);
+    if (!current) return null;
+
+    const balance = current.stock_quantity + change;
+    await db.execute(
+        `UPDATE ${variantId ? 'product_variants' : 'products'} SET stock_quantity = ? WHERE id = ?`,
+        [balance, variantId || productId]
+    );
+    await insertMovement(db, { productId, variantId, variantTitle: current.title, change, balance, reason, note, orderId, userId });
+    return balance;
+};
+
+/**
+ * Sets a product's (or variant's) stock to a level, e.g. from the product form, recording the difference in the ledger.
+ * A product whose stock is kept on its variants is left alone.
+ * @param {object} movement - As for recordStockMovement, with quantity (the new level) instead of change.
+ * @param {object} [db] - A transaction connection, or the pool.
+ * @returns {Promise<number>} The change that was recorded (0 if the level was already right).
+ */
+export const setStockLevel = async ({ productId, variantId = null, quantity, reason, note = null, userId = null }, db = pool) => {
+    if (!variantId && await hasVariantStock(productId, db)) return 0;
+    const current = await lockStockRow(productId, variantId, db);
+    if (!current) return 0;
+
+    const change = Number(quantity) - current.stock_quantity;
+    if (change !== 0) await recordStockMovement({ productId, variantId, change, reason, note, userId }, db);
+    return change;
+};
+
+/**
+ * Finds stock that doesn't match its ledger, i.e. was changed without going through recordStockMovement.
+ * Products with active variants are checked variant by variant.
+ * @param {{productId?: number}} [filter] - Only check one product.
+ * @param {object} [db] - A pool or transaction connection.
+ * @returns {Promise<Array<{product_id: number, variant_id: number|null, name: string, variant_title: string|null, stock_quantity: number, ledger_quantity: number}>>}
+ */
+export const findStockDrift = async ({ productId = null } = {}, db = pool) => {
+    const [rows] = await db.query(
+        `SELECT p.id as product_id, NULL as variant_id, p.name, NULL as variant_title, p.stock_quantity,
+            COALESCE(SUM(m.quantity_change), 0) as ledger_quantity
+         FROM products p
+         LEFT JOIN inventory_movements m ON m.product_id = p.id AND m.variant_id IS NULL AND m.variant_title IS NULL
+         WHERE (? IS NULL OR p.id = ?)
+           AND NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id AND v.is_active = TRUE)
+         GROUP BY p.id
+         HAVING p.stock_quantity <> ledger_quantity
+         UNION ALL
+         SELECT v.product_id, v.id, p.name, v.title, v.stock_quantity, COALESCE(SUM(m.quantity_change), 0) as ledger_quantity
+         FROM product_variants v
+         JOIN products p ON v.product_id = p.id
+         LEFT JOIN inventory_movements m ON m.variant_id = v.id
+         WHERE (? IS NULL OR v.product_id = ?)
+         GROUP BY v.id
+         HAVING v.stock_quantity <> ledger_quantity
+         ORDER BY product_id, variant_id`,
+        [productId, productId, productId, productId]
+    );
+    return rows.map(row => ({ ...row, ledger_quantity: Number(row.ledger_quantity) }));
+};
+
+/**
+ * Brings the ledger back in line with the stock found by findStockDrift. The stock on the shelf is taken as right;
+ * the difference is recorded as an adjustment, since past ledger rows are never changed.
+ * @param {Array<object>} drift - Rows from findStockDrift.
+ * @param {number} userId - Who reconciled.
+ * @param {object} [db] - A transaction connection, or the pool.
+ */
+export const reconcileStockDrift = async (drift, userId, db = pool) => {
+    for (const row of drift) {
+        await insertMovement(db, {
+            productId: row.product_id, variantId: row.variant_id, variantTitle: row.variant_title,
+            change: row.stock_quantity - row.ledger_quantity, balance: row.stock_quantity,
+            reason: 'adjustment', note: 'Reconciled: stock had been changed outside the ledger', userId
+        });
+    }
+};
+
+/**
+ * Loads the low-stock products, with their owning SBO, and groups them by seller.
+ * @returns {Promise<Array<{seller: {id: number, email: string, first_name: string}, products: Array<object>}>>}
+ */
+const loadLowStockBySeller = async (condition, params) => {
+    const [rows] = await pool.query(
+        `SELECT p.id, p.name, p.sku, p.stock_quantity, COALESCE(p.low_stock_threshold, ?) as threshold,
+            u.id as seller_id, u.email, u.first_name
+         FROM products p
+         JOIN users u ON p.sbo_id = u.id
+         WHERE ${PRODUCT_IS_LOW_STOCK} AND u.deleted_at IS NULL AND u.suspended_at IS NULL ${condition}
+         ORDER BY p.stock_quantity ASC, p.name ASC`,
+        [DEFAULT_LOW_STOCK_THRESHOLD, ...params]
+    );
+    const sellers = new Map();
+    for (const row of rows) {
+        if (!sellers.has(row.seller_id)) {
+            sellers.set(row.seller_id, { seller: { id: row.seller_id, email: row.email, first_name: row.first_name }, products: [] });
+        }
+        sellers.get(row.seller_id).products.push(row);
+    }
+    return [...sellers.values()];
+};
+
+/**
+ * Tells sellers as soon as a product falls to its low-stock level. Each product is mentioned once until it is
+ * restocked above the level, so a product that keeps selling doesn't send an email per sale.
+ * Runs after checkout for the products just sold, and as a scheduled job for stock changed any other way.
+ * @param {Array<number>|null} [productIds] - Only check these products.
+ */
+export const sendLowStockAlerts = async (productIds = null) => {
+    if (productIds && productIds.length === 0) return;
+    const onlyThese = productIds ? 'AND p.id IN (?)' : '';
+    const params = productIds ? [productIds] : [];
+
+    // Restocked products can be alerted about again
+    await pool.query(
+        `UPDATE products p SET p.low_stock_alerted_at = NULL
+         WHERE p.low_stock_alerted_at IS NOT NULL AND NOT ${PRODUCT_IS_LOW_STOCK} ${onlyThese}`,
+        params
+    );
+
+    const sellers = await loadLowStockBySeller(`AND p.low_stock_alerted_at IS NULL ${onlyThese}`, params);
+    for (const { seller, products } of sellers) {
+        try {
+            await sendLowStockEmail(seller, products);
+        } catch (error) {
+            // Leave them unmarked, so the next run tries again
+            console.error(`Failed to send low-stock alert to user ${seller.id}:`, error);
+            continue;
+        }
+        await pool.query('UPDATE products SET low_stock_alerted_at = NOW() WHERE id IN (?)', [products.map(product => product.id)]);
+    }
+    if (sellers.length > 0) console.log(`Sent low-stock alerts to ${sellers.length} seller(s).`);
+};
+
+/**
+ * Scheduled job: sends each seller a list of everything of theirs that is running low, whether or not they've
+ * already been alerted about it.
+ */
+export const sendLowStockDigest = async () => {
+    const sellers = await loadLowStockBySeller('', []);
+    let sent = 0;
+    for (const { seller, products } of sellers) {
+        try {
+            await sendLowStockEmail(seller, products, { digest: true });
+            sent++;
+        } catch (error) {
+            console.error(`Failed to send low-stock digest to user ${seller.id}:`, error);
+        }
+    }
+    if (sent > 0) console.log(`Sent low-stock digests to ${sent} seller(s).`);
+};
@@ -0,0 +1,180 @@
+// utils/kingschat.client.js
+// Server-side access to the KingsChat API on behalf of a user, using the tokens we store for them.
+// Point KINGSCHAT_API_URL at kingschat_stub_server.js to run against a local stub.
+import axios from 'axios';
+import dotenv from 'dotenv';
+import pool from '../config/db.js';
+import { encryptSecret, decryptSecret } from './crypto.helpers.js';
+
+dotenv.config();
+
+const KINGSCHAT_API_URL = process.env.KINGSCHAT_API_URL || 'https://connect.kingsch.at';
+const KINGSCHAT_CLIENT_ID = process.env.KINGSCHAT_CLIENT_ID || 'b2b522e9-d602-402d-b61d-8a50825862da';
+// Refresh a little before the real expiry so a request doesn't race the clock.
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+/**
+ * Builds an error for when we can't act for the user any more (not linked, or the
+ * refresh token was rejected). They need to sign in with KingsChat again.
+ * @param {string} message
+ * @returns {Error}
+ */
+const reauthRequired = (message) => {
+    const error = new Error(message);
+    error.code = 'KINGSCHAT_REAUTH_REQUIRED';
+    return error;
+};
+
+/**
+ * Fetches the KingsChat profile for an access token.
+ * @param {string} accessToken - A KingsChat access token.
+ * @returns {Promise<object>} The `profile` object from KingsChat.
+ */
+export const fetchProfile = async (accessToken) => {
+    const response = await axios.get(`${KINGSCHAT_API_URL}/developer/api/profile`, {
+        headers: { 'authorization': `Bearer ${accessToken}` }
+    });
+    return response.data.profile;
+};
+
+/**
+ * Exchanges a KingsChat refresh token for a new access token.
+ * @param {string} refreshToken - The stored KingsChat refresh token.
+ * @returns {Promise<{accessToken: string, refreshToken: string, expiresAt: Date|null}>}
+ */
+export const refreshAccessToken = async (refreshToken) => {
+    const response = await axios.post(`${KINGSCHAT_API_URL}/oauth2/token`, {
+        client_id: KINGSCHAT_CLIENT_ID,
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken
+    });
+    return {
+        accessToken: response.data.access_token,
+        // KingsChat may or may not rotate the refresh token; keep the old one if it doesn't.
+        refreshToken: response.data.refresh_token || refreshToken,
+        expiresAt: response.data.expires_in_millis ? new Date(Date.now() + response.data.expires_in_millis) : null
+    };
+};
+
+/**
+ * Stores a user's KingsChat tokens, encrypted. A missing refresh token leaves the stored one alone.
+ * @param {number} userId - Our user id.
+ * @param {{accessToken: string, refreshToken?: string|null, expiresAt?: Date|null}} tokens
+ * @param {object} [db] - A pool or transaction connection.
+ */
+export const saveKingsChatTokens = async (userId, { accessToken, refreshToken = null, expiresAt = null }, db = pool) => {
+    await db.execute(
+        `UPDATE users SET
+            kingschat_access_token = ?,
+            kingschat_refresh_token = COALESCE(?, kingschat_refresh_token),
+            kingschat_token_expires_at = ?,
+            updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [encryptSecret(accessToken), encryptSecret(refreshToken), expiresAt, userId]
+    );
+};
+
+/**
+ * Works out when a token from the web SDK expires.
+ * @param {number|undefined} expiresInMillis - The SDK's `expiresInMillis`.
+ * @returns {Date|null}
+ */
+export const expiryFromMillis = (expiresInMillis) => {
+    return expiresInMillis ? new Date(Date.now() + Number(expiresInMillis)) : null;
+};
+
+/**
+ * Refreshes a user's access token with their stored refresh token and saves the result.
+ * @param {number} userId - Our user id.
+ * @param {string|null} refreshToken - The decrypted refresh token.
+ * @returns {Promise<string>} The new access token.
+ */
+const refreshForUser = async (userId, refreshToken) => {
+    if (!refreshToken) throw reauthRequired('The KingsChat session has expired and there is no refresh token.');
+    try {
+        const tokens = await refreshAccessToken(refreshToken);
+        await saveKingsChatTokens(userId, tokens);
+        return tokens.accessToken;
+    } catch (error) {
+        if (error.response && [400, 401].includes(error.response.status)) {
+            throw reauthRequired('KingsChat rejected the stored refresh token.');
+        }
+        throw error;
+    }
+};
+
+/**
+ * Returns a usable KingsChat access token for a user, refreshing it first if it has expired.
+ * @param {number} userId - Our user id.
+ * @returns {Promise<string>}
+ */
+export const getAccessToken = async (userId) => {
+    const [rows] = await pool.execute(
+        `SELECT kingschat_id, kingschat_access_token, kingschat_refresh_token, kingschat_token_expires_at
+         FROM users WHERE id = ?`,
+        [userId]
+    );
+    const user = rows[0];
+    if (!user || !user.kingschat_id || !user.kingschat_access_token) {
+        throw reauthRequired('This user has no linked KingsChat account.');
+    }
+
+    const accessToken = decryptSecret(user.kingschat_access_token);
+    const expiresAt = user.kingschat_token_expires_at ? new Date(user.kingschat_token_expires_at).getTime() : null;
+    if (expiresAt && expiresAt - EXPIRY_MARGIN_MS < Date.now()) {
+        return refreshForUser(userId, decryptSecret(user.kingschat_refresh_token));
+    }
+    return accessToken;
+};
+
+/**
+ * Makes a KingsChat API request as a user. If KingsChat answers 401 (the token expired
+ * earlier than we thought, or we never knew its expiry), refreshes once and retries.
+ * @param {number} userId - Our user id.
+ * @param {object} config - An axios request config; `url` is relative to the KingsChat API.
+ * @returns {Promise<object>} The axios response.
+ */
+export const requestAsUser = async (userId, config) => {
+    const send = (token) => axios({
+        ...config,
+        url: `${KINGSCHAT_API_URL}${config.url}`,
+        headers: { ...config.headers, 'authorization': `Bearer ${token}` }
+    });
+
+    const accessToken = await getAccessToken(userId);
+    try {
+        return await send(accessToken);
+    } catch (error) {
+        if (!error.response || error.response.status !== 401) throw error;
+
+        const [rows] = await pool.execute('SELECT kingschat_refresh_token FROM users WHERE id = ?', [userId]);
+        const newAccessToken = await refreshForUser(userId, decryptSecret(rows[0]?.kingschat_refresh_token));
+        return send(newAccessToken);
+    }
+};
+
+/**
+ * Fetches the current KingsChat profile of one of our users.
+ * @param {number} userId - Our user id.
+ * @returns {Promise<object>} The `profile` object from KingsChat.
+ */
+export const getUserProfile = async (userId) => {
+    const response = await requestAsUser(userId, { method: 'get', url: '/developer/api/profile' });
+    return response.data.profile;
+};
+
+/**
+ * Sends a KingsChat text message from one of our users to a KingsChat user.
+ * @param {number} userId - Our user id (the sender).
+ * @param {string} recipientKingschatId - The recipient's KingsChat user id.
+ * @param {string} text - The message text.
+ * @returns {Promise<object>} KingsChat's response body.
+ */
+export const sendMessage = async (userId, recipientKingschatId, text) => {
+    const response = await requestAsUser(userId, {
+        method: 'post',
+        url: `/api/users/${encodeURIComponent(recipientKingschatId)}/new_message`,
+        data: { message: { body: { text: { body: text } } } }
+    });
+    return response.data;
+};
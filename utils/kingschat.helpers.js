@@ -0,0 +1,120 @@
+// utils/kingschat.helpers.js
+import pool from '../config/db.js';
+import { getUserProfile } from './kingschat.client.js';
+
+const RESYNC_BATCH_SIZE = 50;
+
+/**
+ * Maps a KingsChat profile (from /developer/api/profile) onto our users columns.
+ * Shared by linking and sign-up so both read the profile the same way.
+ * @param {object} kcProfile - The `profile` object returned by KingsChat.
+ * @returns {{kingschatId: string, gender: string|null, avatarUrl: string|null, handle: string|null,
+ *   firstName: string, lastName: string, email: string|null, phoneNumber: string|null, dateOfBirth: string|null}}
+ */
+export const mapKingsChatProfile = (kcProfile) => {
+    const nameParts = (kcProfile.name || '').trim().split(/\s+/);
+    return {
+        kingschatId: kcProfile.id,
+        gender: kcProfile.gender || null,
+        avatarUrl: kcProfile.avatar || null,
+        handle: kcProfile.username || null,
+        firstName: nameParts[0] || '',
+        lastName: nameParts.slice(1).join(' ') || '',
+        email: kcProfile.email || null,
+        phoneNumber: kcProfile.phone_number || null,
+        dateOfBirth: kcProfile.birth_date_millis ? new Date(kcProfile.birth_date_millis).toISOString().split('T')[0] : null
+    };
+};
+
+/**
+ * Picks a username nobody has taken yet, based on the KingsChat handle (or name).
+ * 'john.doe' -> 'john.doe', then 'john.doe2', 'john.doe3', ...
+ * @param {string} base - The preferred username.
+ * @returns {Promise<string>}
+ */
+export const generateUniqueUsername = async (base) => {
+    const cleaned = (base || '').toLowerCase().replace(/[^a-z0-9._-]/g, '').slice(0, 40) || 'member';
+
+    const [taken] = await pool.execute(
+        'SELECT username FROM users WHERE username = ? OR username LIKE ?',
+        [cleaned, `${cleaned}%`]
+    );
+    const takenNames = new Set(taken.map(row => row.username.toLowerCase()));
+    if (!takenNames.has(cleaned)) return cleaned;
+
+    for (let suffix = 2; ; suffix++) {
+        const candidate = `${cleaned}${suffix}`;
+        if (!takenNames.has(candidate)) return candidate;
+    }
+};
+
+/**
+ * Copies the latest KingsChat profile onto a user.
+ * KingsChat-owned fields (handle, gender, avatar) are always refreshed. Fields the user can edit
+ * on our side (name, email, phone, birth date) follow the same COALESCE rule as linking:
+ * KingsChat only fills them in when they are empty, and never overwrites the user's own value.
+ * @param {number} userId - Our user id.
+ * @param {object} kcProfile - The `profile` object from KingsChat.
+ * @param {object} [db] - A pool or transaction connection.
+ */
+export const applyKingsChatProfile = async (userId, kcProfile, db = pool) => {
+    const profile = mapKingsChatProfile(kcProfile);
+    await db.execute(
+        `UPDATE users SET
+            kingschat_handle = COALESCE(?, kingschat_handle),
+            kingschat_gender = COALESCE(?, kingschat_gender),
+            kingschat_avatar_url = COALESCE(?, kingschat_avatar_url),
+            first_name = COALESCE(NULLIF(first_name, ''), ?),
+            last_name = COALESCE(NULLIF(last_name, ''), ?),
+            email = COALESCE(NULLIF(email, ''), ?),
+            phone_number = COALESCE(NULLIF(phone_number, ''), ?),
+            date_of_birth = COALESCE(date_of_birth, ?),
+            kingschat_synced_at = NOW(),
+            updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [
+            profile.handle, profile.gender, profile.avatarUrl,
+            profile.firstName, profile.lastName, profile.email, profile.phoneNumber, profile.dateOfBirth,
+            userId
+        ]
+    );
+};
+
+/**
+ * Pulls a user's current KingsChat profile with their stored tokens and applies it.
+ * Throws an error with code 'KINGSCHAT_REAUTH_REQUIRED' if we can no longer act for them.
+ * @param {number} userId - Our user id.
+ */
+export const syncKingsChatProfile = async (userId) => {
+    const kcProfile = await getUserProfile(userId);
+    await applyKingsChatProfile(userId, kcProfile);
+};
+
+/**
+ * Scheduled job: re-syncs linked users whose profile hasn't been synced in the given number of hours.
+ * Works through a small batch per run so one run never hammers the KingsChat API.
+ * @param {number} staleAfterHours - How old a sync must be before we refresh it.
+ */
+export const resyncStaleKingsChatProfiles = async (staleAfterHours) => {
+    const [users] = await pool.query(
+        `SELECT id FROM users
+         WHERE kingschat_id IS NOT NULL AND kingschat_access_token IS NOT NULL
+           AND (kingschat_synced_at IS NULL OR kingschat_synced_at < DATE_SUB(NOW(), INTERVAL ? HOUR))
+         ORDER BY kingschat_synced_at IS NOT NULL, kingschat_synced_at
+         LIMIT ?`,
+        [staleAfterHours, RESYNC_BATCH_SIZE]
+    );
+
+    for (const user of users) {
+        try {
+            await syncKingsChatProfile(user.id);
+        } catch (error) {
+            if (error.code === 'KINGSCHAT_REAUTH_REQUIRED') {
+                // Nothing we can do until they sign in with KingsChat again; don't retry every run.
+                await pool.execute('UPDATE users SET kingschat_synced_at = NOW() WHERE id = ?', [user.id]);
+            } else {
+                console.error(`KingsChat re-sync failed for user ${user.id}:`, error.message);
+            }
+        }
+    }
+};
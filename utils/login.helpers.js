@@ -0,0 +1,129 @@
+// utils/login.helpers.js
+import dotenv from 'dotenv';
+import pool from '../config/db.js';
+
+dotenv.config();
+
+// Only failures inside this window count towards the backoff.
+const LOGIN_WINDOW_MINUTES = parseInt(process.env.LOGIN_WINDOW_MINUTES || '15');
+// Free failures before any delay kicks in. An IP gets more, since offices and churches share one.
+const FREE_ATTEMPTS_PER_IDENTIFIER = parseInt(process.env.LOGIN_FREE_ATTEMPTS || '3');
+const FREE_ATTEMPTS_PER_IP = parseInt(process.env.LOGIN_FREE_ATTEMPTS_PER_IP || '20');
+// The delay doubles with every failure past the free ones, up to the maximum.
+const BASE_DELAY_SECONDS = 2;
+const MAX_DELAY_SECONDS = 15 * 60;
+// After this many consecutive failures the account itself is locked.
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '10');
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '30');
+
+/**
+ * Normalises what the user typed so 'Bob@Mail.com ' and 'bob@mail.com' are throttled together.
+ * @param {string} identifier - The email or username from the login form.
+ * @returns {string|null}
+ */
+export const normaliseIdentifier = (identifier) => {
+    return typeof identifier === 'string' ? identifier.trim().toLowerCase().slice(0, 255) : null;
+};
+
+/**
+ * Works out how long a client must wait based on recent failures.
+ * @param {number} failures - Failures inside the window.
+ * @param {number} secondsSinceLast - Seconds since the most recent failure.
+ * @param {number} freeAttempts - Failures allowed before backing off.
+ * @returns {number} Seconds left to wait (0 if allowed).
+ */
+const remainingDelay = (failures, secondsSinceLast, freeAttempts) => {
+    if (failures < freeAttempts) return 0;
+    const delay = Math.min(BASE_DELAY_SECONDS * 2 ** (failures - freeAttempts), MAX_DELAY_SECONDS);
+    return Math.max(delay - secondsSinceLast, 0);
+};
+
+/**
+ * Checks whether a login from this identifier/IP should be delayed.
+ * For an identifier, a successful login resets the count; for an IP it doesn't,
+ * so an attacker can't reset their IP counter by logging into their own account.
+ * @param {{identifier: string|null, ip: string}} attempt - Who is trying to log in.
+ * @returns {Promise<number>} Seconds the client must wait (0 if allowed).
+ */
+export const getLoginDelay = async ({ identifier, ip }) => {
+    let wait = 0;
+
+    if (identifier) {
+        const [rows] = await pool.execute(
+            `SELECT COUNT(*) as failures, TIMESTAMPDIFF(SECOND, MAX(created_at), NOW()) as since_last
+             FROM login_attempts
+             WHERE identifier = ? AND success = FALSE AND reason != 'throttled'
+               AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)
+               AND created_at > COALESCE(
+                   (SELECT MAX(created_at) FROM login_attempts WHERE identifier = ? AND success = TRUE),
+                   '1970-01-01 00:00:01')`,
+            [identifier, LOGIN_WINDOW_MINUTES, identifier]
+        );
+        wait = remainingDelay(Number(rows[0].failures), Number(rows[0].since_last), FREE_ATTEMPTS_PER_IDENTIFIER);
+    }
+
+    if (ip) {
+        const [rows] = await pool.execute(
+            `SELECT COUNT(*) as failures, TIMESTAMPDIFF(SECOND, MAX(created_at), NOW()) as since_last
+             FROM login_attempts
+             WHERE ip_address = ? AND success = FALSE AND reason != 'throttled'
+               AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+            [ip, LOGIN_WINDOW_MINUTES]
+        );
+        wait = Math.max(wait, remainingDelay(Number(rows[0].failures), Number(rows[0].since_last), FREE_ATTEMPTS_PER_IP));
+    }
+
+    return wait;
+};
+
+/**
+ * Records a login attempt so it counts towards throttling and shows up in the admin review page.
+ * @param {object} req - The Express request (for IP and user agent).
+ * @param {object} attempt
+ * @param {string|null} attempt.identifier - Normalised email/username (or 'kingschat:<id>').
+ * @param {number|null} [attempt.userId] - The matched user, if any.
+ * @param {boolean} attempt.success - Whether the login succeeded.
+ * @param {string|null} [attempt.reason] - Why it failed, e.g. 'bad_password', 'unknown_user', 'locked', 'throttled'.
+ * @param {'password'|'kingschat'} [attempt.method] - Which login route was used.
+ */
+export const recordLoginAttempt = async (req, { identifier, userId = null, success, reason = null, method = 'password' }) => {
+    await pool.execute(
+        `INSERT INTO login_attempts (identifier, user_id, ip_address, user_agent, method, success, reason)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [identifier, userId, req.ip || null, req.get('user-agent')?.slice(0, 255) || null, method, success, reason]
+    );
+};
+
+/**
+ * Returns how many seconds are left on an account lock, or 0 if the account isn't locked.
+ * @param {{locked_until: Date|null}} user - A users row.
+ * @returns {number}
+ */
+export const getLockSecondsRemaining = (user) => {
+    if (!user.locked_until) return 0;
+    return Math.max(Math.ceil((new Date(user.locked_until).getTime() - Date.now()) / 1000), 0);
+};
+
+/**
+ * Counts a failed password against the account, locking it once the threshold is reached.
+ * The counter restarts after a lock so the next lock needs another full run of failures.
+ * @param {number} userId - The account whose password was wrong.
+ */
+export const registerFailedLogin = async (userId) => {
+    // MySQL applies SET assignments left to right, so locked_until must read the old count first.
+    await pool.execute(
+        `UPDATE users SET
+            locked_until = IF(failed_login_count + 1 >= ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), locked_until),
+            failed_login_count = IF(failed_login_count + 1 >= ?, 0, failed_login_count + 1)
+         WHERE id = ?`,
+        [LOCKOUT_THRESHOLD, LOCKOUT_MINUTES, LOCKOUT_THRESHOLD, userId]
+    );
+};
+
+/**
+ * Clears the failure counter and any lock (after a successful login or an admin unlock).
+ * @param {number} userId - The account to reset.
+ */
+export const clearFailedLogins = async (userId) => {
+    await pool.execute('UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = ?', [userId]);
+};
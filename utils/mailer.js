@@ -0,0 +1,78 @@
+// utils/mailer.js
+import fs from 'fs/promises';
+import axios from 'axios';
+import dotenv from 'dotenv';
+import pool from '../config/db.js';
+
+dotenv.config();
+
+// Which transport to use is chosen with MAIL_TRANSPORT:
+//   console - print the message to the server log (the default, fine for local development)
+//   outbox  - insert into the mail_outbox table (used by tests, and handy for inspecting mail on staging)
+//   file    - append one JSON line per message to MAIL_OUTBOX_FILE
+//   http    - POST the message as JSON to MAIL_HTTP_URL (a mail relay / provider API)
+const transports = {
+    console: async (message) => {
+        console.log(`--- MAIL to ${message.to}: ${message.subject} ---\n${message.text}\n--- END MAIL ---`);
+    },
+
+    outbox: async (message) => {
+        await pool.execute(
+            'INSERT INTO mail_outbox (recipient, subject, body_text, body_html) VALUES (?, ?, ?, ?)',
+            [message.to, message.subject, message.text, message.html || null]
+        );
+    },
+
+    file: async (message) => {
+        const filePath = process.env.MAIL_OUTBOX_FILE || 'mail-outbox.jsonl';
+        await fs.appendFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n');
+    },
+
+    http: async (message) => {
+        if (!process.env.MAIL_HTTP_URL) throw new Error('MAIL_HTTP_URL is not set.');
+        await axios.post(process.env.MAIL_HTTP_URL, {
+            from: process.env.MAIL_FROM || 'no-reply@loveworld4.0',
+            to: message.to,
+            subject: message.subject,
+            text: message.text,
+            html: message.html
+        }, {
+            headers: process.env.MAIL_HTTP_TOKEN ? { Authorization: `Bearer ${process.env.MAIL_HTTP_TOKEN}` } : {}
+        });
+    }
+};
+
+/**
+ * Registers (or replaces) a mail transport, e.g. for a new provider.
+ * @param {string} name - The value MAIL_TRANSPORT will be set to.
+ * @param {function(object): Promise<void>} send - Receives { to, subject, text, html }.
+ */
+export const registerMailTransport = (name, send) => {
+    transports[name] = send;
+};
+
+/**
+ * Sends an email through the configured transport.
+ * @param {{to: string, subject: string, text: string, html?: string}} message - The email to send.
+ * @returns {Promise<void>}
+ */
+export const sendMail = async (message) => {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const transport = transports[name];
+    if (!transport) throw new Error(`Unknown mail transport "${name}".`);
+    await transport(message);
+};
+
+/**
+ * Builds an absolute link to a frontend page, for use in emails.
+ * Prefers CLIENT_URL (same rule as the Stripe redirect URLs), falling back to the request host.
+ * Background jobs have no request, so for them CLIENT_URL should be set (otherwise links point at localhost).
+ * @param {object|null} req - The Express request, or null outside a request.
+ * @param {string} path - The page path and query, e.g. '/reset-password.html?token=abc'.
+ * @returns {string}
+ */
+export const buildAppUrl = (req, path) => {
+    const origin = process.env.CLIENT_URL
+        || (req ? req.protocol + '://' + req.get('host') : `http://localhost:${process.env.PORT || 3000}`);
+    return `${origin}${path}`;
+};
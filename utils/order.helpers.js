@@ -0,0 +1,140 @@
+// utils/order.helpers.js
+import pool from '../config/db.js';
+import { getActivePricesForProducts, priceKey, syncVariantStock } from './product.helpers.js';
+import { recordStockMovement, sendLowStockAlerts } from './inventory.helpers.js';
+import { convertReservations } from './reservation.helpers.js';
+import { recordRedemptions } from './promotion.helpers.js';
+
+/**
+ * Turns a paid checkout into an order, whichever provider took the payment: the stock held for the checkout becomes
+ * the order lines, at the prices that were charged, and is marked sold, and those items leave the cart. What the
+ * shopper did to their cart after opening the payment doesn't change what they bought.
+ * A payment only ever becomes one order, so providers can report it as often as they like
+ * (webhook retries, and the shopper's return to order-success.html).
+ * @param {object} checkout - A paid checkout, from a payment provider's loadPaidCheckout or readWebhook:
+ * @param {string} checkout.provider - e.g. 'stripe'.
+ * @param {string} checkout.reference - The provider's id for the payment.
+ * @param {number} checkout.userId - The shopper.
+ * @param {number} checkout.cartId - The cart that was checked out.
+ * @param {string} checkout.currency - What they were charged in, e.g. 'NGN'.
+ * @param {number} checkout.exchangeRate - Units of that currency per USD.
+ * @param {number} checkout.total - What was charged, in that currency; subtotal, discount and shipping likewise.
+ * @param {string|null} checkout.couponCode - The cart's coupon code.
+ * @param {string} checkout.promotions - From encodeRedemptions.
+ * @returns {Promise<{orderId: number|null, created: boolean}>} orderId is null if no stock was held for the checkout.
+ */
+export const fulfillOrder = async (checkout) => {
+    const { provider, reference, userId, cartId } = checkout;
+
+    // Use a database transaction for this critical operation
+    const connection = await pool.getConnection();
+    let soldProductIds = [];
+    let orderId = null;
+    try {
+        await connection.beginTransaction();
+
+        // Only one report of the payment gets past here at a time; the others find its order
+        await connection.execute('SELECT id FROM carts WHERE id = ? FOR UPDATE', [cartId]);
+        const [existing] = await connection.execute(
+            'SELECT id FROM orders WHERE payment_provider = ? AND payment_reference = ?',
+            [provider, reference]
+        );
+        if (existing.length > 0) {
+            await connection.commit();
+            return { orderId: existing[0].id, created: false };
+        }
+
+        // 1. The checkout's lines: the stock held for it when the payment was opened
+        const [items] = await connection.execute(
+            `SELECT r.product_id, r.variant_id, r.quantity, r.unit_price, p.price, p.allow_backorder,
+                v.title as variant_title, v.sku
+             FROM stock_reservations r JOIN products p ON r.product_id = p.id
+             LEFT JOIN product_variants v ON r.variant_id = v.id
+             WHERE r.payment_provider = ? AND r.payment_reference = ?
+             ORDER BY r.id`, [provider, reference]
+        );
+        if (items.length === 0) {
+            // Nothing was held for it, so there is nothing to fulfill
+            console.error(`No stock was held for ${provider} checkout ${reference}; no order was created.`);
+            await connection.commit();
+            return { orderId: null, created: false };
+        }
+        // Holds from before unit_price was recorded fall back to today's price (sale and variant prices included)
+        const unpriced = items.filter(item => item.unit_price === null);
+        const priceMap = unpriced.length > 0
+            ? await getActivePricesForProducts(
+                unpriced.map(item => item.product_id),
+                unpriced.filter(item => item.variant_id).map(item => item.variant_id)
+            )
+            : new Map();
+
+        // 2. Create the order. The amounts are the provider's, i.e. what was actually charged, turned back into USD
+        //    at the rate it was charged at; charged_total keeps the exact amount in the currency the shopper paid in
+        const exchangeRate = Number(checkout.exchangeRate) || 1;
+        const toUsd = (amount) => Math.round(Number(amount || 0) * 100 / exchangeRate) / 100;
+        const [newOrderResult] = await connection.execute(
+            `INSERT INTO orders (user_id, total_amount, subtotal_amount, discount_amount, shipping_amount, coupon_code,
+                currency, exchange_rate, charged_total, status, payment_provider, payment_reference)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'paid', ?, ?)`,
+            [
+                userId, toUsd(checkout.total), toUsd(checkout.subtotal), toUsd(checkout.discount), toUsd(checkout.shipping),
+                checkout.couponCode || null, checkout.currency, exchangeRate, checkout.total, provider, reference
+            ]
+        );
+        orderId = newOrderResult.insertId;
+        await recordRedemptions(checkout.promotions, userId, orderId, connection);
+
+        // 3. Copy the items to order_items and take them out of stock
+        for (const item of items) {
+            const pricing = priceMap.get(priceKey(item.product_id, item.variant_id));
+            await connection.execute(
+                `INSERT INTO order_items (order_id, product_id, variant_id, variant_title, sku, quantity, price_at_purchase)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    orderId, item.product_id, item.variant_id, item.variant_title || null, item.sku || null,
+                    item.quantity, item.unit_price ?? (pricing ? pricing.active_price : item.price)
+                ]
+            );
+
+            // Recorded in the inventory ledger as a sale
+            const balance = await recordStockMovement({
+                productId: item.product_id, variantId: item.variant_id, change: -item.quantity,
+                reason: 'sale', orderId
+            }, connection);
+            if (item.variant_id) await syncVariantStock(item.product_id, connection);
+            // The payment has been taken, so the order stands; someone needs to sort out the missing stock
+            if (balance < 0 && !item.allow_backorder) {
+                console.warn(`Order ${orderId} oversold product ${item.product_id}${item.variant_id ? ` (variant ${item.variant_id})` : ''}: stock is now ${balance}.`);
+            }
+        }
+
+        // 4. The stock held for this checkout has now been sold
+        await convertReservations({ provider, reference }, orderId, connection);
+
+        // 5. Take what was bought out of the cart; anything added since stays for next time
+        for (const item of items) {
+            await connection.execute(
+                'DELETE FROM cart_items WHERE cart_id = ? AND product_id = ? AND variant_id <=> ?',
+                [cartId, item.product_id, item.variant_id]
+            );
+        }
+        await connection.execute('UPDATE carts SET coupon_code = NULL WHERE id = ?', [cartId]);
+
+        await connection.commit();
+        soldProductIds = [...new Set(items.map(item => item.product_id))];
+        console.log(`Order ${orderId} (${provider} ${reference}) fulfilled, stock updated, and cart ${cartId} updated.`);
+    } catch (error) {
+        await connection.rollback(); // If any step fails, undo everything
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    // Tell sellers straight away if this sale left anything running low; the order stands either way
+    try {
+        await sendLowStockAlerts(soldProductIds);
+    } catch (error) {
+        console.error('Error sending low-stock alerts:', error);
+    }
+    return { orderId, created: true };
+};
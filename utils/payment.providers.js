@@ -0,0 +1,254 @@
+// utils/payment.providers.js
+// The ways shoppers can pay at checkout. Each provider takes the payment its own way; what happens once it has been
+// paid (the order, stock and cart) is the same for all of them, in fulfillOrder (utils/order.helpers.js).
+//
+// A provider has:
+//   name, label                       - e.g. 'stripe', 'Card'
+//   currency                          - the currency it always charges in, or null for the shopper's (see chargeCurrency)
+//   isEnabled()                       - whether it has been set up
+//   chargeCurrency(shopperCurrency)   - the currency to charge in (a row like resolveCurrency's)
+//   createCheckout(checkout)          - opens a payment; resolves to { reference, url }, where url is where the shopper pays
+//   closeCheckout(reference)          - stops an unpaid payment from being paid; resolves to true if it had already been paid
+//   loadPaidCheckout(reference)       - the payment as fulfillOrder takes it, or null if it hasn't been paid (yet)
+//   verifyWebhook(rawBody, headers)   - the event the webhook carries; throws if the request didn't come from the provider
+//   readWebhook(event)                - { type: 'paid', checkout } | { type: 'expired', reference } | { type: null };
+//                                       may ask the provider about the payment, so it can fail like any other request
+import Stripe from 'stripe';
+import dotenv from 'dotenv';
+import { BASE_CURRENCY, resolveCurrency } from './currency.helpers.js';
+import {
+    ESPEES_CURRENCY, isEspeesConfigured, createPayment, getPayment, cancelPayment, verifyWebhookSignature
+} from './espees.client.js';
+
+dotenv.config();
+
+// Initialize Stripe with your secret key
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+const toStripeAmount = (amount) => Math.round(amount * 100);
+
+/**
+ * Deletes the one-off coupon a Checkout session was opened with, once the session can no longer use it.
+ * @param {string|undefined} couponId - From the session's stripeCouponId metadata.
+ */
+const deleteStripeCoupon = async (couponId) => {
+    if (!couponId) return;
+    try {
+        await stripe.coupons.del(couponId);
+    } catch (error) {
+        if (error.code !== 'resource_missing') throw error; // Already gone, e.g. the webhook got there first
+    }
+};
+
+/**
+ * A Stripe Checkout session, as fulfillOrder takes it.
+ */
+const stripeCheckout = (session) => ({
+    provider: 'stripe',
+    reference: session.id,
+    userId: Number(session.metadata.userId),
+    cartId: Number(session.metadata.cartId),
+    currency: (session.currency || BASE_CURRENCY).toUpperCase(),
+    exchangeRate: Number(session.metadata.exchangeRate) || 1,
+    total: session.amount_total / 100,
+    subtotal: session.amount_subtotal / 100,
+    discount: (session.total_details?.amount_discount || 0) / 100,
+    shipping: (session.total_details?.amount_shipping || 0) / 100,
+    couponCode: session.metadata.couponCode || null,
+    promotions: session.metadata.promotions
+});
+
+const stripeProvider = {
+    name: 'stripe',
+    label: 'Card',
+    currency: null,
+
+    isEnabled: () => Boolean(process.env.STRIPE_SECRET_KEY),
+
+    // The shopper's currency if the shop charges in it, otherwise USD
+    chargeCurrency: async (shopperCurrency) => shopperCurrency.charge_in_currency ? shopperCurrency : resolveCurrency(BASE_CURRENCY),
+
+    async createCheckout({ userId, cartId, appUrl, lines, charge, discountName, expiresAt, metadata }) {
+        const currency = charge.currency.toLowerCase();
+        const line_items = lines.map(line => ({
+            price_data: {
+                currency,
+                product_data: { name: line.name },
+                unit_amount: toStripeAmount(line.unitAmount)
+            },
+            quantity: line.quantity
+        }));
+
+        // Stripe takes the discount as a one-off coupon for the whole amount, so its total matches ours to the cent.
+        // Its id goes in the session's metadata, so it can be deleted if the session is never paid.
+        let discounts;
+        let stripeCouponId;
+        if (charge.discount_total > 0) {
+            const stripeCoupon = await stripe.coupons.create({
+                amount_off: toStripeAmount(charge.discount_total),
+                currency,
+                duration: 'once',
+                max_redemptions: 1,
+                name: discountName.slice(0, 40)
+            });
+            stripeCouponId = stripeCoupon.id;
+            discounts = [{ coupon: stripeCouponId }];
+        }
+        const shipping_options = charge.shipping > 0
+            ? [{
+                shipping_rate_data: {
+                    type: 'fixed_amount',
+                    display_name: 'Shipping',
+                    fixed_amount: { amount: toStripeAmount(charge.shipping), currency }
+                }
+            }]
+            : undefined;
+
+        let session;
+        try {
+            session = await stripe.checkout.sessions.create({
+                payment_method_types: ['card'],
+                line_items,
+                discounts,
+                shipping_options,
+                mode: 'payment',
+                expires_at: Math.floor(expiresAt.getTime() / 1000),
+                locale: 'auto', // This tells Stripe to auto-detect the user's language/region.
+                success_url: `${appUrl}/order-success.html?provider=stripe&reference={CHECKOUT_SESSION_ID}`,
+                cancel_url: `${appUrl}/cart.html?checkout=cancelled`,
+                metadata: { userId, cartId, exchangeRate: String(charge.rate), ...(stripeCouponId && { stripeCouponId }), ...metadata }
+            });
+        } catch (error) {
+            await deleteStripeCoupon(stripeCouponId);
+            throw error;
+        }
+        return { reference: session.id, url: session.url };
+    },
+
+    async closeCheckout(reference) {
+        const session = await stripe.checkout.sessions.retrieve(reference);
+        if (session.status === 'complete') return true;
+        if (session.status === 'open') await stripe.checkout.sessions.expire(reference);
+        await deleteStripeCoupon(session.metadata?.stripeCouponId);
+        return false;
+    },
+
+    async loadPaidCheckout(reference) {
+        const session = await stripe.checkout.sessions.retrieve(reference);
+        return session.payment_status === 'paid' ? stripeCheckout(session) : null;
+    },
+
+    verifyWebhook: (rawBody, headers) => stripe.webhooks.constructEvent(rawBody, headers['stripe-signature'], process.env.STRIPE_WEBHOOK_SECRET),
+
+    async readWebhook(event) {
+        if (event.type === 'checkout.session.completed') return { type: 'paid', checkout: stripeCheckout(event.data.object) };
+        if (event.type === 'checkout.session.expired') {
+            await deleteStripeCoupon(event.data.object.metadata?.stripeCouponId);
+            return { type: 'expired', reference: event.data.object.id };
+        }
+        return { type: null };
+    }
+};
+
+/**
+ * An Espees payment, as fulfillOrder takes it. The breakdown of the total travels in its metadata.
+ */
+const espeesCheckout = (payment) => ({
+    provider: 'espees',
+    reference: payment.id,
+    userId: Number(payment.metadata.userId),
+    cartId: Number(payment.metadata.cartId),
+    currency: payment.currency.toUpperCase(),
+    exchangeRate: Number(payment.metadata.exchangeRate) || 1,
+    total: Number(payment.amount),
+    subtotal: Number(payment.metadata.subtotal),
+    discount: Number(payment.metadata.discount),
+    shipping: Number(payment.metadata.shipping),
+    couponCode: payment.metadata.couponCode || null,
+    promotions: payment.metadata.promotions
+});
+
+const espeesProvider = {
+    name: 'espees',
+    label: 'Espees',
+    currency: ESPEES_CURRENCY,
+
+    isEnabled: isEspeesConfigured,
+
+    // Falls back to USD if ESPEES_CURRENCY isn't one the shop offers
+    chargeCurrency: async () => resolveCurrency(ESPEES_CURRENCY),
+
+    async createCheckout({ userId, cartId, appUrl, charge, expiresAt, metadata }) {
+        const payment = await createPayment({
+            amount: charge.total,
+            currency: charge.currency,
+            description: `Order from cart ${cartId}`,
+            returnUrl: `${appUrl}/order-success.html?provider=espees&reference={PAYMENT_ID}`,
+            cancelUrl: `${appUrl}/cart.html?checkout=cancelled`,
+            callbackUrl: `${appUrl}/api/checkout/webhook/espees`,
+            expiresAt,
+            metadata: {
+                userId, cartId, exchangeRate: charge.rate,
+                subtotal: charge.subtotal, discount: charge.discount_total, shipping: charge.shipping,
+                ...metadata
+            }
+        });
+        return { reference: payment.id, url: payment.checkout_url };
+    },
+
+    async closeCheckout(reference) {
+        const payment = await getPayment(reference);
+        if (payment.status === 'pending') {
+            try {
+                await cancelPayment(reference);
+            } catch (error) {
+                if (error.response?.status === 409) return true; // Paid while we were asking
+                throw error;
+            }
+        }
+        return payment.status === 'paid';
+    },
+
+    async loadPaidCheckout(reference) {
+        const payment = await getPayment(reference);
+        return payment.status === 'paid' ? espeesCheckout(payment) : null;
+    },
+
+    verifyWebhook(rawBody, headers) {
+        if (!verifyWebhookSignature(rawBody, headers['x-espees-signature'])) throw new Error('Invalid Espees signature.');
+        return JSON.parse(rawBody.toString('utf8'));
+    },
+
+    // The webhook only says which payment changed; what it says about it is checked with Espees
+    async readWebhook(event) {
+        const paymentId = event.data?.id;
+        if (!paymentId) return { type: null };
+
+        const payment = await getPayment(paymentId);
+        if (payment.status === 'paid') return { type: 'paid', checkout: espeesCheckout(payment) };
+        if (['cancelled', 'expired'].includes(payment.status)) return { type: 'expired', reference: payment.id };
+        return { type: null };
+    }
+};
+
+const PROVIDERS = { stripe: stripeProvider, espees: espeesProvider };
+
+/**
+ * A payment provider by name, if it is set up.
+ * @param {string} name - e.g. 'espees'.
+ * @returns {object|null}
+ */
+export const getPaymentProvider = (name) => {
+    const provider = PROVIDERS[name];
+    return provider && provider.isEnabled() ? provider : null;
+};
+
+/**
+ * The providers shoppers can choose from at checkout.
+ * @returns {Array<{name: string, label: string, currency: string|null}>}
+ */
+export const listPaymentProviders = () => {
+    return Object.values(PROVIDERS)
+        .filter(provider => provider.isEnabled())
+        .map(({ name, label, currency }) => ({ name, label, currency }));
+};
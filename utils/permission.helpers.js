@@ -0,0 +1,75 @@
+// utils/permission.helpers.js
+import pool from '../config/db.js';
+
+// The Superadmin always has every permission, so new permissions never need to be granted to it.
+export const SUPERADMIN_ROLE = 'Superadmin';
+
+// Role permissions are read on nearly every protected request, so keep them in memory briefly.
+// Editing a role clears the cache straight away.
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map(); // role name -> { permissions: Set, loadedAt }
+let allPermissionsCache = null;
+
+/**
+ * Lists every permission name that exists.
+ * @returns {Promise<Array<string>>}
+ */
+const getAllPermissionNames = async () => {
+    if (allPermissionsCache && Date.now() - allPermissionsCache.loadedAt < CACHE_TTL_MS) {
+        return allPermissionsCache.names;
+    }
+    const [rows] = await pool.execute('SELECT name FROM permissions ORDER BY name');
+    allPermissionsCache = { names: rows.map(row => row.name), loadedAt: Date.now() };
+    return allPermissionsCache.names;
+};
+
+/**
+ * Returns the permissions granted to a role.
+ * @param {string} roleName - The role name stored on the user (e.g. 'SBO').
+ * @returns {Promise<Set<string>>} An empty set for unknown roles.
+ */
+export const getRolePermissions = async (roleName) => {
+    if (!roleName) return new Set();
+    if (roleName === SUPERADMIN_ROLE) return new Set(await getAllPermissionNames());
+
+    const cached = cache.get(roleName);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) return cached.permissions;
+
+    const [rows] = await pool.execute(
+        `SELECT p.name
+         FROM roles r
+         JOIN role_permissions rp ON rp.role_id = r.id
+         JOIN permissions p ON p.id = rp.permission_id
+         WHERE r.name = ?`,
+        [roleName]
+    );
+    const permissions = new Set(rows.map(row => row.name));
+    cache.set(roleName, { permissions, loadedAt: Date.now() });
+    return permissions;
+};
+
+/**
+ * Same as getRolePermissions, as a sorted array for sending to the frontend.
+ * @param {string} roleName - The role name.
+ * @returns {Promise<Array<string>>}
+ */
+export const listRolePermissions = async (roleName) => {
+    return [...await getRolePermissions(roleName)].sort();
+};
+
+/**
+ * Forgets cached role permissions. Call after editing roles.
+ */
+export const clearPermissionCache = () => {
+    cache.clear();
+    allPermissionsCache = null;
+};
+
+/**
+ * Checks a permission on a request that has been through requirePermission().
+ * Used for the "own vs. any" checks inside handlers, e.g. editing a product.
+ * @param {object} req - The Express request.
+ * @param {string} permission - The permission name.
+ * @returns {boolean}
+ */
+export const can = (req, permission) => Boolean(req.permissions && req.permissions.has(permission));
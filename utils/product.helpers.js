@@ -1,16 +1,56 @@
 // utils/product.helpers.js
 import pool from '../config/db.js';
+import { recordStockMovement, setStockLevel } from './inventory.helpers.js';
+
+// The sale window is always the product's; a variant only overrides the amounts.
+const SALE_IS_LIVE = `sale_price_value IS NOT NULL AND (p.sale_start_date IS NULL OR p.sale_start_date <= NOW()) AND (p.sale_end_date IS NULL OR p.sale_end_date >= NOW())`;
+
+/**
+ * The key a price is stored under in the map from getActivePricesForProducts.
+ * Plain products use their id, so existing `priceMap.get(productId)` lookups keep working.
+ * @param {number} productId - The product id.
+ * @param {number|null} [variantId] - The variant id, if the item is a variant.
+ * @returns {number|string}
+ */
+export const priceKey = (productId, variantId = null) => variantId ? `${productId}:${variantId}` : productId;
 
 /**
  * A robust function to get the current, correct price for a list of products.
  * This is the SINGLE SOURCE OF TRUTH for pricing.
+ * A variant uses its own price if it has one (and then only its own sale price), otherwise the
+ * product's price and sale price. Look variant prices up with priceKey(productId, variantId).
  * @param {Array<number>} productIds - An array of product IDs to check.
- * @returns {Map<number, {active_price: number, original_price: number|null}>} A map where the key is the product ID and the value is its pricing info.
+ * @param {Array<number>} [variantIds] - Variant IDs to price as well.
+ * @returns {Map<number|string, {active_price: number, original_price: number|null}>} A map where the key is the product ID (or priceKey) and the value is its pricing info.
  */
-export const getActivePricesForProducts = async (productIds) => {
-    if (!productIds || productIds.length === 0) {
+export const getActivePricesForProducts = async (productIds, variantIds = []) => {
+    if ((!productIds || productIds.length === 0) && variantIds.length === 0) {
         return new Map();
     }
+    const priceMap = new Map();
+
+    if (variantIds.length > 0) {
+        const [variantRows] = await pool.query(
+            `SELECT product_id, variant_id, base_price,
+                CASE WHEN ${SALE_IS_LIVE} THEN sale_price_value ELSE base_price END as active_price,
+                CASE WHEN ${SALE_IS_LIVE} THEN base_price ELSE NULL END as original_price
+             FROM (
+                SELECT v.product_id, v.id as variant_id, p.sale_start_date, p.sale_end_date,
+                    COALESCE(v.price, p.price) as base_price,
+                    CASE WHEN v.price IS NULL THEN COALESCE(v.sale_price, p.sale_price) ELSE v.sale_price END as sale_price_value
+                FROM product_variants v JOIN products p ON v.product_id = p.id
+                WHERE v.id IN (?)
+             ) p`,
+            [variantIds]
+        );
+        for (const row of variantRows) {
+            priceMap.set(priceKey(row.product_id, row.variant_id), {
+                active_price: parseFloat(row.active_price),
+                original_price: row.original_price ? parseFloat(row.original_price) : null,
+            });
+        }
+    }
+    if (!productIds || productIds.length === 0) return priceMap;
 
     const priceQuery = `
         SELECT 
@@ -34,7 +74,6 @@ export const getActivePricesForProducts = async (productIds) => {
     const [rows] = await pool.query(priceQuery, [productIds]);
 
     // Convert the result array into a Map for easy lookup (e.g., prices.get(productId))
-    const priceMap = new Map();
     for (const row of rows) {
         priceMap.set(row.id, {
             active_price: parseFloat(row.active_price),
@@ -43,4 +82,219 @@ export const getActivePricesForProducts = async (productIds) => {
     }
 
     return priceMap;
-};
\ No newline at end of file
+};
+
+// How many option types (Size, Colour, ...) a product may have. Three keeps the matrix manageable.
+const MAX_PRODUCT_OPTIONS = 3;
+
+/**
+ * Loads a product's option types and variants.
+ * @param {number} productId - The product.
+ * @param {object} [settings]
+ * @param {boolean} [settings.activeOnly] - Leave out switched-off variants (for the shop).
+ * @param {object} [db] - A pool or transaction connection.
+ * @returns {Promise<{options: Array<{id: number, name: string, values: Array<string>}>, variants: Array<object>}>}
+ *   Each variant carries `image_ids`, the product images assigned to it.
+ */
+export const loadProductVariants = async (productId, { activeOnly = false } = {}, db = pool) => {
+    const [options] = await db.execute(
+        'SELECT id, name, option_values FROM product_options WHERE product_id = ? ORDER BY position, id',
+        [productId]
+    );
+    const [variants] = await db.execute(
+        `SELECT id, sku, title, options, price, sale_price, stock_quantity, is_active
+         FROM product_variants
+         WHERE product_id = ? ${activeOnly ? 'AND is_active = TRUE' : ''}
+         ORDER BY position, id`,
+        [productId]
+    );
+    const [images] = await db.execute(
+        'SELECT id, variant_id FROM product_images WHERE product_id = ? AND variant_id IS NOT NULL',
+        [productId]
+    );
+
+    return {
+        options: options.map(option => ({ id: option.id, name: option.name, values: option.option_values })),
+        variants: variants.map(variant => ({
+            ...variant,
+            is_active: Boolean(variant.is_active),
+            image_ids: images.filter(image => image.variant_id === variant.id).map(image => image.id)
+        }))
+    };
+};
+
+/**
+ * Checks a variant matrix sent by the product editor.
+ * @param {object} payload - { options: [{name, values}], variants: [{id?, options, sku, price, sale_price, stock_quantity, is_active, image_ids}] }
+ * @returns {string|null} A message describing the first problem, or null if it's valid.
+ */
+export const validateVariantPayload = ({ options, variants }) => {
+    if (!Array.isArray(options) || !Array.isArray(variants)) return 'Options and variants must both be lists.';
+    if (options.length > MAX_PRODUCT_OPTIONS) return `A product can have at most ${MAX_PRODUCT_OPTIONS} options.`;
+    if (options.length === 0 && variants.length > 0) return 'Add at least one option (e.g. Size) before adding variants.';
+
+    const optionNames = new Set();
+    for (const option of options) {
+        const name = (option.name || '').trim();
+        if (!name || name.length > 50) return 'Every option needs a name of up to 50 characters.';
+        if (optionNames.has(name.toLowerCase())) return `The option "${name}" is listed twice.`;
+        optionNames.add(name.toLowerCase());
+        if (!Array.isArray(option.values) || option.values.length === 0) return `Give the option "${name}" at least one value.`;
+        if (new Set(option.values).size !== option.values.length) return `The option "${name}" has the same value twice.`;
+    }
+
+    const combinations = new Set();
+    const skus = new Set();
+    for (const variant of variants) {
+        const chosen = variant.options || {};
+        for (const option of options) {
+            if (!option.values.includes(chosen[option.name])) {
+                return `Every variant needs a valid ${option.name}.`;
+            }
+        }
+        const combination = options.map(option => chosen[option.name]).join('\u0000');
+        if (combinations.has(combination)) return `There are two variants for ${options.map(option => chosen[option.name]).join(' / ')}.`;
+        combinations.add(combination);
+
+        if (variant.sku) {
+            if (skus.has(variant.sku)) return `The SKU "${variant.sku}" is used twice.`;
+            skus.add(variant.sku);
+        }
+        for (const field of ['price', 'sale_price']) {
+            if (variant[field] !== null && variant[field] !== undefined && variant[field] !== '' && !(Number(variant[field]) >= 0)) {
+                return 'Variant prices must be positive numbers.';
+            }
+        }
+        if (!Number.isInteger(Number(variant.stock_quantity ?? 0)) || Number(variant.stock_quantity ?? 0) < 0) {
+            return 'Variant stock must be a whole number of zero or more.';
+        }
+    }
+    return null;
+};
+
+/**
+ * Replaces a product's options and variants with the ones from the editor.
+ * Variants sent with an id are updated in place (so carts and past orders keep pointing at them),
+ * new ones are inserted and any left out are deleted. Stock changes are recorded in the inventory ledger.
+ * The product's own stock becomes the total of its active variants, so listings and low-stock views stay meaningful.
+ * Must be called inside a transaction, after validateVariantPayload.
+ * @param {number} productId - The product.
+ * @param {object} payload - See validateVariantPayload.
+ * @param {object} connection - A transaction connection.
+ * @param {number} [userId] - Who saved the variants, for the inventory ledger.
+ */
+export const saveProductVariants = async (productId, { options, variants }, connection, userId = null) => {
+    const optionOrder = options.map(option => option.name.trim());
+    // Variants carry their product's seller, whose SKUs must be unique (see unique_variant_sku)
+    const [productResult] = await connection.execute('SELECT sbo_id FROM products WHERE id = ?', [productId]);
+    const sboId = productResult[0].sbo_id;
+
+    await connection.execute('DELETE FROM product_options WHERE product_id = ?', [productId]);
+    for (const [position, option] of options.entries()) {
+        await connection.execute(
+            'INSERT INTO product_options (product_id, name, option_values, position) VALUES (?, ?, ?, ?)',
+            [productId, option.name.trim(), JSON.stringify(option.values), position]
+        );
+    }
+
+    const [existing] = await connection.execute('SELECT id FROM product_variants WHERE product_id = ?', [productId]);
+    const existingIds = new Set(existing.map(row => row.id));
+    // Delete the dropped variants first, so a new variant can reuse one of their SKUs
+    const sentIds = new Set(variants.map(variant => Number(variant.id)));
+    const removedIds = [...existingIds].filter(id => !sentIds.has(id));
+    if (removedIds.length > 0) {
+        await connection.query('DELETE FROM product_variants WHERE id IN (?)', [removedIds]);
+    }
+    await connection.execute('UPDATE product_images SET variant_id = NULL WHERE product_id = ?', [productId]);
+
+    for (const [position, variant] of variants.entries()) {
+        const chosen = Object.fromEntries(optionOrder.map(name => [name, variant.options[name]]));
+        const values = [
+            variant.sku || null,
+            optionOrder.map(name => chosen[name]).join(' / '),
+            JSON.stringify(chosen),
+            variant.price === '' || variant.price === undefined ? null : variant.price,
+            variant.sale_price === '' || variant.sale_price === undefined ? null : variant.sale_price,
+            variant.is_active === undefined ? true : Boolean(variant.is_active),
+            position
+        ];
+        const stockQuantity = Number(variant.stock_quantity || 0);
+
+        let variantId = Number(variant.id);
+        if (existingIds.has(variantId)) {
+            await connection.execute(
+                `UPDATE product_variants SET sku = ?, title = ?, options = ?, price = ?, sale_price = ?, is_active = ?, position = ?,
+                    sbo_id = ?
+                 WHERE id = ?`,
+                [...values, sboId, variantId]
+            );
+            await setStockLevel({
+                productId, variantId, quantity: stockQuantity, reason: 'adjustment', note: 'Changed in the variant editor', userId
+            }, connection);
+        } else {
+            const [result] = await connection.execute(
+                `INSERT INTO product_variants (sku, title, options, price, sale_price, stock_quantity, is_active, position, product_id, sbo_id)
+                 VALUES (?, ?, ?, ?, ?, 0, ?, ?, ?, ?)`,
+                [...values, productId, sboId]
+            );
+            variantId = result.insertId;
+            await recordStockMovement({
+                productId, variantId, change: stockQuantity, reason: 'initial', note: 'New variant', userId
+            }, connection);
+        }
+
+        if (Array.isArray(variant.image_ids) && variant.image_ids.length > 0) {
+            await connection.query(
+                'UPDATE product_images SET variant_id = ? WHERE product_id = ? AND id IN (?)',
+                [variantId, productId, variant.image_ids]
+            );
+        }
+    }
+
+    await syncVariantStock(productId, connection);
+};
+
+/**
+ * Sets a product's stock to the total of its active variants. Does nothing for products without variants.
+ * @param {number} productId - The product.
+ * @param {object} [db] - A pool or transaction connection.
+ */
+export const syncVariantStock = async (productId, db = pool) => {
+    await db.execute(
+        `UPDATE products p
+         JOIN (SELECT product_id, SUM(stock_quantity) as total FROM product_variants
+               WHERE product_id = ? AND is_active = TRUE GROUP BY product_id) v ON v.product_id = p.id
+         SET p.stock_quantity = v.total`,
+        [productId]
+    );
+};
+
+/**
+ * Works out what a cart line can buy: the product itself, or one of its variants.
+ * A product that has active variants can only be bought as one of them.
+ * @param {number} productId - The product.
+ * @param {number|null} variantId - The chosen variant, if any.
+ * @param {object} [db] - A pool or transaction connection.
+ * @returns {Promise<{error?: string, status?: number, stock_quantity?: number, allow_backorder?: boolean, variant?: object|null}>}
+ */
+export const resolvePurchasable = async (productId, variantId, db = pool) => {
+    const [productResult] = await db.execute('SELECT stock_quantity, allow_backorder FROM products WHERE id = ?', [productId]);
+    if (productResult.length === 0) return { status: 404, error: 'Product not found.' };
+    const { stock_quantity, allow_backorder } = productResult[0];
+
+    if (!variantId) {
+        const [variantCount] = await db.execute(
+            'SELECT COUNT(*) as count FROM product_variants WHERE product_id = ? AND is_active = TRUE',
+            [productId]
+        );
+        if (variantCount[0].count > 0) return { status: 400, error: 'Please choose an option (e.g. a size) first.' };
+        return { stock_quantity, allow_backorder: Boolean(allow_backorder), variant: null };
+    }
+
+    const [variantResult] = await db.execute(
+        'SELECT id, title, sku, stock_quantity FROM product_variants WHERE id = ? AND product_id = ? AND is_active = TRUE',
+        [variantId, productId]
+    );
+    if (variantResult.length === 0) return { status: 404, error: 'That option is no longer available.' };
+    return { stock_quantity: variantResult[0].stock_quantity, allow_backorder: Boolean(allow_backorder), variant: variantResult[0] };
+};
@@ -0,0 +1,255 @@
+// utils/promotion.helpers.js
+import pool from '../config/db.js';
+import { loadSectorTree, getSubtreeIds } from './sector.helpers.js';
+
+export const PROMOTION_TYPES = ['percentage', 'fixed_amount', 'free_shipping', 'buy_x_get_y'];
+export const PROMOTION_SCOPES = ['all', 'sector', 'brand', 'sbo', 'product'];
+
+// A flat shipping charge per order. 0 (the default) means shipping is always free, so free_shipping codes save nothing.
+export const SHIPPING_FLAT_RATE = Math.max(parseFloat(process.env.SHIPPING_FLAT_RATE || '0') || 0, 0);
+
+// The order discounts are worked out in: buy-X-get-Y on full prices first, then percentages, then amounts off.
+// Automatic promotions go before the shopper's code.
+const TYPE_ORDER = ['buy_x_get_y', 'percentage', 'fixed_amount', 'free_shipping'];
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const fromCents = (cents) => cents / 100;
+
+/**
+ * Codes are matched without regard to case or surrounding spaces.
+ * @param {string} code - As typed.
+ * @returns {string}
+ */
+export const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Checks a promotion from the admin form and turns it into column values.
+ * @param {object} body - The request body.
+ * @returns {{error?: string, values?: object}}
+ */
+export const validatePromotion = (body) => {
+    const blankToNull = (value) => (value === undefined || value === null || String(value).trim() === '' ? null : value);
+    const wholeNumber = (value) => (blankToNull(value) === null ? null : Number(value));
+    const values = {
+        name: String(body.name || '').trim(),
+        code: normalizeCode(body.code) || null,
+        type: body.type,
+        value: blankToNull(body.value) === null ? null : Number(body.value),
+        buy_quantity: wholeNumber(body.buy_quantity),
+        get_quantity: wholeNumber(body.get_quantity),
+        min_spend: blankToNull(body.min_spend) === null ? null : Number(body.min_spend),
+        usage_limit: wholeNumber(body.usage_limit),
+        per_user_limit: wholeNumber(body.per_user_limit),
+        scope: body.scope || 'all',
+        scope_id: wholeNumber(body.scope_id),
+        starts_at: blankToNull(body.starts_at)?.replace('T', ' ') ?? null, // From datetime-local inputs
+        ends_at: blankToNull(body.ends_at)?.replace('T', ' ') ?? null,
+        is_active: body.is_active === undefined ? true : Boolean(body.is_active)
+    };
+
+    if (!values.name || values.name.length > 255) return { error: 'Please give the promotion a name (at most 255 characters).' };
+    if (values.code && !/^[A-Z0-9_-]{3,50}$/.test(values.code)) {
+        return { error: 'Codes are 3 to 50 letters, numbers, dashes or underscores.' };
+    }
+    if (!PROMOTION_TYPES.includes(values.type)) return { error: `Type must be one of: ${PROMOTION_TYPES.join(', ')}.` };
+    if (values.type === 'percentage' && !(values.value > 0 && values.value <= 100)) return { error: 'The percentage must be more than 0 and at most 100.' };
+    if (values.type === 'fixed_amount' && !(values.value > 0)) return { error: 'The amount off must be more than 0.' };
+    if (values.type === 'free_shipping') values.value = null;
+    if (values.type === 'buy_x_get_y') {
+        if (!(Number.isInteger(values.buy_quantity) && values.buy_quantity >= 1 && Number.isInteger(values.get_quantity) && values.get_quantity >= 1)) {
+            return { error: 'Buy X get Y needs how many to buy and how many they get, both 1 or more.' };
+        }
+        if (values.value === null) values.value = 100;
+        if (!(values.value > 0 && values.value <= 100)) return { error: 'The discount on the "get" items must be more than 0% and at most 100%.' };
+    } else {
+        values.buy_quantity = null;
+        values.get_quantity = null;
+    }
+    if (values.min_spend !== null && !(values.min_spend >= 0)) return { error: 'The minimum spend must be 0 or more.' };
+    for (const limit of ['usage_limit', 'per_user_limit']) {
+        if (values[limit] !== null && !(Number.isInteger(values[limit]) && values[limit] >= 1)) return { error: 'Usage limits must be whole numbers, 1 or more.' };
+    }
+    if (!PROMOTION_SCOPES.includes(values.scope)) return { error: `Scope must be one of: ${PROMOTION_SCOPES.join(', ')}.` };
+    if (values.scope === 'all') values.scope_id = null;
+    else if (!Number.isInteger(values.scope_id)) return { error: `Please choose the ${values.scope} it applies to.` };
+    for (const field of ['starts_at', 'ends_at']) {
+        if (values[field] !== null && Number.isNaN(new Date(values[field]).getTime())) return { error: 'Please enter valid dates.' };
+    }
+    if (values.starts_at && values.ends_at && new Date(values.starts_at) >= new Date(values.ends_at)) {
+        return { error: 'The promotion must end after it starts.' };
+    }
+    return { values };
+};
+
+/**
+ * Whether a cart line falls within a promotion's scope.
+ * Cart lines need product_id, sector_id, brand_id and sbo_profile_id.
+ */
+const isInScope = (promotion, line, sectors) => {
+    switch (promotion.scope) {
+        case 'sector': return getSubtreeIds(sectors, promotion.scope_id).includes(line.sector_id);
+        case 'brand': return line.brand_id === promotion.scope_id;
+        case 'sbo': return line.sbo_profile_id === promotion.scope_id;
+        case 'product': return line.product_id === promotion.scope_id;
+        default: return true;
+    }
+};
+
+/**
+ * Why a promotion can't be used on this cart right now, or null if it can.
+ */
+const whyNotApplicable = (promotion, { subtotalCents, eligibleLines, usage }) => {
+    const now = new Date();
+    if (!promotion.is_active) return 'This code is no longer active.';
+    if (promotion.starts_at && new Date(promotion.starts_at) > now) return "This code isn't valid yet.";
+    if (promotion.ends_at && new Date(promotion.ends_at) < now) return 'This code has expired.';
+    if (promotion.min_spend && subtotalCents < toCents(promotion.min_spend)) {
+        return `Spend $${Number(promotion.min_spend).toFixed(2)} or more to use this code.`;
+    }
+    if (eligibleLines.length === 0) return "This code doesn't apply to anything in your cart.";
+    if (promotion.usage_limit !== null && usage.total >= promotion.usage_limit) return 'This code has been used up.';
+    if (promotion.per_user_limit !== null && usage.mine >= promotion.per_user_limit) return "You've already used this code as many times as it allows.";
+    return null;
+};
+
+/**
+ * Takes a promotion's discount off the eligible lines' remaining amounts (in cents).
+ * @returns {number} The discount, in cents.
+ */
+const applyDiscount = (promotion, eligibleLines) => {
+    let discount = 0;
+    const take = (line, cents) => {
+        const amount = Math.min(Math.max(cents, 0), line.remaining);
+        line.remaining -= amount;
+        discount += amount;
+    };
+
+    if (promotion.type === 'percentage') {
+        eligibleLines.forEach(line => take(line, Math.round(line.remaining * Number(promotion.value) / 100)));
+    } else if (promotion.type === 'fixed_amount') {
+        let left = toCents(promotion.value);
+        for (const line of eligibleLines) {
+            const before = line.remaining;
+            take(line, left);
+            left -= before - line.remaining;
+        }
+    } else if (promotion.type === 'buy_x_get_y') {
+        // Every group of buy + get items (dearest first) gets its cheapest "get" items at value% off
+        const units = eligibleLines
+            .flatMap(line => Array.from({ length: line.quantity }, () => ({ line, price: line.unitCents })))
+            .sort((a, b) => b.price - a.price);
+        const groupSize = promotion.buy_quantity + promotion.get_quantity;
+        for (let start = 0; start + groupSize <= units.length; start += groupSize) {
+            units.slice(start + promotion.buy_quantity, start + groupSize)
+                .forEach(unit => take(unit.line, Math.round(unit.price * Number(promotion.value ?? 100) / 100)));
+        }
+    }
+    return discount;
+};
+
+/**
+ * Loads how many orders each promotion has been used on, in total and by the user.
+ * @returns {Promise<Map<number, {total: number, mine: number}>>}
+ */
+const loadUsage = async (promotionIds, userId, db) => {
+    const usage = new Map(promotionIds.map(id => [id, { total: 0, mine: 0 }]));
+    if (promotionIds.length === 0) return usage;
+    const [rows] = await db.query(
+        `SELECT promotion_id, COUNT(*) as total, SUM(user_id = ?) as mine
+         FROM promotion_redemptions WHERE promotion_id IN (?) GROUP BY promotion_id`,
+        [userId, promotionIds]
+    );
+    rows.forEach(row => usage.set(row.promotion_id, { total: Number(row.total), mine: Number(row.mine) }));
+    return usage;
+};
+
+/**
+ * Works out what a cart costs: its automatic promotions, the shopper's coupon code and shipping.
+ * This is the one place discounts are calculated; the cart, the Stripe session and the order all use it.
+ * @param {Array<{product_id: number, variant_id: number|null, quantity: number, active_price: number,
+ *     sector_id: number|null, brand_id: number|null, sbo_profile_id: number|null}>} items - The cart's lines, with their live prices.
+ * @param {{userId: number, couponCode?: string|null}} shopper - Whose cart it is, and the code they entered.
+ * @param {object} [db] - A pool or transaction connection.
+ * @returns {Promise<{subtotal: number, discounts: Array<{promotion_id: number, name: string, code: string|null, type: string, amount: number}>,
+ *     discount_total: number, shipping: number, total: number, coupon: {code: string, applied: boolean, error: string|null}|null}>}
+ *     Amounts in dollars. A free-shipping discount's amount is the shipping it saved; it isn't part of discount_total.
+ */
+export const priceCart = async (items, { userId, couponCode = null }, db = pool) => {
+    const code = normalizeCode(couponCode) || null;
+    const lines = items.map(item => ({
+        ...item, unitCents: toCents(item.active_price), remaining: toCents(item.active_price) * item.quantity
+    }));
+    const subtotalCents = lines.reduce((total, line) => total + line.remaining, 0);
+    let shippingCents = lines.length > 0 ? toCents(SHIPPING_FLAT_RATE) : 0;
+
+    const [promotions] = await db.query(
+        `SELECT * FROM promotions
+         WHERE (code IS NULL AND is_active = TRUE AND (starts_at IS NULL OR starts_at <= NOW()) AND (ends_at IS NULL OR ends_at >= NOW()))
+            OR code = ?`,
+        [code]
+    );
+    promotions.sort((a, b) => (TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type)) || ((a.code ? 1 : 0) - (b.code ? 1 : 0)) || (a.id - b.id));
+    const sectors = promotions.some(promotion => promotion.scope === 'sector') ? await loadSectorTree(db) : [];
+    const usage = await loadUsage(promotions.map(promotion => promotion.id), userId, db);
+
+    const discounts = [];
+    let coupon = code ? { code, applied: false, error: 'This code is not valid.' } : null;
+    for (const promotion of promotions) {
+        const eligibleLines = lines.filter(line => isInScope(promotion, line, sectors));
+        let error = whyNotApplicable(promotion, { subtotalCents, eligibleLines, usage: usage.get(promotion.id) });
+
+        let amount = 0;
+        if (!error && promotion.type === 'free_shipping') {
+            amount = shippingCents;
+            shippingCents = 0;
+            if (amount === 0) error = 'Shipping is already free.';
+        } else if (!error) {
+            amount = applyDiscount(promotion, eligibleLines);
+            if (amount === 0) {
+                error = promotion.type === 'buy_x_get_y'
+                    ? `Add ${promotion.buy_quantity + promotion.get_quantity} qualifying items to your cart to use this code.`
+                    : "This code doesn't take anything off your cart.";
+            }
+        }
+
+        if (promotion.code) coupon = { code, applied: !error, error };
+        if (!error) {
+            discounts.push({ promotion_id: promotion.id, name: promotion.name, code: promotion.code, type: promotion.type, amount: fromCents(amount) });
+        }
+    }
+
+    const discountCents = subtotalCents - lines.reduce((total, line) => total + line.remaining, 0);
+    return {
+        subtotal: fromCents(subtotalCents),
+        discounts,
+        discount_total: fromCents(discountCents),
+        shipping: fromCents(shippingCents),
+        total: fromCents(subtotalCents - discountCents + shippingCents),
+        coupon
+    };
+};
+
+/**
+ * Writes which promotions a priced cart used into a short string, to travel with the Stripe session
+ * until the webhook records them (see recordRedemptions).
+ * @param {object} pricing - From priceCart.
+ * @returns {string} e.g. "3:5.00,7:12.50"
+ */
+export const encodeRedemptions = (pricing) => pricing.discounts.map(discount => `${discount.promotion_id}:${discount.amount.toFixed(2)}`).join(',');
+
+/**
+ * Records the promotions a paid order used, so usage limits count it.
+ * @param {string} encoded - From encodeRedemptions.
+ * @param {number} userId - The shopper.
+ * @param {number} orderId - The order.
+ * @param {object} [db] - A transaction connection, or the pool.
+ */
+export const recordRedemptions = async (encoded, userId, orderId, db = pool) => {
+    const redemptions = String(encoded || '').split(',').filter(Boolean).map(entry => entry.split(':'));
+    for (const [promotionId, amount] of redemptions) {
+        await db.execute(
+            'INSERT IGNORE INTO promotion_redemptions (promotion_id, user_id, order_id, discount_amount) VALUES (?, ?, ?, ?)',
+            [promotionId, userId, orderId, amount]
+        );
+    }
+};
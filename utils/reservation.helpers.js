@@ -0,0 +1,139 @@
+// utils/reservation.helpers.js
+import pool from '../config/db.js';
+import { resolvePurchasable } from './product.helpers.js';
+
+// How long a checkout stays open for the shopper to pay. Stripe only accepts an expiry between 30 minutes and
+// 24 hours after it creates the session, and we work the expiry out before asking it, so the shortest is 31.
+// The hold outlives its checkout by a few minutes so a payment made at the last moment still finds it.
+export const RESERVATION_MINUTES = Math.min(Math.max(parseInt(process.env.CHECKOUT_RESERVATION_MINUTES || '31') || 31, 31), 24 * 60);
+const RESERVATION_GRACE_MINUTES = 5;
+
+/**
+ * How many of a product (or variant) other shoppers are holding right now.
+ */
+const heldByOtherCarts = async (productId, variantId, cartId, db) => {
+    const [rows] = await db.execute(
+        `SELECT COALESCE(SUM(quantity), 0) as held FROM stock_reservations
+         WHERE status = 'active' AND expires_at > NOW() AND product_id = ? AND variant_id <=> ? AND cart_id <> ?`,
+        [productId, variantId || null, cartId]
+    );
+    return Number(rows[0].held);
+};
+
+/**
+ * Holds a cart's items while the shopper pays. Each item's stock row is locked while it is checked, so two checkouts
+ * can't both take the last unit: what's available is the stock minus what other shoppers are holding.
+ * Must be called inside a transaction; nothing is held if any item can't be. The holds are the checkout's lines:
+ * fulfillOrder makes the order from them, at the price each was charged at.
+ * @param {{cartId: number, userId: number}} cart - The cart being checked out, and its owner.
+ * @param {Array<{product_id: number, variant_id: number|null, quantity: number, name: string, active_price: number}>} items
+ *        The cart's lines, with the price (USD) they are being charged at.
+ * @param {object} connection - A transaction connection.
+ * @returns {Promise<{error?: string, reservationIds?: Array<number>}>} The new holds, or why the cart can't be checked out.
+ */
+export const reserveCartItems = async ({ cartId, userId }, items, connection) => {
+    const reservationIds = [];
+    for (const item of items) {
+        const purchasable = await resolvePurchasable(item.product_id, item.variant_id, connection);
+        if (purchasable.error) {
+            return { error: `Checkout failed for "${item.name}": ${purchasable.error} Please update your cart.` };
+        }
+
+        const [locked] = item.variant_id
+            ? await connection.execute('SELECT stock_quantity FROM product_variants WHERE id = ? FOR UPDATE', [item.variant_id])
+            : await connection.execute('SELECT stock_quantity FROM products WHERE id = ? FOR UPDATE', [item.product_id]);
+        const stock = locked[0].stock_quantity;
+        const held = await heldByOtherCarts(item.product_id, item.variant_id, cartId, connection);
+        if (item.quantity > stock - held && !purchasable.allow_backorder) {
+            return {
+                error: held === 0 || item.quantity > stock
+                    ? `Checkout failed: The quantity for "${item.name}" exceeds the ${Math.max(stock, 0)} available in stock. Please update your cart.`
+                    : stock - held > 0
+                        ? `Only ${stock - held} of "${item.name}" can be bought right now; other shoppers are checking out with the rest. Please update your cart or try again in a few minutes.`
+                        : `The last of "${item.name}" is in another shopper's checkout. If they don't complete it, it will be back within ${RESERVATION_MINUTES} minutes.`
+            };
+        }
+
+        const [result] = await connection.execute(
+            `INSERT INTO stock_reservations (cart_id, user_id, product_id, variant_id, quantity, unit_price, expires_at)
+             VALUES (?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+            [
+                cartId, userId, item.product_id, item.variant_id || null, item.quantity, item.active_price,
+                RESERVATION_MINUTES + RESERVATION_GRACE_MINUTES
+            ]
+        );
+        reservationIds.push(result.insertId);
+    }
+    return { reservationIds };
+};
+
+/**
+ * Records which payment the holds are for, once the provider has opened it.
+ * @param {Array<number>} reservationIds - From reserveCartItems.
+ * @param {{provider: string, reference: string}} checkout - The payment provider and its id for the payment.
+ */
+export const attachReservationsToCheckout = async (reservationIds, { provider, reference }) => {
+    if (reservationIds.length === 0) return;
+    await pool.query(
+        'UPDATE stock_reservations SET payment_provider = ?, payment_reference = ? WHERE id IN (?)',
+        [provider, reference, reservationIds]
+    );
+};
+
+/**
+ * Gives held stock back, by hold id or by payment. Holds that were already paid for are left alone.
+ * @param {{reservationIds?: Array<number>, provider?: string, reference?: string}} which - The holds.
+ * @param {string} [status] - 'released' (the shopper cancelled, or checkout couldn't start) or 'expired'.
+ * @param {object} [db] - A transaction connection, or the pool.
+ */
+export const releaseReservations = async ({ reservationIds, provider, reference }, status = 'released', db = pool) => {
+    if (reference) {
+        await db.execute(
+            "UPDATE stock_reservations SET status = ? WHERE payment_provider = ? AND payment_reference = ? AND status = 'active'",
+            [status, provider, reference]
+        );
+    } else if (reservationIds?.length > 0) {
+        await db.query("UPDATE stock_reservations SET status = ? WHERE id IN (?) AND status = 'active'", [status, reservationIds]);
+    }
+};
+
+/**
+ * Turns a paid checkout's holds into a sale. Holds the sweeper has already expired count too: the payment went through.
+ * @param {{provider: string, reference: string}} checkout - The payment provider and its id for the payment.
+ * @param {number} orderId - The order the payment created.
+ * @param {object} [db] - A transaction connection, or the pool.
+ * @returns {Promise<number>} How many holds there were.
+ */
+export const convertReservations = async ({ provider, reference }, orderId, db = pool) => {
+    const [result] = await db.execute(
+        `UPDATE stock_reservations SET status = 'converted', order_id = ?
+         WHERE payment_provider = ? AND payment_reference = ? AND status IN ('active', 'expired')`,
+        [orderId, provider, reference]
+    );
+    return result.affectedRows;
+};
+
+/**
+ * The payments a cart still holds stock for.
+ * @param {number} cartId - The cart.
+ * @returns {Promise<Array<{provider: string, reference: string}>>}
+ */
+export const loadHeldCheckouts = async (cartId) => {
+    const [rows] = await pool.execute(
+        `SELECT DISTINCT payment_provider, payment_reference FROM stock_reservations
+         WHERE cart_id = ? AND status = 'active' AND payment_reference IS NOT NULL`,
+        [cartId]
+    );
+    return rows.map(row => ({ provider: row.payment_provider, reference: row.payment_reference }));
+};
+
+/**
+ * Scheduled job: gives back stock held by checkouts that were never finished, e.g. when the provider's
+ * expiry notice didn't arrive or the payment was never opened.
+ */
+export const expireStaleReservations = async () => {
+    const [result] = await pool.execute(
+        "UPDATE stock_reservations SET status = 'expired' WHERE status = 'active' AND expires_at < NOW()"
+    );
+    if (result.affectedRows > 0) console.log(`Released ${result.affectedRows} expired stock reservation(s).`);
+};
@@ -0,0 +1,43 @@
+// utils/restock.helpers.js
+import pool from '../config/db.js';
+import { sendBackInStockEmail } from './email.helpers.js';
+import { emailEachUser } from './user.helpers.js';
+
+// Whether a subscription's item (s, joined to p and its variant v) can be bought again
+const ITEM_AVAILABLE = `(CASE WHEN s.variant_id IS NULL THEN p.stock_quantity > 0 ELSE v.is_active = TRUE AND v.stock_quantity > 0 END)`;
+
+/**
+ * Asks to be emailed when a product (or variant) is back in stock. Asking again after being emailed starts a new wait.
+ * @param {number} userId - The shopper.
+ * @param {number} productId - The product.
+ * @param {number|null} variantId - The variant, for products sold as variants.
+ */
+export const subscribeToRestock = async (userId, productId, variantId) => {
+    await pool.execute(
+        `INSERT INTO restock_subscriptions (user_id, product_id, variant_id) VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE notified_at = NULL, created_at = CURRENT_TIMESTAMP`,
+        [userId, productId, variantId || null]
+    );
+};
+
+/**
+ * Scheduled job: emails shoppers whose items are back in stock, one email per shopper.
+ * Each subscription is used once; shoppers can ask again if it sells out before they buy.
+ */
+export const sendBackInStockNotifications = async () => {
+    const [ready] = await pool.query(
+        `SELECT s.id, s.user_id, s.product_id, p.name, v.title as variant_title
+         FROM restock_subscriptions s
+         JOIN products p ON s.product_id = p.id
+         LEFT JOIN product_variants v ON s.variant_id = v.id
+         WHERE s.notified_at IS NULL AND p.is_active = TRUE AND ${ITEM_AVAILABLE}`
+    );
+    if (ready.length === 0) return;
+
+    const markNotified = (rows) => rows.length > 0
+        ? pool.query('UPDATE restock_subscriptions SET notified_at = NOW() WHERE id IN (?)', [rows.map(row => row.id)])
+        : null;
+    const sent = await emailEachUser(ready, { what: 'back-in-stock email', send: sendBackInStockEmail, markDone: markNotified });
+
+    if (sent > 0) console.log(`Sent back-in-stock emails to ${sent} user(s).`);
+};
@@ -0,0 +1,78 @@
+// utils/review.helpers.js
+import pool from '../config/db.js';
+
+export const REVIEW_PAGE_SIZE = 10;
+export const MAX_REVIEW_PHOTOS = 5;
+
+// Flagged reviews stay up until a moderator hides them.
+export const VISIBLE_STATUSES = ['published', 'flagged'];
+
+export const REVIEW_SORTS = {
+    newest: 'r.created_at DESC',
+    highest: 'r.rating DESC, r.created_at DESC',
+    lowest: 'r.rating ASC, r.created_at DESC'
+};
+
+/**
+ * Finds the delivered order that lets a user review a product.
+ * @param {number} userId - The would-be reviewer.
+ * @param {number} productId - The product.
+ * @param {object} [db] - A transaction connection, or the pool.
+ * @returns {Promise<number|null>} The most recent delivered order id, or null if they never received it.
+ */
+export const findDeliveredOrder = async (userId, productId, db = pool) => {
+    const [rows] = await db.execute(
+        `SELECT o.id FROM orders o JOIN order_items oi ON oi.order_id = o.id
+         WHERE o.user_id = ? AND oi.product_id = ? AND o.status = 'delivered'
+         ORDER BY o.created_at DESC LIMIT 1`,
+        [userId, productId]
+    );
+    return rows.length > 0 ? rows[0].id : null;
+};
+
+/**
+ * Checks the fields of a review form.
+ * @param {object} body - { rating, title, body }.
+ * @returns {string|null} An error message, or null if the review is valid.
+ */
+export const validateReview = ({ rating, title, body }) => {
+    const stars = Number(rating);
+    if (!Number.isInteger(stars) || stars < 1 || stars > 5) return 'Please choose a rating from 1 to 5 stars.';
+    if (title && String(title).length > 150) return 'The title can be at most 150 characters.';
+    if (body && String(body).length > 5000) return 'The review can be at most 5000 characters.';
+    return null;
+};
+
+/**
+ * Recalculates a product's average rating and review count from its visible reviews.
+ * Call after any change to a review's rating or status.
+ * @param {number} productId - The product.
+ * @param {object} [db] - A transaction connection, or the pool.
+ */
+export const refreshProductRating = async (productId, db = pool) => {
+    await db.query(
+        `UPDATE products p
+         LEFT JOIN (
+            SELECT product_id, AVG(rating) as average, COUNT(*) as count
+            FROM product_reviews WHERE product_id = ? AND status IN (?)
+            GROUP BY product_id
+         ) r ON r.product_id = p.id
+         SET p.rating_average = r.average, p.rating_count = COALESCE(r.count, 0)
+         WHERE p.id = ?`,
+        [productId, VISIBLE_STATUSES, productId]
+    );
+};
+
+/**
+ * Adds each review's photos to a list of reviews.
+ * @param {Array<object>} reviews - product_reviews rows.
+ * @returns {Promise<Array<object>>} The same reviews with an `images` array.
+ */
+export const attachReviewImages = async (reviews) => {
+    if (reviews.length === 0) return reviews;
+    const [images] = await pool.query(
+        'SELECT id, review_id, image_url FROM review_images WHERE review_id IN (?) ORDER BY display_order ASC',
+        [reviews.map(review => review.id)]
+    );
+    return reviews.map(review => ({ ...review, images: images.filter(image => image.review_id === review.id) }));
+};
@@ -0,0 +1,41 @@
+// utils/scheduler.js
+// A minimal in-process job runner. Good enough for a single server; if we ever run several
+// instances, each will run the jobs, so jobs must be safe to run concurrently.
+
+const jobs = [];
+
+/**
+ * Registers a job to run every `intervalMs`. A run is skipped if the previous one is still going.
+ * @param {string} name - Used in log messages.
+ * @param {number} intervalMs - Time between runs. Zero or less disables the job.
+ * @param {function(): Promise<void>} task - The work to do.
+ */
+export const scheduleJob = (name, intervalMs, task) => {
+    if (!intervalMs || intervalMs <= 0) {
+        console.log(`Scheduled job "${name}" is disabled.`);
+        return;
+    }
+    jobs.push({ name, intervalMs, task, running: false, timer: null });
+};
+
+/**
+ * Starts every registered job. Call once, after the server is listening.
+ */
+export const startScheduledJobs = () => {
+    for (const job of jobs) {
+        const run = async () => {
+            if (job.running) return;
+            job.running = true;
+            try {
+                await job.task();
+            } catch (error) {
+                console.error(`Scheduled job "${job.name}" failed:`, error);
+            } finally {
+                job.running = false;
+            }
+        };
+        job.timer = setInterval(run, job.intervalMs);
+        job.timer.unref(); // Don't keep the process alive just for the scheduler
+    }
+    if (jobs.length > 0) console.log(`Started ${jobs.length} scheduled job(s): ${jobs.map(j => j.name).join(', ')}`);
+};
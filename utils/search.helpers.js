@@ -0,0 +1,182 @@
+// utils/search.helpers.js
+import pool from '../config/db.js';
+
+export const SEARCH_PAGE_SIZE = 24;
+
+// Price bands offered as a facet, on the price the customer would actually pay.
+export const PRICE_BANDS = [
+    { key: 'under-25', label: 'Under $25', min: 0, max: 25 },
+    { key: '25-50', label: '$25 to $50', min: 25, max: 50 },
+    { key: '50-100', label: '$50 to $100', min: 50, max: 100 },
+    { key: '100-250', label: '$100 to $250', min: 100, max: 250 },
+    { key: '250-plus', label: '$250 and over', min: 250, max: null }
+];
+
+export const SORT_OPTIONS = {
+    relevance: 'relevance DESC, p.created_at DESC',
+    newest: 'p.created_at DESC',
+    price_asc: 'active_price ASC, p.id',
+    price_desc: 'active_price DESC, p.id',
+    name: 'p.name ASC',
+    rating: 'p.rating_average IS NULL, p.rating_average DESC, p.rating_count DESC'
+};
+
+// Same rules as getActivePricesForProducts, as SQL so it can be filtered and sorted on.
+const SALE_IS_LIVE = `(p.sale_price IS NOT NULL AND (p.sale_start_date IS NULL OR p.sale_start_date <= NOW()) AND (p.sale_end_date IS NULL OR p.sale_end_date >= NOW()))`;
+export const ACTIVE_PRICE = `(CASE WHEN ${SALE_IS_LIVE} THEN p.sale_price ELSE p.price END)`;
+const IN_STOCK = '(p.stock_quantity > 0 OR p.allow_backorder = TRUE)';
+
+const PRICE_BAND_SQL = `(CASE ${PRICE_BANDS.map(band =>
+    `WHEN ${ACTIVE_PRICE} >= ${band.min}${band.max === null ? '' : ` AND ${ACTIVE_PRICE} < ${band.max}`} THEN '${band.key}'`
+).join(' ')} END)`;
+
+/**
+ * Turns what the user typed into a FULLTEXT boolean-mode query: operators are stripped and
+ * every word becomes a prefix match, so "mens shir" still finds "Men's Shirts".
+ * @param {string} text - The raw search text.
+ * @returns {string} The boolean-mode query, or '' if nothing searchable is left.
+ */
+const toBooleanQuery = (text) => text
+    .replace(/[+\-<>()~*"@]+/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => `${word}*`)
+    .join(' ');
+
+/**
+ * Builds the WHERE conditions for a search, each tagged with the facet it belongs to,
+ * so a facet's counts can leave out its own filter (picking "Brand A" still shows how many "Brand B" has).
+ * @param {object} query - The parsed search query (see searchProducts).
+ * @returns {Array<{facet: string|null, sql: string, params: Array}>}
+ */
+const buildConditions = ({ q, sectorIds, brandIds, priceBands, onSale, inStock }) => {
+    const conditions = [{ facet: null, sql: 'p.is_active = TRUE', params: [] }];
+
+    if (q) {
+        const booleanQuery = toBooleanQuery(q);
+        const like = `%${q}%`;
+        // FULLTEXT ignores very short words (like "XL"), so the name/brand/sector LIKEs catch those.
+        conditions.push({
+            facet: null,
+            sql: `(${booleanQuery ? 'MATCH(p.name, p.description) AGAINST (? IN BOOLEAN MODE) OR ' : ''}p.name LIKE ? OR b.name LIKE ? OR s.name LIKE ?
+                   OR EXISTS (SELECT 1 FROM product_variants pv WHERE pv.product_id = p.id AND pv.sku = ?))`,
+            params: [...(booleanQuery ? [booleanQuery] : []), like, like, like, q]
+        });
+    }
+    if (sectorIds.length > 0) conditions.push({ facet: 'sector', sql: 'p.sector_id IN (?)', params: [sectorIds] });
+    if (brandIds.length > 0) conditions.push({ facet: 'brand', sql: 'p.brand_id IN (?)', params: [brandIds] });
+    if (priceBands.length > 0) conditions.push({ facet: 'price', sql: `${PRICE_BAND_SQL} IN (?)`, params: [priceBands] });
+    if (onSale) conditions.push({ facet: 'onSale', sql: SALE_IS_LIVE, params: [] });
+    if (inStock) conditions.push({ facet: 'inStock', sql: IN_STOCK, params: [] });
+    return conditions;
+};
+
+/**
+ * Joins conditions into a WHERE clause, optionally leaving one facet's filter out.
+ * @returns {{where: string, params: Array}}
+ */
+const toWhere = (conditions, exceptFacet = null) => {
+    const used = conditions.filter(condition => !exceptFacet || condition.facet !== exceptFacet);
+    return {
+        where: `WHERE ${used.map(condition => condition.sql).join(' AND ')}`,
+        params: used.flatMap(condition => condition.params)
+    };
+};
+
+const FROM = `FROM products p
+    LEFT JOIN brands b ON p.brand_id = b.id
+    LEFT JOIN sectors s ON p.sector_id = s.id`;
+
+/**
+ * Reads the search options from a query string. Lists may be repeated or comma-separated.
+ * @param {object} query - req.query.
+ * @returns {object} { q, sectorIds, brandIds, priceBands, onSale, inStock, sort, page }
+ */
+export const parseSearchQuery = (query) => {
+    const list = (value) => [].concat(value || []).flatMap(item => String(item).split(',')).filter(Boolean);
+    const ids = (value) => list(value).map(Number).filter(Number.isInteger);
+    const q = String(query.q || '').trim().slice(0, 100);
+    const sort = SORT_OPTIONS[query.sort] ? query.sort : (q ? 'relevance' : 'newest');
+    return {
+        q,
+        sectorIds: ids(query.sector),
+        brandIds: ids(query.brand),
+        priceBands: list(query.price).filter(key => PRICE_BANDS.some(band => band.key === key)),
+        onSale: query.onSale === 'true',
+        inStock: query.inStock === 'true',
+        // Relevance means nothing without search words
+        sort: sort === 'relevance' && !q ? 'newest' : sort,
+        page: Math.max(parseInt(query.page || '1') || 1, 1)
+    };
+};
+
+/**
+ * Searches active products, ranked by relevance (or the chosen sort), one page at a time,
+ * with facet counts for sector, brand, price band, on-sale and in-stock.
+ * @param {object} search - From parseSearchQuery.
+ * @returns {Promise<{products: Array, total: number, currentPage: number, totalPages: number, facets: object}>}
+ */
+export const searchProducts = async (search) => {
+    const conditions = buildConditions(search);
+    const { where, params } = toWhere(conditions);
+    const booleanQuery = search.q ? toBooleanQuery(search.q) : '';
+    const offset = (search.page - 1) * SEARCH_PAGE_SIZE;
+
+    // Natural-language relevance, with a boost when the name itself contains the search text
+    const relevance = search.q
+        ? `(${booleanQuery ? 'MATCH(p.name, p.description) AGAINST (? IN NATURAL LANGUAGE MODE) + ' : ''}(p.name LIKE ?) * 5)`
+        : '0';
+    const relevanceParams = search.q ? [...(booleanQuery ? [search.q] : []), `%${search.q}%`] : [];
+
+    const [products] = await pool.query(
+        `SELECT p.id, p.name, p.price, p.stock_quantity, p.allow_backorder, p.rating_average, p.rating_count,
+            ${ACTIVE_PRICE} as active_price,
+            CASE WHEN ${SALE_IS_LIVE} THEN p.price ELSE NULL END as original_price,
+            b.name as brand_name, s.name as sector_name, sbop.company_name as sbo_company_name,
+            (SELECT image_url FROM product_images pi WHERE pi.product_id = p.id ORDER BY pi.display_order ASC LIMIT 1) as main_image_url,
+            ${relevance} as relevance
+         ${FROM}
+         LEFT JOIN sbo_profiles sbop ON p.sbo_profile_id = sbop.id
+         ${where}
+         ORDER BY ${SORT_OPTIONS[search.sort]}
+         LIMIT ? OFFSET ?`,
+        [...relevanceParams, ...params, SEARCH_PAGE_SIZE, offset]
+    );
+    const [totalResult] = await pool.query(`SELECT COUNT(*) as count ${FROM} ${where}`, params);
+    const total = parseInt(totalResult[0].count);
+
+    // Each facet is counted with every filter except its own
+    const facetQuery = async (facet, select, groupBy = '') => {
+        const facetWhere = toWhere(conditions, facet);
+        const [rows] = await pool.query(`SELECT ${select} ${FROM} ${facetWhere.where} ${groupBy}`, facetWhere.params);
+        return rows;
+    };
+    const sectors = await facetQuery('sector', 's.id, s.name, COUNT(*) as count', 'AND s.id IS NOT NULL GROUP BY s.id, s.name ORDER BY count DESC, s.name');
+    const brands = await facetQuery('brand', 'b.id, b.name, COUNT(*) as count', 'AND b.id IS NOT NULL GROUP BY b.id, b.name ORDER BY count DESC, b.name');
+    const bands = await facetQuery('price', `${PRICE_BAND_SQL} as band, COUNT(*) as count`, 'GROUP BY band');
+    const [onSale] = await facetQuery('onSale', `SUM(${SALE_IS_LIVE}) as count`);
+    const [inStock] = await facetQuery('inStock', `SUM(${IN_STOCK}) as count`);
+
+    return {
+        products: products.map(product => ({
+            ...product,
+            active_price: parseFloat(product.active_price),
+            original_price: product.original_price ? parseFloat(product.original_price) : null,
+            rating_average: product.rating_average !== null ? parseFloat(product.rating_average) : null,
+            allow_backorder: Boolean(product.allow_backorder)
+        })),
+        total,
+        currentPage: search.page,
+        totalPages: Math.ceil(total / SEARCH_PAGE_SIZE),
+        facets: {
+            sectors,
+            brands,
+            priceBands: PRICE_BANDS.map(band => ({
+                key: band.key, label: band.label,
+                count: bands.find(row => row.band === band.key)?.count || 0
+            })),
+            onSale: parseInt(onSale.count || 0),
+            inStock: parseInt(inStock.count || 0)
+        }
+    };
+};
@@ -0,0 +1,109 @@
+// utils/sector.helpers.js
+import pool from '../config/db.js';
+import { slugify } from './tag.helpers.js';
+
+/**
+ * Loads every sector with its parent, in tree order (each parent followed by its children),
+ * with a depth for indenting pickers and a product count that includes every sub-sector.
+ * The sectors table is small, so the tree is always worked out in memory.
+ * @param {object} [db] - A transaction connection, or the pool.
+ * @returns {Promise<Array<object>>}
+ */
+export const loadSectorTree = async (db = pool) => {
+    const [sectors] = await db.execute('SELECT * FROM sectors ORDER BY display_order ASC, name ASC');
+    const [counts] = await db.execute(
+        'SELECT sector_id, COUNT(*) as count FROM products WHERE is_active = TRUE AND sector_id IS NOT NULL GROUP BY sector_id'
+    );
+    const ownCounts = new Map(counts.map(row => [row.sector_id, Number(row.count)]));
+    const known = new Set(sectors.map(sector => sector.id));
+
+    const ordered = [];
+    const visit = (parentId, depth) => {
+        // A parent that no longer exists is treated as the top level
+        const children = sectors.filter(sector => parentId === null
+            ? sector.parent_id === null || !known.has(sector.parent_id)
+            : sector.parent_id === parentId);
+        for (const sector of children) {
+            const entry = { ...sector, depth, product_count: ownCounts.get(sector.id) || 0 };
+            ordered.push(entry);
+            const start = ordered.length;
+            visit(sector.id, depth + 1);
+            entry.product_count += ordered.slice(start).filter(child => child.depth === depth + 1)
+                .reduce((sum, child) => sum + child.product_count, 0);
+        }
+    };
+    visit(null, 0);
+    return ordered;
+};
+
+/**
+ * The ids of a sector and everything below it, for rolling products up through the tree.
+ * @param {Array<object>} sectors - From loadSectorTree.
+ * @param {number} sectorId - The sector at the top.
+ * @returns {Array<number>}
+ */
+export const getSubtreeIds = (sectors, sectorId) => {
+    const ids = [Number(sectorId)];
+    for (let i = 0; i < ids.length; i++) {
+        sectors.filter(sector => sector.parent_id === ids[i]).forEach(sector => ids.push(sector.id));
+    }
+    return ids;
+};
+
+/**
+ * The path from the top of the tree down to a sector, for breadcrumbs.
+ * @param {Array<object>} sectors - From loadSectorTree.
+ * @param {number} sectorId - The sector at the end of the path.
+ * @returns {Array<{id: number, name: string, slug: string}>}
+ */
+export const getBreadcrumbs = (sectors, sectorId) => {
+    const crumbs = [];
+    let current = sectors.find(sector => sector.id === Number(sectorId));
+    while (current && !crumbs.some(crumb => crumb.id === current.id)) {
+        crumbs.unshift({ id: current.id, name: current.name, slug: current.slug });
+        current = sectors.find(sector => sector.id === current.parent_id);
+    }
+    return crumbs;
+};
+
+/**
+ * Checks that moving a sector under a new parent keeps the tree a tree.
+ * @param {Array<object>} sectors - From loadSectorTree.
+ * @param {number} sectorId - The sector being moved.
+ * @param {number|null} parentId - The proposed parent.
+ * @returns {boolean} true if the parent is the sector itself or one of its descendants.
+ */
+export const wouldCreateCycle = (sectors, sectorId, parentId) => {
+    if (!parentId) return false;
+    return getSubtreeIds(sectors, sectorId).includes(Number(parentId));
+};
+
+/**
+ * Builds a slug for a sector name that no other sector is using,
+ * adding -2, -3... when two names slugify the same way (e.g. "Food & Beverage" and "Food Beverage").
+ * @param {string} name - The sector name.
+ * @param {number|null} [excludeId] - The sector being renamed, which may keep its own slug.
+ * @param {object} [db] - A transaction connection, or the pool.
+ * @returns {Promise<string>}
+ */
+export const uniqueSectorSlug = async (name, excludeId = null, db = pool) => {
+    const base = slugify(name) || 'sector';
+    const [rows] = await db.execute(
+        'SELECT slug FROM sectors WHERE (slug = ? OR slug LIKE ?) AND id <> ?',
+        [base, `${base}-%`, excludeId || 0]
+    );
+    const taken = new Set(rows.map(row => row.slug));
+    let slug = base;
+    for (let n = 2; taken.has(slug); n++) slug = `${base}-${n}`;
+    return slug;
+};
+
+/**
+ * Finds the slug for a sector name, for redirecting links from before sectors had slugs.
+ * @param {string} name - The sector name (matched case-insensitively).
+ * @returns {Promise<string|null>}
+ */
+export const findSectorSlugByName = async (name) => {
+    const [rows] = await pool.execute('SELECT slug FROM sectors WHERE name = ? AND slug IS NOT NULL', [name]);
+    return rows.length > 0 ? rows[0].slug : null;
+};
@@ -0,0 +1,119 @@
+// utils/tag.helpers.js
+import pool from '../config/db.js';
+import { ACTIVE_PRICE } from './search.helpers.js';
+
+// How a shelf's products can be ordered. 'bestselling' counts units sold in the last 30 days.
+export const SHELF_SORTS = {
+    newest: 'p.created_at DESC',
+    bestselling: 'total_sold DESC, p.created_at DESC',
+    price_asc: 'active_price ASC, p.id',
+    price_desc: 'active_price DESC, p.id',
+    name: 'p.name ASC'
+};
+
+export const MAX_SHELF_LIMIT = 24;
+
+// What a sector page shows until shelves have been configured for it.
+export const DEFAULT_SHELVES = [
+    { id: null, title: 'Weekly Bestsellers', tag_id: null, sort_by: 'bestselling', item_limit: 10 },
+    { id: null, title: 'New Arrivals', tag_id: null, sort_by: 'newest', item_limit: 10 }
+];
+
+/**
+ * Turns a tag name into its URL slug, e.g. "Family Feasts!" -> "family-feasts".
+ * @param {string} text - The tag name.
+ * @returns {string}
+ */
+export const slugify = (text) => String(text)
+    .toLowerCase()
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 120);
+
+/**
+ * Reads a list of tag ids sent with a product form. Multipart forms send arrays as "1,2,3".
+ * @param {string|Array|undefined} value - The raw tag_ids field.
+ * @returns {Array<number>|undefined} undefined when the field wasn't sent, so existing tags are left alone.
+ */
+export const parseTagIds = (value) => {
+    if (value === undefined) return undefined;
+    return [...new Set([].concat(value).flatMap(item => String(item).split(',')).map(Number).filter(id => Number.isInteger(id) && id > 0))];
+};
+
+/**
+ * Replaces a product's tags.
+ * @param {number} productId - The product.
+ * @param {Array<number>} tagIds - The tags it should have; unknown ids are ignored.
+ * @param {object} [db] - A transaction connection, or the pool.
+ */
+export const setProductTags = async (productId, tagIds, db = pool) => {
+    await db.execute('DELETE FROM product_tags WHERE product_id = ?', [productId]);
+    if (tagIds.length === 0) return;
+    await db.query(
+        'INSERT INTO product_tags (product_id, tag_id) SELECT ?, id FROM tags WHERE id IN (?)',
+        [productId, tagIds]
+    );
+};
+
+/**
+ * Lists the tags on a product.
+ * @param {number} productId - The product.
+ * @param {object} [db] - A transaction connection, or the pool.
+ * @returns {Promise<Array<{id: number, name: string, slug: string}>>}
+ */
+export const loadProductTags = async (productId, db = pool) => {
+    const [tags] = await db.execute(
+        `SELECT t.id, t.name, t.slug FROM product_tags pt JOIN tags t ON t.id = pt.tag_id
+         WHERE pt.product_id = ? ORDER BY t.name`,
+        [productId]
+    );
+    return tags;
+};
+
+/**
+ * Checks a shelf from the admin form.
+ * @param {object} body - { title, tag_id, sort_by, item_limit, position, is_active }.
+ * @returns {string|null} An error message, or null if the shelf is valid.
+ */
+export const validateShelf = ({ title, sort_by, item_limit }) => {
+    if (!title || !String(title).trim() || String(title).trim().length > 100) {
+        return 'A shelf title of up to 100 characters is required.';
+    }
+    if (sort_by !== undefined && !SHELF_SORTS[sort_by]) {
+        return `Sort must be one of: ${Object.keys(SHELF_SORTS).join(', ')}.`;
+    }
+    const limit = Number(item_limit ?? 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SHELF_LIMIT) {
+        return `Shelves show between 1 and ${MAX_SHELF_LIMIT} products.`;
+    }
+    return null;
+};
+
+/**
+ * Fetches the products for one shelf: active products in the sector, optionally only those
+ * carrying the shelf's tag, in the shelf's order.
+ * @param {Array<number>} sectorIds - The sector and its sub-sectors.
+ * @param {object} shelf - A sector_shelves row (or one of DEFAULT_SHELVES).
+ * @returns {Promise<Array>}
+ */
+export const loadShelfProducts = async (sectorIds, shelf) => {
+    const params = [sectorIds];
+    let tagFilter = '';
+    if (shelf.tag_id) {
+        tagFilter = 'AND EXISTS (SELECT 1 FROM product_tags pt WHERE pt.product_id = p.id AND pt.tag_id = ?)';
+        params.push(shelf.tag_id);
+    }
+    const [products] = await pool.query(
+        `SELECT p.id, p.name, p.price, ${ACTIVE_PRICE} as active_price,
+            (SELECT COALESCE(SUM(oi.quantity), 0) FROM order_items oi JOIN orders o ON oi.order_id = o.id
+             WHERE oi.product_id = p.id AND o.created_at >= NOW() - INTERVAL 30 DAY) as total_sold,
+            (SELECT image_url FROM product_images pi WHERE pi.product_id = p.id ORDER BY pi.display_order ASC LIMIT 1) as main_image_url
+         FROM products p
+         WHERE p.sector_id IN (?) AND p.is_active = TRUE ${tagFilter}
+         ORDER BY ${SHELF_SORTS[shelf.sort_by] || SHELF_SORTS.newest}
+         LIMIT ?`,
+        [...params, Math.min(shelf.item_limit || 10, MAX_SHELF_LIMIT)]
+    );
+    return products.map(product => ({ ...product, active_price: parseFloat(product.active_price) }));
+};
@@ -0,0 +1,225 @@
+// utils/token.helpers.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+import pool from '../config/db.js';
+
+dotenv.config();
+
+// Access tokens are short-lived; the refresh token is what keeps a session alive.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+const IMPERSONATION_TOKEN_TTL = process.env.IMPERSONATION_TOKEN_TTL || '30m';
+// Two tabs can refresh with the same token at once; the one that loses presents a token rotated moments ago.
+const REFRESH_REUSE_GRACE_SECONDS = parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS || '60');
+
+/**
+ * Hashes a raw token (refresh token or emailed link token). Only the hash is ever stored in the database.
+ * @param {string} rawToken - The token as handed to the client.
+ * @returns {string} The hex-encoded SHA-256 hash.
+ */
+export const hashToken = (rawToken) => crypto.createHash('sha256').update(rawToken).digest('hex');
+
+/**
+ * Signs a short-lived access token (JWT) for a user.
+ * @param {{id: number, role: string}} user - The user the token is for.
+ * @returns {string} The signed JWT.
+ */
+export const signAccessToken = (user) => {
+    return jwt.sign({ id: user.id, role: user.role }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+/**
+ * Signs an access token that lets an admin view the site as another user.
+ * It carries `impersonatedBy`, which authenticateToken uses to keep the session read-only,
+ * and there is deliberately no refresh token: when it expires, the admin is back to themselves.
+ * @param {{id: number, role: string}} user - The user being impersonated.
+ * @param {number} adminId - The admin doing the impersonating.
+ * @returns {string} The signed JWT.
+ */
+export const signImpersonationToken = (user, adminId) => {
+    return jwt.sign(
+        { id: user.id, role: user.role, impersonatedBy: adminId },
+        process.env.JWT_SECRET,
+        { expiresIn: IMPERSONATION_TOKEN_TTL }
+    );
+};
+
+/**
+ * Creates a new refresh token row for a user and returns the raw token.
+ * @param {number} userId - The owner of the token.
+ * @param {object} [req] - The Express request, used to record the client IP and user agent.
+ * @param {object} [db] - A pool or transaction connection.
+ * @returns {Promise<{rawToken: string, id: number}>}
+ */
+const createRefreshToken = async (userId, req, db = pool) => {
+    const rawToken = crypto.randomBytes(40).toString('hex');
+    const [result] = await db.execute(
+        `INSERT INTO refresh_tokens (user_id, token_hash, expires_at, ip_address, user_agent)
+         VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? DAY), ?, ?)`,
+        [userId, hashToken(rawToken), REFRESH_TOKEN_TTL_DAYS, req?.ip || null, req?.get?.('user-agent')?.slice(0, 255) || null]
+    );
+    return { rawToken, id: result.insertId };
+};
+
+/**
+ * Starts a new session: an access token plus a fresh refresh token.
+ * This is what every login route (password, KingsChat, registration) should hand back.
+ * @param {{id: number, role: string}} user - The authenticated user.
+ * @param {object} [req] - The Express request.
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ */
+export const issueSession = async (user, req) => {
+    // Housekeeping: drop this user's long-dead tokens so the table doesn't grow forever.
+    await pool.execute('DELETE FROM refresh_tokens WHERE user_id = ? AND expires_at < NOW()', [user.id]);
+
+    const { rawToken } = await createRefreshToken(user.id, req);
+    return { token: signAccessToken(user), refreshToken: rawToken };
+};
+
+/**
+ * Exchanges a refresh token for a new session, revoking the old token (rotation).
+ * A token rotated within the last REFRESH_REUSE_GRACE_SECONDS is another tab that refreshed at the same time,
+ * and gets a session of its own. Any other revoked token (rotated long ago, or logged out) being presented
+ * again is treated as stolen, and every session the user has is revoked.
+ * @param {string} rawToken - The refresh token sent by the client.
+ * @param {object} [req] - The Express request.
+ * @returns {Promise<{token: string, refreshToken: string, userId: number}|null>} Null if the token is not usable.
+ */
+export const rotateRefreshToken = async (rawToken, req) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [tokenResult] = await connection.execute(
+            `SELECT rt.id, rt.user_id, rt.revoked_at, rt.replaced_by_id, rt.expires_at < NOW() as is_expired,
+                rt.revoked_at >= DATE_SUB(NOW(), INTERVAL ? SECOND) as recently_revoked, u.role, u.suspended_at
+             FROM refresh_tokens rt JOIN users u ON rt.user_id = u.id
+             WHERE rt.token_hash = ? FOR UPDATE`,
+            [REFRESH_REUSE_GRACE_SECONDS, hashToken(rawToken)]
+        );
+
+        if (tokenResult.length === 0) {
+            await connection.rollback();
+            return null;
+        }
+        const stored = tokenResult[0];
+
+        const rotatedJustNow = stored.revoked_at && stored.replaced_by_id && stored.recently_revoked;
+        if (rotatedJustNow) {
+            // The tab that won holds the replacement. If that session has since been logged out, so has this one.
+            const [replacement] = await connection.execute(
+                'SELECT revoked_at, replaced_by_id FROM refresh_tokens WHERE id = ?',
+                [stored.replaced_by_id]
+            );
+            if (replacement.length === 0 || (replacement[0].revoked_at && !replacement[0].replaced_by_id)) {
+                await connection.rollback();
+                return null;
+            }
+        } else if (stored.revoked_at) {
+            // Reuse of a rotated token: someone else may hold a copy. Kill every session.
+            await connection.execute(
+                'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+                [stored.user_id]
+            );
+            await connection.commit();
+            console.warn(`Refresh token reuse detected for user ${stored.user_id}. All sessions revoked.`);
+            return null;
+        }
+
+        if (stored.is_expired || stored.suspended_at) {
+            await connection.rollback();
+            return null;
+        }
+
+        const { rawToken: newRawToken, id: newTokenId } = await createRefreshToken(stored.user_id, req, connection);
+        if (!rotatedJustNow) {
+            await connection.execute(
+                'UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by_id = ? WHERE id = ?',
+                [newTokenId, stored.id]
+            );
+        }
+
+        await connection.commit();
+
+        // Sign with the role as it is NOW, so role changes take effect on the next refresh.
+        return {
+            token: signAccessToken({ id: stored.user_id, role: stored.role }),
+            refreshToken: newRawToken,
+            userId: stored.user_id
+        };
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * Revokes a single refresh token (e.g. on logout).
+ * @param {string} rawToken - The refresh token sent by the client.
+ */
+export const revokeRefreshToken = async (rawToken) => {
+    await pool.execute(
+        'UPDATE refresh_tokens SET revoked_at = NOW() WHERE token_hash = ? AND revoked_at IS NULL',
+        [hashToken(rawToken)]
+    );
+};
+
+/**
+ * Revokes every active refresh token a user has, forcing them to log in again
+ * once their current access token expires. Use after a password or role change.
+ * @param {number} userId - The user whose sessions should end.
+ * @param {object} [db] - A pool or transaction connection.
+ */
+export const revokeAllRefreshTokens = async (userId, db = pool) => {
+    await db.execute(
+        'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+        [userId]
+    );
+};
+
+/**
+ * Creates a single-use token for an emailed link (password reset, email verification).
+ * Any older unused token of the same type for this user is invalidated first.
+ * @param {number} userId - The user the link is for.
+ * @param {'password_reset'|'email_verification'} type - What the token may be used for.
+ * @param {number} ttlMinutes - How long the link stays valid.
+ * @returns {Promise<string>} The raw token to put in the link.
+ */
+export const createUserToken = async (userId, type, ttlMinutes) => {
+    await pool.execute(
+        'UPDATE user_tokens SET used_at = NOW() WHERE user_id = ? AND type = ? AND used_at IS NULL',
+        [userId, type]
+    );
+
+    const rawToken = crypto.randomBytes(32).toString('hex');
+    await pool.execute(
+        `INSERT INTO user_tokens (user_id, type, token_hash, expires_at)
+         VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+        [userId, type, hashToken(rawToken), ttlMinutes]
+    );
+    return rawToken;
+};
+
+/**
+ * Marks a single-use token as used and returns its owner.
+ * The UPDATE only matches an unused, unexpired token, so two concurrent uses can't both succeed.
+ * @param {string} rawToken - The token from the link.
+ * @param {'password_reset'|'email_verification'} type - The expected token type.
+ * @param {object} [db] - A pool or transaction connection.
+ * @returns {Promise<number|null>} The user id, or null if the token is invalid, used or expired.
+ */
+export const consumeUserToken = async (rawToken, type, db = pool) => {
+    const tokenHash = hashToken(rawToken);
+    const [result] = await db.execute(
+        `UPDATE user_tokens SET used_at = NOW()
+         WHERE token_hash = ? AND type = ? AND used_at IS NULL AND expires_at > NOW()`,
+        [tokenHash, type]
+    );
+    if (result.affectedRows === 0) return null;
+
+    const [rows] = await db.execute('SELECT user_id FROM user_tokens WHERE token_hash = ?', [tokenHash]);
+    return rows[0].user_id;
+};
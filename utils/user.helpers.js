@@ -0,0 +1,156 @@
+// utils/user.helpers.js
+import pool from '../config/db.js';
+import { listRolePermissions } from './permission.helpers.js';
+
+/**
+ * Parses a list field that may be stored as a JSON array string or a comma-separated string.
+ * @param {string|null} value - The raw column value.
+ * @returns {Array<string>}
+ */
+const parseListField = (value) => {
+    if (typeof value === 'string' && value.startsWith('[')) return JSON.parse(value);
+    return value ? value.split(',') : [];
+};
+
+/**
+ * Builds the user object we send to the frontend after a login or session refresh.
+ * The frontend stores this in $store.auth.user, so every login path should use it.
+ * @param {object} user - A full row from the users table (optionally joined with sbo_profiles).
+ * @param {Array<string>} [permissions] - The effective permissions of the user's role (see listRolePermissions).
+ * @returns {object} The client-facing user object (never includes secrets).
+ */
+export const buildUserResponse = (user, permissions = []) => ({
+    id: user.id, username: user.username, email: user.email, role: user.role, sbo_profile_id: user.sbo_profile_id,
+    permissions,
+    emailVerified: Boolean(user.email_verified),
+    hasPassword: Boolean(user.password_hash), // False for KingsChat-only accounts
+    firstName: user.first_name, lastName: user.last_name, dateOfBirth: user.date_of_birth,
+    phoneNumber: user.phone_number, kingschatHandle: user.kingschat_handle,
+    kingschatId: user.kingschat_id, kingschatGender: user.kingschat_gender,
+    kingschatAvatarUrl: user.kingschat_avatar_url, zone: user.zone, church: user.church,
+    ministryPosition: user.ministry_position, yearsInPosition: user.years_in_position,
+    group: user.group, leadership_role: user.leadership_role,
+    ministry_staff: Boolean(user.ministry_staff),
+    ministry_department: user.ministry_department, educational_qualification: user.educational_qualification,
+    institution_of_completion: user.institution_of_completion, professional_qualification: user.professional_qualification,
+    has_work_experience: Boolean(user.has_work_experience),
+    organisation_of_employment: user.organisation_of_employment,
+    duration_of_employment: user.duration_of_employment,
+    significant_achievements: parseListField(user.significant_achievements),
+    areas_of_interest: parseListField(user.areas_of_interest),
+    apply_for: user.apply_for,
+    preferredCurrency: user.preferred_currency || null
+});
+
+/**
+ * Loads a user (with their SBO profile id and permissions) and builds the client-facing user object.
+ * @param {number} userId - The user to load.
+ * @returns {Promise<object|null>} The user object, or null if the user doesn't exist.
+ */
+export const loadUserResponse = async (userId) => {
+    const [userResult] = await pool.execute(
+        `SELECT u.*, sp.id as sbo_profile_id
+         FROM users u
+         LEFT JOIN sbo_profiles sp ON u.id = sp.user_id
+         WHERE u.id = ?`,
+        [userId]
+    );
+    if (userResult.length === 0) return null;
+    return buildUserResponse(userResult[0], await listRolePermissions(userResult[0].role));
+};
+
+/**
+ * Turns the admin user-list query string into a WHERE clause. Shared by the paged list and the CSV export
+ * so both always show the same people.
+ * Supported filters: search, role, zone, church, signedUpFrom / signedUpTo (YYYY-MM-DD) and
+ * status ('active', 'suspended', 'locked', 'closed' or 'merged').
+ * @param {object} query - req.query.
+ * @returns {{whereClause: string, params: Array}} whereClause is '' or starts with ' WHERE'. Columns are unprefixed.
+ */
+export const buildUserListFilters = (query) => {
+    const conditions = [];
+    const params = [];
+
+    if (query.search) {
+        conditions.push('(username LIKE ? OR email LIKE ? OR first_name LIKE ? OR last_name LIKE ?)');
+        params.push(...Array(4).fill(`%${query.search}%`));
+    }
+    if (query.role) {
+        conditions.push('role = ?');
+        params.push(query.role);
+    }
+    if (query.zone) {
+        conditions.push('zone LIKE ?');
+        params.push(`%${query.zone}%`);
+    }
+    if (query.church) {
+        conditions.push('church LIKE ?');
+        params.push(`%${query.church}%`);
+    }
+    if (query.signedUpFrom) {
+        conditions.push('created_at >= ?');
+        params.push(query.signedUpFrom);
+    }
+    if (query.signedUpTo) {
+        // Inclusive of the whole "to" day
+        conditions.push('created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+        params.push(query.signedUpTo);
+    }
+
+    switch (query.status) {
+        case 'active':
+            conditions.push('deleted_at IS NULL AND suspended_at IS NULL');
+            break;
+        case 'suspended':
+            conditions.push('suspended_at IS NOT NULL');
+            break;
+        case 'locked':
+            conditions.push('locked_until > NOW()');
+            break;
+        case 'closed':
+            conditions.push('deleted_at IS NOT NULL AND merged_into_user_id IS NULL');
+            break;
+        case 'merged':
+            conditions.push('merged_into_user_id IS NOT NULL');
+            break;
+    }
+
+    return {
+        whereClause: conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+};
+
+/**
+ * Sends each user one email about their rows, for the scheduled alert jobs (wishlist alerts, back-in-stock emails).
+ * A user's rows are marked done once their email has gone out; if it fails they are left for the next run.
+ * Rows belonging to users who can't be emailed any more (closed or suspended accounts) are marked done without one.
+ * @param {Array<{user_id: number}>} rows - What there is to tell, one row per thing per user.
+ * @param {object} job
+ * @param {string} job.what - What is being sent, for the error log, e.g. 'wishlist alert'.
+ * @param {function(object, Array<object>): Promise<void>} job.send - Emails a user ({id, email, first_name}) about their rows.
+ * @param {function(Array<object>): Promise<*>} job.markDone - Records that rows have been dealt with.
+ * @returns {Promise<number>} How many users were emailed.
+ */
+export const emailEachUser = async (rows, { what, send, markDone }) => {
+    const [users] = await pool.query(
+        'SELECT id, email, first_name FROM users WHERE id IN (?) AND deleted_at IS NULL AND suspended_at IS NULL',
+        [[...new Set(rows.map(row => row.user_id))]]
+    );
+
+    let sent = 0;
+    for (const user of users) {
+        const userRows = rows.filter(row => row.user_id === user.id);
+        try {
+            await send(user, userRows);
+            sent++;
+        } catch (error) {
+            console.error(`Failed to send ${what} to user ${user.id}:`, error);
+            continue;
+        }
+        await markDone(userRows);
+    }
+    const reachable = new Set(users.map(user => user.id));
+    await markDone(rows.filter(row => !reachable.has(row.user_id)));
+    return sent;
+};
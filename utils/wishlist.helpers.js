@@ -0,0 +1,149 @@
+// utils/wishlist.helpers.js
+import crypto from 'crypto';
+import pool from '../config/db.js';
+import { getActivePricesForProducts, priceKey } from './product.helpers.js';
+import { sendWishlistAlertEmail } from './email.helpers.js';
+import { emailEachUser } from './user.helpers.js';
+
+export const MAX_WISHLISTS = 20;
+export const DEFAULT_WISHLIST_NAME = 'My Wishlist';
+
+// Whether a wishlist item (wi, joined to p and its variant v) is on sale / in stock right now.
+// Same sale rules as getActivePricesForProducts: the window is the product's, a priced variant has its own sale price.
+const ITEM_SALE_PRICE = `(CASE WHEN v.id IS NULL THEN p.sale_price WHEN v.price IS NULL THEN COALESCE(v.sale_price, p.sale_price) ELSE v.sale_price END)`;
+const ITEM_ON_SALE = `COALESCE(${ITEM_SALE_PRICE} IS NOT NULL AND (p.sale_start_date IS NULL OR p.sale_start_date <= NOW()) AND (p.sale_end_date IS NULL OR p.sale_end_date >= NOW()), FALSE)`;
+const ITEM_IN_STOCK = `(CASE WHEN v.id IS NULL THEN p.stock_quantity > 0 ELSE v.is_active = TRUE AND v.stock_quantity > 0 END)`;
+
+/**
+ * Creates the random token used in a wishlist's public share link.
+ * @returns {string}
+ */
+export const createShareToken = () => crypto.randomBytes(16).toString('hex');
+
+/**
+ * Returns the user's first wishlist, creating "My Wishlist" if they have none.
+ * Used when something is added without choosing a list.
+ * @param {number} userId - The owner.
+ * @param {object} [db] - A transaction connection, or the pool.
+ * @returns {Promise<number>} The wishlist id.
+ */
+export const getOrCreateDefaultWishlist = async (userId, db = pool) => {
+    const [existing] = await db.execute(
+        'SELECT id FROM wishlists WHERE user_id = ? ORDER BY id LIMIT 1',
+        [userId]
+    );
+    if (existing.length > 0) return existing[0].id;
+    const [result] = await db.execute('INSERT INTO wishlists (user_id, name) VALUES (?, ?)', [userId, DEFAULT_WISHLIST_NAME]);
+    return result.insertId;
+};
+
+/**
+ * Adds a product (or one of its variants) to a wishlist. Adding it twice is a no-op.
+ * The item starts with its current sale and stock state, so only later changes are alerted on.
+ * @param {number} wishlistId - The list.
+ * @param {number} productId - The product.
+ * @param {number|null} variantId - The variant, if one was chosen.
+ * @param {object} [db] - A transaction connection, or the pool.
+ */
+export const addWishlistItem = async (wishlistId, productId, variantId, db = pool) => {
+    await db.query(
+        `INSERT IGNORE INTO wishlist_items (wishlist_id, product_id, variant_id, was_on_sale, was_in_stock)
+         SELECT ?, p.id, v.id, ${ITEM_ON_SALE}, ${ITEM_IN_STOCK}
+         FROM products p LEFT JOIN product_variants v ON v.id = ? AND v.product_id = p.id
+         WHERE p.id = ?`,
+        [wishlistId, variantId, productId]
+    );
+};
+
+/**
+ * Loads the items of one or more wishlists with their live price and stock.
+ * @param {Array<number>} wishlistIds - The lists.
+ * @returns {Promise<Array<object>>} Items with wishlist_id, name, variant_title, main_image_url,
+ *   active_price, original_price, in_stock and is_active.
+ */
+export const loadWishlistItems = async (wishlistIds) => {
+    if (wishlistIds.length === 0) return [];
+    const [items] = await pool.query(
+        `SELECT wi.id, wi.wishlist_id, wi.product_id, wi.variant_id, wi.created_at,
+            p.name, p.is_active, p.allow_backorder, v.title as variant_title, ${ITEM_IN_STOCK} as in_stock,
+            COALESCE(
+                (SELECT image_url FROM product_images pi WHERE pi.variant_id = wi.variant_id ORDER BY pi.display_order LIMIT 1),
+                (SELECT image_url FROM product_images pi WHERE pi.product_id = p.id ORDER BY pi.display_order LIMIT 1)
+            ) as main_image_url
+         FROM wishlist_items wi
+         JOIN products p ON wi.product_id = p.id
+         LEFT JOIN product_variants v ON wi.variant_id = v.id
+         WHERE wi.wishlist_id IN (?)
+         ORDER BY wi.created_at DESC`,
+        [wishlistIds]
+    );
+    const priceMap = await getActivePricesForProducts(
+        items.map(item => item.product_id),
+        items.filter(item => item.variant_id).map(item => item.variant_id)
+    );
+    return items.map(item => {
+        const pricing = priceMap.get(priceKey(item.product_id, item.variant_id)) || { active_price: 0, original_price: null };
+        return {
+            ...item,
+            is_active: Boolean(item.is_active),
+            allow_backorder: Boolean(item.allow_backorder),
+            in_stock: Boolean(item.in_stock),
+            active_price: pricing.active_price,
+            original_price: pricing.original_price
+        };
+    });
+};
+
+/**
+ * Emails users about wishlisted items that went on sale (a sale window opened) or came back in stock
+ * since the last run. Run on a schedule: sale windows open by date, without anyone editing the product.
+ * Each item remembers what it looked like last time, so every change is only reported once.
+ */
+export const sendWishlistAlerts = async () => {
+    const [changes] = await pool.query(
+        `SELECT wi.id, w.user_id, wi.product_id, wi.variant_id, wi.was_on_sale, wi.was_in_stock,
+            p.name, v.title as variant_title, ${ITEM_ON_SALE} as on_sale, ${ITEM_IN_STOCK} as in_stock
+         FROM wishlist_items wi
+         JOIN wishlists w ON wi.wishlist_id = w.id
+         JOIN products p ON wi.product_id = p.id
+         LEFT JOIN product_variants v ON wi.variant_id = v.id
+         WHERE p.is_active = TRUE
+           AND (${ITEM_ON_SALE} <> wi.was_on_sale OR ${ITEM_IN_STOCK} <> wi.was_in_stock)`
+    );
+    if (changes.length === 0) return;
+
+    const rememberState = (rows) => Promise.all(rows.map(row => pool.execute(
+        'UPDATE wishlist_items SET was_on_sale = ?, was_in_stock = ? WHERE id = ?',
+        [Boolean(row.on_sale), Boolean(row.in_stock), row.id]
+    )));
+
+    // Going off sale or out of stock isn't news, it only needs remembering
+    const isNews = (row) => (row.on_sale && !row.was_on_sale) || (row.in_stock && !row.was_in_stock);
+    await rememberState(changes.filter(row => !isNews(row)));
+
+    const news = changes.filter(isNews);
+    if (news.length === 0) return;
+    const priceMap = await getActivePricesForProducts(
+        news.map(row => row.product_id),
+        news.filter(row => row.variant_id).map(row => row.variant_id)
+    );
+    const sent = await emailEachUser(news, {
+        what: 'wishlist alert',
+        send: (user, rows) => {
+            // The same product can be on several of the user's lists; mention it once
+            const alerts = [...new Map(rows.map(row => {
+                const pricing = priceMap.get(priceKey(row.product_id, row.variant_id)) || { active_price: 0, original_price: null };
+                return [priceKey(row.product_id, row.variant_id), {
+                    name: row.name,
+                    variant_title: row.variant_title,
+                    reason: row.on_sale && !row.was_on_sale ? 'sale' : 'restock',
+                    ...pricing
+                }];
+            })).values()];
+            return sendWishlistAlertEmail(user, alerts);
+        },
+        markDone: rememberState
+    });
+
+    if (sent > 0) console.log(`Sent wishlist alerts to ${sent} user(s).`);
+};